@@ -20,16 +20,19 @@ async function createSessionsTable() {
       CREATE TABLE IF NOT EXISTS user_sessions (
         id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
         user_id VARCHAR(36) NOT NULL,
-        refresh_token VARCHAR(500) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        family_id CHAR(36) NOT NULL,
         device_info TEXT,
         ip_address VARCHAR(45),
         expires_at TIMESTAMP NOT NULL,
         is_active BOOLEAN DEFAULT TRUE,
+        rotated_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         INDEX idx_user_id (user_id),
-        INDEX idx_refresh_token (refresh_token),
+        UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
+        INDEX idx_family_id (family_id),
         INDEX idx_expires_at (expires_at)
       );
     `);
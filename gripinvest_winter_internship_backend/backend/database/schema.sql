@@ -23,13 +23,24 @@ CREATE TABLE IF NOT EXISTS users (
     account_balance DECIMAL(15,2) DEFAULT 0.00,
     kyc_status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
     kyc_documents JSON,
+    kyc_submitted_at TIMESTAMP NULL,
+    kyc_reviewed_at TIMESTAMP NULL,
+    kyc_reviewed_by VARCHAR(36) NULL,
+    kyc_rejection_reason VARCHAR(500) NULL,
     email_verified BOOLEAN DEFAULT FALSE,
     phone_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
+    role ENUM('user', 'support', 'ops_admin', 'super_admin') DEFAULT 'user',
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    two_factor_secret VARCHAR(64) NULL, -- base32 TOTP secret; set at setup, kept once enabled
+    two_factor_enabled_at TIMESTAMP NULL,
+    two_factor_last_step BIGINT NULL, -- time step of the last accepted code, so codes cannot be replayed
+    token_version INT NOT NULL DEFAULT 0, -- bumped on password change; older access tokens are refused
     last_login_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_email (email),
+    INDEX idx_role (role),
     INDEX idx_risk_appetite (risk_appetite),
     INDEX idx_created_at (created_at)
 );
@@ -38,16 +49,19 @@ CREATE TABLE IF NOT EXISTS users (
 CREATE TABLE IF NOT EXISTS user_sessions (
     id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
     user_id VARCHAR(36) NOT NULL,
-    refresh_token VARCHAR(255) NOT NULL,
-    device_info JSON,
+    refresh_token_hash CHAR(64) NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    device_info VARCHAR(255),
     ip_address VARCHAR(45),
     expires_at TIMESTAMP NOT NULL,
     is_active BOOLEAN DEFAULT TRUE,
+    rotated_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
-    INDEX idx_refresh_token (refresh_token),
+    UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
+    INDEX idx_family_id (family_id),
     INDEX idx_expires_at (expires_at)
 );
 
@@ -112,14 +126,18 @@ CREATE TABLE IF NOT EXISTS investments (
     expected_return DECIMAL(15,2) NOT NULL,
     current_value DECIMAL(15,2) NOT NULL DEFAULT 0,
     maturity_date DATE NOT NULL,
-    status ENUM('active', 'matured', 'cancelled', 'withdrawn') DEFAULT 'active',
+    status ENUM('active', 'partial', 'matured', 'cancelled', 'withdrawn') DEFAULT 'active',
     invested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     matured_at TIMESTAMP NULL,
+    maturity_reminder_sent_at TIMESTAMP NULL,
+    parent_investment_id VARCHAR(36) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE RESTRICT,
+    FOREIGN KEY (parent_investment_id) REFERENCES investments(id) ON DELETE SET NULL,
     INDEX idx_user_id (user_id),
+    INDEX idx_parent_investment_id (parent_investment_id),
     INDEX idx_product_id (product_id),
     INDEX idx_status (status),
     INDEX idx_invested_at (invested_at),
@@ -131,7 +149,8 @@ CREATE TABLE IF NOT EXISTS investment_transactions (
     id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
     user_id VARCHAR(36) NOT NULL,
     investment_id VARCHAR(36),
-    transaction_type ENUM('deposit', 'investment', 'withdrawal', 'return', 'penalty', 'fee') NOT NULL,
+    transaction_type ENUM('deposit', 'investment', 'withdrawal', 'return', 'penalty', 'fee', 'adjustment') NOT NULL,
+    direction ENUM('credit', 'debit') NOT NULL,
     amount DECIMAL(15,2) NOT NULL,
     description TEXT,
     reference_number VARCHAR(50) UNIQUE,
@@ -149,6 +168,171 @@ CREATE TABLE IF NOT EXISTS investment_transactions (
     INDEX idx_reference_number (reference_number)
 );
 
+-- Partial redemptions (one row per redemption from an investment)
+CREATE TABLE IF NOT EXISTS investment_redemptions (
+    id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    investment_id VARCHAR(36) NOT NULL,
+    user_id VARCHAR(36) NOT NULL,
+    gross_amount DECIMAL(15,2) NOT NULL,
+    principal_redeemed DECIMAL(15,2) NOT NULL,
+    penalty_rate DECIMAL(5,2) DEFAULT 0.00,
+    penalty_amount DECIMAL(15,2) DEFAULT 0.00,
+    net_amount DECIMAL(15,2) NOT NULL,
+    remaining_principal DECIMAL(15,2) NOT NULL,
+    remaining_value DECIMAL(15,2) NOT NULL,
+    reference_number VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_investment_id (investment_id),
+    INDEX idx_user_id (user_id)
+);
+
+-- Daily valuation snapshots, written by the valuation job
+CREATE TABLE IF NOT EXISTS investment_performance (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    investment_id VARCHAR(36) NOT NULL,
+    date DATE NOT NULL,
+    invested_amount DECIMAL(15,2) NOT NULL,
+    current_value DECIMAL(15,2) NOT NULL,
+    returns_amount DECIMAL(15,2) NOT NULL,
+    returns_percentage DECIMAL(7,2) NOT NULL,
+    market_value DECIMAL(15,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_investment_date (investment_id, date),
+    INDEX idx_investment_id (investment_id),
+    INDEX idx_date (date)
+);
+
+-- Recurring investment mandates
+CREATE TABLE IF NOT EXISTS sips (
+    id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id VARCHAR(36) NOT NULL,
+    product_id VARCHAR(36) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    frequency ENUM('weekly', 'monthly', 'quarterly') NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    next_run_date DATE NULL,
+    next_installment_index INT DEFAULT 0,
+    status ENUM('active', 'paused', 'cancelled', 'completed') DEFAULT 'active',
+    last_run_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_next_run (status, next_run_date)
+);
+
+-- One row per executed or failed SIP due date
+CREATE TABLE IF NOT EXISTS sip_installments (
+    id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    sip_id VARCHAR(36) NOT NULL,
+    user_id VARCHAR(36) NOT NULL,
+    due_date DATE NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    status ENUM('pending', 'success', 'failed') DEFAULT 'pending',
+    investment_id VARCHAR(36) NULL,
+    failure_reason VARCHAR(255),
+    attempts INT NOT NULL DEFAULT 1,
+    next_attempt_at TIMESTAMP NULL, -- when a failed installment is tried again; NULL once it is final
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (sip_id) REFERENCES sips(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_sip_due_date (sip_id, due_date),
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_next_attempt (status, next_attempt_at)
+);
+
+-- Outbound email queue; the email_outbox job delivers with retries
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id VARCHAR(36) NULL,
+    recipient VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    template_version INT NOT NULL DEFAULT 1,
+    data JSON NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'dead') DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT NULL,
+    sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_status_sent_at (status, sent_at),
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
+
+-- Weekly portfolio reports; one per user per ISO week (Monday start)
+CREATE TABLE IF NOT EXISTS weekly_reports (
+    id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id VARCHAR(36) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    data JSON NOT NULL,
+    emailed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_period (user_id, period_start),
+    INDEX idx_period_start (period_start)
+);
+
+-- Admin actions on user accounts. Append-only: the triggers below reject
+-- updates and deletes, and there are no foreign keys so no cascade can touch it
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_id VARCHAR(36) NOT NULL,
+    actor_email VARCHAR(255) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target_user_id VARCHAR(36) NULL,
+    reason VARCHAR(500) NULL,
+    details JSON NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_actor_id (actor_id),
+    INDEX idx_target_user_id (target_user_id),
+    INDEX idx_action (action),
+    INDEX idx_created_at (created_at)
+);
+
+-- Two-factor recovery codes (one-time, stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_code (user_id, code_hash)
+);
+
+-- Failed login tracking, one row per email and per IP (emails need not belong to a user)
+CREATE TABLE IF NOT EXISTS login_failures (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    scope ENUM('email', 'ip') NOT NULL,
+    identifier VARCHAR(255) NOT NULL, -- lowercased email or IP address
+    failed_count INT NOT NULL DEFAULT 0, -- failures in the current window
+    first_failed_at TIMESTAMP NULL, -- start of the current window
+    last_failed_at TIMESTAMP NULL,
+    last_ip_address VARCHAR(45),
+    next_attempt_at TIMESTAMP NULL, -- progressive delay
+    locked_until TIMESTAMP NULL,
+    lockout_count INT NOT NULL DEFAULT 0,
+    unlock_token_hash CHAR(64) NULL, -- SHA-256 of the emailed unlock token
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_scope_identifier (scope, identifier),
+    UNIQUE KEY unique_unlock_token_hash (unlock_token_hash),
+    INDEX idx_locked_until (locked_until)
+);
+
 -- =============================================
 -- SYSTEM MONITORING TABLES
 -- =============================================
@@ -375,14 +559,7 @@ CREATE TRIGGER after_investment_insert
     AFTER INSERT ON investments
     FOR EACH ROW
 BEGIN
-    -- Create investment transaction record
-    INSERT INTO investment_transactions (
-        user_id, investment_id, transaction_type, amount, description, status
-    ) VALUES (
-        NEW.user_id, NEW.id, 'investment', NEW.amount, 
-        CONCAT('Investment in product: ', NEW.product_id), 'completed'
-    );
-    
+    -- Ledger entries are posted by the application with a reference number
     -- Log analytics event
     INSERT INTO user_analytics (user_id, event_type, event_data)
     VALUES (NEW.user_id, 'investment_created', JSON_OBJECT(
@@ -394,6 +571,23 @@ BEGIN
 END //
 DELIMITER ;
 
+-- Triggers to keep the admin audit trail immutable
+DELIMITER //
+CREATE TRIGGER admin_audit_log_no_update
+    BEFORE UPDATE ON admin_audit_log
+    FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_log is append-only';
+END //
+
+CREATE TRIGGER admin_audit_log_no_delete
+    BEFORE DELETE ON admin_audit_log
+    FOR EACH ROW
+BEGIN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_log is append-only';
+END //
+DELIMITER ;
+
 -- =============================================
 -- INDEXES FOR PERFORMANCE OPTIMIZATION
 -- =============================================
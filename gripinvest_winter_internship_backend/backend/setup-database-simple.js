@@ -108,11 +108,13 @@ async function setupDatabase() {
       CREATE TABLE IF NOT EXISTS user_sessions (
         id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
         user_id VARCHAR(36) NOT NULL,
-        refresh_token VARCHAR(255) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+        family_id CHAR(36) NOT NULL,
         device_info JSON,
         ip_address VARCHAR(45),
         expires_at TIMESTAMP NOT NULL,
         is_active BOOLEAN DEFAULT TRUE,
+        rotated_at TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -30,13 +30,48 @@ async function setupEssentialTables() {
         risk_appetite ENUM('low', 'moderate', 'high') DEFAULT 'moderate',
         account_balance DECIMAL(15,2) DEFAULT 0.00,
         kyc_status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+        kyc_documents JSON,
+        kyc_submitted_at TIMESTAMP NULL,
+        kyc_reviewed_at TIMESTAMP NULL,
+        kyc_reviewed_by VARCHAR(36) NULL,
+        kyc_rejection_reason VARCHAR(500) NULL,
         email_verified BOOLEAN DEFAULT FALSE,
         phone_verified BOOLEAN DEFAULT FALSE,
         is_active BOOLEAN DEFAULT TRUE,
+        role ENUM('user', 'support', 'ops_admin', 'super_admin') DEFAULT 'user',
+        two_factor_enabled BOOLEAN DEFAULT FALSE,
+        two_factor_secret VARCHAR(64) NULL, -- base32 TOTP secret; set at setup, kept once enabled
+        two_factor_enabled_at TIMESTAMP NULL,
+        two_factor_last_step BIGINT NULL, -- time step of the last accepted code, so codes cannot be replayed
+        token_version INT NOT NULL DEFAULT 0, -- bumped on password change; older access tokens are refused
         last_login TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_email (email)
+        INDEX idx_email (email),
+        INDEX idx_role (role)
+      );
+    `);
+
+    // Create user_sessions table; every authenticated request checks its session
+    console.log('📊 Creating user_sessions table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        user_id VARCHAR(36) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        device_info VARCHAR(255),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        rotated_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
+        INDEX idx_family_id (family_id),
+        INDEX idx_expires_at (expires_at)
       );
     `);
 
@@ -47,6 +82,7 @@ async function setupEssentialTables() {
         id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
         name VARCHAR(100) NOT NULL,
         category VARCHAR(50) NOT NULL DEFAULT 'Corporate Bonds',
+        investment_type ENUM('bond', 'fd', 'mf', 'etf', 'other') NOT NULL DEFAULT 'other',
         description TEXT,
         expected_return DECIMAL(5,2) NOT NULL,
         min_investment DECIMAL(15,2) NOT NULL DEFAULT 1000.00,
@@ -58,10 +94,12 @@ async function setupEssentialTables() {
         total_size DECIMAL(15,2) DEFAULT 0,
         available_size DECIMAL(15,2) DEFAULT 0,
         features JSON,
+        tax_benefits BOOLEAN DEFAULT FALSE,
         is_active BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_category (category),
+        INDEX idx_investment_type (investment_type),
         INDEX idx_risk_level (risk_level),
         INDEX idx_is_active (is_active)
       );
@@ -79,11 +117,14 @@ async function setupEssentialTables() {
         expected_return DECIMAL(5,2) NOT NULL,
         actual_return DECIMAL(5,2) DEFAULT 0,
         tenure INT NOT NULL,
-        status ENUM('pending', 'active', 'matured', 'cancelled') DEFAULT 'active',
+        status ENUM('pending', 'active', 'partial', 'matured', 'cancelled') DEFAULT 'active',
         notes TEXT,
         auto_reinvest BOOLEAN DEFAULT FALSE,
+        parent_investment_id VARCHAR(36) NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         maturity_date DATE NOT NULL,
+        matured_at TIMESTAMP NULL,
+        maturity_reminder_sent_at TIMESTAMP NULL,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE RESTRICT,
@@ -93,6 +134,237 @@ async function setupEssentialTables() {
       );
     `);
 
+    // Create investment_transactions table
+    console.log('📊 Creating investment_transactions table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS investment_transactions (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        user_id VARCHAR(36) NOT NULL,
+        investment_id VARCHAR(36),
+        transaction_type ENUM('deposit', 'investment', 'withdrawal', 'return', 'penalty', 'fee', 'adjustment') NOT NULL,
+        direction ENUM('credit', 'debit') NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        description TEXT,
+        reference_number VARCHAR(50) UNIQUE,
+        status ENUM('pending', 'completed', 'failed', 'cancelled') DEFAULT 'pending',
+        processed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE SET NULL,
+        INDEX idx_user_id (user_id),
+        INDEX idx_investment_id (investment_id),
+        INDEX idx_transaction_type (transaction_type),
+        INDEX idx_status (status),
+        INDEX idx_created_at (created_at),
+        INDEX idx_reference_number (reference_number)
+      );
+    `);
+
+    // Create investment_redemptions table
+    console.log('📊 Creating investment_redemptions table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS investment_redemptions (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        investment_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        gross_amount DECIMAL(15,2) NOT NULL,
+        principal_redeemed DECIMAL(15,2) NOT NULL,
+        penalty_rate DECIMAL(5,2) DEFAULT 0.00,
+        penalty_amount DECIMAL(15,2) DEFAULT 0.00,
+        net_amount DECIMAL(15,2) NOT NULL,
+        remaining_principal DECIMAL(15,2) NOT NULL,
+        remaining_value DECIMAL(15,2) NOT NULL,
+        reference_number VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_investment_id (investment_id),
+        INDEX idx_user_id (user_id)
+      );
+    `);
+
+    // Create investment_performance table
+    console.log('📊 Creating investment_performance table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS investment_performance (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        investment_id VARCHAR(36) NOT NULL,
+        date DATE NOT NULL,
+        invested_amount DECIMAL(15,2) NOT NULL,
+        current_value DECIMAL(15,2) NOT NULL,
+        returns_amount DECIMAL(15,2) NOT NULL,
+        returns_percentage DECIMAL(7,2) NOT NULL,
+        market_value DECIMAL(15,2),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_investment_date (investment_id, date),
+        INDEX idx_investment_id (investment_id),
+        INDEX idx_date (date)
+      );
+    `);
+
+    // Create sips table
+    console.log('📊 Creating sips table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS sips (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        user_id VARCHAR(36) NOT NULL,
+        product_id VARCHAR(36) NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        frequency ENUM('weekly', 'monthly', 'quarterly') NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NULL,
+        next_run_date DATE NULL,
+        next_installment_index INT DEFAULT 0,
+        status ENUM('active', 'paused', 'cancelled', 'completed') DEFAULT 'active',
+        last_run_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_status_next_run (status, next_run_date)
+      );
+    `);
+
+    // Create sip_installments table
+    console.log('📊 Creating sip_installments table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS sip_installments (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        sip_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        due_date DATE NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        status ENUM('pending', 'success', 'failed') DEFAULT 'pending',
+        investment_id VARCHAR(36) NULL,
+        failure_reason VARCHAR(255),
+        attempts INT NOT NULL DEFAULT 1,
+        next_attempt_at TIMESTAMP NULL, -- when a failed installment is tried again; NULL once it is final
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (sip_id) REFERENCES sips(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_sip_due_date (sip_id, due_date),
+        INDEX idx_user_id (user_id),
+        INDEX idx_status_next_attempt (status, next_attempt_at)
+      );
+    `);
+
+    // Create email_outbox table
+    console.log('📊 Creating email_outbox table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        user_id VARCHAR(36) NULL,
+        recipient VARCHAR(255) NOT NULL,
+        template VARCHAR(50) NOT NULL,
+        template_version INT NOT NULL DEFAULT 1,
+        data JSON NOT NULL,
+        status ENUM('pending', 'sending', 'sent', 'dead') DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT NULL,
+        sent_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_status_sent_at (status, sent_at),
+        INDEX idx_user_id (user_id),
+        INDEX idx_created_at (created_at)
+      );
+    `);
+
+    // Create weekly_reports table
+    console.log('📊 Creating weekly_reports table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS weekly_reports (
+        id VARCHAR(36) PRIMARY KEY DEFAULT (UUID()),
+        user_id VARCHAR(36) NOT NULL,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        data JSON NOT NULL,
+        emailed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_period (user_id, period_start),
+        INDEX idx_period_start (period_start)
+      );
+    `);
+
+    // Create admin_audit_log table
+    console.log('📊 Creating admin_audit_log table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        actor_id VARCHAR(36) NOT NULL,
+        actor_email VARCHAR(255) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        target_user_id VARCHAR(36) NULL,
+        reason VARCHAR(500) NULL,
+        details JSON NULL,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_actor_id (actor_id),
+        INDEX idx_target_user_id (target_user_id),
+        INDEX idx_action (action),
+        INDEX idx_created_at (created_at)
+      );
+    `);
+
+    // Reject updates and deletes on the audit trail. Triggers cannot be
+    // prepared, so these go through query() rather than execute()
+    for (const action of ['UPDATE', 'DELETE']) {
+      const trigger = `admin_audit_log_no_${action.toLowerCase()}`;
+      await connection.promise().query(`DROP TRIGGER IF EXISTS ${trigger}`);
+      await connection.promise().query(`
+        CREATE TRIGGER ${trigger}
+        BEFORE ${action} ON admin_audit_log
+        FOR EACH ROW
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_log is append-only'
+      `);
+    }
+
+    // Create two_factor_recovery_codes table
+    console.log('📊 Creating two_factor_recovery_codes table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_user_code (user_id, code_hash)
+      );
+    `);
+
+    // Create login_failures table
+    console.log('📊 Creating login_failures table...');
+    await connection.promise().execute(`
+      CREATE TABLE IF NOT EXISTS login_failures (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        scope ENUM('email', 'ip') NOT NULL,
+        identifier VARCHAR(255) NOT NULL, -- lowercased email or IP address
+        failed_count INT NOT NULL DEFAULT 0, -- failures in the current window
+        first_failed_at TIMESTAMP NULL, -- start of the current window
+        last_failed_at TIMESTAMP NULL,
+        last_ip_address VARCHAR(45),
+        next_attempt_at TIMESTAMP NULL, -- progressive delay
+        locked_until TIMESTAMP NULL,
+        lockout_count INT NOT NULL DEFAULT 0,
+        unlock_token_hash CHAR(64) NULL, -- SHA-256 of the emailed unlock token
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_scope_identifier (scope, identifier),
+        UNIQUE KEY unique_unlock_token_hash (unlock_token_hash),
+        INDEX idx_locked_until (locked_until)
+      );
+    `);
+
     // Create transaction_logs table
     console.log('📊 Creating transaction_logs table...');
     await connection.promise().execute(`
@@ -131,6 +403,7 @@ async function setupEssentialTables() {
         id: '1',
         name: 'Corporate Bond Series A',
         category: 'Corporate Bonds',
+        investment_type: 'bond',
         description: 'High-grade corporate bond with steady returns and low risk profile.',
         expected_return: 12.5,
         min_investment: 10000,
@@ -147,6 +420,7 @@ async function setupEssentialTables() {
         id: '2', 
         name: 'Alternative Investment Fund',
         category: 'Alternative Investment Fund',
+        investment_type: 'other',
         description: 'Diversified AIF focusing on high-growth sectors with professional management.',
         expected_return: 18.2,
         min_investment: 100000,
@@ -163,6 +437,7 @@ async function setupEssentialTables() {
         id: '3',
         name: 'Real Estate Investment Trust',
         category: 'Real Estate',
+        investment_type: 'other',
         description: 'REIT with diversified commercial real estate portfolio.',
         expected_return: 14.8,
         min_investment: 50000,
@@ -179,6 +454,7 @@ async function setupEssentialTables() {
         id: '4',
         name: 'Gold Investment Fund',
         category: 'Commodities',
+        investment_type: 'mf',
         description: 'Commodity fund tracking gold prices with hedging strategies.',
         expected_return: 11.5,
         min_investment: 25000,
@@ -196,11 +472,11 @@ async function setupEssentialTables() {
     for (const product of sampleProducts) {
       await connection.promise().execute(`
         INSERT IGNORE INTO investment_products 
-        (id, name, category, description, expected_return, min_investment, max_investment, 
+        (id, name, category, investment_type, description, expected_return, min_investment, max_investment, 
          tenure, risk_level, issuer, rating, total_size, available_size, features) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
-        product.id, product.name, product.category, product.description,
+        product.id, product.name, product.category, product.investment_type, product.description,
         product.expected_return, product.min_investment, product.max_investment,
         product.tenure, product.risk_level, product.issuer, product.rating,
         product.total_size, product.available_size, product.features
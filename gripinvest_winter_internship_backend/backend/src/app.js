@@ -89,7 +89,16 @@ app.get('/api', (_req, res) => {
       auth: '/api/auth',
       products: '/api/products',
       investments: '/api/investments',
-      logs: '/api/logs'
+      wallet: '/api/wallet',
+      sips: '/api/sips',
+      kyc: '/api/kyc',
+      notifications: '/api/notifications',
+      reports: '/api/reports',
+      events: '/api/events',
+      logs: '/api/logs',
+      jobs: '/api/jobs',
+      emailOutbox: '/api/email-outbox',
+      admin: '/api/admin',
     },
     documentation: '/api/docs'
   });
@@ -97,14 +106,33 @@ app.get('/api', (_req, res) => {
 
 // Import and use route modules
 const authRoutes = require('./routes/authRoutes');
-const productRoutes = require('./routes/productRoutes-simple');
+const productRoutes = require('./routes/productRoutes');
 const investmentRoutes = require('./routes/investmentRoutes');
+const walletRoutes = require('./routes/walletRoutes');
+const sipRoutes = require('./routes/sipRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const eventRoutes = require('./routes/eventRoutes');
 const logRoutes = require('./routes/logRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const emailOutboxRoutes = require('./routes/emailOutboxRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const jobScheduler = require('./jobs');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/investments', investmentRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/sips', sipRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/events', eventRoutes);
 app.use('/api/logs', logRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/email-outbox', emailOutboxRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -118,7 +146,15 @@ app.use('*', (req, res) => {
       'POST /api/auth/login',
       'GET /api/products',
       'POST /api/investments',
-      'GET /api/logs'
+      'GET /api/wallet/transactions',
+      'GET /api/sips',
+      'GET /api/kyc',
+      'GET /api/notifications',
+      'GET /api/reports',
+      'GET /api/events',
+      'GET /api/logs',
+      'GET /api/jobs',
+      'GET /api/email-outbox',
     ]
   });
 });
@@ -167,6 +203,12 @@ if (require.main === module) {
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     console.log(`📋 API documentation: http://localhost:${PORT}/api`);
   });
+
+  // Background jobs only run in the server process, never under tests
+  if (process.env.DISABLE_JOBS !== 'true') {
+    jobScheduler.start();
+    console.log('⏰ Background jobs scheduled');
+  }
 }
 
 module.exports = app;
\ No newline at end of file
@@ -59,19 +59,50 @@ class DatabaseConfig {
     }
   }
 
-  async executeTransaction(queries) {
+  /**
+   * Run work inside a single DB transaction.
+   * Accepts either an array of { sql, params } run in order, or an async
+   * callback receiving a transaction executor with the same executeQuery()
+   * signature as this class, so read-then-write logic (e.g. SELECT ... FOR UPDATE)
+   * can run on the same connection. Any thrown error rolls the transaction back.
+   * Side effects that must only happen once the work is durable (e.g. pushing
+   * live events) can be queued with tx.afterCommit(fn).
+   * @param {Array|Function} work - queries or async (tx) => result
+   * @returns {Promise<*>} query results, or the callback's return value
+   */
+  async executeTransaction(work) {
     const connection = await this.getPool().getConnection();
+    const afterCommit = [];
     try {
       await connection.beginTransaction();
-      
-      const results = [];
-      for (const query of queries) {
-        const [rows] = await connection.execute(query.sql, query.params || []);
-        results.push(rows);
+
+      let result;
+      if (typeof work === 'function') {
+        const tx = {
+          executeQuery: async (sql, params = []) => {
+            const [rows] = await connection.execute(sql, params);
+            return rows;
+          },
+          afterCommit: (callback) => afterCommit.push(callback),
+        };
+        result = await work(tx);
+      } else {
+        result = [];
+        for (const query of work) {
+          const [rows] = await connection.execute(query.sql, query.params || []);
+          result.push(rows);
+        }
       }
-      
+
       await connection.commit();
-      return results;
+      afterCommit.forEach((callback) => {
+        try {
+          callback();
+        } catch (error) {
+          console.error('After-commit callback error:', error.message);
+        }
+      });
+      return result;
     } catch (error) {
       await connection.rollback();
       console.error('Transaction error:', error.message);
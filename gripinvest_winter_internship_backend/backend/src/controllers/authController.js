@@ -1,18 +1,37 @@
 const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
 const aiService = require('../services/aiService');
+const notificationService = require('../services/notificationService');
 const userModel = require('../models/userModel');
+const sessionModel = require('../models/sessionModel');
+const sessionService = require('../services/sessionService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { 
   HTTP_STATUS, 
   ERROR_MESSAGES, 
-  SUCCESS_MESSAGES 
+  SUCCESS_MESSAGES,
+  NOTIFICATION_TYPES,
+  SESSION_COOKIES,
 } = require('../utils/constants');
 const { 
   ApiResponse, 
   ValidationHelper, 
+  AuthHelper,
   ErrorHandler,
   FormatHelper 
 } = require('../utils/helpers');
 
+/**
+ * Move the refresh token out of a successful response into the httpOnly
+ * session cookie, and hand the client the matching CSRF token instead
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - token object inside the service response data
+ */
+const useSessionCookies = (res, tokens) => {
+  tokens.csrfToken = AuthHelper.setSessionCookies(res, tokens.refreshToken);
+  delete tokens.refreshToken;
+};
+
 /**
  * Authentication Controller Class
  * Handles all authentication-related HTTP requests
@@ -82,6 +101,10 @@ class AuthController {
       // Authenticate user through service
       const result = await authService.loginUser(email, password, ipAddress, userAgent);
 
+      if (result.success && result.data.tokens) {
+        useSessionCookies(res, result.data.tokens);
+      }
+
       // If login is successful, analyze user behavior for security
       if (result.success && result.data.user) {
         try {
@@ -115,6 +138,37 @@ class AuthController {
     }
   }
 
+  /**
+   * Complete a login that requires two-factor authentication
+   * @route POST /api/auth/login/2fa
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('User-Agent');
+
+      const result = await authService.verifyTwoFactorLogin(
+        challengeToken,
+        code,
+        ipAddress,
+        userAgent,
+      );
+
+      if (result.success) {
+        useSessionCookies(res, result.data.tokens);
+      }
+
+      return res.status(result.statusCode).json(result);
+    } catch (error) {
+      console.error('Two-factor login controller error:', error);
+      const response = ErrorHandler.handleError(error, 'Two-factor login');
+      return res.status(response.statusCode).json(response);
+    }
+  }
+
   /**
    * Initiate password reset
    * @route POST /api/auth/forgot-password
@@ -260,10 +314,11 @@ class AuthController {
         return res.status(response.statusCode).json(response);
       }
 
-      const refreshToken = req.headers['x-refresh-token'] || req.body.refreshToken;
+      const refreshToken = AuthHelper.getCookie(req, SESSION_COOKIES.REFRESH_TOKEN);
 
       // Logout user through service
       const result = await authService.logoutUser(req.user.id, refreshToken);
+      AuthHelper.clearSessionCookies(res);
 
       return res.status(result.statusCode).json(result);
 
@@ -306,26 +361,50 @@ class AuthController {
   }
 
   /**
-   * Refresh access token
+   * Lift a failed-login lockout with the emailed unlock token
+   * @route POST /api/auth/unlock-account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlockAccount(req, res) {
+    try {
+      const result = await loginProtectionService.unlock(req.body.token);
+      return res.status(result.statusCode).json(result);
+    } catch (error) {
+      console.error('Account unlock controller error:', error);
+      const response = ErrorHandler.handleError(error, 'Account unlock');
+      return res.status(response.statusCode).json(response);
+    }
+  }
+
+  /**
+   * Refresh access token from the session cookie
    * @route POST /api/auth/refresh-token
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async refreshToken(req, res) {
     try {
-      const refreshToken = req.headers['x-refresh-token'] || req.body.refreshToken;
+      const refreshToken = AuthHelper.getCookie(req, SESSION_COOKIES.REFRESH_TOKEN);
+      const ipAddress = req.ip || req.connection.remoteAddress;
 
-      // Input validation
+      // No cookie means no session to refresh
       if (!refreshToken) {
         const response = ApiResponse.error(
-          'Refresh token is required',
-          HTTP_STATUS.BAD_REQUEST
+          ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
+          HTTP_STATUS.UNAUTHORIZED,
         );
         return res.status(response.statusCode).json(response);
       }
 
-      // Refresh token through service
-      const result = await authService.refreshAccessToken(refreshToken);
+      // Rotate the refresh token through service
+      const result = await authService.refreshAccessToken(refreshToken, ipAddress);
+
+      if (result.success) {
+        useSessionCookies(res, result.data);
+      } else if (result.statusCode === HTTP_STATUS.UNAUTHORIZED) {
+        AuthHelper.clearSessionCookies(res);
+      }
 
       return res.status(result.statusCode).json(result);
 
@@ -519,7 +598,6 @@ class AuthController {
       }
 
       // Verify current password
-      const { AuthHelper } = require('../utils/helpers');
       const isCurrentPasswordValid = await AuthHelper.comparePassword(currentPassword, user.passwordHash);
       
       if (!isCurrentPasswordValid) {
@@ -538,6 +616,14 @@ class AuthController {
 
       // Invalidate all existing sessions for security
       await authService.logoutUser(req.user.id);
+      AuthHelper.clearSessionCookies(res);
+
+      await notificationService.notify(req.user.id, {
+        type: NOTIFICATION_TYPES.SECURITY,
+        title: 'Password changed',
+        message: 'Your password was changed and all sessions were signed out. If this was not you, reset your password immediately.',
+        actionUrl: '/profile',
+      });
 
       const response = ApiResponse.success(
         'Password changed successfully. Please login again.',
@@ -574,7 +660,7 @@ class AuthController {
       // Get active sessions from database
       const { databaseConfig } = require('../config/database');
       const sessionsQuery = `
-        SELECT id, device_info, ip_address, created_at, expires_at
+        SELECT id, family_id, device_info, ip_address, created_at, expires_at
         FROM user_sessions
         WHERE user_id = ? AND is_active = TRUE AND expires_at > NOW()
         ORDER BY created_at DESC
@@ -588,8 +674,7 @@ class AuthController {
         ipAddress: session.ip_address,
         createdAt: session.created_at,
         expiresAt: session.expires_at,
-        isCurrent: req.headers['x-refresh-token'] && 
-                  session.refresh_token === req.headers['x-refresh-token']
+        isCurrent: session.family_id === req.user.sessionId,
       }));
 
       const response = ApiResponse.success(
@@ -635,17 +720,11 @@ class AuthController {
         return res.status(response.statusCode).json(response);
       }
 
-      // Revoke specific session
-      const { databaseConfig } = require('../config/database');
-      const revokeQuery = `
-        UPDATE user_sessions 
-        SET is_active = FALSE 
-        WHERE id = ? AND user_id = ?
-      `;
-
-      const result = await databaseConfig.executeQuery(revokeQuery, [sessionId, req.user.id]);
+      // Revoke the session and the access tokens issued to it
+      const revoked = await sessionModel.revokeById(req.user.id, sessionId);
+      sessionService.invalidateUser(req.user.id);
 
-      if (result.affectedRows === 0) {
+      if (revoked === 0) {
         const response = ApiResponse.error(
           'Session not found or already revoked',
           HTTP_STATUS.NOT_FOUND
@@ -662,6 +741,61 @@ class AuthController {
       return res.status(response.statusCode).json(response);
     }
   }
+
+  /**
+   * Get two-factor authentication status
+   * @route GET /api/auth/2fa
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTwoFactorStatus(req, res) {
+    const result = await twoFactorService.getStatus(req.user.id);
+    return res.status(result.statusCode).json(result);
+  }
+
+  /**
+   * Start two-factor enrolment: new secret and QR code
+   * @route POST /api/auth/2fa/setup
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setupTwoFactor(req, res) {
+    const result = await twoFactorService.startSetup(req.user.id);
+    return res.status(result.statusCode).json(result);
+  }
+
+  /**
+   * Confirm enrolment with a first code and get recovery codes
+   * @route POST /api/auth/2fa/enable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enableTwoFactor(req, res) {
+    const result = await twoFactorService.confirmSetup(req.user.id, req.body.code);
+    return res.status(result.statusCode).json(result);
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @route POST /api/auth/2fa/disable
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disableTwoFactor(req, res) {
+    const result = await twoFactorService.disable(req.user.id, req.body.password);
+    return res.status(result.statusCode).json(result);
+  }
+
+  /**
+   * Replace the recovery codes
+   * @route POST /api/auth/2fa/recovery-codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateRecoveryCodes(req, res) {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.password);
+    return res.status(result.statusCode).json(result);
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
@@ -19,6 +19,12 @@ const {
  */
 class ProductsController {
 
+  constructor() {
+    // The router calls handlers unbound; these two use helper methods
+    this.getMarketAnalysis = this.getMarketAnalysis.bind(this);
+    this.getInvestmentStrategy = this.getInvestmentStrategy.bind(this);
+  }
+
   /**
    * Get all products with advanced filtering
    * @route GET /api/products
@@ -45,6 +51,28 @@ class ProductsController {
     }
   }
 
+  /**
+   * Get all products, including inactive ones (admin only)
+   * @route GET /api/products/admin
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAdminProducts(req, res) {
+    try {
+      const pagination = {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 10,
+      };
+
+      const result = await productService.getAdminProducts(req.query, pagination);
+      return res.status(result.statusCode).json(result);
+    } catch (error) {
+      console.error('Get admin products controller error:', error);
+      const response = ErrorHandler.handleError(error, 'Get admin products');
+      return res.status(response.statusCode).json(response);
+    }
+  }
+
   /**
    * Get product by ID with detailed information
    * @route GET /api/products/:id
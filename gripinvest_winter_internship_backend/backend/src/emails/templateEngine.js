@@ -0,0 +1,113 @@
+const { EMAIL_TYPES, EMAIL_PREFERENCE_FLAGS } = require('../utils/constants');
+const { FormatHelper } = require('../utils/helpers');
+const welcome = require('./templates/welcome');
+const passwordReset = require('./templates/passwordReset');
+const accountLocked = require('./templates/accountLocked');
+const investmentConfirmation = require('./templates/investmentConfirmation');
+const maturityReminder = require('./templates/maturityReminder');
+const weeklyReport = require('./templates/weeklyReport');
+
+// Registry: one module per EMAIL_TYPES entry
+const templates = {
+  [EMAIL_TYPES.WELCOME]: welcome,
+  [EMAIL_TYPES.PASSWORD_RESET]: passwordReset,
+  [EMAIL_TYPES.ACCOUNT_LOCKED]: accountLocked,
+  [EMAIL_TYPES.INVESTMENT_CONFIRMATION]: investmentConfirmation,
+  [EMAIL_TYPES.MATURITY_REMINDER]: maturityReminder,
+  [EMAIL_TYPES.WEEKLY_REPORT]: weeklyReport,
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Helpers passed to every template. Anything interpolated into HTML must go
+ * through `escape` (or a helper that escapes).
+ */
+const helpers = {
+  escape: escapeHtml,
+  currency: (amount) => FormatHelper.formatCurrency(amount || 0),
+  date: (value) => (value ? FormatHelper.formatDate(value) : '-'),
+  percent: (value) => FormatHelper.formatPercentage(value || 0),
+  button: (url, label, color = '#2563eb') => `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${escapeHtml(url)}"
+         style="background-color: ${color}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+        ${escapeHtml(label)}
+      </a>
+    </div>`,
+};
+
+/**
+ * Shared HTML frame: body, preference note for optional mails, footer
+ */
+const wrapHtml = (body, context) => `
+  <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+    ${body}
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+    ${
+  context.preferencesUrl
+    ? `<p style="color: #6b7280; font-size: 12px;">You can turn these emails off in your <a href="${escapeHtml(context.preferencesUrl)}" style="color: #6b7280;">email preferences</a>.</p>`
+    : ''
+}
+    <p style="color: #6b7280; font-size: 12px;">
+      © ${context.year} Grip Invest. All rights reserved.
+    </p>
+  </div>
+`;
+
+const wrapText = (body, context) => [
+  body.trim(),
+  '--',
+  context.preferencesUrl
+    ? `Turn these emails off in your email preferences: ${context.preferencesUrl}`
+    : null,
+  `© ${context.year} Grip Invest. All rights reserved.`,
+]
+  .filter(Boolean)
+  .join('\n\n');
+
+/**
+ * Render an email from its template
+ * @param {string} type - one of EMAIL_TYPES
+ * @param {Object} data - template data (user and investment fields)
+ * @param {number} version - template version; defaults to the current one
+ * @returns {Object} { type, version, subject, html, text }
+ */
+const render = (type, data = {}, version = null) => {
+  const template = templates[type];
+  if (!template) {
+    throw new Error(`Unknown email template: ${type}`);
+  }
+  const resolvedVersion = version || template.current;
+  const definition = template.versions[resolvedVersion];
+  if (!definition) {
+    throw new Error(`Unknown version ${resolvedVersion} of email template ${type}`);
+  }
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const context = {
+    ...data,
+    appUrl,
+    year: new Date().getFullYear(),
+    preferencesUrl: EMAIL_PREFERENCE_FLAGS[type] ? `${appUrl}/profile` : null,
+  };
+
+  return {
+    type,
+    version: resolvedVersion,
+    subject: definition.subject(context),
+    html: wrapHtml(definition.html(context, helpers), context),
+    text: wrapText(definition.text(context, helpers), context),
+  };
+};
+
+module.exports = {
+  render,
+  escapeHtml,
+  templates,
+};
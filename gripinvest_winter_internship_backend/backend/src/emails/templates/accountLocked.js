@@ -0,0 +1,32 @@
+/**
+ * Sign-in locked after repeated failed attempts, with a link to lift it
+ * Data: { firstName, unlockUrl, lockoutMinutes, ipAddress }
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Your Grip Invest account is temporarily locked',
+      html: (d, h) => `
+        <h2 style="color: #dc2626;">Account Temporarily Locked 🔒</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>We locked sign-in to your Grip Invest account for ${h.escape(d.lockoutMinutes)} minutes after too many failed login attempts. The last attempt came from IP ${h.escape(d.ipAddress)}.</p>
+        <p>If these attempts were yours, you can unlock your account right away:</p>
+        ${h.button(d.unlockUrl, 'Unlock Account', '#2563eb')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #6b7280;">${h.escape(d.unlockUrl)}</p>
+        <p style="margin-top: 30px; color: #dc2626; font-weight: bold;">
+          If this wasn't you, someone may be trying to guess your password. Reset your password after unlocking.
+        </p>`,
+      text: (d) => `
+Hi ${d.firstName},
+
+We locked sign-in to your Grip Invest account for ${d.lockoutMinutes} minutes after too many failed login attempts. The last attempt came from IP ${d.ipAddress}.
+
+If these attempts were yours, unlock your account here:
+${d.unlockUrl}
+
+If this wasn't you, someone may be trying to guess your password. Reset your password after unlocking.`,
+    },
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Sent once an investment is placed
+ * Data: { firstName, investmentId, productName, amount, expectedReturn, maturityDate,
+ *         autoReinvest }
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (d) => `Investment confirmed: ${d.productName}`,
+      html: (d, h) => `
+        <h2 style="color: #2563eb;">Your investment is confirmed ✅</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>We have received your investment in <strong>${h.escape(d.productName)}</strong>.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr><td style="padding: 8px 0; color: #6b7280;">Amount</td><td style="padding: 8px 0; text-align: right;"><strong>${h.escape(h.currency(d.amount))}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Expected return</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.percent(d.expectedReturn))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Maturity date</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.date(d.maturityDate))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Auto-reinvest</td><td style="padding: 8px 0; text-align: right;">${d.autoReinvest ? 'On' : 'Off'}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Reference</td><td style="padding: 8px 0; text-align: right; font-family: monospace;">${h.escape(d.investmentId)}</td></tr>
+        </table>
+        ${h.button(`${d.appUrl}/portfolio`, 'View Portfolio')}`,
+      text: (d, h) => `
+Hi ${d.firstName},
+
+We have received your investment in ${d.productName}.
+
+Amount: ${h.currency(d.amount)}
+Expected return: ${h.percent(d.expectedReturn)}
+Maturity date: ${h.date(d.maturityDate)}
+Auto-reinvest: ${d.autoReinvest ? 'On' : 'Off'}
+Reference: ${d.investmentId}
+
+View your portfolio: ${d.appUrl}/portfolio`,
+    },
+  },
+};
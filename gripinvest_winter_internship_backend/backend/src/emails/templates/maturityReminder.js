@@ -0,0 +1,37 @@
+/**
+ * Sent a few days before an investment matures
+ * Data: { firstName, investmentId, productName, amount, currentValue, maturityDate,
+ *         daysRemaining, autoReinvest }
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: (d) => `${d.productName} matures in ${d.daysRemaining} day${d.daysRemaining === 1 ? '' : 's'}`,
+      html: (d, h) => `
+        <h2 style="color: #2563eb;">Your investment matures soon ⏳</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>Your investment of <strong>${h.escape(h.currency(d.amount))}</strong> in <strong>${h.escape(d.productName)}</strong> matures on <strong>${h.escape(h.date(d.maturityDate))}</strong>.</p>
+        <p>Its current value is ${h.escape(h.currency(d.currentValue))}.</p>
+        <p>${
+  d.autoReinvest
+    ? 'Auto-reinvest is on, so the proceeds will be invested again in the same product for the same tenure.'
+    : 'The principal and returns will be credited to your wallet on the maturity date.'
+}</p>
+        ${h.button(`${d.appUrl}/portfolio`, 'Review Investment')}`,
+      text: (d, h) => `
+Hi ${d.firstName},
+
+Your investment of ${h.currency(d.amount)} in ${d.productName} matures on ${h.date(d.maturityDate)}.
+Its current value is ${h.currency(d.currentValue)}.
+
+${
+  d.autoReinvest
+    ? 'Auto-reinvest is on, so the proceeds will be invested again in the same product for the same tenure.'
+    : 'The principal and returns will be credited to your wallet on the maturity date.'
+}
+
+Review your investment: ${d.appUrl}/portfolio`,
+    },
+  },
+};
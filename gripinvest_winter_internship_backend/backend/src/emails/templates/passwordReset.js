@@ -0,0 +1,37 @@
+/**
+ * Password reset link and one-time code
+ * Data: { firstName, resetUrl, otp }
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Password Reset Request - Grip Invest',
+      html: (d, h) => `
+        <h2 style="color: #dc2626;">Password Reset Request 🔐</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>We received a request to reset your password for your Grip Invest account.</p>
+        <p>Your verification code is: <strong style="font-size: 24px; color: #2563eb;">${h.escape(d.otp)}</strong></p>
+        ${h.button(d.resetUrl, 'Reset Password', '#dc2626')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #6b7280;">${h.escape(d.resetUrl)}</p>
+        <p style="margin-top: 30px; color: #dc2626; font-weight: bold;">
+          This reset link and code will expire in 1 hour.
+        </p>
+        <p style="color: #6b7280;">
+          If you didn't request this password reset, please ignore this email and ensure your account is secure.
+        </p>`,
+      text: (d) => `
+Hi ${d.firstName},
+
+We received a request to reset your password for your Grip Invest account.
+
+Your verification code is: ${d.otp}
+
+Reset your password here:
+${d.resetUrl}
+
+This reset link and code will expire in 1 hour. If you didn't request this password reset, please ignore this email and ensure your account is secure.`,
+    },
+  },
+};
@@ -0,0 +1,136 @@
+/**
+ * Weekly portfolio summary
+ * Data: { firstName, periodStart, periodEnd, portfolioValue, totalInvested,
+ *   totalReturns, weeklyChange, weeklyChangePercentage, activeInvestments,
+ *   maturingSoon: [{ productName, amount, maturityDate }] }
+ * v2 adds: { newInvestments: [{ productName, amount, investedAt }],
+ *   allocation: { byType: [{ type, amount, percentage }] } }
+ */
+module.exports = {
+  current: 2,
+  versions: {
+    1: {
+      subject: () => 'Your weekly portfolio report',
+      html: (d, h) => {
+        const maturing = d.maturingSoon || [];
+        const changeColor = (d.weeklyChange || 0) >= 0 ? '#16a34a' : '#dc2626';
+        return `
+        <h2 style="color: #2563eb;">Your week in review 📈</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>Here is how your portfolio did from ${h.escape(h.date(d.periodStart))} to ${h.escape(h.date(d.periodEnd))}.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr><td style="padding: 8px 0; color: #6b7280;">Portfolio value</td><td style="padding: 8px 0; text-align: right;"><strong>${h.escape(h.currency(d.portfolioValue))}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Change this week</td><td style="padding: 8px 0; text-align: right; color: ${changeColor};">${h.escape(h.currency(d.weeklyChange))} (${h.escape(h.percent(d.weeklyChangePercentage))})</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Total invested</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.currency(d.totalInvested))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Total returns</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.currency(d.totalReturns))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Active investments</td><td style="padding: 8px 0; text-align: right;">${h.escape(d.activeInvestments || 0)}</td></tr>
+        </table>
+        ${
+  maturing.length
+    ? `<h3 style="color: #111827;">Maturing soon</h3>
+        <ul>
+          ${maturing
+    .map(
+      (m) => `<li>${h.escape(m.productName)}: ${h.escape(h.currency(m.amount))} on ${h.escape(h.date(m.maturityDate))}</li>`,
+    )
+    .join('')}
+        </ul>`
+    : ''
+}
+        ${h.button(`${d.appUrl}/portfolio`, 'Open Portfolio')}`;
+      },
+      text: (d, h) => {
+        const maturing = (d.maturingSoon || []).map(
+          (m) => `- ${m.productName}: ${h.currency(m.amount)} on ${h.date(m.maturityDate)}`,
+        );
+        return `
+Hi ${d.firstName},
+
+Here is how your portfolio did from ${h.date(d.periodStart)} to ${h.date(d.periodEnd)}.
+
+Portfolio value: ${h.currency(d.portfolioValue)}
+Change this week: ${h.currency(d.weeklyChange)} (${h.percent(d.weeklyChangePercentage)})
+Total invested: ${h.currency(d.totalInvested)}
+Total returns: ${h.currency(d.totalReturns)}
+Active investments: ${d.activeInvestments || 0}
+${maturing.length ? `\nMaturing soon:\n${maturing.join('\n')}\n` : ''}
+Open your portfolio: ${d.appUrl}/portfolio`;
+      },
+    },
+    2: {
+      subject: () => 'Your weekly portfolio report',
+      html: (d, h) => {
+        const maturing = d.maturingSoon || [];
+        const added = d.newInvestments || [];
+        const allocation = (d.allocation && d.allocation.byType) || [];
+        const changeColor = (d.weeklyChange || 0) >= 0 ? '#16a34a' : '#dc2626';
+        const list = (title, items) => (items.length
+          ? `<h3 style="color: #111827;">${title}</h3>
+        <ul>
+          ${items.map((item) => `<li>${item}</li>`).join('')}
+        </ul>`
+          : '');
+        return `
+        <h2 style="color: #2563eb;">Your week in review 📈</h2>
+        <p>Hi ${h.escape(d.firstName)},</p>
+        <p>Here is how your portfolio did from ${h.escape(h.date(d.periodStart))} to ${h.escape(h.date(d.periodEnd))}.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr><td style="padding: 8px 0; color: #6b7280;">Portfolio value</td><td style="padding: 8px 0; text-align: right;"><strong>${h.escape(h.currency(d.portfolioValue))}</strong></td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Change this week</td><td style="padding: 8px 0; text-align: right; color: ${changeColor};">${h.escape(h.currency(d.weeklyChange))} (${h.escape(h.percent(d.weeklyChangePercentage))})</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Total invested</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.currency(d.totalInvested))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Total returns</td><td style="padding: 8px 0; text-align: right;">${h.escape(h.currency(d.totalReturns))}</td></tr>
+          <tr><td style="padding: 8px 0; color: #6b7280;">Active investments</td><td style="padding: 8px 0; text-align: right;">${h.escape(d.activeInvestments || 0)}</td></tr>
+        </table>
+        ${list(
+    'New this week',
+    added.map(
+      (i) => `${h.escape(i.productName)}: ${h.escape(h.currency(i.amount))} on ${h.escape(h.date(i.investedAt))}`,
+    ),
+  )}
+        ${list(
+    'Maturing soon',
+    maturing.map(
+      (m) => `${h.escape(m.productName)}: ${h.escape(h.currency(m.amount))} on ${h.escape(h.date(m.maturityDate))}`,
+    ),
+  )}
+        ${list(
+    'Allocation',
+    allocation.map(
+      (a) => `${h.escape(a.type)}: ${h.escape(h.currency(a.amount))} (${h.escape(h.percent(a.percentage))})`,
+    ),
+  )}
+        ${h.button(`${d.appUrl}/portfolio`, 'Open Portfolio')}`;
+      },
+      text: (d, h) => {
+        const section = (title, items) => (items.length ? `\n${title}:\n${items.map((i) => `- ${i}`).join('\n')}\n` : '');
+        return `
+Hi ${d.firstName},
+
+Here is how your portfolio did from ${h.date(d.periodStart)} to ${h.date(d.periodEnd)}.
+
+Portfolio value: ${h.currency(d.portfolioValue)}
+Change this week: ${h.currency(d.weeklyChange)} (${h.percent(d.weeklyChangePercentage)})
+Total invested: ${h.currency(d.totalInvested)}
+Total returns: ${h.currency(d.totalReturns)}
+Active investments: ${d.activeInvestments || 0}
+${section(
+    'New this week',
+    (d.newInvestments || []).map(
+      (i) => `${i.productName}: ${h.currency(i.amount)} on ${h.date(i.investedAt)}`,
+    ),
+  )}${section(
+  'Maturing soon',
+  (d.maturingSoon || []).map(
+    (m) => `${m.productName}: ${h.currency(m.amount)} on ${h.date(m.maturityDate)}`,
+  ),
+)}${section(
+  'Allocation',
+  ((d.allocation && d.allocation.byType) || []).map(
+    (a) => `${a.type}: ${h.currency(a.amount)} (${h.percent(a.percentage)})`,
+  ),
+)}
+Open your portfolio: ${d.appUrl}/portfolio`;
+      },
+    },
+  },
+};
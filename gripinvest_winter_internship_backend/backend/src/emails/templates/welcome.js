@@ -0,0 +1,31 @@
+/**
+ * Welcome email with the verification link
+ * Data: { firstName, verificationUrl }
+ */
+module.exports = {
+  current: 1,
+  versions: {
+    1: {
+      subject: () => 'Welcome to Grip Invest - Verify Your Email',
+      html: (d, h) => `
+        <h2 style="color: #2563eb;">Welcome to Grip Invest, ${h.escape(d.firstName)}! 🎉</h2>
+        <p>Thank you for joining Grip Invest, your trusted investment platform.</p>
+        <p>To get started, please verify your email address by clicking the button below:</p>
+        ${h.button(d.verificationUrl, 'Verify Email Address')}
+        <p>Or copy and paste this link into your browser:</p>
+        <p style="word-break: break-all; color: #6b7280;">${h.escape(d.verificationUrl)}</p>
+        <p style="margin-top: 30px; color: #6b7280; font-size: 14px;">
+          This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.
+        </p>`,
+      text: (d) => `
+Welcome to Grip Invest, ${d.firstName}!
+
+Thank you for joining Grip Invest, your trusted investment platform.
+To get started, please verify your email address:
+
+${d.verificationUrl}
+
+This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.`,
+    },
+  },
+};
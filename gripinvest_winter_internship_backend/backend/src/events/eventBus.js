@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Event Bus
+ * In-process pub/sub for live account events. Services publish once a change
+ * has committed; the SSE route subscribes per user. Events are not persisted,
+ * so a client that was offline refetches state when it reconnects.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so the default warning threshold of 10 is too low
+    this.emitter.setMaxListeners(0);
+    this.sequence = 0;
+  }
+
+  channel(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Deliver an event to every open stream of a user
+   * @param {string} userId - recipient
+   * @param {string} type - one of EVENT_TYPES
+   * @param {Object} data - event payload
+   * @returns {Object} the published event
+   */
+  publish(userId, type, data = {}) {
+    this.sequence += 1;
+    const event = {
+      id: this.sequence,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+    this.emitter.emit(this.channel(userId), event);
+    return event;
+  }
+
+  /**
+   * Listen for a user's events. A listener that throws is logged and does not
+   * affect the publisher or other listeners.
+   * @param {string} userId - user to follow
+   * @param {Function} listener - called with { id, type, data, timestamp }
+   * @returns {Function} unsubscribe
+   */
+  subscribe(userId, listener) {
+    const channel = this.channel(userId);
+    const handler = (event) => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('Event listener error:', error.message);
+      }
+    };
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+
+  /**
+   * Number of open subscriptions for a user
+   */
+  subscriberCount(userId) {
+    return this.emitter.listenerCount(this.channel(userId));
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,53 @@
+const scheduler = require('./scheduler');
+const maturityService = require('../services/maturityService');
+const valuationService = require('../services/valuationService');
+const sipService = require('../services/sipService');
+const emailService = require('../services/emailService');
+const reportService = require('../services/reportService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { SCHEDULED_JOBS, JOB_INTERVALS } = require('../utils/constants');
+
+// Job registry: every background job the API process runs
+scheduler.register(
+  SCHEDULED_JOBS.MATURITY,
+  () => maturityService.processDueInvestments(),
+  { intervalMs: JOB_INTERVALS.MATURITY },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.MATURITY_REMINDER,
+  () => maturityService.sendMaturityReminders(),
+  { intervalMs: JOB_INTERVALS.MATURITY_REMINDER },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.VALUATION,
+  () => valuationService.revalueAll(),
+  { intervalMs: JOB_INTERVALS.VALUATION },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.SIP,
+  () => sipService.executeDueInstallments(),
+  { intervalMs: JOB_INTERVALS.SIP },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.WEEKLY_REPORT,
+  () => reportService.generateWeeklyReports(),
+  { intervalMs: JOB_INTERVALS.WEEKLY_REPORT },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.EMAIL_OUTBOX,
+  () => emailService.processOutbox(),
+  { intervalMs: JOB_INTERVALS.EMAIL_OUTBOX },
+);
+
+scheduler.register(
+  SCHEDULED_JOBS.LOGIN_FAILURE_PURGE,
+  () => loginProtectionService.purgeExpired(),
+  { intervalMs: JOB_INTERVALS.LOGIN_FAILURE_PURGE },
+);
+
+module.exports = scheduler;
@@ -0,0 +1,117 @@
+const { HTTP_STATUS } = require('../utils/constants');
+const { ErrorHandler } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Job Scheduler
+ * Runs registered background jobs on a fixed interval inside the API process.
+ * A job never overlaps itself, whether triggered by its timer or manually.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - unique job name
+   * @param {Function} handler - async function returning a run summary
+   * @param {Object} options - { intervalMs, runOnStart }
+   */
+  register(name, handler, options = {}) {
+    this.jobs.set(name, {
+      name,
+      handler,
+      intervalMs: options.intervalMs || null,
+      runOnStart: options.runOnStart !== false,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Run a job now and return its summary
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw ErrorHandler.createError(
+        `Unknown job: ${name}`,
+        HTTP_STATUS.NOT_FOUND,
+      );
+    }
+    if (job.running) {
+      throw ErrorHandler.createError(
+        `Job ${name} is already running`,
+        HTTP_STATUS.CONFLICT,
+      );
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await job.handler();
+      job.lastResult = result;
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(startedAt);
+      job.lastDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * Start interval timers for every registered job
+   */
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.timer || !job.intervalMs) return;
+
+      const tick = () => this.run(job.name).catch((error) => {
+        logger.error(`Scheduled job ${job.name} failed:`, error.message);
+      });
+
+      job.timer = setInterval(tick, job.intervalMs);
+      job.timer.unref();
+      if (job.runOnStart) setImmediate(tick);
+    });
+  }
+
+  /**
+   * Stop all interval timers
+   */
+  stop() {
+    this.jobs.forEach((job) => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  }
+
+  /**
+   * Status of every registered job
+   */
+  list() {
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      scheduled: !!job.timer,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastResult: job.lastResult,
+      lastError: job.lastError,
+    }));
+  }
+}
+
+module.exports = new JobScheduler();
@@ -1,11 +1,16 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const { databaseConfig } = require('../config/database');
+const sessionModel = require('../models/sessionModel');
+const sessionService = require('../services/sessionService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { 
   HTTP_STATUS, 
   ERROR_MESSAGES, 
   USER_ROLES,
-  API_RATE_LIMITS 
+  API_RATE_LIMITS,
+  SESSION_COOKIES,
 } = require('../utils/constants');
 const { ApiResponse, AuthHelper } = require('../utils/helpers');
 
@@ -20,13 +25,21 @@ const authRateLimiter = new RateLimiterMemory({
 });
 
 /**
- * Rate limiter for failed login attempts per email
+ * Rate limiter for session refreshes
  */
-const loginAttemptLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => `login_${req.body.email}`,
-  points: 5, // Allow 5 failed attempts
-  duration: 15 * 60, // Per 15 minutes
-  blockDuration: 30 * 60, // Block for 30 minutes after exceeding
+const refreshRateLimiter = new RateLimiterMemory({
+  keyGenerator: (req) => req.ip,
+  points: API_RATE_LIMITS.REFRESH.max,
+  duration: API_RATE_LIMITS.REFRESH.windowMs / 1000,
+});
+
+/**
+ * Rate limiter for two-factor codes per login challenge. A new challenge
+ * needs the password again, so guessing stays bounded.
+ */
+const twoFactorAttemptLimiter = new RateLimiterMemory({
+  points: 5, // Allow 5 codes per challenge
+  duration: 5 * 60, // Challenge tokens live 5 minutes
 });
 
 /**
@@ -49,7 +62,28 @@ const authRateLimit = async (req, res, next) => {
 };
 
 /**
- * Login attempt rate limiting middleware
+ * Session refresh rate limiting middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const refreshRateLimit = async (req, res, next) => {
+  try {
+    await refreshRateLimiter.consume(req.ip);
+    next();
+  } catch (rejRes) {
+    const response = ApiResponse.error(
+      'Too many session refreshes. Please try again later.',
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+    );
+    return res.status(response.statusCode).json(response);
+  }
+};
+
+/**
+ * Login attempt middleware. Rejects logins for an email or IP that is in a
+ * progressive delay or locked out after failed attempts; the failures
+ * themselves are recorded by authService.loginUser.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -60,17 +94,85 @@ const loginRateLimit = async (req, res, next) => {
   }
 
   try {
-    await loginAttemptLimiter.consume(`login_${req.body.email}`);
+    const check = await loginProtectionService.check(req.body.email, req.ip);
+    if (check.allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(check.retryAfter));
+    const response = ApiResponse.error(check.message, HTTP_STATUS.TOO_MANY_REQUESTS);
+    return res.status(response.statusCode).json(response);
+  } catch (error) {
+    console.error('Login attempt check error:', error.message);
+    const response = ApiResponse.error(
+      ERROR_MESSAGES.SERVER_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    );
+    return res.status(response.statusCode).json(response);
+  }
+};
+
+/**
+ * Two-factor code rate limiting middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const twoFactorRateLimit = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return next();
+  }
+
+  try {
+    await twoFactorAttemptLimiter.consume(`2fa_${req.body.challengeToken}`);
     next();
   } catch (rejRes) {
     const response = ApiResponse.error(
-      'Too many failed login attempts. Account temporarily locked.',
-      HTTP_STATUS.TOO_MANY_REQUESTS
+      'Too many invalid codes. Please sign in again.',
+      HTTP_STATUS.TOO_MANY_REQUESTS,
     );
     return res.status(response.statusCode).json(response);
   }
 };
 
+/**
+ * Whether an access token still belongs to a live sign-in: it names its
+ * session (sid) and token version (ver), was issued since the user's last
+ * password change, and its session has not been ended. Tokens missing
+ * either claim cannot be revoked, so they are refused. The session check is
+ * cached by sessionService.
+ * @param {Object} decoded - verified token payload
+ * @param {Object} user - users row with token_version
+ * @returns {Promise<boolean>}
+ */
+const isTokenCurrent = async (decoded, user) => {
+  if (!decoded.sid || !Number.isInteger(decoded.ver)) {
+    return false;
+  }
+  if (decoded.ver !== user.token_version) {
+    return false;
+  }
+  return sessionService.isActive(user.id, decoded.sid);
+};
+
+/**
+ * Whether the sign-in behind an authenticated request is still live: the
+ * user is active and the token's session and version still hold. For
+ * connections that outlast their request, such as event streams.
+ * @param {Object} authUser - req.user set by verifyToken
+ * @returns {Promise<boolean>}
+ */
+const isSignInCurrent = async (authUser) => {
+  const users = await databaseConfig.executeQuery(
+    'SELECT id, token_version FROM users WHERE id = ? AND is_active = TRUE',
+    [authUser.id],
+  );
+  return users.length > 0 && isTokenCurrent(
+    { sid: authUser.sessionId, ver: authUser.tokenVersion },
+    users[0],
+  );
+};
+
 /**
  * JWT token verification middleware
  * @param {Object} req - Express request object
@@ -97,7 +199,7 @@ const verifyToken = async (req, res, next) => {
     // Check if user still exists and is active
     const userQuery = `
       SELECT id, first_name, last_name, email, risk_appetite, 
-             is_active, email_verified
+             is_active, email_verified, role, token_version
       FROM users 
       WHERE id = ? AND is_active = TRUE
     `;
@@ -113,6 +215,15 @@ const verifyToken = async (req, res, next) => {
     }
 
     const user = users[0];
+
+    // Reject tokens from before a password change or of an ended session
+    if (!(await isTokenCurrent(decoded, user))) {
+      const response = ApiResponse.error(
+        ERROR_MESSAGES.SESSION_REVOKED,
+        HTTP_STATUS.UNAUTHORIZED,
+      );
+      return res.status(response.statusCode).json(response);
+    }
     
     // Check if email is verified for sensitive operations (disabled for demo)
     // if (!user.email_verified && req.method !== 'GET') {
@@ -131,7 +242,10 @@ const verifyToken = async (req, res, next) => {
       email: user.email,
       riskAppetite: user.risk_appetite,
       isActive: user.is_active,
-      emailVerified: user.email_verified
+      emailVerified: user.email_verified,
+      role: user.role || USER_ROLES.USER,
+      sessionId: decoded.sid,
+      tokenVersion: decoded.ver,
     };
 
     // Update last activity timestamp (skipped for demo)
@@ -160,46 +274,32 @@ const verifyToken = async (req, res, next) => {
 };
 
 /**
- * Admin role verification middleware
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Permission check middleware factory. The role comes from the users row
+ * loaded by verifyToken, so role changes apply without a new token.
+ * @param {...string} permissions - PERMISSIONS values, all required
+ * @returns {Function} Express middleware
  */
-const requireAdmin = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      const response = ApiResponse.error(
-        ERROR_MESSAGES.ACCESS_DENIED,
-        HTTP_STATUS.UNAUTHORIZED
-      );
-      return res.status(response.statusCode).json(response);
-    }
-
-    // Check if user has admin privileges
-    const adminQuery = `
-      SELECT role FROM users 
-      WHERE id = ? AND role = 'admin' AND is_active = TRUE
-    `;
-    
-    const adminUsers = await databaseConfig.executeQuery(adminQuery, [req.user.id]);
-    
-    if (adminUsers.length === 0) {
-      const response = ApiResponse.error(
-        'Admin access required',
-        HTTP_STATUS.FORBIDDEN
-      );
-      return res.status(response.statusCode).json(response);
-    }
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    const response = ApiResponse.error(
+      ERROR_MESSAGES.ACCESS_DENIED,
+      HTTP_STATUS.UNAUTHORIZED,
+    );
+    return res.status(response.statusCode).json(response);
+  }
 
-    next();
-  } catch (error) {
-    console.error('Admin verification error:', error.message);
+  const allowed = permissions.every(
+    (permission) => AuthHelper.hasPermission(req.user.role, permission),
+  );
+  if (!allowed) {
     const response = ApiResponse.error(
-      ERROR_MESSAGES.SERVER_ERROR,
-      HTTP_STATUS.INTERNAL_SERVER_ERROR
+      ERROR_MESSAGES.INSUFFICIENT_PERMISSIONS,
+      HTTP_STATUS.FORBIDDEN,
     );
     return res.status(response.statusCode).json(response);
   }
+
+  next();
 };
 
 /**
@@ -220,14 +320,14 @@ const optionalAuth = async (req, res, next) => {
     
     const userQuery = `
       SELECT id, first_name, last_name, email, risk_appetite, 
-             is_active, email_verified
+             is_active, email_verified, role, token_version
       FROM users 
       WHERE id = ? AND is_active = TRUE
     `;
     
     const users = await databaseConfig.executeQuery(userQuery, [decoded.userId]);
     
-    if (users.length > 0) {
+    if (users.length > 0 && (await isTokenCurrent(decoded, users[0]))) {
       const user = users[0];
       req.user = {
         id: user.id,
@@ -236,7 +336,10 @@ const optionalAuth = async (req, res, next) => {
         email: user.email,
         riskAppetite: user.risk_appetite,
         isActive: user.is_active,
-        emailVerified: user.email_verified
+        emailVerified: user.email_verified,
+        role: user.role || USER_ROLES.USER,
+        sessionId: decoded.sid,
+        tokenVersion: decoded.ver,
       };
     }
 
@@ -259,21 +362,12 @@ const validateSession = async (req, res, next) => {
       return next();
     }
 
-    const refreshToken = req.headers['x-refresh-token'];
+    const refreshToken = AuthHelper.getCookie(req, SESSION_COOKIES.REFRESH_TOKEN);
     if (refreshToken) {
-      // Verify refresh token exists and is active
-      const sessionQuery = `
-        SELECT id FROM user_sessions 
-        WHERE user_id = ? AND refresh_token = ? 
-        AND expires_at > NOW() AND is_active = TRUE
-      `;
-      
-      const sessions = await databaseConfig.executeQuery(
-        sessionQuery, 
-        [req.user.id, refreshToken]
-      );
+      // Verify refresh token is the current token of an active session
+      const isActive = await sessionModel.isActive(req.user.id, refreshToken);
       
-      if (sessions.length === 0) {
+      if (!isActive) {
         const response = ApiResponse.error(
           'Invalid session. Please login again.',
           HTTP_STATUS.UNAUTHORIZED
@@ -313,7 +407,9 @@ const securityHeaders = (req, res, next) => {
 };
 
 /**
- * CSRF protection middleware for state-changing operations
+ * CSRF protection middleware for cookie-authenticated, state-changing operations.
+ * Double submit: the X-CSRF-Token header must match the CSRF cookie, which
+ * another site can neither read nor set.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -324,17 +420,24 @@ const csrfProtection = (req, res, next) => {
     return next();
   }
 
-  // Check for CSRF token in custom header
-  const csrfToken = req.headers['x-csrf-token'];
-  const expectedToken = req.session?.csrfToken;
-  
-  if (!csrfToken || csrfToken !== expectedToken) {
-    // For now, just log the attempt - in production you might want to reject
+  const csrfToken = Buffer.from(req.get(SESSION_COOKIES.CSRF_HEADER) || '');
+  const expectedToken = Buffer.from(AuthHelper.getCookie(req, SESSION_COOKIES.CSRF_TOKEN) || '');
+
+  if (
+    !expectedToken.length
+    || csrfToken.length !== expectedToken.length
+    || !crypto.timingSafeEqual(csrfToken, expectedToken)
+  ) {
     console.warn('CSRF token mismatch:', {
       ip: req.ip,
       userAgent: req.get('User-Agent'),
       endpoint: req.originalUrl
     });
+    const response = ApiResponse.error(
+      ERROR_MESSAGES.INVALID_CSRF_TOKEN,
+      HTTP_STATUS.FORBIDDEN,
+    );
+    return res.status(response.statusCode).json(response);
   }
 
   next();
@@ -377,9 +480,12 @@ const logAuthActivity = (req, res, next) => {
 
 module.exports = {
   authRateLimit,
+  refreshRateLimit,
   loginRateLimit,
+  twoFactorRateLimit,
   verifyToken,
-  requireAdmin,
+  isSignInCurrent,
+  requirePermission,
   optionalAuth,
   validateSession,
   securityHeaders,
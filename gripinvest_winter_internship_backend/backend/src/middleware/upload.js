@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { HTTP_STATUS, KYC_LIMITS } = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+
+/**
+ * File Upload Middleware
+ * Stores multipart uploads on local disk; pair with validateFileUpload
+ */
+
+/**
+ * Accept a single file in the `file` field and store it under
+ * `<baseDir>/<userId>/<param>-<timestamp><ext>`
+ * @param {Object} options - Upload options
+ * @param {String} options.baseDir - Upload directory, relative to the backend root
+ * @param {String} options.param - Route param used as the filename prefix
+ * @param {Array} options.allowedMimeTypes - Allowed MIME types
+ * @param {Number} options.maxSize - Maximum file size in bytes
+ * @returns {Function} Express middleware function
+ */
+function uploadSingleFile(options = {}) {
+  const {
+    baseDir = KYC_LIMITS.UPLOAD_DIR,
+    param = 'type',
+    allowedMimeTypes = KYC_LIMITS.ALLOWED_MIME_TYPES,
+    maxSize = KYC_LIMITS.MAX_FILE_SIZE,
+  } = options;
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.resolve(baseDir, req.user.id);
+      fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${req.params[param]}-${Date.now()}${ext}`);
+    },
+  });
+
+  // Reject disallowed types before anything is written to disk
+  const fileFilter = (req, file, cb) => {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return cb(new Error(`File type not allowed. Supported types: ${allowedMimeTypes.join(', ')}`));
+    }
+    return cb(null, true);
+  };
+
+  const upload = multer({ storage, fileFilter, limits: { fileSize: maxSize, files: 1 } }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File size too large. Maximum size allowed: ${(maxSize / (1024 * 1024)).toFixed(1)}MB`
+        : error.message;
+      const response = ApiResponse.error(message, HTTP_STATUS.BAD_REQUEST);
+      return res.status(response.statusCode).json(response);
+    });
+  };
+}
+
+module.exports = {
+  uploadSingleFile,
+};
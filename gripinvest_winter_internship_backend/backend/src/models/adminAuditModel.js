@@ -0,0 +1,130 @@
+const { databaseConfig } = require('../config/database');
+const { PaginationHelper } = require('../utils/helpers');
+
+/**
+ * Admin Audit Model Class
+ * Append-only record of admin actions on user accounts. There is no update
+ * or delete here, and database triggers reject both.
+ */
+class AdminAuditModel {
+  constructor() {
+    this.tableName = 'admin_audit_log';
+  }
+
+  /**
+   * Record an admin action
+   * @param {Object} entry - { actor: { id, email, ipAddress }, action,
+   *   targetUserId, reason, details }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object>} recorded entry
+   */
+  async create(entry, db = databaseConfig) {
+    const query = `
+      INSERT INTO ${this.tableName} (
+        actor_id, actor_email, action, target_user_id, reason, details, ip_address
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    const result = await db.executeQuery(query, [
+      entry.actor.id,
+      entry.actor.email,
+      entry.action,
+      entry.targetUserId || null,
+      entry.reason || null,
+      JSON.stringify(entry.details || {}),
+      entry.actor.ipAddress || null,
+    ]);
+    return this.findById(result.insertId, db);
+  }
+
+  /**
+   * Find entry by id
+   */
+  async findById(id, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE id = ?`,
+      [id],
+    );
+    return rows.length ? this.formatEntry(rows[0]) : null;
+  }
+
+  /**
+   * Entries newest first
+   * @param {Object} filters - { actorId, targetUserId, action, from, to }
+   * @param {Object} pagination - { page, limit }
+   */
+  async findAll(filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['1 = 1'];
+    const params = [];
+
+    if (filters.actorId) {
+      where.push('actor_id = ?');
+      params.push(filters.actorId);
+    }
+    if (filters.targetUserId) {
+      where.push('target_user_id = ?');
+      params.push(filters.targetUserId);
+    }
+    if (filters.action) {
+      where.push('action = ?');
+      params.push(filters.action);
+    }
+    if (filters.from) {
+      where.push('created_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      where.push('created_at <= ?');
+      params.push(filters.to);
+    }
+
+    const whereClause = where.join(' AND ');
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} WHERE ${whereClause}`,
+      params,
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT * FROM ${this.tableName}
+      WHERE ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+    );
+
+    return {
+      entries: rows.map((r) => this.formatEntry(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Format database row for API responses
+   */
+  formatEntry(row) {
+    return {
+      id: row.id,
+      actorId: row.actor_id,
+      actorEmail: row.actor_email,
+      action: row.action,
+      targetUserId: row.target_user_id || null,
+      reason: row.reason || null,
+      details:
+        typeof row.details === 'string' ? JSON.parse(row.details) : row.details || {},
+      ipAddress: row.ip_address || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new AdminAuditModel();
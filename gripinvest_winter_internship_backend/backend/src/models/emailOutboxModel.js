@@ -0,0 +1,291 @@
+const { databaseConfig } = require('../config/database');
+const { FormatHelper, PaginationHelper } = require('../utils/helpers');
+const { EMAIL_STATUS, EMAIL_CONFIG } = require('../utils/constants');
+
+/**
+ * Email Outbox Model Class
+ * Queued outbound emails: the template and its data are stored so a message
+ * can be rendered and retried long after the request that queued it
+ */
+class EmailOutboxModel {
+  constructor() {
+    this.tableName = 'email_outbox';
+  }
+
+  /**
+   * Queue an email for delivery
+   * @param {Object} data - { userId, recipient, template, templateVersion, data }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object>} queued message
+   */
+  async create(data, db = databaseConfig) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT INTO ${this.tableName} (
+        id, user_id, recipient, template, template_version, data, status, next_attempt_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+    await db.executeQuery(query, [
+      id,
+      data.userId || null,
+      data.recipient,
+      data.template,
+      data.templateVersion,
+      JSON.stringify(data.data || {}),
+      EMAIL_STATUS.PENDING,
+    ]);
+    return this.findById(id, db);
+  }
+
+  /**
+   * Find message by id
+   */
+  async findById(id, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE id = ?`,
+      [id],
+    );
+    return rows.length ? this.formatMessage(rows[0]) : null;
+  }
+
+  /**
+   * Ids of messages ready for an attempt: pending ones whose backoff has
+   * elapsed, and 'sending' ones abandoned by a worker that died mid-send
+   * @param {number} staleSeconds - age after which a 'sending' row is abandoned
+   * @param {number} limit - batch size
+   * @returns {Promise<string[]>} message ids, oldest first
+   */
+  async findDue(staleSeconds, limit = 50) {
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT id FROM ${this.tableName}
+      WHERE (status = ? AND next_attempt_at <= NOW())
+         OR (status = ? AND updated_at < DATE_SUB(NOW(), INTERVAL ? SECOND))
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `,
+      [EMAIL_STATUS.PENDING, EMAIL_STATUS.SENDING, staleSeconds, limit],
+    );
+    return rows.map((r) => r.id);
+  }
+
+  /**
+   * Claim a message for sending and count the attempt. Only one worker
+   * can win the claim.
+   * @returns {Promise<boolean>} false if another worker claimed it first
+   */
+  async claim(id, staleSeconds) {
+    const result = await databaseConfig.executeQuery(
+      `
+      UPDATE ${this.tableName}
+      SET status = ?, attempts = attempts + 1, updated_at = NOW()
+      WHERE id = ?
+        AND ((status = ? AND next_attempt_at <= NOW())
+          OR (status = ? AND updated_at < DATE_SUB(NOW(), INTERVAL ? SECOND)))
+    `,
+      [
+        EMAIL_STATUS.SENDING,
+        id,
+        EMAIL_STATUS.PENDING,
+        EMAIL_STATUS.SENDING,
+        staleSeconds,
+      ],
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * SET clause that overwrites the credentials in a message's data (reset
+   * and unlock links, OTPs). JSON_REPLACE only touches keys that exist.
+   * @returns {{ sql: string, params: string[] }}
+   */
+  scrubData() {
+    const fields = EMAIL_CONFIG.SENSITIVE_FIELDS;
+    return {
+      sql: `data = JSON_REPLACE(data, ${fields.map(() => '?, ?').join(', ')})`,
+      params: fields.flatMap((field) => [`$.${field}`, EMAIL_CONFIG.REDACTED]),
+    };
+  }
+
+  /**
+   * Whether a message's credentials were already overwritten
+   * @param {Object} message - formatted message
+   * @returns {boolean}
+   */
+  isScrubbed(message) {
+    return EMAIL_CONFIG.SENSITIVE_FIELDS.some(
+      (field) => message.data[field] === EMAIL_CONFIG.REDACTED,
+    );
+  }
+
+  /**
+   * Record a successful delivery; the credentials are no longer needed
+   */
+  async markSent(id) {
+    const scrub = this.scrubData();
+    await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName}
+       SET status = ?, sent_at = NOW(), last_error = NULL, ${scrub.sql}
+       WHERE id = ?`,
+      [EMAIL_STATUS.SENT, ...scrub.params, id],
+    );
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {string} id - message id
+   * @param {string} error - failure reason
+   * @param {number} delaySeconds - backoff before the next attempt
+   */
+  async markRetry(id, error, delaySeconds) {
+    await databaseConfig.executeQuery(
+      `
+      UPDATE ${this.tableName}
+      SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ?
+    `,
+      [EMAIL_STATUS.PENDING, error, delaySeconds, id],
+    );
+  }
+
+  /**
+   * Dead-letter a message that has used up its attempts. Its credentials
+   * are overwritten: a link or code that never arrived is not kept around.
+   */
+  async markDead(id, error) {
+    const scrub = this.scrubData();
+    await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName} SET status = ?, last_error = ?, ${scrub.sql} WHERE id = ?`,
+      [EMAIL_STATUS.DEAD, error, ...scrub.params, id],
+    );
+  }
+
+  /**
+   * Delete sent messages delivered more than retentionDays ago
+   * @param {number} retentionDays - days to keep a sent message
+   * @param {number} limit - most rows deleted per call
+   * @returns {Promise<number>} rows deleted
+   */
+  async purgeSent(retentionDays, limit = 1000) {
+    const result = await databaseConfig.executeQuery(
+      `
+      DELETE FROM ${this.tableName}
+      WHERE status = ? AND sent_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      LIMIT ?
+    `,
+      [EMAIL_STATUS.SENT, retentionDays, limit],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Put a dead or still-retrying message back in the queue with a fresh
+   * set of attempts, due immediately
+   * @returns {Promise<boolean>} false if the message is sent or being sent
+   */
+  async requeue(id) {
+    const result = await databaseConfig.executeQuery(
+      `
+      UPDATE ${this.tableName}
+      SET status = ?, attempts = 0, next_attempt_at = NOW()
+      WHERE id = ? AND status IN (?, ?)
+    `,
+      [EMAIL_STATUS.PENDING, id, EMAIL_STATUS.PENDING, EMAIL_STATUS.DEAD],
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Messages for the admin view, newest first
+   * @param {Object} filters - { status, template, userId }
+   * @param {Object} pagination - { page, limit }
+   */
+  async findAll(filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['1 = 1'];
+    const params = [];
+
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.template) {
+      where.push('template = ?');
+      params.push(filters.template);
+    }
+    if (filters.userId) {
+      where.push('user_id = ?');
+      params.push(filters.userId);
+    }
+
+    const whereClause = where.join(' AND ');
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} WHERE ${whereClause}`,
+      params,
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT * FROM ${this.tableName}
+      WHERE ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+    );
+
+    return {
+      messages: rows.map((r) => this.formatMessage(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Message counts per status
+   * @returns {Promise<Object>} { pending, sending, sent, dead }
+   */
+  async countByStatus() {
+    const rows = await databaseConfig.executeQuery(
+      `SELECT status, COUNT(*) as count FROM ${this.tableName} GROUP BY status`,
+    );
+    const counts = Object.values(EMAIL_STATUS).reduce(
+      (acc, status) => ({ ...acc, [status]: 0 }),
+      {},
+    );
+    rows.forEach((r) => {
+      counts[r.status] = r.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Format DB row
+   */
+  formatMessage(row) {
+    return {
+      id: row.id,
+      userId: row.user_id || null,
+      recipient: row.recipient,
+      template: row.template,
+      templateVersion: row.template_version,
+      data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data || {},
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastError: row.last_error || null,
+      sentAt: row.sent_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+module.exports = new EmailOutboxModel();
@@ -1,6 +1,12 @@
 const { databaseConfig } = require("../config/database");
 const { FormatHelper, PaginationHelper } = require("../utils/helpers");
-const { INVESTMENT_STATUS } = require("../utils/constants");
+const {
+  INVESTMENT_STATUS,
+  OPEN_INVESTMENT_STATUSES,
+} = require("../utils/constants");
+
+// SQL list of statuses that still hold money
+const OPEN_STATUS_SQL = OPEN_INVESTMENT_STATUSES.map((s) => `'${s}'`).join(", ");
 
 /**
  * Investment Model Class
@@ -14,15 +20,17 @@ class InvestmentModel {
   /**
    * Create a new investment
    * @param {Object} data - investment data
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
    * @returns {Promise<Object>} created investment
    */
-  async create(data) {
+  async create(data, db = databaseConfig) {
     const id = FormatHelper.generateUUID();
     const query = `
       INSERT INTO ${this.tableName} (
         id, user_id, product_id, amount, status, expected_return,
-        maturity_date, current_value, notes, auto_reinvest, tenure
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        maturity_date, current_value, notes, auto_reinvest, tenure,
+        parent_investment_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -37,16 +45,17 @@ class InvestmentModel {
       data.notes || null,
       !!data.autoReinvest,
       data.tenure || null,
+      data.parentInvestmentId || null,
     ];
 
-    await databaseConfig.executeQuery(query, params);
-    return this.findById(id);
+    await db.executeQuery(query, params);
+    return this.findById(id, db);
   }
 
   /**
    * Find investment by id
    */
-  async findById(id) {
+  async findById(id, db = databaseConfig) {
     const query = `
       SELECT i.*, 
              u.first_name, u.last_name, u.email,
@@ -56,10 +65,220 @@ class InvestmentModel {
       JOIN investment_products p ON i.product_id = p.id
       WHERE i.id = ?
     `;
-    const rows = await databaseConfig.executeQuery(query, [id]);
+    const rows = await db.executeQuery(query, [id]);
+    return rows.length ? this.formatInvestment(rows[0]) : null;
+  }
+
+  /**
+   * Find investment by id and lock its row until the transaction ends
+   * @param {string} id - investment id
+   * @param {Object} tx - transaction executor from executeTransaction
+   */
+  async findByIdForUpdate(id, tx) {
+    const query = `
+      SELECT i.*,
+             p.name as product_name, p.category, p.expected_return, p.risk_level, p.tenure
+      FROM ${this.tableName} i
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE i.id = ?
+      FOR UPDATE OF i
+    `;
+    const rows = await tx.executeQuery(query, [id]);
     return rows.length ? this.formatInvestment(rows[0]) : null;
   }
 
+  /**
+   * Reduce an open investment after a partial redemption and mark it partial
+   * @param {string} id - investment id
+   * @param {Object} remaining - { amount, currentValue } left invested
+   * @param {Object} db - query executor
+   * @returns {Promise<boolean>} false if the investment was no longer open
+   */
+  async applyRedemption(id, remaining, db = databaseConfig) {
+    const query = `UPDATE ${this.tableName} SET amount = ?, current_value = ?, status = '${INVESTMENT_STATUS.PARTIAL}', updated_at = NOW() WHERE id = ? AND status IN (${OPEN_STATUS_SQL})`;
+    const result = await db.executeQuery(query, [
+      remaining.amount,
+      remaining.currentValue,
+      id,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Open investments whose maturity date has been reached
+   * @param {number} limit - maximum rows per batch
+   * @returns {Promise<Array>} [{ id, userId }]
+   */
+  async findDueForMaturity(limit = 500) {
+    const query = `
+      SELECT id, user_id
+      FROM ${this.tableName}
+      WHERE status IN (${OPEN_STATUS_SQL}) AND maturity_date IS NOT NULL AND maturity_date <= CURDATE()
+      ORDER BY maturity_date ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [limit]);
+    return rows.map((r) => ({ id: r.id, userId: r.user_id }));
+  }
+
+  /**
+   * Open investments maturing within the next `days` days whose reminder
+   * has not been sent
+   * @returns {Promise<Array>} investment ids
+   */
+  async findDueForReminder(days, limit = 500) {
+    const query = `
+      SELECT id
+      FROM ${this.tableName}
+      WHERE status IN (${OPEN_STATUS_SQL})
+        AND maturity_reminder_sent_at IS NULL
+        AND maturity_date > CURDATE()
+        AND maturity_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+      ORDER BY maturity_date ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [days, limit]);
+    return rows.map((r) => r.id);
+  }
+
+  /**
+   * A user's open investments with their product, oldest first
+   */
+  async findHoldings(userId) {
+    const query = `
+      SELECT i.*, p.name as product_name, p.category, p.expected_return, p.risk_level, p.tenure
+      FROM ${this.tableName} i
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE i.user_id = ? AND i.status IN (${OPEN_STATUS_SQL})
+      ORDER BY i.created_at ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [userId]);
+    return rows.map((r) => this.formatInvestment(r));
+  }
+
+  /**
+   * A user's investments that matured or were cancelled in a time range,
+   * with what they paid out. A maturity pays its final value; a cancellation
+   * pays its refund less penalty, which is the investment's withdrawal and
+   * penalty ledger entries net of earlier partial redemptions.
+   * @param {string} userId - user id
+   * @param {string} from - inclusive start, 'YYYY-MM-DD HH:MM:SS'
+   * @param {string} to - exclusive end, 'YYYY-MM-DD HH:MM:SS'
+   * @returns {Promise<Array>} [{ ...investment, closedAt, proceeds, issuer, taxBenefits }]
+   */
+  async findClosedByUser(userId, from, to) {
+    const query = `
+      SELECT i.*, p.name as product_name, p.investment_type, p.issuer, p.tax_benefits,
+        CASE WHEN i.status = 'matured' THEN i.matured_at ELSE i.updated_at END as closed_at,
+        CASE WHEN i.status = 'matured' THEN i.current_value ELSE (
+          (SELECT COALESCE(SUM(CASE WHEN t.direction = 'credit' THEN t.amount ELSE -t.amount END), 0)
+           FROM investment_transactions t
+           WHERE t.investment_id = i.id AND t.transaction_type IN ('withdrawal', 'penalty'))
+          - (SELECT COALESCE(SUM(r.net_amount), 0)
+             FROM investment_redemptions r WHERE r.investment_id = i.id)
+        ) END as proceeds
+      FROM ${this.tableName} i
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE i.user_id = ?
+        AND ((i.status = 'matured' AND i.matured_at >= ? AND i.matured_at < ?)
+          OR (i.status = 'cancelled' AND i.updated_at >= ? AND i.updated_at < ?))
+      ORDER BY closed_at ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [
+      userId,
+      from,
+      to,
+      from,
+      to,
+    ]);
+    return rows.map((r) => ({
+      ...this.formatInvestment(r),
+      investmentType: r.investment_type,
+      closedAt: r.closed_at,
+      proceeds: parseFloat(r.proceeds),
+      issuer: r.issuer || null,
+      taxBenefits: !!r.tax_benefits,
+    }));
+  }
+
+  /**
+   * A user's investments made in a time range in tax-saving products
+   * (`tax_benefits`), leaving out cancelled ones
+   * @param {string} userId - user id
+   * @param {string} from - inclusive start, 'YYYY-MM-DD HH:MM:SS'
+   * @param {string} to - exclusive end, 'YYYY-MM-DD HH:MM:SS'
+   */
+  async findTaxSavingByUser(userId, from, to) {
+    const query = `
+      SELECT i.*, p.name as product_name, p.investment_type
+      FROM ${this.tableName} i
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE i.user_id = ? AND p.tax_benefits = TRUE AND i.status <> 'cancelled'
+        AND i.created_at >= ? AND i.created_at < ?
+      ORDER BY i.created_at ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [userId, from, to]);
+    return rows.map((r) => ({
+      ...this.formatInvestment(r),
+      investmentType: r.investment_type,
+    }));
+  }
+
+  /**
+   * A user's open investments maturing between two dates (inclusive)
+   * @param {string} userId - user id
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Promise<Array>} investments with product, soonest first
+   */
+  async findMaturingByUser(userId, from, to) {
+    const query = `
+      SELECT i.*, p.name as product_name, p.category, p.expected_return, p.risk_level, p.tenure
+      FROM ${this.tableName} i
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE i.user_id = ? AND i.status IN (${OPEN_STATUS_SQL})
+        AND i.maturity_date BETWEEN ? AND ?
+      ORDER BY i.maturity_date ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [userId, from, to]);
+    return rows.map((r) => this.formatInvestment(r));
+  }
+
+  /**
+   * Claim the maturity reminder for an investment
+   * @returns {Promise<boolean>} false if it was already claimed
+   */
+  async claimMaturityReminder(id) {
+    const query = `UPDATE ${this.tableName} SET maturity_reminder_sent_at = NOW() WHERE id = ? AND maturity_reminder_sent_at IS NULL`;
+    const result = await databaseConfig.executeQuery(query, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Release a claimed reminder so the next run retries it
+   */
+  async releaseMaturityReminder(id) {
+    const query = `UPDATE ${this.tableName} SET maturity_reminder_sent_at = NULL WHERE id = ?`;
+    await databaseConfig.executeQuery(query, [id]);
+  }
+
+  /**
+   * Next batch of open investments ordered by id (keyset pagination)
+   * @param {string|null} afterId - last id of the previous batch
+   * @param {number} limit - batch size
+   */
+  async findOpenBatch(afterId = null, limit = 500) {
+    const query = `
+      SELECT *
+      FROM ${this.tableName}
+      WHERE status IN (${OPEN_STATUS_SQL}) AND id > ?
+      ORDER BY id ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [afterId || "", limit]);
+    return rows.map((r) => this.formatInvestment(r));
+  }
+
   /**
    * Get investments for a user with optional filters and pagination
    */
@@ -70,7 +289,10 @@ class InvestmentModel {
     const where = ["i.user_id = ?"];
     const params = [userId];
 
-    if (filters.status) {
+    if (Array.isArray(filters.status)) {
+      where.push(`i.status IN (${filters.status.map(() => "?").join(", ")})`);
+      params.push(...filters.status);
+    } else if (filters.status) {
       where.push("i.status = ?");
       params.push(filters.status);
     }
@@ -156,9 +378,75 @@ class InvestmentModel {
   /**
    * Cancel investment (set status = cancelled)
    */
-  async cancel(id, userId) {
-    const query = `UPDATE ${this.tableName} SET status = 'cancelled', updated_at = NOW() WHERE id = ? AND user_id = ? AND status = 'active'`;
-    const result = await databaseConfig.executeQuery(query, [id, userId]);
+  async cancel(id, userId, db = databaseConfig) {
+    const query = `UPDATE ${this.tableName} SET status = 'cancelled', updated_at = NOW() WHERE id = ? AND user_id = ? AND status IN (${OPEN_STATUS_SQL})`;
+    const result = await db.executeQuery(query, [id, userId]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Rollover chain an investment belongs to, oldest first.
+   * Ancestors have a negative depth, later rollovers a positive one.
+   */
+  async findRolloverChain(id) {
+    const query = `
+      WITH RECURSIVE
+        ancestors AS (
+          SELECT id, parent_investment_id, 0 AS depth
+          FROM ${this.tableName} WHERE id = ?
+          UNION ALL
+          SELECT i.id, i.parent_investment_id, a.depth - 1
+          FROM ${this.tableName} i JOIN ancestors a ON i.id = a.parent_investment_id
+        ),
+        descendants AS (
+          SELECT id, parent_investment_id, 0 AS depth
+          FROM ${this.tableName} WHERE id = ?
+          UNION ALL
+          SELECT i.id, i.parent_investment_id, d.depth + 1
+          FROM ${this.tableName} i JOIN descendants d ON i.parent_investment_id = d.id
+        ),
+        chain AS (
+          SELECT id, depth FROM ancestors
+          UNION
+          SELECT id, depth FROM descendants
+        )
+      SELECT i.id, i.parent_investment_id, i.amount, i.status, i.created_at,
+             i.maturity_date, i.matured_at, i.current_value, chain.depth
+      FROM chain
+      JOIN ${this.tableName} i ON i.id = chain.id
+      ORDER BY chain.depth ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [id, id]);
+    return rows.map((r) => ({
+      id: r.id,
+      parentInvestmentId: r.parent_investment_id || null,
+      amount: parseFloat(r.amount),
+      status: r.status,
+      investedAt: r.created_at,
+      maturityDate: r.maturity_date,
+      maturedAt: r.matured_at || null,
+      currentValue: r.current_value ? parseFloat(r.current_value) : undefined,
+      depth: r.depth,
+    }));
+  }
+
+  /**
+   * Set the marked-to-market value of an open investment
+   * @returns {Promise<boolean>} false if the investment was no longer open
+   */
+  async updateCurrentValue(id, currentValue, db = databaseConfig) {
+    const query = `UPDATE ${this.tableName} SET current_value = ?, updated_at = NOW() WHERE id = ? AND status IN (${OPEN_STATUS_SQL})`;
+    const result = await db.executeQuery(query, [currentValue, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Mark an open investment as matured at its final value
+   * @returns {Promise<boolean>} false if the investment was no longer active
+   */
+  async markMatured(id, maturityValue, db = databaseConfig) {
+    const query = `UPDATE ${this.tableName} SET status = 'matured', matured_at = NOW(), current_value = ?, updated_at = NOW() WHERE id = ? AND status IN (${OPEN_STATUS_SQL})`;
+    const result = await db.executeQuery(query, [maturityValue, id]);
     return result.affectedRows > 0;
   }
 
@@ -173,7 +461,7 @@ class InvestmentModel {
         COALESCE(SUM(current_value), 0) as portfolio_value,
         COALESCE(SUM(current_value - amount), 0) as total_returns
       FROM ${this.tableName}
-      WHERE user_id = ? AND status = 'active'
+      WHERE user_id = ? AND status IN (${OPEN_STATUS_SQL})
     `;
     const [row] = await databaseConfig.executeQuery(query, [userId]);
     return {
@@ -192,14 +480,14 @@ class InvestmentModel {
       SELECT p.category as type, COUNT(i.id) as count, COALESCE(SUM(i.amount),0) as amount
       FROM ${this.tableName} i
       JOIN investment_products p ON i.product_id = p.id
-      WHERE i.user_id = ? AND i.status = 'active'
+      WHERE i.user_id = ? AND i.status IN (${OPEN_STATUS_SQL})
       GROUP BY p.category
     `;
     const riskQuery = `
       SELECT p.risk_level as risk, COUNT(i.id) as count, COALESCE(SUM(i.amount),0) as amount
       FROM ${this.tableName} i
       JOIN investment_products p ON i.product_id = p.id
-      WHERE i.user_id = ? AND i.status = 'active'
+      WHERE i.user_id = ? AND i.status IN (${OPEN_STATUS_SQL})
       GROUP BY p.risk_level
     `;
     const [types, risks] = await Promise.all([
@@ -235,11 +523,13 @@ class InvestmentModel {
         ? parseFloat(row.expected_return)
         : null,
       maturityDate: row.maturity_date,
+      maturedAt: row.matured_at || null,
       currentValue: row.current_value
         ? parseFloat(row.current_value)
         : undefined,
       notes: row.notes || null,
       autoReinvest: !!row.auto_reinvest,
+      parentInvestmentId: row.parent_investment_id || null,
       product: row.product_name
         ? {
             name: row.product_name,
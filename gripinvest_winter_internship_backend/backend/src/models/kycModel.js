@@ -0,0 +1,153 @@
+const { databaseConfig } = require('../config/database');
+const { PaginationHelper } = require('../utils/helpers');
+const { KYC_STATUS } = require('../utils/constants');
+
+/**
+ * KYC Model Class
+ * KYC state lives on the users row: kyc_status, the kyc_documents JSON map
+ * keyed by document type, and the submission/review columns
+ */
+class KycModel {
+  constructor() {
+    this.tableName = 'users';
+    this.columns = `
+      id, first_name, last_name, email, kyc_status, kyc_documents,
+      kyc_submitted_at, kyc_reviewed_at, kyc_reviewed_by, kyc_rejection_reason
+    `;
+  }
+
+  /**
+   * KYC record for a user
+   */
+  async findByUser(userId) {
+    const rows = await databaseConfig.executeQuery(
+      `SELECT ${this.columns} FROM ${this.tableName} WHERE id = ?`,
+      [userId],
+    );
+    return rows.length ? this.formatKyc(rows[0]) : null;
+  }
+
+  /**
+   * Store or replace one document. A new upload always moves the user back
+   * to pending and clears any previous rejection. A rejected submission also
+   * loses its submission time, so it stays out of the review queue until
+   * markSubmitted records a complete set again.
+   * @param {string} userId - user id
+   * @param {string} type - KYC_DOCUMENT_TYPES value
+   * @param {Object} document - { filename, originalName, path, mimeType, size, uploadedAt }
+   */
+  async saveDocument(userId, type, document) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET kyc_documents = JSON_SET(COALESCE(kyc_documents, JSON_OBJECT()), ?, CAST(? AS JSON)),
+          kyc_submitted_at = IF(kyc_status = ?, NULL, kyc_submitted_at),
+          kyc_status = ?,
+          kyc_rejection_reason = NULL,
+          kyc_reviewed_at = NULL,
+          kyc_reviewed_by = NULL,
+          updated_at = NOW()
+      WHERE id = ? AND kyc_status <> ?
+    `;
+    const result = await databaseConfig.executeQuery(query, [
+      `$.${type}`,
+      JSON.stringify(document),
+      KYC_STATUS.REJECTED,
+      KYC_STATUS.PENDING,
+      userId,
+      KYC_STATUS.APPROVED,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Mark the document set as submitted for review
+   */
+  async markSubmitted(userId) {
+    await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName} SET kyc_submitted_at = NOW() WHERE id = ?`,
+      [userId],
+    );
+  }
+
+  /**
+   * Submissions for the admin queue, oldest submission first
+   * @param {Object} filters - { status } defaults to pending
+   */
+  async findSubmissions(filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = 'kyc_submitted_at IS NOT NULL AND kyc_status = ?';
+    const params = [filters.status || KYC_STATUS.PENDING];
+
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} WHERE ${where}`,
+      params,
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT ${this.columns} FROM ${this.tableName}
+      WHERE ${where}
+      ORDER BY kyc_submitted_at ASC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+    );
+
+    return {
+      submissions: rows.map((r) => this.formatKyc(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Record an admin decision on a pending submission
+   * @returns {Promise<boolean>} false if there was no pending submission
+   */
+  async review(userId, { status, reviewerId, reason = null }) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET kyc_status = ?, kyc_reviewed_at = NOW(), kyc_reviewed_by = ?,
+          kyc_rejection_reason = ?, updated_at = NOW()
+      WHERE id = ? AND kyc_status = ? AND kyc_submitted_at IS NOT NULL
+    `;
+    const result = await databaseConfig.executeQuery(query, [
+      status,
+      reviewerId,
+      reason,
+      userId,
+      KYC_STATUS.PENDING,
+    ]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Format DB row
+   */
+  formatKyc(row) {
+    const documents = typeof row.kyc_documents === 'string'
+      ? JSON.parse(row.kyc_documents)
+      : row.kyc_documents || {};
+
+    return {
+      userId: row.id,
+      name: `${row.first_name} ${row.last_name || ''}`.trim(),
+      email: row.email,
+      status: row.kyc_status,
+      documents,
+      submittedAt: row.kyc_submitted_at || null,
+      reviewedAt: row.kyc_reviewed_at || null,
+      reviewedBy: row.kyc_reviewed_by || null,
+      rejectionReason: row.kyc_rejection_reason || null,
+    };
+  }
+}
+
+module.exports = new KycModel();
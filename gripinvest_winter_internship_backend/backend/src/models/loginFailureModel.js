@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const { databaseConfig } = require('../config/database');
+const { PaginationHelper } = require('../utils/helpers');
+const { LOGIN_PROTECTION } = require('../utils/constants');
+
+// Columns reset when a scope starts over; lockout_count is kept as history
+const RESET_FAILURES = `
+  failed_count = 0, first_failed_at = NULL, next_attempt_at = NULL,
+  locked_until = NULL, unlock_token_hash = NULL`;
+
+/**
+ * Login Failure Model Class
+ * Failed login counters per scope (an email or an IP address). All time
+ * comparisons use the database clock. Unlock tokens are stored as SHA-256
+ * hashes only.
+ */
+class LoginFailureModel {
+  constructor() {
+    this.tableName = 'login_failures';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * The counter of a scope, locked for update. Rows are only created for a
+   * failure; without create, a scope with no row is answered by a plain read
+   * so logins that never fail leave nothing behind and take no locks.
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @param {Object} options - { create }: insert the row when missing
+   * @returns {Promise<Object|null>} formatted row plus windowExpired, locked
+   * and the seconds still to wait (lockSeconds, delaySeconds); null when the
+   * scope has no row and create is off
+   */
+  async findForUpdate(scope, identifier, db, { create = false } = {}) {
+    if (create) {
+      await db.executeQuery(
+        `INSERT INTO ${this.tableName} (scope, identifier) VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE id = id`,
+        [scope, identifier],
+      );
+    } else {
+      const existing = await db.executeQuery(
+        `SELECT id FROM ${this.tableName} WHERE scope = ? AND identifier = ?`,
+        [scope, identifier],
+      );
+      if (!existing.length) return null;
+    }
+
+    const rows = await db.executeQuery(
+      `SELECT *,
+              (first_failed_at IS NULL
+               OR first_failed_at < NOW() - INTERVAL ? MINUTE) AS window_expired,
+              (locked_until IS NOT NULL AND locked_until > NOW()) AS is_locked,
+              GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0), 0) AS lock_seconds,
+              GREATEST(COALESCE(TIMESTAMPDIFF(SECOND, NOW(), next_attempt_at), 0), 0) AS delay_seconds
+       FROM ${this.tableName}
+       WHERE scope = ? AND identifier = ?
+       FOR UPDATE`,
+      [LOGIN_PROTECTION.FAILURE_WINDOW_MINUTES, scope, identifier],
+    );
+    // Purged between the two reads
+    if (!rows.length) return null;
+    return {
+      ...this.formatFailure(rows[0]),
+      windowExpired: !!rows[0].window_expired,
+      locked: !!rows[0].is_locked,
+      lockSeconds: Number(rows[0].lock_seconds),
+      delaySeconds: Number(rows[0].delay_seconds),
+    };
+  }
+
+  /**
+   * Make further attempts wait while one is in progress
+   */
+  async holdAttempts(id, seconds, db) {
+    await db.executeQuery(
+      `UPDATE ${this.tableName}
+       SET next_attempt_at = NOW() + INTERVAL ? SECOND
+       WHERE id = ?`,
+      [seconds, id],
+    );
+  }
+
+  /**
+   * Store one more failure
+   * @param {number} id - row id
+   * @param {Object} failure - { failedCount, newWindow, delaySeconds, ipAddress }
+   */
+  async recordFailure(id, failure, db) {
+    await db.executeQuery(
+      `UPDATE ${this.tableName}
+       SET failed_count = ?,
+           first_failed_at = IF(?, NOW(), first_failed_at),
+           last_failed_at = NOW(),
+           last_ip_address = ?,
+           next_attempt_at = IF(? > 0, NOW() + INTERVAL ? SECOND, NULL)
+       WHERE id = ?`,
+      [
+        failure.failedCount,
+        failure.newWindow,
+        failure.ipAddress || null,
+        failure.delaySeconds,
+        failure.delaySeconds,
+        id,
+      ],
+    );
+  }
+
+  /**
+   * Lock a scope out for LOCKOUT_MINUTES
+   * @param {string|null} unlockToken - token emailed to the account owner
+   */
+  async lock(id, unlockToken, db) {
+    await db.executeQuery(
+      `UPDATE ${this.tableName}
+       SET locked_until = NOW() + INTERVAL ? MINUTE,
+           lockout_count = lockout_count + 1,
+           unlock_token_hash = ?
+       WHERE id = ?`,
+      [
+        LOGIN_PROTECTION.LOCKOUT_MINUTES,
+        unlockToken ? this.hashToken(unlockToken) : null,
+        id,
+      ],
+    );
+  }
+
+  /**
+   * Forget the failures of a scope (successful login)
+   */
+  async reset(scope, identifier, db = databaseConfig) {
+    await db.executeQuery(
+      `UPDATE ${this.tableName} SET ${RESET_FAILURES}
+       WHERE scope = ? AND identifier = ?`,
+      [scope, identifier],
+    );
+  }
+
+  /**
+   * Lift the lockout an emailed unlock token belongs to
+   * @returns {Promise<boolean>} false when the token is unknown or the lockout is over
+   */
+  async unlockByToken(token, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName} SET ${RESET_FAILURES}
+       WHERE unlock_token_hash = ? AND locked_until > NOW()`,
+      [this.hashToken(token)],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * An active lockout by id, locked for update
+   */
+  async findLockedForUpdate(id, db) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName}
+       WHERE id = ? AND locked_until > NOW()
+       FOR UPDATE`,
+      [id],
+    );
+    return rows.length ? this.formatFailure(rows[0]) : null;
+  }
+
+  /**
+   * Lift a lockout (admin)
+   */
+  async clear(id, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName} SET ${RESET_FAILURES} WHERE id = ?`,
+      [id],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Delete counters that no longer hold anything back: the failure window,
+   * any delay and any lockout have all run out
+   * @param {number} limit - most rows deleted per call
+   * @returns {Promise<number>} rows deleted
+   */
+  async purgeExpired(limit = 1000) {
+    const result = await databaseConfig.executeQuery(
+      `
+      DELETE FROM ${this.tableName}
+      WHERE (first_failed_at IS NULL OR first_failed_at < NOW() - INTERVAL ? MINUTE)
+        AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+        AND (locked_until IS NULL OR locked_until <= NOW())
+      LIMIT ?
+    `,
+      [LOGIN_PROTECTION.FAILURE_WINDOW_MINUTES, limit],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Active lockouts, newest first. Email lockouts carry the matching user.
+   * @param {Object} filters - { scope, search }
+   * @param {Object} pagination - { page, limit }
+   */
+  async findLocked(filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['lf.locked_until > NOW()'];
+    const params = [];
+
+    if (filters.scope) {
+      where.push('lf.scope = ?');
+      params.push(filters.scope);
+    }
+    if (filters.search) {
+      where.push('lf.identifier LIKE ?');
+      params.push(`%${filters.search}%`);
+    }
+
+    const whereClause = where.join(' AND ');
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} lf WHERE ${whereClause}`,
+      params,
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT lf.*, u.id AS user_id, u.first_name, u.last_name
+      FROM ${this.tableName} lf
+      LEFT JOIN users u ON lf.scope = 'email' AND u.email = lf.identifier
+      WHERE ${whereClause}
+      ORDER BY lf.locked_until DESC, lf.id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+    );
+
+    return {
+      lockouts: rows.map((r) => this.formatFailure(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Format database row for API responses
+   */
+  formatFailure(row) {
+    return {
+      id: row.id,
+      scope: row.scope,
+      identifier: row.identifier,
+      failedCount: row.failed_count,
+      firstFailedAt: row.first_failed_at,
+      lastFailedAt: row.last_failed_at,
+      lastIpAddress: row.last_ip_address || null,
+      nextAttemptAt: row.next_attempt_at,
+      lockedUntil: row.locked_until,
+      lockoutCount: row.lockout_count,
+      user: row.user_id
+        ? {
+          id: row.user_id,
+          firstName: row.first_name,
+          lastName: row.last_name,
+        }
+        : null,
+    };
+  }
+}
+
+module.exports = new LoginFailureModel();
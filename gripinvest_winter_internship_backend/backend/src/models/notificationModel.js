@@ -0,0 +1,160 @@
+const { databaseConfig } = require('../config/database');
+const { FormatHelper, PaginationHelper } = require('../utils/helpers');
+
+/**
+ * Notification Model Class
+ * Handles in-app notifications addressed to a user
+ */
+class NotificationModel {
+  constructor() {
+    this.tableName = 'notifications';
+  }
+
+  /**
+   * Create a notification
+   * @param {Object} data - { userId, type, title, message, actionUrl }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object>} created notification
+   */
+  async create(data, db = databaseConfig) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT INTO ${this.tableName} (id, user_id, type, title, message, action_url)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    await db.executeQuery(query, [
+      id,
+      data.userId,
+      data.type,
+      data.title,
+      data.message,
+      data.actionUrl || null,
+    ]);
+    return this.findById(id, db);
+  }
+
+  /**
+   * Find notification by id
+   */
+  async findById(id, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE id = ?`,
+      [id],
+    );
+    return rows.length ? this.formatNotification(rows[0]) : null;
+  }
+
+  /**
+   * Notifications for a user, newest first
+   * @param {string} userId - user id
+   * @param {Object} filters - { unreadOnly, type }
+   * @param {Object} pagination - { page, limit }
+   */
+  async findByUser(userId, filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['user_id = ?'];
+    const params = [userId];
+
+    if (filters.unreadOnly) {
+      where.push('is_read = FALSE');
+    }
+    if (filters.type) {
+      where.push('type = ?');
+      params.push(filters.type);
+    }
+
+    const whereClause = where.join(' AND ');
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} WHERE ${whereClause}`,
+      params,
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT * FROM ${this.tableName}
+      WHERE ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset],
+    );
+
+    return {
+      notifications: rows.map((r) => this.formatNotification(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Number of unread notifications for a user
+   */
+  async countUnread(userId) {
+    const [{ count }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as count FROM ${this.tableName} WHERE user_id = ? AND is_read = FALSE`,
+      [userId],
+    );
+    return count;
+  }
+
+  /**
+   * Mark one notification read
+   * @returns {Promise<boolean>} false if it does not belong to the user
+   */
+  async markRead(id, userId) {
+    const result = await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName} SET is_read = TRUE WHERE id = ? AND user_id = ?`,
+      [id, userId],
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Mark every unread notification read
+   * @returns {Promise<number>} number of notifications updated
+   */
+  async markAllRead(userId) {
+    const result = await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName} SET is_read = TRUE WHERE user_id = ? AND is_read = FALSE`,
+      [userId],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Delete a notification
+   * @returns {Promise<boolean>} false if it does not belong to the user
+   */
+  async delete(id, userId) {
+    const result = await databaseConfig.executeQuery(
+      `DELETE FROM ${this.tableName} WHERE id = ? AND user_id = ?`,
+      [id, userId],
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Format DB row
+   */
+  formatNotification(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      isRead: !!row.is_read,
+      actionUrl: row.action_url || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new NotificationModel();
@@ -0,0 +1,117 @@
+const { databaseConfig } = require('../config/database');
+
+/**
+ * Performance Model Class
+ * Daily valuation snapshots per investment (investment_performance)
+ */
+class PerformanceModel {
+  constructor() {
+    this.tableName = 'investment_performance';
+  }
+
+  /**
+   * Insert or replace the snapshot for an investment on a given date
+   * @param {Object} data - { investmentId, date, investedAmount, currentValue }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   */
+  async upsertSnapshot(data, db = databaseConfig) {
+    const returnsAmount = data.currentValue - data.investedAmount;
+    const returnsPercentage = data.investedAmount
+      ? (returnsAmount / data.investedAmount) * 100
+      : 0;
+
+    const query = `
+      INSERT INTO ${this.tableName} (
+        investment_id, date, invested_amount, current_value,
+        returns_amount, returns_percentage
+      ) VALUES (?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        invested_amount = VALUES(invested_amount),
+        current_value = VALUES(current_value),
+        returns_amount = VALUES(returns_amount),
+        returns_percentage = VALUES(returns_percentage)
+    `;
+    await db.executeQuery(query, [
+      data.investmentId,
+      data.date,
+      data.investedAmount,
+      data.currentValue,
+      parseFloat(returnsAmount.toFixed(2)),
+      parseFloat(returnsPercentage.toFixed(2)),
+    ]);
+  }
+
+  /**
+   * Snapshots for one investment, oldest first
+   */
+  async findByInvestment(investmentId, range = {}) {
+    const where = ['investment_id = ?'];
+    const params = [investmentId];
+    if (range.from) {
+      where.push('date >= ?');
+      params.push(range.from);
+    }
+    if (range.to) {
+      where.push('date <= ?');
+      params.push(range.to);
+    }
+
+    const rows = await databaseConfig.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE ${where.join(' AND ')} ORDER BY date ASC`,
+      params,
+    );
+    return rows.map((r) => this.formatSnapshot(r));
+  }
+
+  /**
+   * Daily portfolio totals for a user across all investment snapshots
+   * @param {string} userId - user id
+   * @param {Object} range - { from, to } (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ date, invested, value }] oldest first
+   */
+  async getDailyTotals(userId, range = {}) {
+    const where = ['i.user_id = ?'];
+    const params = [userId];
+    if (range.from) {
+      where.push('s.date >= ?');
+      params.push(range.from);
+    }
+    if (range.to) {
+      where.push('s.date <= ?');
+      params.push(range.to);
+    }
+
+    const query = `
+      SELECT DATE_FORMAT(s.date, '%Y-%m-%d') as date,
+             SUM(s.invested_amount) as invested,
+             SUM(s.current_value) as value
+      FROM ${this.tableName} s
+      JOIN investments i ON s.investment_id = i.id
+      WHERE ${where.join(' AND ')}
+      GROUP BY s.date
+      ORDER BY s.date ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, params);
+    return rows.map((r) => ({
+      date: r.date,
+      invested: parseFloat(r.invested),
+      value: parseFloat(r.value),
+    }));
+  }
+
+  /**
+   * Format DB row
+   */
+  formatSnapshot(row) {
+    return {
+      investmentId: row.investment_id,
+      date: row.date,
+      investedAmount: parseFloat(row.invested_amount),
+      currentValue: parseFloat(row.current_value),
+      returnsAmount: parseFloat(row.returns_amount),
+      returnsPercentage: parseFloat(row.returns_percentage),
+    };
+  }
+}
+
+module.exports = new PerformanceModel();
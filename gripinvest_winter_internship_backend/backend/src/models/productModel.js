@@ -111,7 +111,13 @@ class ProductModel {
         query: pagination 
       });
 
-      let whereConditions = ['p.is_active = TRUE'];
+      // Only active products unless an admin listing asks otherwise
+      const whereConditions = [];
+      if (filters.status === 'inactive') {
+        whereConditions.push('p.is_active = FALSE');
+      } else if (filters.status !== 'all') {
+        whereConditions.push('p.is_active = TRUE');
+      }
       let params = [];
 
       // Investment type filter
@@ -178,7 +184,7 @@ class ProductModel {
         params.push(`%${filters.issuer}%`);
       }
 
-      const whereClause = whereConditions.join(' AND ');
+      const whereClause = whereConditions.join(' AND ') || 'TRUE';
 
       // Build sort clause
       let sortClause = 'ORDER BY ';
@@ -0,0 +1,111 @@
+const { databaseConfig } = require('../config/database');
+const { FormatHelper } = require('../utils/helpers');
+
+/**
+ * Redemption Model Class
+ * History of partial redemptions taken out of an investment
+ */
+class RedemptionModel {
+  constructor() {
+    this.tableName = 'investment_redemptions';
+  }
+
+  /**
+   * Record a partial redemption
+   * @param {Object} data - redemption breakdown
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object>} created redemption
+   */
+  async create(data, db = databaseConfig) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT INTO ${this.tableName} (
+        id, investment_id, user_id, gross_amount, principal_redeemed,
+        penalty_rate, penalty_amount, net_amount, remaining_principal,
+        remaining_value, reference_number
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    await db.executeQuery(query, [
+      id,
+      data.investmentId,
+      data.userId,
+      data.grossAmount,
+      data.principalRedeemed,
+      data.penaltyRate,
+      data.penaltyAmount,
+      data.netAmount,
+      data.remainingPrincipal,
+      data.remainingValue,
+      data.referenceNumber || null,
+    ]);
+
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE id = ?`,
+      [id],
+    );
+    return this.formatRedemption(rows[0]);
+  }
+
+  /**
+   * Redemption history for an investment, newest first
+   */
+  async findByInvestment(investmentId) {
+    const rows = await databaseConfig.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE investment_id = ? ORDER BY created_at DESC`,
+      [investmentId],
+    );
+    return rows.map((r) => this.formatRedemption(r));
+  }
+
+  /**
+   * A user's partial redemptions in a time range, oldest first, with the
+   * product and when the investment was made
+   * @param {string} userId - user id
+   * @param {string} from - inclusive start, 'YYYY-MM-DD HH:MM:SS'
+   * @param {string} to - exclusive end, 'YYYY-MM-DD HH:MM:SS'
+   */
+  async findByUserInRange(userId, from, to) {
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT r.*, p.name as product_name, p.investment_type, p.issuer, p.tax_benefits,
+        i.created_at as invested_at
+      FROM ${this.tableName} r
+      JOIN investments i ON r.investment_id = i.id
+      JOIN investment_products p ON i.product_id = p.id
+      WHERE r.user_id = ? AND r.created_at >= ? AND r.created_at < ?
+      ORDER BY r.created_at ASC
+    `,
+      [userId, from, to],
+    );
+    return rows.map((r) => ({
+      ...this.formatRedemption(r),
+      productName: r.product_name,
+      investmentType: r.investment_type,
+      issuer: r.issuer || null,
+      taxBenefits: !!r.tax_benefits,
+      investedAt: r.invested_at,
+    }));
+  }
+
+  /**
+   * Format DB row
+   */
+  formatRedemption(row) {
+    return {
+      id: row.id,
+      investmentId: row.investment_id,
+      userId: row.user_id,
+      grossAmount: parseFloat(row.gross_amount),
+      principalRedeemed: parseFloat(row.principal_redeemed),
+      penaltyRate: parseFloat(row.penalty_rate),
+      penaltyAmount: parseFloat(row.penalty_amount),
+      netAmount: parseFloat(row.net_amount),
+      remainingPrincipal: parseFloat(row.remaining_principal),
+      remainingValue: parseFloat(row.remaining_value),
+      referenceNumber: row.reference_number || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new RedemptionModel();
@@ -0,0 +1,138 @@
+const { databaseConfig } = require('../config/database');
+const { FormatHelper, PaginationHelper } = require('../utils/helpers');
+
+// DATE columns come back as UTC-midnight Date objects; expose them as YYYY-MM-DD
+const toDateString = (value) => (value ? new Date(value).toISOString().split('T')[0] : null);
+
+/**
+ * Report Model Class
+ * Stored weekly portfolio reports (weekly_reports)
+ */
+class ReportModel {
+  constructor() {
+    this.tableName = 'weekly_reports';
+  }
+
+  /**
+   * Users due a report for the week starting `periodStart`: active, opted in
+   * to weekly reports (no preferences row means the default, on), holding at
+   * least one investment and without a report for that week yet
+   * @param {string} periodStart - YYYY-MM-DD
+   * @param {number} limit - batch size
+   * @returns {Promise<string[]>} user ids
+   */
+  async findUsersDue(periodStart, limit = 200) {
+    const query = `
+      SELECT u.id
+      FROM users u
+      LEFT JOIN user_preferences up ON up.user_id = u.id
+      WHERE u.is_active = TRUE
+        AND COALESCE(up.weekly_reports, TRUE) = TRUE
+        AND EXISTS (SELECT 1 FROM investments i WHERE i.user_id = u.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM ${this.tableName} r
+          WHERE r.user_id = u.id AND r.period_start = ?
+        )
+      ORDER BY u.id ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [periodStart, limit]);
+    return rows.map((r) => r.id);
+  }
+
+  /**
+   * Store a report. The unique (user_id, period_start) key makes this the
+   * idempotency guard: a second report for the same week returns null.
+   * @param {Object} data - { userId, periodStart, periodEnd, data }
+   * @returns {Promise<Object|null>} stored report
+   */
+  async create(data) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT IGNORE INTO ${this.tableName} (id, user_id, period_start, period_end, data)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const result = await databaseConfig.executeQuery(query, [
+      id,
+      data.userId,
+      data.periodStart,
+      data.periodEnd,
+      JSON.stringify(data.data),
+    ]);
+    return result.affectedRows > 0 ? this.findById(id) : null;
+  }
+
+  /**
+   * Record that the report email was queued
+   */
+  async markEmailed(id) {
+    await databaseConfig.executeQuery(
+      `UPDATE ${this.tableName} SET emailed_at = NOW() WHERE id = ?`,
+      [id],
+    );
+  }
+
+  /**
+   * Find report by id, optionally scoped to its owner
+   */
+  async findById(id, userId = null) {
+    const rows = await databaseConfig.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE id = ?${userId ? ' AND user_id = ?' : ''}`,
+      userId ? [id, userId] : [id],
+    );
+    return rows.length ? this.formatReport(rows[0]) : null;
+  }
+
+  /**
+   * Reports for a user, newest week first
+   * @param {string} userId - user id
+   * @param {Object} pagination - { page, limit }
+   */
+  async findByUser(userId, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const [{ total }] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as total FROM ${this.tableName} WHERE user_id = ?`,
+      [userId],
+    );
+
+    const rows = await databaseConfig.executeQuery(
+      `
+      SELECT * FROM ${this.tableName}
+      WHERE user_id = ?
+      ORDER BY period_start DESC
+      LIMIT ? OFFSET ?
+    `,
+      [userId, limit, offset],
+    );
+
+    return {
+      reports: rows.map((r) => this.formatReport(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Format DB row
+   */
+  formatReport(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      periodStart: toDateString(row.period_start),
+      periodEnd: toDateString(row.period_end),
+      ...(typeof row.data === 'string' ? JSON.parse(row.data) : row.data || {}),
+      emailedAt: row.emailed_at || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new ReportModel();
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { databaseConfig } = require('../config/database');
+const { FormatHelper } = require('../utils/helpers');
+
+/**
+ * Session Model Class
+ * Refresh-token sessions. Tokens are stored only as SHA-256 hashes. Every
+ * refresh rotates the token: the old row is marked rotated and a new row
+ * joins the same family, so a rotated token presented again can be spotted.
+ */
+class SessionModel {
+  constructor() {
+    this.tableName = 'user_sessions';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Store a refresh token. Omit familyId to start a new family (a login).
+   * @param {Object} data - { userId, refreshToken, familyId, deviceInfo, ipAddress }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<string>} family id
+   */
+  async create(data, db = databaseConfig) {
+    const familyId = data.familyId || FormatHelper.generateUUID();
+    await db.executeQuery(
+      `INSERT INTO ${this.tableName} (
+        user_id, refresh_token_hash, family_id, device_info, ip_address, expires_at
+      ) VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))`,
+      [
+        data.userId,
+        this.hashToken(data.refreshToken),
+        familyId,
+        data.deviceInfo || null,
+        data.ipAddress || null,
+      ],
+    );
+    return familyId;
+  }
+
+  /**
+   * Find the session row of a refresh token, active or not, locked for update
+   * @returns {Promise<Object|null>} formatted session
+   */
+  async findByTokenForUpdate(refreshToken, db) {
+    const rows = await db.executeQuery(
+      `SELECT * FROM ${this.tableName} WHERE refresh_token_hash = ? FOR UPDATE`,
+      [this.hashToken(refreshToken)],
+    );
+    return rows.length ? this.formatSession(rows[0]) : null;
+  }
+
+  /**
+   * Retire a token that has just been exchanged for a new one
+   * @returns {Promise<boolean>} false when it was already rotated or revoked
+   */
+  async markRotated(sessionId, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName}
+       SET is_active = FALSE, rotated_at = NOW()
+       WHERE id = ? AND is_active = TRUE AND rotated_at IS NULL`,
+      [sessionId],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * End every token of a session family
+   * @returns {Promise<number>} tokens revoked
+   */
+  async revokeFamily(familyId, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName} SET is_active = FALSE
+       WHERE family_id = ? AND is_active = TRUE`,
+      [familyId],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * End the session a refresh token belongs to (logout)
+   * @returns {Promise<number>} tokens revoked
+   */
+  async revokeByToken(userId, refreshToken, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName} s
+       JOIN ${this.tableName} current ON current.family_id = s.family_id
+       SET s.is_active = FALSE
+       WHERE current.refresh_token_hash = ? AND current.user_id = ?
+         AND s.is_active = TRUE`,
+      [this.hashToken(refreshToken), userId],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * End the session (family) a listed session row belongs to
+   * @returns {Promise<number>} tokens revoked; 0 when not found or already ended
+   */
+  async revokeById(userId, sessionId, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.tableName} s
+       JOIN ${this.tableName} listed ON listed.family_id = s.family_id
+       SET s.is_active = FALSE
+       WHERE listed.id = ? AND listed.user_id = ? AND s.is_active = TRUE`,
+      [sessionId, userId],
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Whether a session family still has a current, unexpired token. Access
+   * tokens name their family in the sid claim.
+   */
+  async isFamilyActive(userId, familyId, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT id FROM ${this.tableName}
+       WHERE family_id = ? AND user_id = ?
+         AND expires_at > NOW() AND is_active = TRUE
+       LIMIT 1`,
+      [familyId, userId],
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Whether a refresh token is the current, unexpired token of its session
+   */
+  async isActive(userId, refreshToken, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT id FROM ${this.tableName}
+       WHERE user_id = ? AND refresh_token_hash = ?
+         AND expires_at > NOW() AND is_active = TRUE`,
+      [userId, this.hashToken(refreshToken)],
+    );
+    return rows.length > 0;
+  }
+
+  formatSession(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      familyId: row.family_id,
+      deviceInfo: row.device_info,
+      ipAddress: row.ip_address,
+      isActive: !!row.is_active,
+      rotatedAt: row.rotated_at,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new SessionModel();
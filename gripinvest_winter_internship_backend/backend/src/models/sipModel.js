@@ -0,0 +1,304 @@
+const { databaseConfig } = require('../config/database');
+const { FormatHelper, PaginationHelper } = require('../utils/helpers');
+const { SIP_STATUS, SIP_INSTALLMENT_STATUS } = require('../utils/constants');
+
+// DATE columns come back as UTC-midnight Date objects; expose them as YYYY-MM-DD
+const toDateString = (value) => (value ? new Date(value).toISOString().split('T')[0] : null);
+
+/**
+ * SIP Model Class
+ * Recurring investment mandates (sips) and their installments (sip_installments)
+ */
+class SipModel {
+  constructor() {
+    this.tableName = 'sips';
+    this.installmentsTable = 'sip_installments';
+  }
+
+  /**
+   * Create a SIP
+   * @param {Object} data - { userId, productId, amount, frequency, startDate, endDate }
+   * @returns {Promise<Object>} created SIP
+   */
+  async create(data) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT INTO ${this.tableName} (
+        id, user_id, product_id, amount, frequency, start_date, end_date,
+        next_run_date, next_installment_index, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?)
+    `;
+    await databaseConfig.executeQuery(query, [
+      id,
+      data.userId,
+      data.productId,
+      data.amount,
+      data.frequency,
+      data.startDate,
+      data.endDate || null,
+      data.startDate,
+      SIP_STATUS.ACTIVE,
+    ]);
+    return this.findById(id);
+  }
+
+  /**
+   * Find SIP by id
+   */
+  async findById(id, db = databaseConfig) {
+    const query = `
+      SELECT s.*, p.name as product_name
+      FROM ${this.tableName} s
+      JOIN investment_products p ON s.product_id = p.id
+      WHERE s.id = ?
+    `;
+    const rows = await db.executeQuery(query, [id]);
+    return rows.length ? this.formatSip(rows[0]) : null;
+  }
+
+  /**
+   * Get SIPs for a user with optional status filter and pagination
+   */
+  async findByUser(userId, filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['s.user_id = ?'];
+    const params = [userId];
+
+    if (Array.isArray(filters.status)) {
+      where.push(`s.status IN (${filters.status.map(() => '?').join(', ')})`);
+      params.push(...filters.status);
+    } else if (filters.status) {
+      where.push('s.status = ?');
+      params.push(filters.status);
+    }
+
+    const whereClause = where.join(' AND ');
+
+    const countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} s WHERE ${whereClause}`;
+    const [{ total }] = await databaseConfig.executeQuery(countQuery, params);
+
+    const dataQuery = `
+      SELECT s.*, p.name as product_name
+      FROM ${this.tableName} s
+      JOIN investment_products p ON s.product_id = p.id
+      WHERE ${whereClause}
+      ORDER BY s.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    const rows = await databaseConfig.executeQuery(dataQuery, [
+      ...params,
+      limit,
+      offset,
+    ]);
+
+    return {
+      sips: rows.map((r) => this.formatSip(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Active SIPs with an installment due on or before today
+   */
+  async findDue(limit = 500) {
+    const query = `
+      SELECT s.*, p.name as product_name
+      FROM ${this.tableName} s
+      JOIN investment_products p ON s.product_id = p.id
+      WHERE s.status = ? AND s.next_run_date IS NOT NULL AND s.next_run_date <= CURDATE()
+      ORDER BY s.next_run_date ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [
+      SIP_STATUS.ACTIVE,
+      limit,
+    ]);
+    return rows.map((r) => this.formatSip(r));
+  }
+
+  /**
+   * Update status and/or schedule position
+   * @param {string} id - SIP id
+   * @param {Object} update - { status, nextRunDate, nextInstallmentIndex, lastRunAt }
+   * @param {Array} fromStatuses - only update when the current status is one of these
+   * @returns {Promise<boolean>} false if the SIP was not in an allowed status
+   */
+  async update(id, update, fromStatuses = null) {
+    const fields = [];
+    const params = [];
+    const map = {
+      status: 'status',
+      nextRunDate: 'next_run_date',
+      nextInstallmentIndex: 'next_installment_index',
+      lastRunAt: 'last_run_at',
+    };
+    Object.keys(map).forEach((k) => {
+      if (update[k] !== undefined) {
+        fields.push(`${map[k]} = ?`);
+        params.push(update[k]);
+      }
+    });
+    if (!fields.length) throw new Error('No valid fields to update');
+
+    let query = `UPDATE ${this.tableName} SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`;
+    params.push(id);
+    if (fromStatuses) {
+      query += ` AND status IN (${fromStatuses.map(() => '?').join(', ')})`;
+      params.push(...fromStatuses);
+    }
+
+    const result = await databaseConfig.executeQuery(query, params);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Claim a due date for execution. The unique (sip_id, due_date) key makes
+   * this the idempotency guard: a second claim for the same date returns null.
+   */
+  async claimInstallment(sip, dueDate) {
+    const id = FormatHelper.generateUUID();
+    const query = `
+      INSERT IGNORE INTO ${this.installmentsTable} (
+        id, sip_id, user_id, due_date, amount, status
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    const result = await databaseConfig.executeQuery(query, [
+      id,
+      sip.id,
+      sip.userId,
+      dueDate,
+      sip.amount,
+      SIP_INSTALLMENT_STATUS.PENDING,
+    ]);
+    return result.affectedRows > 0 ? id : null;
+  }
+
+  /**
+   * Failed installments of active SIPs that are due another attempt
+   * @returns {Promise<Array>} [{ installment, sip }]
+   */
+  async findRetryable(limit = 500) {
+    const query = `
+      SELECT si.*, s.product_id, s.frequency, s.start_date, s.end_date,
+             s.next_run_date, s.next_installment_index, s.status AS sip_status,
+             p.name AS product_name
+      FROM ${this.installmentsTable} si
+      JOIN ${this.tableName} s ON si.sip_id = s.id
+      JOIN investment_products p ON s.product_id = p.id
+      WHERE si.status = ? AND si.next_attempt_at <= NOW() AND s.status = ?
+      ORDER BY si.next_attempt_at ASC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [
+      SIP_INSTALLMENT_STATUS.FAILED,
+      SIP_STATUS.ACTIVE,
+      limit,
+    ]);
+    return rows.map((row) => ({
+      installment: this.formatInstallment(row),
+      sip: this.formatSip({ ...row, id: row.sip_id, status: row.sip_status }),
+    }));
+  }
+
+  /**
+   * Claim a failed installment for another attempt. Only one run can move it
+   * back to pending, so it is never executed twice at once.
+   * @returns {Promise<boolean>} false if another run claimed it first
+   */
+  async claimRetry(id) {
+    const result = await databaseConfig.executeQuery(
+      `UPDATE ${this.installmentsTable}
+       SET status = ?, attempts = attempts + 1, next_attempt_at = NULL, updated_at = NOW()
+       WHERE id = ? AND status = ? AND next_attempt_at <= NOW()`,
+      [SIP_INSTALLMENT_STATUS.PENDING, id, SIP_INSTALLMENT_STATUS.FAILED],
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Record the outcome of a claimed installment
+   * @param {Object} outcome - { status, investmentId, failureReason, retryInHours }
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   */
+  async completeInstallment(id, outcome, db = databaseConfig) {
+    const retryInHours = outcome.retryInHours || 0;
+    const query = `
+      UPDATE ${this.installmentsTable}
+      SET status = ?, investment_id = ?, failure_reason = ?,
+          next_attempt_at = IF(? > 0, NOW() + INTERVAL ? HOUR, NULL),
+          updated_at = NOW()
+      WHERE id = ?
+    `;
+    await db.executeQuery(query, [
+      outcome.status,
+      outcome.investmentId || null,
+      outcome.failureReason || null,
+      retryInHours,
+      retryInHours,
+      id,
+    ]);
+  }
+
+  /**
+   * Installment history for a SIP, newest first
+   */
+  async findInstallments(sipId, limit = 50) {
+    const query = `
+      SELECT * FROM ${this.installmentsTable}
+      WHERE sip_id = ?
+      ORDER BY due_date DESC
+      LIMIT ?
+    `;
+    const rows = await databaseConfig.executeQuery(query, [sipId, limit]);
+    return rows.map((r) => this.formatInstallment(r));
+  }
+
+  /**
+   * Format DB row
+   */
+  formatSip(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      productId: row.product_id,
+      productName: row.product_name,
+      amount: parseFloat(row.amount),
+      frequency: row.frequency,
+      startDate: toDateString(row.start_date),
+      endDate: toDateString(row.end_date),
+      nextRunDate: toDateString(row.next_run_date),
+      nextInstallmentIndex: row.next_installment_index || 0,
+      status: row.status,
+      lastRunAt: row.last_run_at || null,
+      createdAt: row.created_at,
+    };
+  }
+
+  /**
+   * Format installment row
+   */
+  formatInstallment(row) {
+    return {
+      id: row.id,
+      sipId: row.sip_id,
+      dueDate: toDateString(row.due_date),
+      amount: parseFloat(row.amount),
+      status: row.status,
+      investmentId: row.investment_id || null,
+      failureReason: row.failure_reason || null,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at || null,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new SipModel();
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { databaseConfig } = require('../config/database');
+const { FormatHelper, PaginationHelper } = require('../utils/helpers');
+const {
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUS,
+  TRANSACTION_DIRECTIONS,
+} = require('../utils/constants');
+
+// Reference number prefixes per ledger entry type
+const REFERENCE_PREFIXES = {
+  [TRANSACTION_TYPES.DEPOSIT]: 'DEP',
+  [TRANSACTION_TYPES.INVESTMENT]: 'INV',
+  [TRANSACTION_TYPES.WITHDRAWAL]: 'WDL',
+  [TRANSACTION_TYPES.RETURN]: 'RET',
+  [TRANSACTION_TYPES.PENALTY]: 'PEN',
+  [TRANSACTION_TYPES.FEE]: 'FEE',
+  [TRANSACTION_TYPES.ADJUSTMENT]: 'ADJ',
+};
+
+// Default wallet direction per type. A withdrawal defaults to a debit (money
+// leaving the wallet); cancellations and redemptions pay an investment back
+// into the wallet, so they pass CREDIT. Adjustments go either way, so callers
+// always pass the direction.
+const DEFAULT_DIRECTIONS = {
+  [TRANSACTION_TYPES.DEPOSIT]: TRANSACTION_DIRECTIONS.CREDIT,
+  [TRANSACTION_TYPES.RETURN]: TRANSACTION_DIRECTIONS.CREDIT,
+  [TRANSACTION_TYPES.INVESTMENT]: TRANSACTION_DIRECTIONS.DEBIT,
+  [TRANSACTION_TYPES.WITHDRAWAL]: TRANSACTION_DIRECTIONS.DEBIT,
+  [TRANSACTION_TYPES.PENALTY]: TRANSACTION_DIRECTIONS.DEBIT,
+  [TRANSACTION_TYPES.FEE]: TRANSACTION_DIRECTIONS.DEBIT,
+};
+
+/**
+ * Transaction Model Class
+ * Handles the investment_transactions ledger (every wallet balance movement)
+ */
+class TransactionModel {
+  constructor() {
+    this.tableName = 'investment_transactions';
+  }
+
+  /**
+   * Generate a unique, human-readable reference number
+   * @param {string} type - transaction type
+   * @returns {string} e.g. DEP-20250101-1A2B3C4D
+   */
+  generateReferenceNumber(type) {
+    const prefix = REFERENCE_PREFIXES[type] || 'TXN';
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const randomPart = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `${prefix}-${datePart}-${randomPart}`;
+  }
+
+  /**
+   * Record a ledger entry
+   * @param {Object} data - transaction data
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object>} created transaction
+   */
+  async create(data, db = databaseConfig) {
+    const id = FormatHelper.generateUUID();
+    const referenceNumber = data.referenceNumber || this.generateReferenceNumber(data.type);
+    const status = data.status || TRANSACTION_STATUS.COMPLETED;
+
+    const query = `
+      INSERT INTO ${this.tableName} (
+        id, user_id, investment_id, transaction_type, direction, amount,
+        description, reference_number, status, processed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+      id,
+      data.userId,
+      data.investmentId || null,
+      data.type,
+      data.direction || DEFAULT_DIRECTIONS[data.type],
+      data.amount,
+      data.description || null,
+      referenceNumber,
+      status,
+      status === TRANSACTION_STATUS.COMPLETED ? new Date() : null,
+    ];
+
+    await db.executeQuery(query, params);
+    return this.findByReference(referenceNumber, null, db);
+  }
+
+  /**
+   * Find a transaction by its reference number
+   * @param {string} referenceNumber - unique reference number
+   * @param {string} userId - optional owner restriction
+   * @param {Object} db - query executor
+   */
+  async findByReference(referenceNumber, userId = null, db = databaseConfig) {
+    let query = `SELECT * FROM ${this.tableName} WHERE reference_number = ?`;
+    const params = [referenceNumber];
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+    const rows = await db.executeQuery(query, params);
+    return rows.length ? this.formatTransaction(rows[0]) : null;
+  }
+
+  /**
+   * Get a user's ledger with optional filters and pagination
+   */
+  async findByUser(userId, filters = {}, pagination = {}) {
+    const { offset, limit } = PaginationHelper.getPaginationParams({
+      query: pagination,
+    });
+    const where = ['user_id = ?'];
+    const params = [userId];
+
+    if (filters.type) {
+      where.push('transaction_type = ?');
+      params.push(filters.type);
+    }
+    if (filters.status) {
+      where.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.investmentId) {
+      where.push('investment_id = ?');
+      params.push(filters.investmentId);
+    }
+    if (filters.fromDate) {
+      where.push('created_at >= ?');
+      params.push(filters.fromDate);
+    }
+    if (filters.toDate) {
+      where.push('created_at <= ?');
+      params.push(filters.toDate);
+    }
+
+    const whereClause = where.join(' AND ');
+
+    const countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} WHERE ${whereClause}`;
+    const [{ total }] = await databaseConfig.executeQuery(countQuery, params);
+
+    const dataQuery = `
+      SELECT *
+      FROM ${this.tableName}
+      WHERE ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+    const rows = await databaseConfig.executeQuery(dataQuery, [
+      ...params,
+      limit,
+      offset,
+    ]);
+
+    return {
+      transactions: rows.map((r) => this.formatTransaction(r)),
+      pagination: PaginationHelper.formatPaginatedResponse(
+        [],
+        total,
+        pagination.page || 1,
+        limit,
+      ).pagination,
+      total,
+    };
+  }
+
+  /**
+   * Completed ledger entries in a time range, oldest first (statements)
+   * @param {string} userId - user id
+   * @param {string} from - inclusive start, 'YYYY-MM-DD HH:MM:SS'
+   * @param {string} to - exclusive end, 'YYYY-MM-DD HH:MM:SS'
+   */
+  async findInRange(userId, from, to) {
+    const query = `
+      SELECT *
+      FROM ${this.tableName}
+      WHERE user_id = ? AND status = ? AND created_at >= ? AND created_at < ?
+      ORDER BY created_at ASC, reference_number ASC
+    `;
+    const rows = await databaseConfig.executeQuery(query, [
+      userId,
+      TRANSACTION_STATUS.COMPLETED,
+      from,
+      to,
+    ]);
+    return rows.map((r) => this.formatTransaction(r));
+  }
+
+  /**
+   * Net wallet movement (credits less debits) of completed entries since a
+   * point in time. The wallet balance at that point is the current balance
+   * less this amount.
+   * @param {string} userId - user id
+   * @param {string} since - inclusive start, 'YYYY-MM-DD HH:MM:SS'
+   * @returns {Promise<number>} net movement
+   */
+  async getNetMovementSince(userId, since) {
+    const query = `
+      SELECT COALESCE(SUM(CASE WHEN direction = ? THEN amount ELSE -amount END), 0) as net
+      FROM ${this.tableName}
+      WHERE user_id = ? AND status = ? AND created_at >= ?
+    `;
+    const [row] = await databaseConfig.executeQuery(query, [
+      TRANSACTION_DIRECTIONS.CREDIT,
+      userId,
+      TRANSACTION_STATUS.COMPLETED,
+      since,
+    ]);
+    return parseFloat(row.net);
+  }
+
+  /**
+   * Format DB row
+   */
+  formatTransaction(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      investmentId: row.investment_id || null,
+      type: row.transaction_type,
+      direction: row.direction,
+      amount: parseFloat(row.amount),
+      description: row.description || null,
+      referenceNumber: row.reference_number,
+      status: row.status,
+      processedAt: row.processed_at,
+      createdAt: row.created_at,
+    };
+  }
+}
+
+module.exports = new TransactionModel();
@@ -0,0 +1,146 @@
+const { databaseConfig } = require('../config/database');
+
+/**
+ * Two-Factor Model Class
+ * TOTP state on the users row and the user's one-time recovery codes.
+ * Recovery codes are stored as SHA-256 hashes only.
+ */
+class TwoFactorModel {
+  constructor() {
+    this.usersTable = 'users';
+    this.codesTable = 'two_factor_recovery_codes';
+  }
+
+  /**
+   * TOTP state for a user
+   * @param {string} userId - User ID
+   * @param {Object} db - query executor (pass the tx from executeTransaction)
+   * @returns {Promise<Object|null>} { enabled, secret, enabledAt, lastStep }
+   */
+  async findByUserId(userId, db = databaseConfig) {
+    const rows = await db.executeQuery(
+      `SELECT id, email, two_factor_enabled, two_factor_secret,
+              two_factor_enabled_at, two_factor_last_step
+       FROM ${this.usersTable} WHERE id = ?`,
+      [userId],
+    );
+    return rows.length ? this.formatState(rows[0]) : null;
+  }
+
+  /**
+   * Store a new, not yet confirmed secret. Replaces an earlier unconfirmed
+   * one; does nothing while 2FA is enabled.
+   * @returns {Promise<boolean>} whether the secret was stored
+   */
+  async saveSecret(userId, secret, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.usersTable}
+       SET two_factor_secret = ?, two_factor_last_step = NULL
+       WHERE id = ? AND two_factor_enabled = FALSE`,
+      [secret, userId],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Turn 2FA on once the first code has been confirmed
+   * @param {number} step - time step of the confirming code, so it cannot be replayed
+   */
+  async enable(userId, step, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.usersTable}
+       SET two_factor_enabled = TRUE, two_factor_enabled_at = NOW(),
+           two_factor_last_step = ?
+       WHERE id = ? AND two_factor_enabled = FALSE AND two_factor_secret IS NOT NULL`,
+      [step, userId],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Turn 2FA off, forgetting the secret and every recovery code
+   */
+  async disable(userId, db = databaseConfig) {
+    await db.executeQuery(
+      `UPDATE ${this.usersTable}
+       SET two_factor_enabled = FALSE, two_factor_secret = NULL,
+           two_factor_enabled_at = NULL, two_factor_last_step = NULL
+       WHERE id = ?`,
+      [userId],
+    );
+    await db.executeQuery(`DELETE FROM ${this.codesTable} WHERE user_id = ?`, [
+      userId,
+    ]);
+  }
+
+  /**
+   * Record the time step of an accepted code. Only a later step than the last
+   * accepted one is recorded, so each code works once.
+   * @returns {Promise<boolean>} false when the code was already used
+   */
+  async markStepUsed(userId, step, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.usersTable}
+       SET two_factor_last_step = ?
+       WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+      [step, userId, step],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Replace all recovery codes with a new set
+   * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+   */
+  async replaceRecoveryCodes(userId, codeHashes, db = databaseConfig) {
+    await db.executeQuery(`DELETE FROM ${this.codesTable} WHERE user_id = ?`, [
+      userId,
+    ]);
+    if (!codeHashes.length) return;
+
+    await db.executeQuery(
+      `INSERT INTO ${this.codesTable} (user_id, code_hash)
+       VALUES ${codeHashes.map(() => '(?, ?)').join(', ')}`,
+      codeHashes.flatMap((codeHash) => [userId, codeHash]),
+    );
+  }
+
+  /**
+   * Spend a recovery code
+   * @returns {Promise<boolean>} false when the code is unknown or already used
+   */
+  async useRecoveryCode(userId, codeHash, db = databaseConfig) {
+    const result = await db.executeQuery(
+      `UPDATE ${this.codesTable}
+       SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, codeHash],
+    );
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Number of recovery codes not yet used
+   */
+  async countRecoveryCodes(userId, db = databaseConfig) {
+    const [row] = await db.executeQuery(
+      `SELECT COUNT(*) AS remaining FROM ${this.codesTable}
+       WHERE user_id = ? AND used_at IS NULL`,
+      [userId],
+    );
+    return Number(row.remaining);
+  }
+
+  formatState(row) {
+    return {
+      userId: row.id,
+      email: row.email,
+      enabled: !!row.two_factor_enabled,
+      secret: row.two_factor_secret,
+      enabledAt: row.two_factor_enabled_at,
+      lastStep: row.two_factor_last_step === null ? null : Number(row.two_factor_last_step),
+    };
+  }
+}
+
+module.exports = new TwoFactorModel();
@@ -1,5 +1,5 @@
 const { databaseConfig } = require('../config/database');
-const { FormatHelper } = require('../utils/helpers');
+const { FormatHelper, AuthHelper } = require('../utils/helpers');
 const { RISK_LEVELS } = require('../utils/constants');
 
 /**
@@ -58,16 +58,17 @@ class UserModel {
    * Find user by ID
    * @param {string} userId - User ID
    * @param {boolean} includePassword - Whether to include password hash
+   * @param {Object} db - Query executor (pass the tx from executeTransaction)
    * @returns {Promise<Object|null>} User data or null
    */
-  async findById(userId, includePassword = false) {
+  async findById(userId, includePassword = false, db = databaseConfig) {
     try {
       const fields = includePassword 
-        ? 'id, first_name, last_name, email, password_hash, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, last_login_at, created_at, updated_at'
-        : 'id, first_name, last_name, email, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, last_login_at, created_at, updated_at';
+        ? 'id, first_name, last_name, email, password_hash, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, role, last_login_at, created_at, updated_at'
+        : 'id, first_name, last_name, email, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, role, last_login_at, created_at, updated_at';
 
       const query = `SELECT ${fields} FROM ${this.tableName} WHERE id = ?`;
-      const users = await databaseConfig.executeQuery(query, [userId]);
+      const users = await db.executeQuery(query, [userId]);
 
       if (users.length === 0) {
         return null;
@@ -81,6 +82,33 @@ class UserModel {
     }
   }
 
+  /**
+   * Find user by ID and lock the row until the surrounding transaction ends
+   * @param {string} userId - User ID
+   * @param {Object} tx - Transaction executor from executeTransaction
+   * @returns {Promise<Object|null>} User data or null
+   */
+  async findByIdForUpdate(userId, tx) {
+    try {
+      const query = `
+        SELECT id, first_name, last_name, email, account_balance, kyc_status, is_active, role
+        FROM ${this.tableName}
+        WHERE id = ?
+        FOR UPDATE
+      `;
+      const users = await tx.executeQuery(query, [userId]);
+
+      if (users.length === 0) {
+        return null;
+      }
+
+      return this.formatUserData(users[0]);
+    } catch (error) {
+      console.error('Lock user error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -90,8 +118,8 @@ class UserModel {
   async findByEmail(email, includePassword = false) {
     try {
       const fields = includePassword 
-        ? 'id, first_name, last_name, email, password_hash, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, last_login_at, created_at, updated_at'
-        : 'id, first_name, last_name, email, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, last_login_at, created_at, updated_at';
+        ? 'id, first_name, last_name, email, password_hash, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, role, last_login_at, created_at, updated_at'
+        : 'id, first_name, last_name, email, phone, date_of_birth, risk_appetite, account_balance, email_verified, kyc_status, is_active, role, last_login_at, created_at, updated_at';
 
       const query = `SELECT ${fields} FROM ${this.tableName} WHERE email = ?`;
       const users = await databaseConfig.executeQuery(query, [email.toLowerCase()]);
@@ -168,6 +196,8 @@ class UserModel {
       if (updateData.passwordHash !== undefined) {
         updateFields.push('password_hash = ?');
         updateParams.push(updateData.passwordHash);
+        // A new password ends every access token issued before it
+        updateFields.push('token_version = token_version + 1');
       }
 
       if (updateFields.length === 0) {
@@ -212,6 +242,62 @@ class UserModel {
     }
   }
 
+  /**
+   * Change a user's role
+   * @param {string} userId - User ID
+   * @param {string} role - USER_ROLES value
+   * @param {Object} db - Query executor (pass the tx from executeTransaction)
+   * @returns {Promise<boolean>} Whether the user was found
+   */
+  async updateRole(userId, role, db = databaseConfig) {
+    try {
+      const query = `UPDATE ${this.tableName} SET role = ?, updated_at = NOW() WHERE id = ?`;
+      const result = await db.executeQuery(query, [role, userId]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Update role error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate or reactivate an account
+   * @param {string} userId - User ID
+   * @param {boolean} isActive - New state
+   * @param {Object} db - Query executor (pass the tx from executeTransaction)
+   * @returns {Promise<boolean>} Whether the state changed
+   */
+  async setActive(userId, isActive, db = databaseConfig) {
+    try {
+      const query = `UPDATE ${this.tableName} SET is_active = ?, updated_at = NOW() WHERE id = ? AND is_active = ?`;
+      const result = await db.executeQuery(query, [isActive, userId, !isActive]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Set user active error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End every active session (refresh token) of a user
+   * @param {string} userId - User ID
+   * @param {Object} db - Query executor (pass the tx from executeTransaction)
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async revokeSessions(userId, db = databaseConfig) {
+    try {
+      const query = 'UPDATE user_sessions SET is_active = FALSE WHERE user_id = ? AND is_active = TRUE';
+      const result = await db.executeQuery(query, [userId]);
+
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user's last login timestamp
    * @param {string} userId - User ID
@@ -233,9 +319,10 @@ class UserModel {
    * @param {string} userId - User ID
    * @param {number} amount - Amount to add/subtract
    * @param {string} operation - 'add' or 'subtract'
+   * @param {Object} db - Query executor (pass the tx from executeTransaction)
    * @returns {Promise<Object>} Updated user with new balance
    */
-  async updateBalance(userId, amount, operation = 'subtract') {
+  async updateBalance(userId, amount, operation = 'subtract', db = databaseConfig) {
     try {
       const operator = operation === 'add' ? '+' : '-';
       const query = `
@@ -245,14 +332,13 @@ class UserModel {
       `;
 
       const minBalance = operation === 'subtract' ? amount : 0;
-      const result = await databaseConfig.executeQuery(query, [amount, userId, minBalance]);
+      const result = await db.executeQuery(query, [amount, userId, minBalance]);
 
       if (result.affectedRows === 0) {
         throw new Error('Insufficient balance or user not found');
       }
 
-      return this.findById(userId);
-
+      return this.findById(userId, false, db);
     } catch (error) {
       console.error('Update balance error:', error);
       throw error;
@@ -383,6 +469,12 @@ class UserModel {
       let whereConditions = ['1 = 1']; // Base condition
       let params = [];
 
+      // Free-text search over name and email
+      if (criteria.search) {
+        whereConditions.push("(CONCAT_WS(' ', first_name, last_name) LIKE ? OR email LIKE ?)");
+        params.push(`%${criteria.search}%`, `%${criteria.search}%`);
+      }
+
       if (criteria.email) {
         whereConditions.push('email LIKE ?');
         params.push(`%${criteria.email}%`);
@@ -398,6 +490,11 @@ class UserModel {
         params.push(`%${criteria.lastName}%`);
       }
 
+      if (criteria.role) {
+        whereConditions.push('role = ?');
+        params.push(criteria.role);
+      }
+
       if (criteria.riskAppetite) {
         whereConditions.push('risk_appetite = ?');
         params.push(criteria.riskAppetite);
@@ -429,7 +526,7 @@ class UserModel {
       const usersQuery = `
         SELECT id, first_name, last_name, email, phone, date_of_birth,
                risk_appetite, account_balance, email_verified, kyc_status,
-               is_active, last_login_at, created_at, updated_at
+               is_active, role, last_login_at, created_at, updated_at
         FROM ${this.tableName} 
         WHERE ${whereClause}
         ORDER BY created_at DESC
@@ -558,6 +655,8 @@ class UserModel {
       emailVerified: !!userData.email_verified,
       kycStatus: userData.kyc_status,
       isActive: !!userData.is_active,
+      role: userData.role,
+      permissions: AuthHelper.getPermissions(userData.role),
       lastLogin: userData.last_login_at,
       createdAt: userData.created_at,
       updatedAt: userData.updated_at,
@@ -0,0 +1,284 @@
+const express = require('express');
+const Joi = require('joi');
+const adminService = require('../services/adminService');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  USER_ROLES,
+  PERMISSIONS,
+  ADMIN_ACTIONS,
+  WALLET_LIMITS,
+  LOGIN_FAILURE_SCOPES,
+} = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const usersQuery = Joi.object({
+  search: Joi.string().trim().max(100).optional(),
+  role: Joi.string()
+    .valid(...Object.values(USER_ROLES))
+    .optional(),
+  isActive: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const userParams = Joi.object({
+  id: Joi.string().required().messages({
+    'any.required': 'User ID is required',
+  }),
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...Object.values(USER_ROLES))
+    .required(),
+});
+
+const actionSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+const adjustmentSchema = Joi.object({
+  amount: Joi.number()
+    .precision(2)
+    .min(-WALLET_LIMITS.MAX_ADJUSTMENT)
+    .max(WALLET_LIMITS.MAX_ADJUSTMENT)
+    .invalid(0)
+    .required()
+    .messages({
+      'any.invalid': 'Amount must not be zero',
+    }),
+  reason: Joi.string().trim().min(5).max(500)
+    .required()
+    .messages({
+      'any.required': 'A reason is required for balance adjustments',
+    }),
+});
+
+const auditQuery = Joi.object({
+  actorId: Joi.string().max(36).optional(),
+  targetUserId: Joi.string().max(36).optional(),
+  action: Joi.string()
+    .valid(...Object.values(ADMIN_ACTIONS))
+    .optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const lockoutsQuery = Joi.object({
+  scope: Joi.string()
+    .valid(...Object.values(LOGIN_FAILURE_SCOPES))
+    .optional(),
+  search: Joi.string().trim().max(100).optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const lockoutParams = Joi.object({
+  id: Joi.number().integer().positive().required(),
+});
+
+// The staff member behind an action, as recorded in the audit trail
+const actorOf = (req) => ({
+  id: req.user.id,
+  email: req.user.email,
+  role: req.user.role,
+  ipAddress: req.ip,
+});
+
+// Roles and the permissions each grants
+router.get(
+  '/roles',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_READ),
+  (_req, res) => {
+    const result = adminService.getRoles();
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Search users
+router.get(
+  '/users',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validateRequest({ query: usersQuery }),
+  async (req, res) => {
+    const result = await adminService.getUsers(
+      {
+        search: req.query.search,
+        role: req.query.role,
+        isActive: req.query.isActive,
+      },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Profile with investment stats, recent activity and admin actions
+router.get(
+  '/users/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validateRequest({ params: userParams }),
+  async (req, res) => {
+    const result = await adminService.getUser(req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Assign a role (super admin)
+router.put(
+  '/users/:id/role',
+  verifyToken,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateRequest({ params: userParams, body: roleSchema }),
+  async (req, res) => {
+    const result = await adminService.updateUserRole(
+      actorOf(req),
+      req.params.id,
+      req.body.role,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Deactivate an account and end its sessions
+router.post(
+  '/users/:id/deactivate',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateRequest({ params: userParams, body: actionSchema }),
+  async (req, res) => {
+    const result = await adminService.setUserActive(
+      actorOf(req),
+      req.params.id,
+      false,
+      req.body.reason,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Reactivate an account
+router.post(
+  '/users/:id/reactivate',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateRequest({ params: userParams, body: actionSchema }),
+  async (req, res) => {
+    const result = await adminService.setUserActive(
+      actorOf(req),
+      req.params.id,
+      true,
+      req.body.reason,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Force-logout: end all of a user's sessions
+router.post(
+  '/users/:id/revoke-sessions',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateRequest({ params: userParams, body: actionSchema }),
+  async (req, res) => {
+    const result = await adminService.revokeUserSessions(
+      actorOf(req),
+      req.params.id,
+      req.body.reason,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Credit or debit a wallet; the reason is mandatory
+router.post(
+  '/users/:id/balance-adjustments',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateRequest({ params: userParams, body: adjustmentSchema }),
+  async (req, res) => {
+    const result = await adminService.adjustBalance(
+      actorOf(req),
+      req.params.id,
+      req.body,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Emails and IPs locked out after failed logins
+router.get(
+  '/lockouts',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validateRequest({ query: lockoutsQuery }),
+  async (req, res) => {
+    const result = await adminService.getLockouts(
+      { scope: req.query.scope, search: req.query.search },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Lift a lockout early
+router.delete(
+  '/lockouts/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateRequest({ params: lockoutParams, body: actionSchema }),
+  async (req, res) => {
+    const result = await adminService.clearLockout(
+      actorOf(req),
+      req.params.id,
+      req.body.reason,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Audit trail of admin actions
+router.get(
+  '/audit-log',
+  verifyToken,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  validateRequest({ query: auditQuery }),
+  async (req, res) => {
+    const result = await adminService.getAuditLog(
+      {
+        actorId: req.query.actorId,
+        targetUserId: req.query.targetUserId,
+        action: req.query.action,
+        from: req.query.from,
+        to: req.query.to,
+      },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
@@ -4,8 +4,11 @@ const authController = require('../controllers/authController');
 const { 
   authRateLimit, 
   loginRateLimit, 
+  twoFactorRateLimit,
+  refreshRateLimit,
   verifyToken, 
   securityHeaders,
+  csrfProtection,
   logAuthActivity 
 } = require('../middleware/auth');
 const { HTTP_STATUS, RISK_LEVELS, REGEX_PATTERNS } = require('../utils/constants');
@@ -227,6 +230,15 @@ const validationSchemas = {
       })
   }),
 
+  unlockAccount: joi.object({
+    token: joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.empty': 'Unlock token is required',
+      }),
+  }),
+
   // Password analysis validation
   analyzePassword: joi.object({
     password: joi.string()
@@ -269,10 +281,41 @@ const validationSchemas = {
       })
   }),
 
-  // Refresh token validation
-  refreshToken: joi.object({
-    refreshToken: joi.string()
-      .optional() // Can be in header or body
+  // Second login step: authenticator or recovery code
+  loginTwoFactor: joi.object({
+    challengeToken: joi.string()
+      .required()
+      .messages({
+        'string.empty': 'Challenge token is required',
+      }),
+
+    code: joi.string()
+      .trim()
+      .required()
+      .messages({
+        'string.empty': 'Authentication code is required',
+      }),
+  }),
+
+  // Confirm 2FA enrolment with a first authenticator code
+  enableTwoFactor: joi.object({
+    code: joi.string()
+      .trim()
+      .pattern(REGEX_PATTERNS.TOTP_CODE)
+      .required()
+      .messages({
+        'string.empty': 'Authentication code is required',
+        'string.pattern.base': 'Authentication code must be 6 digits',
+      }),
+  }),
+
+  // Disable 2FA or replace recovery codes
+  confirmPassword: joi.object({
+    password: joi.string()
+      .required()
+      .messages({
+        'string.empty': 'Password is required',
+      }),
   })
 };
 
@@ -327,8 +370,14 @@ router.get('/', (_req, res) => {
       'POST /login': {
         description: 'Authenticate user and get access tokens',
         authentication: false,
-        rateLimit: '5 failed attempts per email per 15 minutes',
-        features: ['JWT tokens', 'Session management', 'Behavioral analysis']
+        rateLimit: 'Progressive delay after 3 failed attempts per email; lockout after 10 per email or 50 per IP in 15 minutes',
+        features: ['JWT tokens', 'Session management', 'Behavioral analysis', 'Emailed unlock link'],
+      },
+      'POST /login/2fa': {
+        description: 'Complete a two-factor login with an authenticator or recovery code',
+        authentication: false,
+        rateLimit: '5 codes per login challenge',
+        features: ['TOTP (RFC 6238)', 'One-time recovery codes'],
       },
       'POST /forgot-password': {
         description: 'Initiate password reset process',
@@ -361,10 +410,18 @@ router.get('/', (_req, res) => {
         authentication: false,
         features: ['Email confirmation', 'Account activation']
       },
+      'POST /unlock-account': {
+        description: 'Lift a failed-login lockout with the token from the unlock email',
+        authentication: false,
+        rateLimit: '10 requests per 15 minutes per IP',
+        features: ['One-time unlock link'],
+      },
       'POST /refresh-token': {
-        description: 'Refresh access token using refresh token',
+        description: 'Refresh access token using the httpOnly refresh token cookie',
         authentication: false,
-        features: ['Token rotation', 'Session validation']
+        csrf: 'X-CSRF-Token header must match the CSRF cookie',
+        rateLimit: '60 requests per 15 minutes per IP',
+        features: ['Token rotation', 'Reuse detection', 'Session validation'],
       },
       'POST /analyze-password': {
         description: 'AI-powered password strength analysis',
@@ -396,6 +453,31 @@ router.get('/', (_req, res) => {
         description: 'Revoke specific session',
         authentication: true,
         features: ['Remote logout', 'Session control']
+      },
+      'GET /2fa': {
+        description: 'Get two-factor authentication status',
+        authentication: true,
+        features: ['Recovery codes remaining'],
+      },
+      'POST /2fa/setup': {
+        description: 'Start two-factor enrolment',
+        authentication: true,
+        features: ['TOTP secret', 'QR provisioning URI'],
+      },
+      'POST /2fa/enable': {
+        description: 'Confirm enrolment with a first code',
+        authentication: true,
+        features: ['One-time recovery codes'],
+      },
+      'POST /2fa/disable': {
+        description: 'Turn two-factor authentication off',
+        authentication: true,
+        features: ['Password confirmation'],
+      },
+      'POST /2fa/recovery-codes': {
+        description: 'Replace the recovery codes',
+        authentication: true,
+        features: ['Password confirmation'],
       }
     },
     securityFeatures: [
@@ -405,6 +487,7 @@ router.get('/', (_req, res) => {
       'AI-powered password analysis',
       'Behavioral risk analysis',
       'Session management',
+      'Two-factor authentication',
       'Email verification',
       'Security recommendations'
     ]
@@ -427,6 +510,13 @@ router.post('/login',
   ErrorHandler.asyncHandler(authController.login)
 );
 
+router.post(
+  '/login/2fa',
+  twoFactorRateLimit,
+  validateInput(validationSchemas.loginTwoFactor),
+  ErrorHandler.asyncHandler(authController.loginTwoFactor),
+);
+
 router.post('/forgot-password', 
   authRateLimit,
   validateInput(validationSchemas.forgotPassword),
@@ -445,9 +535,17 @@ router.post('/verify-email',
   ErrorHandler.asyncHandler(authController.verifyEmail)
 );
 
-router.post('/refresh-token', 
+router.post(
+  '/unlock-account',
   authRateLimit,
-  validateInput(validationSchemas.refreshToken),
+  validateInput(validationSchemas.unlockAccount),
+  ErrorHandler.asyncHandler(authController.unlockAccount),
+);
+
+// Authenticated by the refresh token cookie, so it needs the CSRF check
+router.post('/refresh-token', 
+  refreshRateLimit,
+  csrfProtection,
   ErrorHandler.asyncHandler(authController.refreshToken)
 );
 
@@ -501,6 +599,42 @@ router.delete('/sessions/:sessionId',
   ErrorHandler.asyncHandler(authController.revokeSession)
 );
 
+// Two-factor authentication
+router.get(
+  '/2fa',
+  verifyToken,
+  ErrorHandler.asyncHandler(authController.getTwoFactorStatus),
+);
+
+router.post(
+  '/2fa/setup',
+  verifyToken,
+  ErrorHandler.asyncHandler(authController.setupTwoFactor),
+);
+
+router.post(
+  '/2fa/enable',
+  verifyToken,
+  validateInput(validationSchemas.enableTwoFactor),
+  ErrorHandler.asyncHandler(authController.enableTwoFactor),
+);
+
+router.post(
+  '/2fa/disable',
+  verifyToken,
+  authRateLimit,
+  validateInput(validationSchemas.confirmPassword),
+  ErrorHandler.asyncHandler(authController.disableTwoFactor),
+);
+
+router.post(
+  '/2fa/recovery-codes',
+  verifyToken,
+  authRateLimit,
+  validateInput(validationSchemas.confirmPassword),
+  ErrorHandler.asyncHandler(authController.regenerateRecoveryCodes),
+);
+
 // Health check for authentication service
 router.get('/health', (_req, res) => {
   const response = ApiResponse.success('Authentication service is healthy', {
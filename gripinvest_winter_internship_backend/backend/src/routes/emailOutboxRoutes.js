@@ -0,0 +1,81 @@
+const express = require('express');
+const Joi = require('joi');
+const emailService = require('../services/emailService');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const {
+  EMAIL_STATUS,
+  EMAIL_TYPES,
+  PERMISSIONS,
+} = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const listQuery = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(EMAIL_STATUS))
+    .optional(),
+  template: Joi.string()
+    .valid(...Object.values(EMAIL_TYPES))
+    .optional(),
+  userId: Joi.string().max(36).optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const idParams = Joi.object({
+  id: Joi.string().required().messages({
+    'any.required': 'ID is required',
+  }),
+});
+
+// List queued emails with per-status counts (admin)
+router.get(
+  '/',
+  verifyToken,
+  requirePermission(PERMISSIONS.EMAILS_MANAGE),
+  validateRequest({ query: listQuery }),
+  async (req, res) => {
+    const result = await emailService.getOutbox(
+      {
+        status: req.query.status,
+        template: req.query.template,
+        userId: req.query.userId,
+      },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Inspect one email, including its attempts and last error (admin)
+router.get(
+  '/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.EMAILS_MANAGE),
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await emailService.getOutboxMessage(req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Requeue a dead-lettered email (admin)
+router.post(
+  '/:id/retry',
+  verifyToken,
+  requirePermission(PERMISSIONS.EMAILS_MANAGE),
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await emailService.retryMessage(req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
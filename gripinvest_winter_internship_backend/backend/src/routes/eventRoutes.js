@@ -0,0 +1,74 @@
+const express = require('express');
+const eventBus = require('../events/eventBus');
+const { verifyToken, isSignInCurrent } = require('../middleware/auth');
+const { HTTP_STATUS, EVENT_STREAM } = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Serialize one event in text/event-stream format
+ */
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+  ...event.data,
+  timestamp: event.timestamp,
+})}\n\n`;
+
+// Live account updates for the authenticated user
+router.get('/', verifyToken, (req, res) => {
+  const userId = req.user.id;
+  if (eventBus.subscriberCount(userId) >= EVENT_STREAM.MAX_CONNECTIONS_PER_USER) {
+    const response = ApiResponse.error(
+      'Too many open event streams',
+      HTTP_STATUS.TOO_MANY_REQUESTS,
+    );
+    return res.status(response.statusCode).json(response);
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.status(HTTP_STATUS.OK);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_STREAM.RETRY_INTERVAL}\n\n`);
+  res.write(
+    `event: connected\ndata: ${JSON.stringify({
+      userId,
+      timestamp: new Date().toISOString(),
+    })}\n\n`,
+  );
+
+  const unsubscribe = eventBus.subscribe(userId, (event) => {
+    res.write(formatEvent(event));
+  });
+
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // Every heartbeat re-checks the sign-in, so a stream does not outlive a
+  // logout, a revoked session or a password change
+  heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSignInCurrent(req.user))) {
+        close();
+        res.end();
+        return;
+      }
+    } catch (error) {
+      logger.error('Event stream session check error:', error.message);
+    }
+    res.write(': heartbeat\n\n');
+  }, EVENT_STREAM.HEARTBEAT_INTERVAL);
+
+  req.on('close', close);
+});
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require("express");
 const Joi = require("joi");
 const investmentService = require("../services/investmentService");
+const statementService = require("../services/statementService");
+const taxService = require("../services/taxService");
 const { verifyToken } = require("../middleware/auth");
 const { validateRequest } = require("../middleware/validation");
+const {
+  STATEMENT_FORMATS,
+  TAX_REPORT_FORMATS,
+} = require("../utils/constants");
 
 const router = express.Router();
 
@@ -32,9 +38,44 @@ const updateSchema = Joi.object({
   autoReinvest: Joi.boolean(),
 });
 
+const historyQuery = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref("from")).optional(),
+  interval: Joi.string().valid("day", "week", "month").default("day"),
+});
+
+const statementQuery = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref("from")).optional(),
+  format: Joi.string()
+    .valid(...Object.values(STATEMENT_FORMATS))
+    .default(STATEMENT_FORMATS.PDF),
+});
+
+const taxReportQuery = Joi.object({
+  fy: Joi.string()
+    .pattern(/^\d{4}-\d{2}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Financial year must look like 2024-25",
+    }),
+  format: Joi.string()
+    .valid(...Object.values(TAX_REPORT_FORMATS))
+    .default(TAX_REPORT_FORMATS.JSON),
+});
+
+const redeemSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      "number.base": "Amount must be a number",
+      "number.positive": "Amount must be positive",
+      "any.required": "Amount is required",
+    }),
+});
+
 const portfolioQuery = Joi.object({
   status: Joi.string()
-    .valid("active", "matured", "cancelled", "pending")
+    .valid("active", "partial", "matured", "cancelled", "pending")
     .optional(),
   page: Joi.number().integer().min(1).max(1000).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
@@ -77,9 +118,70 @@ router.get(
       }
     );
     return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  "/portfolio/history",
+  verifyToken,
+  validateRequest({ query: historyQuery }),
+  async (req, res) => {
+    const result = await investmentService.getPortfolioHistory(req.user.id, {
+      from: req.query.from,
+      to: req.query.to,
+      interval: req.query.interval,
+    });
+    return res.status(result.statusCode).json(result);
   }
 );
 
+// Account statement download (PDF or CSV)
+router.get(
+  "/statement",
+  verifyToken,
+  validateRequest({ query: statementQuery }),
+  async (req, res) => {
+    const result = await statementService.getStatement(req.user.id, {
+      from: req.query.from,
+      to: req.query.to,
+      format: req.query.format,
+    });
+    if (!result.success) {
+      return res.status(result.statusCode).json(result);
+    }
+    const { filename, contentType, content } = result.data;
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    });
+    return res.send(content);
+  },
+);
+
+// Financial-year tax report (JSON, or CSV download)
+router.get(
+  "/tax-report",
+  verifyToken,
+  validateRequest({ query: taxReportQuery }),
+  async (req, res) => {
+    const result = await taxService.getTaxReport(req.user.id, {
+      fy: req.query.fy,
+      format: req.query.format,
+    });
+    if (!result.success || req.query.format !== TAX_REPORT_FORMATS.CSV) {
+      return res.status(result.statusCode).json(result);
+    }
+    const { filename, contentType, content } = result.data;
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    });
+    return res.send(content);
+  },
+);
+
 router.get("/insights", verifyToken, async (req, res) => {
   const result = await investmentService.getPortfolioInsights(
     req.user.id,
@@ -101,6 +203,19 @@ router.get(
   }
 );
 
+router.get(
+  "/:id/cancellation-quote",
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await investmentService.getCancellationQuote(
+      req.user.id,
+      req.params.id,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
 router.put(
   "/:id",
   verifyToken,
@@ -115,6 +230,33 @@ router.put(
   }
 );
 
+router.post(
+  "/:id/redeem",
+  verifyToken,
+  validateRequest({ params: idParams, body: redeemSchema }),
+  async (req, res) => {
+    const result = await investmentService.redeemInvestment(
+      req.user.id,
+      req.params.id,
+      req.body.amount,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  "/:id/redemptions",
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await investmentService.getRedemptions(
+      req.user.id,
+      req.params.id,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
 router.delete(
   "/:id",
   verifyToken,
@@ -0,0 +1,56 @@
+const express = require('express');
+const Joi = require('joi');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const scheduler = require('../jobs');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+} = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Schemas
+const jobParams = Joi.object({
+  name: Joi.string().max(50).required(),
+});
+
+// List registered jobs with their last run (admin)
+router.get('/', verifyToken, requirePermission(PERMISSIONS.JOBS_MANAGE), async (_req, res) => {
+  const response = ApiResponse.success('Jobs fetched', {
+    jobs: scheduler.list(),
+  });
+  return res.status(response.statusCode).json(response);
+});
+
+// Trigger a job manually (admin)
+router.post(
+  '/:name/run',
+  verifyToken,
+  requirePermission(PERMISSIONS.JOBS_MANAGE),
+  validateRequest({ params: jobParams }),
+  async (req, res) => {
+    try {
+      const result = await scheduler.run(req.params.name);
+      const response = ApiResponse.success(
+        `Job ${req.params.name} completed`,
+        result,
+      );
+      return res.status(response.statusCode).json(response);
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`Manual job run failed (${req.params.name}):`, error);
+      }
+      const response = ApiResponse.error(
+        error.status ? error.message : ERROR_MESSAGES.SERVER_ERROR,
+        error.status || HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+      return res.status(response.statusCode).json(response);
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const Joi = require('joi');
+const kycService = require('../services/kycService');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const {
+  validateRequest,
+  validateFileUpload,
+} = require('../middleware/validation');
+const { uploadSingleFile } = require('../middleware/upload');
+const {
+  KYC_STATUS,
+  KYC_DOCUMENT_TYPES,
+  KYC_LIMITS,
+  PERMISSIONS,
+} = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const documentParams = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(KYC_DOCUMENT_TYPES))
+    .required()
+    .messages({
+      'any.only': 'Document type must be one of: pan, aadhaar, address_proof',
+    }),
+});
+
+const userParams = Joi.object({
+  userId: Joi.string().required(),
+});
+
+const userDocumentParams = userParams.concat(documentParams);
+
+const submissionsQuery = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(KYC_STATUS))
+    .default(KYC_STATUS.PENDING),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500)
+    .required()
+    .messages({
+      'any.required': 'Rejection reason is required',
+    }),
+});
+
+// User routes
+router.get('/', verifyToken, async (req, res) => {
+  const result = await kycService.getStatus(req.user.id);
+  return res.status(result.statusCode).json(result);
+});
+
+router.post(
+  '/documents/:type',
+  verifyToken,
+  validateRequest({ params: documentParams }),
+  uploadSingleFile({ param: 'type' }),
+  validateFileUpload({
+    allowedMimeTypes: KYC_LIMITS.ALLOWED_MIME_TYPES,
+    maxSize: KYC_LIMITS.MAX_FILE_SIZE,
+    required: true,
+  }),
+  async (req, res) => {
+    const result = await kycService.uploadDocument(
+      req.user.id,
+      req.params.type,
+      req.file,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+// Admin review routes
+router.get(
+  '/submissions',
+  verifyToken,
+  requirePermission(PERMISSIONS.KYC_READ),
+  validateRequest({ query: submissionsQuery }),
+  async (req, res) => {
+    const result = await kycService.getSubmissions(
+      { status: req.query.status },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/submissions/:userId/documents/:type',
+  verifyToken,
+  requirePermission(PERMISSIONS.KYC_READ),
+  validateRequest({ params: userDocumentParams }),
+  async (req, res) => {
+    const result = await kycService.getDocument(
+      req.params.userId,
+      req.params.type,
+    );
+    if (!result.success) {
+      return res.status(result.statusCode).json(result);
+    }
+    res.type(result.data.mimeType);
+    return res.sendFile(result.data.path);
+  },
+);
+
+router.post(
+  '/submissions/:userId/approve',
+  verifyToken,
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  validateRequest({ params: userParams }),
+  async (req, res) => {
+    const result = await kycService.approve(req.user.id, req.params.userId);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.post(
+  '/submissions/:userId/reject',
+  verifyToken,
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  validateRequest({ params: userParams, body: rejectSchema }),
+  async (req, res) => {
+    const result = await kycService.reject(
+      req.user.id,
+      req.params.userId,
+      req.body.reason,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require("express");
 const Joi = require("joi");
-const { verifyToken, requireAdmin } = require("../middleware/auth");
+const { verifyToken, requirePermission } = require("../middleware/auth");
 const { validateRequest } = require("../middleware/validation");
 const aiService = require("../services/aiService");
 const { databaseConfig } = require("../config/database");
+const { PERMISSIONS } = require("../utils/constants");
 const { ApiResponse } = require("../utils/helpers");
 
 const router = express.Router();
@@ -73,7 +74,7 @@ const buildWhere = (q) => {
 router.get(
   "/",
   verifyToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.LOGS_READ),
   validateRequest({ query: listQuery }),
   async (req, res) => {
     const { where, params } = buildWhere(req.query);
@@ -114,7 +115,7 @@ router.get(
 router.get(
   "/errors",
   verifyToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.LOGS_READ),
   validateRequest({ query: listQuery }),
   async (req, res) => {
     const { where, params } = buildWhere(req.query);
@@ -136,7 +137,7 @@ router.get(
 router.get(
   "/user/:userId",
   verifyToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.LOGS_READ),
   validateRequest({ params: userParams, query: listQuery }),
   async (req, res) => {
     const q = { ...req.query, userId: req.params.userId };
@@ -155,7 +156,7 @@ router.get(
 );
 
 // Analytics (admin)
-router.get("/analytics", verifyToken, requireAdmin, async (_req, res) => {
+router.get("/analytics", verifyToken, requirePermission(PERMISSIONS.LOGS_READ), async (_req, res) => {
   const topEndpointsSql = `
       SELECT endpoint, COUNT(*) as hits, AVG(execution_time_ms) as avg_ms
       FROM transaction_logs
@@ -184,7 +185,7 @@ router.get("/analytics", verifyToken, requireAdmin, async (_req, res) => {
 router.get(
   "/ai/error-summary",
   verifyToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.LOGS_READ),
   validateRequest({ query: listQuery }),
   async (req, res) => {
     const { where, params } = buildWhere(req.query);
@@ -0,0 +1,82 @@
+const express = require('express');
+const Joi = require('joi');
+const notificationService = require('../services/notificationService');
+const { verifyToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const listQuery = Joi.object({
+  unread: Joi.boolean().default(false),
+  type: Joi.string()
+    .valid(...Object.values(NOTIFICATION_TYPES))
+    .optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+});
+
+const idParams = Joi.object({
+  id: Joi.string().required().messages({
+    'any.required': 'ID is required',
+  }),
+});
+
+// Routes
+router.get(
+  '/',
+  verifyToken,
+  validateRequest({ query: listQuery }),
+  async (req, res) => {
+    const result = await notificationService.getNotifications(
+      req.user.id,
+      { unreadOnly: req.query.unread, type: req.query.type },
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get('/unread-count', verifyToken, async (req, res) => {
+  const result = await notificationService.getUnreadCount(req.user.id);
+  return res.status(result.statusCode).json(result);
+});
+
+router.put('/read-all', verifyToken, async (req, res) => {
+  const result = await notificationService.markAllAsRead(req.user.id);
+  return res.status(result.statusCode).json(result);
+});
+
+router.put(
+  '/:id/read',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await notificationService.markAsRead(
+      req.user.id,
+      req.params.id,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.delete(
+  '/:id',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await notificationService.deleteNotification(
+      req.user.id,
+      req.params.id,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
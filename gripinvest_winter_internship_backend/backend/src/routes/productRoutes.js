@@ -4,6 +4,7 @@ const rateLimit = require('express-rate-limit');
 const productsController = require('../controllers/productsController');
 const authMiddleware = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -242,12 +243,18 @@ const queryFiltersSchema = Joi.object({
   maxInvestment: Joi.number().min(100),
   taxBenefits: Joi.boolean(),
   issuer: Joi.string().trim().max(100),
-  search: Joi.string().trim().min(2).max(100),
-  sortBy: Joi.string().valid('yield', 'risk', 'tenure', 'popularity', 'name', 'created'),
+  search: Joi.string().trim().min(1).max(100),
+  // Unknown sort keys fall back to the default order in productService
+  sortBy: Joi.string().trim().max(30),
   page: Joi.number().integer().min(1).max(1000).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10)
 });
 
+// Admin listing: the same filters plus inactive products
+const adminFiltersSchema = queryFiltersSchema.keys({
+  status: Joi.string().valid('active', 'inactive', 'all').default('all'),
+});
+
 const searchQuerySchema = Joi.object({
   q: Joi.string().trim().min(2).max(100).required().messages({
     'string.min': 'Search query must be at least 2 characters',
@@ -301,6 +308,47 @@ router.get('/market-analysis',
   productsController.getMarketAnalysis
 );
 
+/**
+ * AUTHENTICATED USER ROUTES
+ * Registered before /:id so their paths are not read as product ids
+ */
+
+// GET /api/products/recommendations - Get personalized recommendations
+router.get(
+  '/recommendations',
+  productRateLimit,
+  authMiddleware.verifyToken,
+  validateRequest({
+    query: Joi.object({
+      limit: Joi.number().integer().min(1).max(50)
+        .default(10),
+    }),
+  }),
+  productsController.getRecommendations,
+);
+
+// GET /api/products/investment-strategy - Get investment strategy suggestions
+router.get(
+  '/investment-strategy',
+  aiRateLimit,
+  authMiddleware.verifyToken,
+  productsController.getInvestmentStrategy,
+);
+
+// GET /api/products/admin - All products, including inactive ones (admin)
+router.get(
+  '/admin',
+  adminRateLimit,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
+  validateRequest({ query: adminFiltersSchema }),
+  productsController.getAdminProducts,
+);
+
+/**
+ * PRODUCT DETAIL ROUTES
+ */
+
 // GET /api/products/:id - Get product by ID
 router.get('/:id',
   productRateLimit,
@@ -337,29 +385,6 @@ router.post('/compare',
   productsController.compareProducts
 );
 
-/**
- * AUTHENTICATED USER ROUTES
- */
-
-// GET /api/products/recommendations - Get personalized recommendations
-router.get('/recommendations',
-  productRateLimit,
-  authMiddleware.authenticateToken,
-  validateRequest({
-    query: Joi.object({
-      limit: Joi.number().integer().min(1).max(50).default(10)
-    })
-  }),
-  productsController.getRecommendations
-);
-
-// GET /api/products/investment-strategy - Get investment strategy suggestions
-router.get('/investment-strategy',
-  aiRateLimit,
-  authMiddleware.authenticateToken,
-  productsController.getInvestmentStrategy
-);
-
 /**
  * ADMIN ONLY ROUTES
  */
@@ -367,8 +392,8 @@ router.get('/investment-strategy',
 // POST /api/products - Create new product
 router.post('/',
   adminRateLimit,
-  authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   validateRequest({ body: createProductSchema }),
   productsController.createProduct
 );
@@ -376,8 +401,8 @@ router.post('/',
 // PUT /api/products/:id - Update existing product
 router.put('/:id',
   adminRateLimit,
-  authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   validateRequest({
     params: Joi.object({
       id: Joi.string().uuid().required().messages({
@@ -393,8 +418,8 @@ router.put('/:id',
 // DELETE /api/products/:id - Delete product
 router.delete('/:id',
   adminRateLimit,
-  authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   validateRequest({
     params: Joi.object({
       id: Joi.string().uuid().required().messages({
@@ -409,8 +434,8 @@ router.delete('/:id',
 // GET /api/products/:id/analytics - Get product analytics
 router.get('/:id/analytics',
   adminRateLimit,
-  authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   validateRequest({
     params: Joi.object({
       id: Joi.string().uuid().required().messages({
@@ -425,8 +450,8 @@ router.get('/:id/analytics',
 // POST /api/products/:id/generate-description - Generate AI description
 router.post('/:id/generate-description',
   aiRateLimit,
-  authMiddleware.authenticateToken,
-  authMiddleware.requireAdmin,
+  authMiddleware.verifyToken,
+  authMiddleware.requirePermission(PERMISSIONS.PRODUCTS_MANAGE),
   validateRequest({
     params: Joi.object({
       id: Joi.string().uuid().required().messages({
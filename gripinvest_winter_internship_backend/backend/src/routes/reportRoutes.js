@@ -0,0 +1,47 @@
+const express = require('express');
+const Joi = require('joi');
+const reportService = require('../services/reportService');
+const { verifyToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Schemas
+const listQuery = Joi.object({
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(10),
+});
+
+const idParams = Joi.object({
+  id: Joi.string().required().messages({
+    'any.required': 'ID is required',
+  }),
+});
+
+// Routes
+router.get(
+  '/',
+  verifyToken,
+  validateRequest({ query: listQuery }),
+  async (req, res) => {
+    const result = await reportService.getReports(req.user.id, {
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 10,
+    });
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/:id',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await reportService.getReport(req.user.id, req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
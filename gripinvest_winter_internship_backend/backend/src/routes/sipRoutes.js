@@ -0,0 +1,134 @@
+const express = require('express');
+const Joi = require('joi');
+const sipService = require('../services/sipService');
+const { verifyToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { SIP_FREQUENCIES, SIP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const createSchema = Joi.object({
+  productId: Joi.string().required().messages({
+    'any.required': 'Product ID is required',
+  }),
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be positive',
+      'any.required': 'Amount is required',
+    }),
+  frequency: Joi.string()
+    .valid(...Object.values(SIP_FREQUENCIES))
+    .required()
+    .messages({
+      'any.only': 'Frequency must be weekly, monthly or quarterly',
+      'any.required': 'Frequency is required',
+    }),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().allow(null).optional(),
+});
+
+const idParams = Joi.object({
+  id: Joi.string().required().messages({
+    'any.required': 'ID is required',
+  }),
+});
+
+const listQuery = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(SIP_STATUS))
+    .optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(10),
+});
+
+const calendarQuery = Joi.object({
+  days: Joi.number().integer().min(1).max(366)
+    .default(90),
+});
+
+// Routes
+router.post(
+  '/',
+  verifyToken,
+  validateRequest({ body: createSchema }),
+  async (req, res) => {
+    const result = await sipService.createSip(req.user.id, req.body);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/',
+  verifyToken,
+  validateRequest({ query: listQuery }),
+  async (req, res) => {
+    const result = await sipService.getSips(
+      req.user.id,
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 10,
+      },
+      { status: req.query.status },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/calendar',
+  verifyToken,
+  validateRequest({ query: calendarQuery }),
+  async (req, res) => {
+    const result = await sipService.getUpcomingInstallments(
+      req.user.id,
+      parseInt(req.query.days, 10) || 90,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/:id',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await sipService.getSip(req.user.id, req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.post(
+  '/:id/pause',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await sipService.pauseSip(req.user.id, req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.post(
+  '/:id/resume',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await sipService.resumeSip(req.user.id, req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.delete(
+  '/:id',
+  verifyToken,
+  validateRequest({ params: idParams }),
+  async (req, res) => {
+    const result = await sipService.cancelSip(req.user.id, req.params.id);
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const Joi = require('joi');
+const walletService = require('../services/walletService');
+const { verifyToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { TRANSACTION_TYPES, TRANSACTION_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Schemas
+const amountSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required()
+    .messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be positive',
+      'any.required': 'Amount is required',
+    }),
+  description: Joi.string().max(255).allow('', null),
+});
+
+const transactionsQuery = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(TRANSACTION_TYPES))
+    .optional(),
+  status: Joi.string()
+    .valid(...Object.values(TRANSACTION_STATUS))
+    .optional(),
+  investmentId: Joi.string().optional(),
+  page: Joi.number().integer().min(1).max(1000)
+    .default(1),
+  limit: Joi.number().integer().min(1).max(100)
+    .default(20),
+  fromDate: Joi.date().iso().optional(),
+  toDate: Joi.date().iso().optional(),
+});
+
+const referenceParams = Joi.object({
+  referenceNumber: Joi.string().max(50).required().messages({
+    'any.required': 'Reference number is required',
+  }),
+});
+
+// Routes
+router.post(
+  '/deposit',
+  verifyToken,
+  validateRequest({ body: amountSchema }),
+  async (req, res) => {
+    const result = await walletService.deposit(req.user.id, req.body.amount, {
+      description: req.body.description,
+    });
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.post(
+  '/withdraw',
+  verifyToken,
+  validateRequest({ body: amountSchema }),
+  async (req, res) => {
+    const result = await walletService.withdraw(req.user.id, req.body.amount, {
+      description: req.body.description,
+    });
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/transactions',
+  verifyToken,
+  validateRequest({ query: transactionsQuery }),
+  async (req, res) => {
+    const result = await walletService.getTransactions(
+      req.user.id,
+      {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+      },
+      {
+        type: req.query.type,
+        status: req.query.status,
+        investmentId: req.query.investmentId,
+        fromDate: req.query.fromDate,
+        toDate: req.query.toDate,
+      },
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+router.get(
+  '/transactions/:referenceNumber',
+  verifyToken,
+  validateRequest({ params: referenceParams }),
+  async (req, res) => {
+    const result = await walletService.getTransactionByReference(
+      req.user.id,
+      req.params.referenceNumber,
+    );
+    return res.status(result.statusCode).json(result);
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,470 @@
+const userModel = require('../models/userModel');
+const transactionModel = require('../models/transactionModel');
+const adminAuditModel = require('../models/adminAuditModel');
+const loginFailureModel = require('../models/loginFailureModel');
+const notificationService = require('./notificationService');
+const sessionService = require('./sessionService');
+const eventBus = require('../events/eventBus');
+const { databaseConfig } = require('../config/database');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  USER_ROLES,
+  ROLE_PERMISSIONS,
+  ROLE_RANKS,
+  PERMISSIONS,
+  ADMIN_ACTIONS,
+  TRANSACTION_TYPES,
+  TRANSACTION_DIRECTIONS,
+  NOTIFICATION_TYPES,
+  EVENT_TYPES,
+  LOGIN_FAILURE_SCOPES,
+} = require('../utils/constants');
+const {
+  ApiResponse,
+  PaginationHelper,
+  ErrorHandler,
+  FormatHelper,
+  AuthHelper,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const RECENT_ACTIVITY_LIMIT = 20;
+
+/**
+ * Admin Service
+ * Staff roles, the user directory behind the admin console and account
+ * actions. Every action is written to admin_audit_log in the same database
+ * transaction as the change itself.
+ *
+ * `actor` is the staff member acting: { id, email, role, ipAddress }.
+ */
+class AdminService {
+  /**
+   * Map thrown errors to responses; errors from ErrorHandler.createError
+   * carry their own status
+   */
+  handleError(error, label) {
+    if (error.status) {
+      return ApiResponse.error(error.message, error.status);
+    }
+    logger.error(`${label} error:`, error);
+    return ApiResponse.error(
+      ERROR_MESSAGES.SERVER_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    );
+  }
+
+  /**
+   * Refuse account actions on staff of the same or a higher role, so an ops
+   * admin cannot lock out, log out or debit a super admin
+   * @param {Object} actor - staff member acting
+   * @param {Object} target - user being acted on
+   */
+  assertCanManage(actor, target) {
+    const outranks = ROLE_RANKS[actor.role] > ROLE_RANKS[target.role];
+    if (
+      !outranks
+      && !AuthHelper.hasPermission(actor.role, PERMISSIONS.ROLES_MANAGE)
+    ) {
+      throw ErrorHandler.createError(
+        ERROR_MESSAGES.CANNOT_MANAGE_USER,
+        HTTP_STATUS.FORBIDDEN,
+      );
+    }
+  }
+
+  /**
+   * Every role with the permissions it grants
+   */
+  getRoles() {
+    const roles = Object.values(USER_ROLES).map((role) => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+    }));
+    return ApiResponse.success('Roles fetched successfully', roles);
+  }
+
+  /**
+   * Search users for the admin console
+   * @param {Object} filters - { search, role, isActive }
+   * @param {Object} pagination - { page, limit }
+   */
+  async getUsers(filters = {}, pagination = {}) {
+    try {
+      const { page, limit, offset } = PaginationHelper.getPaginationParams({
+        query: pagination,
+      });
+      const { users, total } = await userModel.findByCriteria(
+        filters,
+        offset,
+        limit,
+      );
+      return ApiResponse.success('Users fetched successfully', {
+        users,
+        pagination: PaginationHelper.formatPaginatedResponse(
+          [],
+          total,
+          page,
+          limit,
+        ).pagination,
+        total,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Get users');
+    }
+  }
+
+  /**
+   * One user with investment stats, recent API activity and the admin
+   * actions taken on the account
+   */
+  async getUser(userId) {
+    try {
+      const user = await userModel.findById(userId);
+      if (!user) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.USER_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      const [investmentStats, recentActivity, audit] = await Promise.all([
+        userModel.getInvestmentStats(userId),
+        userModel.getRecentActivity(userId, RECENT_ACTIVITY_LIMIT),
+        adminAuditModel.findAll({ targetUserId: userId }, { limit: 20 }),
+      ]);
+
+      return ApiResponse.success('User fetched successfully', {
+        user,
+        investmentStats,
+        recentActivity,
+        adminActions: audit.entries,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Get user');
+    }
+  }
+
+  /**
+   * Assign a role. Staff cannot change their own role, so there is always
+   * someone else to undo a mistake.
+   * @param {Object} actor - staff member making the change
+   * @param {string} userId - target user
+   * @param {string} role - USER_ROLES value
+   */
+  async updateUserRole(actor, userId, role) {
+    try {
+      if (actor.id === userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.CANNOT_CHANGE_OWN_ROLE,
+          HTTP_STATUS.FORBIDDEN,
+        );
+      }
+
+      const user = await databaseConfig.executeTransaction(async (tx) => {
+        const current = await userModel.findById(userId, false, tx);
+        if (!current) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+        if (current.role === role) return current;
+
+        await userModel.updateRole(userId, role, tx);
+        await adminAuditModel.create(
+          {
+            actor,
+            action: ADMIN_ACTIONS.ROLE_CHANGED,
+            targetUserId: userId,
+            details: { from: current.role, to: role },
+          },
+          tx,
+        );
+        return userModel.findById(userId, false, tx);
+      });
+
+      return ApiResponse.success('Role updated successfully', user);
+    } catch (error) {
+      return this.handleError(error, 'Update user role');
+    }
+  }
+
+  /**
+   * Deactivate or reactivate an account. Deactivation also ends the user's
+   * sessions; verifyToken already rejects inactive users on every request.
+   * @param {Object} actor - staff member
+   * @param {string} userId - target user
+   * @param {boolean} isActive - new state
+   * @param {string} reason - optional note for the audit trail
+   */
+  async setUserActive(actor, userId, isActive, reason) {
+    try {
+      if (!isActive && actor.id === userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.CANNOT_DEACTIVATE_SELF,
+          HTTP_STATUS.FORBIDDEN,
+        );
+      }
+
+      const user = await databaseConfig.executeTransaction(async (tx) => {
+        const current = await userModel.findById(userId, false, tx);
+        if (!current) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+        this.assertCanManage(actor, current);
+        if (!(await userModel.setActive(userId, isActive, tx))) {
+          throw ErrorHandler.createError(
+            isActive
+              ? ERROR_MESSAGES.USER_ALREADY_ACTIVE
+              : ERROR_MESSAGES.USER_ALREADY_INACTIVE,
+            HTTP_STATUS.CONFLICT,
+          );
+        }
+
+        const sessionsRevoked = isActive
+          ? 0
+          : await userModel.revokeSessions(userId, tx);
+        if (!isActive) {
+          tx.afterCommit(() => sessionService.invalidateUser(userId));
+        }
+        await adminAuditModel.create(
+          {
+            actor,
+            action: isActive
+              ? ADMIN_ACTIONS.USER_REACTIVATED
+              : ADMIN_ACTIONS.USER_DEACTIVATED,
+            targetUserId: userId,
+            reason,
+            details: isActive ? {} : { sessionsRevoked },
+          },
+          tx,
+        );
+        return userModel.findById(userId, false, tx);
+      });
+
+      return ApiResponse.success(
+        isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+        user,
+      );
+    } catch (error) {
+      return this.handleError(error, 'Set user active');
+    }
+  }
+
+  /**
+   * Force-logout: end every session of a user, including the access tokens
+   * issued to those sessions
+   */
+  async revokeUserSessions(actor, userId, reason) {
+    try {
+      const sessionsRevoked = await databaseConfig.executeTransaction(
+        async (tx) => {
+          const user = await userModel.findById(userId, false, tx);
+          if (!user) {
+            throw ErrorHandler.createError(
+              ERROR_MESSAGES.USER_NOT_FOUND,
+              HTTP_STATUS.NOT_FOUND,
+            );
+          }
+          this.assertCanManage(actor, user);
+
+          const count = await userModel.revokeSessions(userId, tx);
+          tx.afterCommit(() => sessionService.invalidateUser(userId));
+          await adminAuditModel.create(
+            {
+              actor,
+              action: ADMIN_ACTIONS.SESSIONS_REVOKED,
+              targetUserId: userId,
+              reason,
+              details: { sessionsRevoked: count },
+            },
+            tx,
+          );
+          return count;
+        },
+      );
+
+      return ApiResponse.success('User sessions revoked successfully', {
+        sessionsRevoked,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Revoke user sessions');
+    }
+  }
+
+  /**
+   * Credit (positive amount) or debit (negative amount) a wallet outside the
+   * normal flows, with a ledger entry and the reason on record
+   * @param {Object} actor - staff member
+   * @param {string} userId - target user
+   * @param {Object} adjustment - { amount, reason }
+   */
+  async adjustBalance(actor, userId, { amount, reason }) {
+    try {
+      if (actor.id === userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.CANNOT_ADJUST_OWN_BALANCE,
+          HTTP_STATUS.FORBIDDEN,
+        );
+      }
+
+      const value = Math.abs(amount);
+      const isCredit = amount > 0;
+
+      const result = await databaseConfig.executeTransaction(async (tx) => {
+        const user = await userModel.findByIdForUpdate(userId, tx);
+        if (!user) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+        this.assertCanManage(actor, user);
+        if (!isCredit && user.accountBalance < value) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.INSUFFICIENT_BALANCE,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const updatedUser = await userModel.updateBalance(
+          userId,
+          value,
+          isCredit ? 'add' : 'subtract',
+          tx,
+        );
+        const transaction = await transactionModel.create(
+          {
+            userId,
+            type: TRANSACTION_TYPES.ADJUSTMENT,
+            direction: isCredit
+              ? TRANSACTION_DIRECTIONS.CREDIT
+              : TRANSACTION_DIRECTIONS.DEBIT,
+            amount: value,
+            description: `Balance adjustment: ${reason}`,
+          },
+          tx,
+        );
+        const auditEntry = await adminAuditModel.create(
+          {
+            actor,
+            action: ADMIN_ACTIONS.BALANCE_ADJUSTED,
+            targetUserId: userId,
+            reason,
+            details: {
+              amount,
+              balanceBefore: user.accountBalance,
+              balanceAfter: updatedUser.accountBalance,
+              referenceNumber: transaction.referenceNumber,
+            },
+          },
+          tx,
+        );
+        return { transaction, balance: updatedUser.accountBalance, auditEntry };
+      });
+
+      eventBus.publish(userId, EVENT_TYPES.BALANCE_UPDATED, {
+        balance: result.balance,
+      });
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.SYSTEM,
+        title: 'Balance adjusted',
+        message: `Your wallet was ${isCredit ? 'credited' : 'debited'} ${FormatHelper.formatCurrency(value)}: ${reason}`,
+        actionUrl: '/portfolio',
+      });
+
+      return ApiResponse.success(
+        'Balance adjusted successfully',
+        result,
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      return this.handleError(error, 'Adjust balance');
+    }
+  }
+
+  /**
+   * Emails and IPs currently locked out after failed logins
+   * @param {Object} filters - { scope, search }
+   * @param {Object} pagination - { page, limit }
+   */
+  async getLockouts(filters = {}, pagination = {}) {
+    try {
+      const list = await loginFailureModel.findLocked(filters, pagination);
+      return ApiResponse.success('Lockouts fetched successfully', list);
+    } catch (error) {
+      return this.handleError(error, 'Get lockouts');
+    }
+  }
+
+  /**
+   * Lift a failed-login lockout before it expires. The unlock link emailed
+   * for it stops working.
+   * @param {Object} actor - staff member
+   * @param {number} lockoutId - login_failures id
+   * @param {string} reason - optional note for the audit trail
+   */
+  async clearLockout(actor, lockoutId, reason) {
+    try {
+      const lockout = await databaseConfig.executeTransaction(async (tx) => {
+        const current = await loginFailureModel.findLockedForUpdate(lockoutId, tx);
+        if (!current) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.LOCKOUT_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+
+        const user = current.scope === LOGIN_FAILURE_SCOPES.EMAIL
+          ? await userModel.findByEmail(current.identifier)
+          : null;
+        await loginFailureModel.clear(lockoutId, tx);
+        await adminAuditModel.create(
+          {
+            actor,
+            action: ADMIN_ACTIONS.LOCKOUT_CLEARED,
+            targetUserId: user ? user.id : null,
+            reason,
+            details: {
+              scope: current.scope,
+              identifier: current.identifier,
+              failedCount: current.failedCount,
+              lockedUntil: current.lockedUntil,
+            },
+          },
+          tx,
+        );
+        return current;
+      });
+
+      return ApiResponse.success('Lockout cleared successfully', {
+        id: lockout.id,
+        scope: lockout.scope,
+        identifier: lockout.identifier,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Clear lockout');
+    }
+  }
+
+  /**
+   * Audit trail, newest first
+   * @param {Object} filters - { actorId, targetUserId, action, from, to }
+   * @param {Object} pagination - { page, limit }
+   */
+  async getAuditLog(filters = {}, pagination = {}) {
+    try {
+      const list = await adminAuditModel.findAll(filters, pagination);
+      return ApiResponse.success('Audit log fetched successfully', list);
+    } catch (error) {
+      return this.handleError(error, 'Get audit log');
+    }
+  }
+}
+
+module.exports = new AdminService();
@@ -1196,6 +1196,10 @@ Asset Allocation:
 ${currentPortfolio.allocation ? Object.entries(currentPortfolio.allocation)
   .map(([asset, data]) => `- ${asset}: ₹${data.value?.toLocaleString('en-IN')} (${data.percentage}%)`).join('\n') : 'No allocation data'}
 
+Active SIPs:
+${currentPortfolio.sips?.length ? currentPortfolio.sips
+    .map((sip) => `- ${sip.productName}: ₹${sip.amount?.toLocaleString('en-IN')} ${sip.frequency}`).join('\n') : 'No active SIPs'}
+
 User Goals:
 - Target Return: ${userGoals.targetReturn || 'Not specified'}%
 - Investment Horizon: ${userGoals.timeHorizon || 'Not specified'}
@@ -1,13 +1,23 @@
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
 const { databaseConfig } = require("../config/database");
+const notificationService = require("./notificationService");
+const emailService = require("./emailService");
+const twoFactorService = require("./twoFactorService");
+const sessionService = require("./sessionService");
+const loginProtectionService = require("./loginProtectionService");
+const sessionModel = require("../models/sessionModel");
+const notificationModel = require("../models/notificationModel");
 const {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   CACHE_DURATIONS,
   VALIDATION_RULES,
+  NOTIFICATION_TYPES,
+  EMAIL_TYPES,
+  JWT_TYPES,
+  TWO_FACTOR_CONFIG,
 } = require("../utils/constants");
 const {
   ApiResponse,
@@ -21,36 +31,6 @@ const {
  * Handles all authentication-related business logic
  */
 class AuthService {
-  constructor() {
-    this.emailTransporter = this.createEmailTransporter();
-  }
-
-  /**
-   * Create email transporter for sending emails
-   * @returns {Object} Nodemailer transporter
-   */
-  createEmailTransporter() {
-    if (!process.env.SMTP_HOST) {
-      console.warn(
-        "Email configuration not found. Email features will be disabled."
-      );
-      return null;
-    }
-
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT) || 587,
-      secure: false, // Use TLS
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-      tls: {
-        rejectUnauthorized: false,
-      },
-    });
-  }
-
   /**
    * Register a new user
    * @param {Object} userData - User registration data
@@ -192,12 +172,16 @@ class AuthService {
   }
 
   /**
-   * Authenticate user login
+   * Authenticate user login. Users with two-factor authentication get a
+   * short-lived challenge token instead of session tokens, to be exchanged
+   * with verifyTwoFactorLogin. Wrong credentials count towards the failed
+   * login limits of the email and the IP (loginProtectionService).
    * @param {string} email - User email
    * @param {string} password - User password
    * @param {string} ipAddress - Client IP address
    * @param {string} userAgent - Client user agent
-   * @returns {Promise<ApiResponse>} Login result with tokens
+   * @returns {Promise<ApiResponse>} Login result with tokens, or
+   *   { twoFactorRequired, challengeToken, expiresIn }
    */
   async loginUser(email, password, ipAddress, userAgent) {
     try {
@@ -213,7 +197,7 @@ class AuthService {
       const userQuery = `
         SELECT id, first_name, last_name, email, password_hash, 
                risk_appetite, is_active, email_verified, last_login_at,
-               account_balance
+               account_balance, role, two_factor_enabled, token_version
         FROM users 
         WHERE email = ?
       `;
@@ -223,6 +207,7 @@ class AuthService {
       ]);
 
       if (users.length === 0) {
+        await loginProtectionService.recordFailure(email, ipAddress);
         return ApiResponse.error(
           ERROR_MESSAGES.INVALID_CREDENTIALS,
           HTTP_STATUS.UNAUTHORIZED
@@ -245,63 +230,94 @@ class AuthService {
         user.password_hash
       );
       if (!isPasswordValid) {
+        await loginProtectionService.recordFailure(email, ipAddress);
         return ApiResponse.error(
           ERROR_MESSAGES.INVALID_CREDENTIALS,
           HTTP_STATUS.UNAUTHORIZED
         );
       }
+      await loginProtectionService.recordSuccess(email);
 
-      // Generate tokens
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        role: "user",
-      };
+      if (user.two_factor_enabled) {
+        const challengeToken = AuthHelper.generateToken(
+          { userId: user.id, email: user.email },
+          JWT_TYPES.TWO_FACTOR,
+          TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN,
+        );
+        return ApiResponse.success(SUCCESS_MESSAGES.TWO_FACTOR_REQUIRED, {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRES_IN,
+        });
+      }
 
-      const accessToken = AuthHelper.generateToken(tokenPayload, "access");
-      const refreshToken = AuthHelper.generateToken(tokenPayload, "refresh");
+      return await this.createSession(user, ipAddress, userAgent);
+    } catch (error) {
+      console.error("User login error:", error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
 
-      // Store refresh token in session
-      const sessionQuery = `
-        INSERT INTO user_sessions (
-          user_id, refresh_token, device_info, ip_address, expires_at
-        ) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL 7 DAY))
-      `;
+  /**
+   * Second login step: exchange the challenge token and an authenticator
+   * or recovery code for session tokens
+   * @param {string} challengeToken - Token returned by loginUser
+   * @param {string} code - 6-digit TOTP code or a recovery code
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<ApiResponse>} Login result with tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, code, ipAddress, userAgent) {
+    try {
+      let decoded;
+      try {
+        decoded = AuthHelper.verifyToken(challengeToken, JWT_TYPES.TWO_FACTOR);
+      } catch (error) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+          HTTP_STATUS.UNAUTHORIZED,
+        );
+      }
 
-      await databaseConfig.executeQuery(sessionQuery, [
-        user.id,
-        refreshToken,
-        userAgent || "Unknown Device",
-        ipAddress,
-      ]);
+      const users = await databaseConfig.executeQuery(
+        `SELECT id, first_name, last_name, email, risk_appetite, is_active,
+                email_verified, last_login_at, account_balance, role, token_version
+         FROM users
+         WHERE id = ?`,
+        [decoded.userId],
+      );
+      const user = users[0];
 
-      // Update last login
-      const updateLoginQuery =
-        "UPDATE users SET last_login_at = NOW() WHERE id = ?";
-      await databaseConfig.executeQuery(updateLoginQuery, [user.id]);
+      if (!user || !user.is_active) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVALID_TWO_FACTOR_CHALLENGE,
+          HTTP_STATUS.UNAUTHORIZED,
+        );
+      }
 
-      // Remove password hash from response
-      const userProfile = {
-        id: user.id,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        email: user.email,
-        riskAppetite: user.risk_appetite,
-        emailVerified: user.email_verified,
-        accountBalance: user.account_balance,
-        lastLogin: user.last_login_at,
-      };
+      const check = await twoFactorService.verifyLoginCode(user.id, code);
+      if (!check.valid) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+          HTTP_STATUS.UNAUTHORIZED,
+        );
+      }
 
-      return ApiResponse.success(SUCCESS_MESSAGES.LOGIN_SUCCESS, {
-        user: userProfile,
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-        },
-      });
+      if (check.method === "recovery_code") {
+        await notificationService.notify(user.id, {
+          type: NOTIFICATION_TYPES.SECURITY,
+          title: "Recovery code used",
+          message: `A recovery code was used to sign in from IP ${ipAddress || "unknown"}. ${check.recoveryCodesRemaining} code(s) left.`,
+          actionUrl: "/profile",
+        });
+      }
+
+      return await this.createSession(user, ipAddress, userAgent);
     } catch (error) {
-      console.error("User login error:", error);
+      console.error("Two-factor login error:", error);
       return ApiResponse.error(
         ERROR_MESSAGES.SERVER_ERROR,
         HTTP_STATUS.INTERNAL_SERVER_ERROR
@@ -309,6 +325,82 @@ class AuthService {
     }
   }
 
+  /**
+   * Issue tokens and a session for an authenticated user
+   * @param {Object} user - users row
+   * @param {string} ipAddress - Client IP address
+   * @param {string} userAgent - Client user agent
+   * @returns {Promise<ApiResponse>} Login result with tokens
+   */
+  async createSession(user, ipAddress, userAgent) {
+    // Generate tokens; sid names the session family so it can be revoked
+    const familyId = FormatHelper.generateUUID();
+    const tokenPayload = {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sid: familyId,
+      ver: user.token_version,
+    };
+
+    const accessToken = AuthHelper.generateToken(tokenPayload, "access");
+    const refreshToken = AuthHelper.generateToken(tokenPayload, "refresh");
+
+    // A device is new when none of the user's earlier sessions came from it
+    const deviceInfo = userAgent || "Unknown Device";
+    const [history] = await databaseConfig.executeQuery(
+      `SELECT COUNT(*) as sessions, COALESCE(SUM(device_info = ?), 0) as known
+       FROM user_sessions WHERE user_id = ?`,
+      [deviceInfo, user.id],
+    );
+    const isNewDevice = history.sessions > 0 && Number(history.known) === 0;
+
+    // Start a new session family with the refresh token's hash
+    await sessionModel.create({
+      userId: user.id,
+      refreshToken,
+      familyId,
+      deviceInfo,
+      ipAddress,
+    });
+
+    if (isNewDevice) {
+      await notificationService.notify(user.id, {
+        type: NOTIFICATION_TYPES.SECURITY,
+        title: "New device sign-in",
+        message: `Your account was accessed from a new device (${deviceInfo}) at IP ${ipAddress || "unknown"}. If this wasn't you, change your password now.`,
+        actionUrl: "/profile",
+      });
+    }
+
+    // Update last login
+    const updateLoginQuery = "UPDATE users SET last_login_at = NOW() WHERE id = ?";
+    await databaseConfig.executeQuery(updateLoginQuery, [user.id]);
+
+    // Remove password hash from response
+    const userProfile = {
+      id: user.id,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      email: user.email,
+      riskAppetite: user.risk_appetite,
+      emailVerified: user.email_verified,
+      accountBalance: user.account_balance,
+      lastLogin: user.last_login_at,
+      role: user.role,
+      permissions: AuthHelper.getPermissions(user.role),
+    };
+
+    return ApiResponse.success(SUCCESS_MESSAGES.LOGIN_SUCCESS, {
+      user: userProfile,
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+      },
+    });
+  }
+
   /**
    * Initiate password reset process
    * @param {string} email - User email
@@ -451,7 +543,9 @@ class AuthService {
       // Update password and mark token as used
       const updateQueries = [
         {
-          sql: "UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?",
+          sql: `UPDATE users
+                SET password_hash = ?, token_version = token_version + 1, updated_at = NOW()
+                WHERE id = ?`,
           params: [passwordHash, tokenData.user_id],
         },
         {
@@ -465,6 +559,17 @@ class AuthService {
       ];
 
       await databaseConfig.executeTransaction(updateQueries);
+      sessionService.invalidateUser(tokenData.user_id);
+      // The reset proves the owner holds the mailbox, so lift any lockout
+      await loginProtectionService.recordSuccess(tokenData.email);
+
+      await notificationService.notify(tokenData.user_id, {
+        type: NOTIFICATION_TYPES.SECURITY,
+        title: "Password reset",
+        message:
+          "Your password was reset and all other sessions were signed out. If this wasn't you, contact support immediately.",
+        actionUrl: "/profile",
+      });
 
       return ApiResponse.success(SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS);
     } catch (error) {
@@ -486,7 +591,8 @@ class AuthService {
       const profileQuery = `
         SELECT id, first_name, last_name, email, phone, 
                date_of_birth, risk_appetite, account_balance,
-               email_verified, kyc_status, last_login_at, created_at
+               email_verified, kyc_status, last_login_at, created_at, role,
+               two_factor_enabled
         FROM users 
         WHERE id = ? AND is_active = TRUE
       `;
@@ -531,6 +637,9 @@ class AuthService {
         kycStatus: profile.kyc_status,
         lastLogin: profile.last_login_at,
         memberSince: profile.created_at,
+        role: profile.role,
+        permissions: AuthHelper.getPermissions(profile.role),
+        twoFactorEnabled: !!profile.two_factor_enabled,
         preferences: {
           notifications: {
             email: true,
@@ -705,16 +814,8 @@ class AuthService {
   async logoutUser(userId, refreshToken) {
     try {
       if (refreshToken) {
-        // Invalidate specific session
-        const invalidateQuery = `
-          UPDATE user_sessions 
-          SET is_active = FALSE 
-          WHERE user_id = ? AND refresh_token = ?
-        `;
-        await databaseConfig.executeQuery(invalidateQuery, [
-          userId,
-          refreshToken,
-        ]);
+        // Invalidate the session this token belongs to
+        await sessionModel.revokeByToken(userId, refreshToken);
       } else {
         // Invalidate all sessions for the user
         const invalidateAllQuery = `
@@ -724,6 +825,7 @@ class AuthService {
         `;
         await databaseConfig.executeQuery(invalidateAllQuery, [userId]);
       }
+      sessionService.invalidateUser(userId);
 
       return ApiResponse.success(SUCCESS_MESSAGES.LOGOUT_SUCCESS);
     } catch (error) {
@@ -736,108 +838,37 @@ class AuthService {
   }
 
   /**
-   * Send welcome email to new user
+   * Queue the welcome email for a new user
    * @param {string} email - User email
    * @param {string} firstName - User first name
    * @param {string} verificationToken - Email verification token
    */
   async sendWelcomeEmail(email, firstName, verificationToken) {
-    if (!this.emailTransporter) {
-      console.log("Email not configured, skipping welcome email");
-      return;
-    }
-
-    try {
-      const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-
-      const mailOptions = {
-        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-        to: email,
-        subject: "Welcome to Grip Invest - Verify Your Email",
-        html: `
-          <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
-            <h2 style="color: #2563eb;">Welcome to Grip Invest, ${firstName}! 🎉</h2>
-            <p>Thank you for joining Grip Invest, your trusted investment platform.</p>
-            <p>To get started, please verify your email address by clicking the button below:</p>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${verificationUrl}" 
-                 style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                Verify Email Address
-              </a>
-            </div>
-            <p>Or copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #6b7280;">${verificationUrl}</p>
-            <p style="margin-top: 30px; color: #6b7280; font-size: 14px;">
-              This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.
-            </p>
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-            <p style="color: #6b7280; font-size: 12px;">
-              © 2025 Grip Invest. All rights reserved.
-            </p>
-          </div>
-        `,
-      };
-
-      await this.emailTransporter.sendMail(mailOptions);
-      console.log(`Welcome email sent to ${email}`);
-    } catch (error) {
-      console.error("Welcome email sending error:", error);
-    }
+    await emailService.queue(EMAIL_TYPES.WELCOME, {
+      to: email,
+      data: {
+        firstName,
+        verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`,
+      },
+    });
   }
 
   /**
-   * Send password reset email
+   * Queue the password reset email
    * @param {string} email - User email
    * @param {string} firstName - User first name
    * @param {string} resetToken - Password reset token
    * @param {string} otp - One-time password
    */
   async sendPasswordResetEmail(email, firstName, resetToken, otp) {
-    if (!this.emailTransporter) {
-      console.log("Email not configured, skipping password reset email");
-      return;
-    }
-
-    try {
-      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-
-      const mailOptions = {
-        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
-        to: email,
-        subject: "Password Reset Request - Grip Invest",
-        html: `
-          <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
-            <h2 style="color: #dc2626;">Password Reset Request 🔐</h2>
-            <p>Hi ${firstName},</p>
-            <p>We received a request to reset your password for your Grip Invest account.</p>
-            <p>Your verification code is: <strong style="font-size: 24px; color: #2563eb;">${otp}</strong></p>
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${resetUrl}" 
-                 style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                Reset Password
-              </a>
-            </div>
-            <p>Or copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #6b7280;">${resetUrl}</p>
-            <p style="margin-top: 30px; color: #dc2626; font-weight: bold;">
-              This reset link and code will expire in 1 hour.
-            </p>
-            <p style="color: #6b7280;">
-              If you didn't request this password reset, please ignore this email and ensure your account is secure.
-            </p>
-            <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-            <p style="color: #6b7280; font-size: 12px;">
-              © 2025 Grip Invest. All rights reserved.
-            </p>
-          </div>
-        `,
-      };
-
-      await this.emailTransporter.sendMail(mailOptions);
-      console.log(`Password reset email sent to ${email}`);
-    } catch (error) {
-      console.error("Password reset email sending error:", error);
-    }
+    await emailService.queue(EMAIL_TYPES.PASSWORD_RESET, {
+      to: email,
+      data: {
+        firstName,
+        otp,
+        resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+      },
+    });
   }
 
   /**
@@ -898,11 +929,14 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * The presented token is retired; presenting it again later means it was
+   * copied, so the whole session family is revoked and the user notified.
    * @param {string} refreshToken - Refresh token
-   * @returns {Promise<ApiResponse>} New access token
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<ApiResponse>} New access and refresh tokens
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, ipAddress) {
     try {
       if (!refreshToken) {
         return ApiResponse.error(
@@ -911,55 +945,97 @@ class AuthService {
         );
       }
 
-      // Verify refresh token
-      const decoded = AuthHelper.verifyToken(refreshToken, "refresh");
-
-      // Check if session is still valid
-      const sessionQuery = `
-        SELECT us.user_id, u.email, u.is_active
-        FROM user_sessions us
-        JOIN users u ON us.user_id = u.id
-        WHERE us.refresh_token = ? AND us.expires_at > NOW() AND us.is_active = TRUE
-      `;
-
-      const sessions = await databaseConfig.executeQuery(sessionQuery, [
-        refreshToken,
-      ]);
-
-      if (sessions.length === 0) {
+      try {
+        AuthHelper.verifyToken(refreshToken, "refresh");
+      } catch (error) {
         return ApiResponse.error(
-          "Invalid or expired refresh token",
+          ERROR_MESSAGES.INVALID_REFRESH_TOKEN,
           HTTP_STATUS.UNAUTHORIZED
         );
       }
 
-      const session = sessions[0];
+      const outcome = await databaseConfig.executeTransaction(async (tx) => {
+        const session = await sessionModel.findByTokenForUpdate(refreshToken, tx);
+        if (!session) {
+          return { error: ERROR_MESSAGES.INVALID_REFRESH_TOKEN };
+        }
 
-      if (!session.is_active) {
-        return ApiResponse.error(
-          "Account is deactivated",
-          HTTP_STATUS.FORBIDDEN
+        if (session.rotatedAt) {
+          // A rotated token came back: either the client or an attacker holds
+          // a stolen copy, so end the session for both
+          await sessionModel.revokeFamily(session.familyId, tx);
+          tx.afterCommit(() => sessionService.invalidateUser(session.userId));
+          const notification = await notificationModel.create(
+            {
+              userId: session.userId,
+              type: NOTIFICATION_TYPES.SECURITY,
+              title: "Suspicious session activity",
+              message: `An old sign-in token for your session on ${session.deviceInfo || "an unknown device"} was used again from IP ${ipAddress || "unknown"}, so that session was signed out everywhere. If you didn't do this, change your password now.`,
+              actionUrl: "/profile",
+            },
+            tx,
+          );
+          tx.afterCommit(() => notificationService.publish(notification));
+          return { error: ERROR_MESSAGES.REFRESH_TOKEN_REUSED };
+        }
+
+        if (!session.isActive || new Date(session.expiresAt) <= new Date()) {
+          return { error: ERROR_MESSAGES.INVALID_REFRESH_TOKEN };
+        }
+
+        const [user] = await tx.executeQuery(
+          "SELECT id, email, is_active, role, token_version FROM users WHERE id = ?",
+          [session.userId],
         );
-      }
+        if (!user || !user.is_active) {
+          return {
+            error: "Account is deactivated",
+            status: HTTP_STATUS.FORBIDDEN,
+          };
+        }
 
-      // Generate new access token
-      const tokenPayload = {
-        userId: session.user_id,
-        email: session.email,
-        role: "user",
-      };
+        const tokenPayload = {
+          userId: user.id,
+          email: user.email,
+          role: user.role,
+          sid: session.familyId,
+          ver: user.token_version,
+        };
+        const tokens = {
+          accessToken: AuthHelper.generateToken(tokenPayload, "access"),
+          refreshToken: AuthHelper.generateToken(tokenPayload, "refresh"),
+        };
+
+        await sessionModel.markRotated(session.id, tx);
+        await sessionModel.create(
+          {
+            userId: user.id,
+            refreshToken: tokens.refreshToken,
+            familyId: session.familyId,
+            deviceInfo: session.deviceInfo,
+            ipAddress: ipAddress || session.ipAddress,
+          },
+          tx,
+        );
+        return { tokens };
+      });
 
-      const newAccessToken = AuthHelper.generateToken(tokenPayload, "access");
+      if (outcome.error) {
+        return ApiResponse.error(
+          outcome.error,
+          outcome.status || HTTP_STATUS.UNAUTHORIZED,
+        );
+      }
 
       return ApiResponse.success("Token refreshed successfully", {
-        accessToken: newAccessToken,
+        ...outcome.tokens,
         expiresIn: process.env.JWT_EXPIRES_IN || "24h",
       });
     } catch (error) {
       console.error("Token refresh error:", error);
       return ApiResponse.error(
-        "Invalid or expired refresh token",
-        HTTP_STATUS.UNAUTHORIZED
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
       );
     }
   }
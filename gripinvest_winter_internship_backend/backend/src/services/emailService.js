@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const userModel = require('../models/userModel');
+const emailOutboxModel = require('../models/emailOutboxModel');
+const templateEngine = require('../emails/templateEngine');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  EMAIL_PREFERENCE_FLAGS,
+  EMAIL_CONFIG,
+  EMAIL_STATUS,
+} = require('../utils/constants');
+const { ApiResponse, AsyncHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Email Service
+ * Renders templated emails and delivers them over SMTP, or to a local outbox
+ * directory in development so mails can be inspected offline. Emails are
+ * normally queued in the email_outbox table and delivered by the
+ * email_outbox job, which retries with backoff and dead-letters.
+ */
+class EmailService {
+  constructor() {
+    this.transport = undefined;
+  }
+
+  /**
+   * Which transport to use: EMAIL_TRANSPORT when set, otherwise SMTP when
+   * configured, otherwise the outbox outside production
+   */
+  getTransportName() {
+    if (EMAIL_CONFIG.TRANSPORT) return EMAIL_CONFIG.TRANSPORT;
+    if (process.env.SMTP_HOST) return 'smtp';
+    return process.env.NODE_ENV === 'production' ? 'none' : 'outbox';
+  }
+
+  /**
+   * Lazily created transport; null when email is disabled
+   */
+  getTransport() {
+    if (this.transport !== undefined) return this.transport;
+
+    const name = this.getTransportName();
+    if (name === 'smtp') {
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: false, // Use TLS
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+        tls: {
+          rejectUnauthorized: false,
+        },
+      });
+    } else if (name === 'outbox') {
+      this.transport = this.createOutboxTransport(EMAIL_CONFIG.OUTBOX_DIR);
+    } else {
+      logger.warn(
+        'Email configuration not found. Email features will be disabled.',
+      );
+      this.transport = null;
+    }
+    return this.transport;
+  }
+
+  /**
+   * Dev transport: each message is written to `dir` as a raw .eml file plus a
+   * .json file with the rendered parts
+   * @param {string} dir - outbox directory, relative to the backend root
+   */
+  createOutboxTransport(dir) {
+    const stream = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+
+    return {
+      sendMail: async (mail) => {
+        const info = await stream.sendMail(mail);
+        const outboxDir = path.resolve(dir);
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const template = mail.headers['X-Email-Template'];
+        const recipient = String(mail.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const basename = `${Date.now()}-${template.replace('@', '-v')}-${recipient}`;
+        const emlPath = path.join(outboxDir, `${basename}.eml`);
+
+        await fs.promises.writeFile(emlPath, info.message);
+        await fs.promises.writeFile(
+          path.join(outboxDir, `${basename}.json`),
+          JSON.stringify(
+            {
+              to: mail.to,
+              from: mail.from,
+              subject: mail.subject,
+              template,
+              text: mail.text,
+              html: mail.html,
+              createdAt: new Date().toISOString(),
+            },
+            null,
+            2,
+          ),
+        );
+        return { ...info, path: emlPath };
+      },
+    };
+  }
+
+  /**
+   * Whether the user's preferences allow this email. Types without a
+   * preference flag (welcome, password reset) are always allowed; users
+   * without a preferences row get the defaults, which are all on.
+   */
+  async isAllowed(userId, type) {
+    const flag = EMAIL_PREFERENCE_FLAGS[type];
+    if (!flag || !userId) return true;
+
+    const preferences = await userModel.getPreferences(userId);
+    if (!preferences) return true;
+    return !!preferences.notification_email && !!preferences[flag];
+  }
+
+  /**
+   * Render a template and hand it to the transport. Throws on failure.
+   * @returns {Promise<string>} template identifier, e.g. "welcome@1"
+   */
+  async deliver(type, { to, data = {}, version = null }) {
+    const transport = this.getTransport();
+    if (!transport) {
+      throw new Error('Email transport is not configured');
+    }
+
+    const message = templateEngine.render(type, data, version);
+    const template = `${message.type}@${message.version}`;
+    await transport.sendMail({
+      from: `${process.env.FROM_NAME || 'Grip Invest'} <${process.env.FROM_EMAIL || 'no-reply@gripinvest.local'}>`,
+      to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: { 'X-Email-Template': template },
+    });
+    return template;
+  }
+
+  /**
+   * Render and send a templated email right away, bypassing the queue.
+   * Never throws: delivery problems are logged and reported in the result.
+   * @param {string} type - one of EMAIL_TYPES
+   * @param {Object} options - { to, userId, data, version }
+   * @returns {Promise<Object>} { sent, reason?, template? }
+   */
+  async send(type, {
+    to, userId = null, data = {}, version = null,
+  }) {
+    try {
+      if (!(await this.isAllowed(userId, type))) {
+        return { sent: false, reason: 'disabled_by_preferences' };
+      }
+
+      if (!this.getTransport()) {
+        logger.info(`Email not configured, skipping ${type} email`);
+        return { sent: false, reason: 'email_disabled' };
+      }
+
+      const template = await this.deliver(type, { to, data, version });
+      logger.info(`${type} email sent to ${to}`);
+      return { sent: true, template };
+    } catch (error) {
+      logger.error(`${type} email sending error:`, error);
+      return { sent: false, reason: 'send_failed', error: error.message };
+    }
+  }
+
+  /**
+   * Queue a templated email for the outbox worker. The template is rendered
+   * once to validate the data, and the current version is stored so a retry
+   * renders the same email. Never throws.
+   * @param {string} type - one of EMAIL_TYPES
+   * @param {Object} options - { to, userId, data, version }
+   * @returns {Promise<Object>} { queued, id?, template?, reason? }
+   */
+  async queue(type, {
+    to, userId = null, data = {}, version = null,
+  }) {
+    try {
+      if (!(await this.isAllowed(userId, type))) {
+        return { queued: false, reason: 'disabled_by_preferences' };
+      }
+
+      if (!this.getTransport()) {
+        logger.info(`Email not configured, skipping ${type} email`);
+        return { queued: false, reason: 'email_disabled' };
+      }
+
+      const message = templateEngine.render(type, data, version);
+      const queued = await emailOutboxModel.create({
+        userId,
+        recipient: to,
+        template: message.type,
+        templateVersion: message.version,
+        data,
+      });
+      return {
+        queued: true,
+        id: queued.id,
+        template: `${message.type}@${message.version}`,
+      };
+    } catch (error) {
+      logger.error(`${type} email queue error:`, error);
+      return { queued: false, reason: 'queue_failed', error: error.message };
+    }
+  }
+
+  /**
+   * Look up a user for a per-user email
+   * @returns {Promise<Object>} { user } or { error } when the lookup failed
+   */
+  async findRecipient(userId, type) {
+    try {
+      return { user: await userModel.findById(userId) };
+    } catch (error) {
+      logger.error(`${type} email recipient lookup error:`, error.message);
+      return { error };
+    }
+  }
+
+  /**
+   * Send a templated email to a user by id; the user's first name is added
+   * to the template data
+   */
+  async sendToUser(userId, type, data = {}) {
+    const { user, error } = await this.findRecipient(userId, type);
+    if (error) {
+      return { sent: false, reason: 'send_failed', error: error.message };
+    }
+    if (!user) {
+      return { sent: false, reason: 'user_not_found' };
+    }
+    return this.send(type, {
+      to: user.email,
+      userId,
+      data: { firstName: user.firstName, ...data },
+    });
+  }
+
+  /**
+   * Queue a templated email to a user by id; see sendToUser
+   */
+  async queueForUser(userId, type, data = {}) {
+    const { user, error } = await this.findRecipient(userId, type);
+    if (error) {
+      return { queued: false, reason: 'queue_failed', error: error.message };
+    }
+    if (!user) {
+      return { queued: false, reason: 'user_not_found' };
+    }
+    return this.queue(type, {
+      to: user.email,
+      userId,
+      data: { firstName: user.firstName, ...data },
+    });
+  }
+
+  /**
+   * Backoff before the next attempt: RETRY_BASE_DELAY doubled for every
+   * attempt already made, capped at RETRY_MAX_DELAY
+   * @param {number} attempts - attempts made so far, including the failed one
+   * @returns {number} delay in seconds
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(
+      EMAIL_CONFIG.RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0),
+      EMAIL_CONFIG.RETRY_MAX_DELAY,
+    );
+    return Math.ceil(delay / 1000);
+  }
+
+  /**
+   * Deliver queued emails that are due. A failed attempt is rescheduled
+   * with exponential backoff; after EMAIL_CONFIG.MAX_ATTEMPTS the message
+   * is dead-lettered and waits for an admin retry. Sent messages older
+   * than EMAIL_CONFIG.SENT_RETENTION_DAYS are purged on every run.
+   * @returns {Promise<Object>} run summary
+   */
+  async processOutbox() {
+    const staleSeconds = Math.ceil(EMAIL_CONFIG.SENDING_TIMEOUT / 1000);
+    const due = await emailOutboxModel.findDue(
+      staleSeconds,
+      EMAIL_CONFIG.BATCH_SIZE,
+    );
+    const summary = {
+      due: due.length, sent: 0, retried: 0, dead: 0, skipped: 0,
+    };
+    summary.purged = await emailOutboxModel.purgeSent(
+      EMAIL_CONFIG.SENT_RETENTION_DAYS,
+    );
+
+    if (due.length && !this.getTransport()) {
+      // Leave the queue untouched until a transport is configured
+      summary.skipped = due.length;
+      return summary;
+    }
+
+    await AsyncHelper.mapSeries(due, async (id) => {
+      if (!(await emailOutboxModel.claim(id, staleSeconds))) {
+        summary.skipped += 1;
+        return;
+      }
+
+      const message = await emailOutboxModel.findById(id);
+      try {
+        await this.deliver(message.template, {
+          to: message.recipient,
+          data: message.data,
+          version: message.templateVersion,
+        });
+        await emailOutboxModel.markSent(id);
+        summary.sent += 1;
+      } catch (error) {
+        if (message.attempts >= EMAIL_CONFIG.MAX_ATTEMPTS) {
+          logger.error(
+            `${message.template} email ${id} dead-lettered after ${message.attempts} attempts:`,
+            error.message,
+          );
+          await emailOutboxModel.markDead(id, error.message);
+          summary.dead += 1;
+        } else {
+          await emailOutboxModel.markRetry(
+            id,
+            error.message,
+            this.getRetryDelay(message.attempts),
+          );
+          summary.retried += 1;
+        }
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Hide credentials (reset links, OTPs) before showing a message to admins
+   */
+  redact(message) {
+    const data = { ...message.data };
+    EMAIL_CONFIG.SENSITIVE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) data[field] = EMAIL_CONFIG.REDACTED;
+    });
+    return { ...message, data };
+  }
+
+  /**
+   * List queued messages with per-status counts (admin)
+   */
+  async getOutbox(filters = {}, pagination = {}) {
+    try {
+      const [list, counts] = await Promise.all([
+        emailOutboxModel.findAll(filters, pagination),
+        emailOutboxModel.countByStatus(),
+      ]);
+      return ApiResponse.success('Email outbox fetched successfully', {
+        ...list,
+        messages: list.messages.map((m) => this.redact(m)),
+        counts,
+      });
+    } catch (error) {
+      logger.error('Get email outbox error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * One queued message (admin)
+   */
+  async getOutboxMessage(id) {
+    try {
+      const message = await emailOutboxModel.findById(id);
+      if (!message) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.EMAIL_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success('Email fetched successfully', this.redact(message));
+    } catch (error) {
+      logger.error('Get email outbox message error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Requeue a dead-lettered or retrying message with fresh attempts (admin)
+   */
+  async retryMessage(id) {
+    try {
+      const message = await emailOutboxModel.findById(id);
+      if (!message) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.EMAIL_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      // A dead message's links and codes are gone; it would arrive broken
+      if (
+        message.status === EMAIL_STATUS.DEAD
+        && emailOutboxModel.isScrubbed(message)
+      ) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.EMAIL_CREDENTIALS_CLEARED,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+      if (!(await emailOutboxModel.requeue(id))) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.EMAIL_NOT_RETRYABLE,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+      return ApiResponse.success(
+        'Email queued for retry',
+        this.redact(await emailOutboxModel.findById(id)),
+      );
+    } catch (error) {
+      logger.error('Retry email error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -1,17 +1,36 @@
 const investmentModel = require("../models/investmentModel");
 const productModel = require("../models/productModel");
 const userModel = require("../models/userModel");
+const transactionModel = require("../models/transactionModel");
+const redemptionModel = require("../models/redemptionModel");
+const performanceModel = require("../models/performanceModel");
+const sipModel = require("../models/sipModel");
 const aiService = require("./aiService");
+const notificationService = require("./notificationService");
+const emailService = require("./emailService");
+const eventBus = require("../events/eventBus");
+const { databaseConfig } = require("../config/database");
 const {
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   INVESTMENT_STATUS,
+  OPEN_INVESTMENT_STATUSES,
+  TRANSACTION_TYPES,
+  TRANSACTION_DIRECTIONS,
+  SIP_STATUS,
+  KYC_STATUS,
+  KYC_LIMITS,
+  NOTIFICATION_TYPES,
+  EVENT_TYPES,
+  EMAIL_TYPES,
 } = require("../utils/constants");
 const {
   ApiResponse,
   ValidationHelper,
   CalculationHelper,
+  FormatHelper,
+  ErrorHandler,
 } = require("../utils/helpers");
 
 /**
@@ -19,8 +38,55 @@ const {
  * Business rules for creating and managing investments
  */
 class InvestmentService {
+  /**
+   * Projected return percentage and maturity date for an investment starting today
+   * @param {Object} product - formatted product
+   * @param {number} amount - principal
+   * @param {number} tenureMonths - tenure in months
+   */
+  projectTerms(product, amount, tenureMonths) {
+    // Simple projection to prefill expected_return/maturity_date (the DB trigger also computes it)
+    const calc = CalculationHelper.calculateReturns(
+      amount,
+      product.annualYield,
+      tenureMonths,
+      product.compoundFrequency,
+    );
+
+    const maturityDate = CalculationHelper.calculateMaturityDate(
+      new Date(),
+      tenureMonths,
+    )
+      .toISOString()
+      .split("T")[0];
+
+    // Store percentage return, not total amount
+    const expectedReturn = ((calc.finalAmount - amount) / amount) * 100;
+
+    return {
+      expectedReturn: parseFloat(expectedReturn.toFixed(2)),
+      maturityDate,
+    };
+  }
+
+  /**
+   * Push a committed status transition, and the balance it left behind,
+   * to the user's open event streams
+   * @param {string} userId - investment owner
+   * @param {Object} change - { investmentId, status, previousStatus, balance }
+   */
+  publishInvestmentChange(userId, change) {
+    const { balance, ...transition } = change;
+    eventBus.publish(userId, EVENT_TYPES.INVESTMENT_UPDATED, transition);
+    if (balance !== undefined) {
+      eventBus.publish(userId, EVENT_TYPES.BALANCE_UPDATED, { balance });
+    }
+  }
+
   /**
    * Create investment after validations
+   * @param {Object} options - { notes, autoReinvest, customTenure, onCreated };
+   * onCreated(investment, tx) runs inside the investment's transaction
    */
   async createInvestment(userId, productId, amount, options = {}) {
     try {
@@ -35,7 +101,7 @@ class InvestmentService {
         );
       }
 
-      // Fetch product and user
+      // Fetch product
       const product = await productModel.findById(productId);
       if (!product || !product.isActive) {
         return ApiResponse.error(
@@ -44,14 +110,6 @@ class InvestmentService {
         );
       }
 
-      const user = await userModel.findById(userId);
-      if (!user || !user.isActive) {
-        return ApiResponse.error(
-          ERROR_MESSAGES.USER_NOT_FOUND,
-          HTTP_STATUS.NOT_FOUND
-        );
-      }
-
       // Check min/max amount
       const amountValidation = ValidationHelper.validateInvestmentAmount(
         amount,
@@ -65,46 +123,103 @@ class InvestmentService {
         );
       }
 
-      // Check balance
-      if (user.accountBalance < amount) {
-        return ApiResponse.error(
-          ERROR_MESSAGES.INSUFFICIENT_BALANCE,
-          HTTP_STATUS.BAD_REQUEST
-        );
-      }
-
-      // Calculate simple projection to prefill expected_return/maturity_date (DB trigger will also compute)
-      const calc = CalculationHelper.calculateReturns(
+      const { expectedReturn, maturityDate } = this.projectTerms(
+        product,
         parseFloat(amount),
-        product.annualYield,
-        options.customTenure || product.tenureMonths,
-        product.compoundFrequency
+        options.customTenure || product.tenureMonths
       );
 
-      const maturityDate = CalculationHelper.calculateMaturityDate(
-        new Date(),
-        options.customTenure || product.tenureMonths
-      )
-        .toISOString()
-        .split("T")[0];
+      // Balance check, insert, debit and ledger entry commit or roll back together.
+      // The user row stays locked until commit so concurrent requests cannot overspend.
+      const { investment, balance } = await databaseConfig.executeTransaction(
+        async (tx) => {
+          const user = await userModel.findByIdForUpdate(userId, tx);
+          if (!user || !user.isActive) {
+            throw ErrorHandler.createError(
+              ERROR_MESSAGES.USER_NOT_FOUND,
+              HTTP_STATUS.NOT_FOUND,
+            );
+          }
+          if (
+            parseFloat(amount) > KYC_LIMITS.INVESTMENT_THRESHOLD
+            && user.kycStatus !== KYC_STATUS.APPROVED
+          ) {
+            throw ErrorHandler.createError(
+              ERROR_MESSAGES.KYC_REQUIRED,
+              HTTP_STATUS.FORBIDDEN,
+            );
+          }
+          if (user.accountBalance < amount) {
+            throw ErrorHandler.createError(
+              ERROR_MESSAGES.INSUFFICIENT_BALANCE,
+              HTTP_STATUS.BAD_REQUEST,
+            );
+          }
 
-      // Create investment (store percentage return, not total amount)
-      const expectedReturnPercentage = ((calc.finalAmount - parseFloat(amount)) / parseFloat(amount)) * 100;
-      const investment = await investmentModel.create({
-        userId,
-        productId,
-        amount: parseFloat(amount),
-        status: INVESTMENT_STATUS.ACTIVE,
-        expectedReturn: parseFloat(expectedReturnPercentage.toFixed(2)),
-        maturityDate,
-        currentValue: parseFloat(amount),
-        notes: options.notes || null,
-        autoReinvest: !!options.autoReinvest,
-        tenure: options.customTenure || product.tenure,
-      });
+          const created = await investmentModel.create(
+            {
+              userId,
+              productId,
+              amount: parseFloat(amount),
+              status: INVESTMENT_STATUS.ACTIVE,
+              expectedReturn,
+              maturityDate,
+              currentValue: parseFloat(amount),
+              notes: options.notes || null,
+              autoReinvest: !!options.autoReinvest,
+              tenure: options.customTenure || product.tenure,
+            },
+            tx,
+          );
 
-      // Deduct balance (safeguarded at DB level too via trigger pattern in schema)
-      await userModel.updateBalance(userId, parseFloat(amount), "subtract");
+          const updatedUser = await userModel.updateBalance(
+            userId,
+            parseFloat(amount),
+            "subtract",
+            tx,
+          );
+          await transactionModel.create(
+            {
+              userId,
+              investmentId: created.id,
+              type: TRANSACTION_TYPES.INVESTMENT,
+              amount: parseFloat(amount),
+              description: `Investment in ${product.name}`,
+            },
+            tx,
+          );
+          if (options.onCreated) {
+            await options.onCreated(created, tx);
+          }
+
+          return { investment: created, balance: updatedUser.accountBalance };
+        },
+      );
+
+      this.publishInvestmentChange(userId, {
+        investmentId: investment.id,
+        status: investment.status,
+        previousStatus: null,
+        balance,
+      });
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.INVESTMENT,
+        title: "Investment confirmed",
+        message: `${FormatHelper.formatCurrency(parseFloat(amount))} invested in ${product.name}. It matures on ${FormatHelper.formatDate(maturityDate)}.`,
+        actionUrl: `/investments/${investment.id}`,
+      });
+      await emailService.queueForUser(
+        userId,
+        EMAIL_TYPES.INVESTMENT_CONFIRMATION,
+        {
+          investmentId: investment.id,
+          productName: product.name,
+          amount: investment.amount,
+          expectedReturn: investment.expectedReturn,
+          maturityDate: investment.maturityDate,
+          autoReinvest: investment.autoReinvest,
+        },
+      );
 
       return ApiResponse.success(
         SUCCESS_MESSAGES.INVESTMENT_CREATED,
@@ -112,6 +227,9 @@ class InvestmentService {
         HTTP_STATUS.CREATED
       );
     } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(error.message, error.status);
+      }
       console.error("Create investment error:", error);
       return ApiResponse.error(
         ERROR_MESSAGES.SERVER_ERROR,
@@ -147,6 +265,66 @@ class InvestmentService {
     }
   }
 
+  /**
+   * Start date (YYYY-MM-DD) of the day/week/month bucket a date falls in
+   */
+  getPeriodStart(date, interval) {
+    if (interval === "month") return `${date.slice(0, 7)}-01`;
+    if (interval === "week") {
+      const d = new Date(`${date}T00:00:00Z`);
+      // ISO weeks start on Monday
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+      return d.toISOString().split("T")[0];
+    }
+    return date;
+  }
+
+  /**
+   * Portfolio invested amount, value and gain over time, built from the
+   * daily valuation snapshots. Each week/month point is the last day's totals.
+   */
+  async getPortfolioHistory(userId, options = {}) {
+    try {
+      const interval = options.interval || "day";
+      const toDateString = (d) => new Date(d).toISOString().split("T")[0];
+      const to = toDateString(options.to || new Date());
+      const from = options.from ? toDateString(options.from) : null;
+
+      const daily = await performanceModel.getDailyTotals(userId, { from, to });
+
+      const buckets = new Map();
+      daily.forEach((day) => {
+        buckets.set(this.getPeriodStart(day.date, interval), day);
+      });
+
+      const series = Array.from(buckets.entries()).map(([period, day]) => {
+        const gain = day.value - day.invested;
+        return {
+          date: period,
+          invested: parseFloat(day.invested.toFixed(2)),
+          value: parseFloat(day.value.toFixed(2)),
+          gain: parseFloat(gain.toFixed(2)),
+          gainPercentage: day.invested
+            ? parseFloat(((gain / day.invested) * 100).toFixed(2))
+            : 0,
+        };
+      });
+
+      return ApiResponse.success("Portfolio history fetched successfully", {
+        from: from || (series.length ? series[0].date : to),
+        to,
+        interval,
+        series,
+      });
+    } catch (error) {
+      console.error("Portfolio history error:", error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
   /**
    * Get single investment
    */
@@ -162,7 +340,12 @@ class InvestmentService {
           HTTP_STATUS.NOT_FOUND
         );
       }
-      return ApiResponse.success("Investment fetched successfully", investment);
+      // Rollover chain (auto-reinvested parents and children), oldest first
+      const rolloverChain = await investmentModel.findRolloverChain(investment.id);
+      return ApiResponse.success("Investment fetched successfully", {
+        ...investment,
+        rolloverChain: rolloverChain.length > 1 ? rolloverChain : [],
+      });
     } catch (error) {
       console.error("Get investment error:", error);
       return ApiResponse.error(
@@ -199,7 +382,89 @@ class InvestmentService {
   }
 
   /**
-   * Cancel investment and refund amount to balance (simple policy)
+   * Value accrued on an investment from its start date until asOf (capped at
+   * maturity), compounded at the product's annual yield and frequency
+   * @returns {Object} { principal, finalAmount, returns, returnsPercentage }
+   */
+  calculateAccruedValue(investment, product, asOf = new Date()) {
+    const end = investment.maturityDate && new Date(investment.maturityDate) < asOf
+      ? new Date(investment.maturityDate)
+      : asOf;
+    const elapsedDays = Math.max(
+      (end - new Date(investment.investedAt)) / (1000 * 60 * 60 * 24),
+      0,
+    );
+    return CalculationHelper.calculateReturns(
+      investment.amount,
+      product.annualYield || 0,
+      elapsedDays / (365 / 12),
+      product.compoundFrequency,
+    );
+  }
+
+  /**
+   * Refund breakdown for cancelling an investment today: accrued value
+   * less the product's early-withdrawal penalty percentage. If the product
+   * is gone, the yield stored with the investment is used and no penalty
+   * is charged, as at maturity.
+   */
+  buildCancellationQuote(investment, product) {
+    product = product || {
+      annualYield: investment.product ? investment.product.annualYield || 0 : 0,
+    };
+    const accrued = this.calculateAccruedValue(investment, product);
+    const penaltyRate = product.earlyWithdrawalPenalty || 0;
+    const penaltyAmount = parseFloat(
+      ((accrued.finalAmount * penaltyRate) / 100).toFixed(2),
+    );
+
+    return {
+      investmentId: investment.id,
+      principal: accrued.principal,
+      accruedReturns: accrued.returns,
+      accruedValue: accrued.finalAmount,
+      penaltyRate,
+      penaltyAmount,
+      netRefund: parseFloat((accrued.finalAmount - penaltyAmount).toFixed(2)),
+      quotedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Preview the refund for cancelling an investment
+   */
+  async getCancellationQuote(userId, investmentId) {
+    try {
+      const investment = await investmentModel.findById(investmentId);
+      if (!investment || investment.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVESTMENT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      if (!OPEN_INVESTMENT_STATUSES.includes(investment.status)) {
+        return ApiResponse.error(
+          "Only active investments can be cancelled",
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const product = await productModel.findById(investment.productId);
+      return ApiResponse.success(
+        "Cancellation quote generated",
+        this.buildCancellationQuote(investment, product),
+      );
+    } catch (error) {
+      console.error("Cancellation quote error:", error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Cancel investment and refund accrued value less the early-withdrawal penalty
    */
   async cancelInvestment(userId, investmentId) {
     try {
@@ -210,26 +475,96 @@ class InvestmentService {
           HTTP_STATUS.NOT_FOUND
         );
       }
-      if (investment.status !== INVESTMENT_STATUS.ACTIVE) {
+      if (!OPEN_INVESTMENT_STATUSES.includes(investment.status)) {
         return ApiResponse.error(
           "Only active investments can be cancelled",
           HTTP_STATUS.BAD_REQUEST
         );
       }
 
-      const success = await investmentModel.cancel(investmentId, userId);
-      if (!success) {
-        return ApiResponse.error(
-          "Unable to cancel investment",
-          HTTP_STATUS.INTERNAL_SERVER_ERROR
+      const product = await productModel.findById(investment.productId);
+
+      // Valuation, status change, refund and ledger entries commit or roll
+      // back together while the investment row is locked, so a redemption
+      // that lands first is reflected in the quote
+      const result = await databaseConfig.executeTransaction(async (tx) => {
+        const locked = await investmentModel.findByIdForUpdate(investmentId, tx);
+        if (!locked || !OPEN_INVESTMENT_STATUSES.includes(locked.status)) {
+          throw ErrorHandler.createError(
+            "Only active investments can be cancelled",
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+        const lockedQuote = this.buildCancellationQuote(locked, product);
+
+        const success = await investmentModel.cancel(investmentId, userId, tx);
+        if (!success) {
+          throw ErrorHandler.createError(
+            "Unable to cancel investment",
+            HTTP_STATUS.CONFLICT,
+          );
+        }
+
+        // Accrued value comes out of the investment; the penalty is charged against it
+        await transactionModel.create(
+          {
+            userId,
+            investmentId,
+            type: TRANSACTION_TYPES.WITHDRAWAL,
+            direction: TRANSACTION_DIRECTIONS.CREDIT,
+            amount: lockedQuote.accruedValue,
+            description: "Refund on investment cancellation",
+          },
+          tx,
         );
-      }
+        if (lockedQuote.penaltyAmount > 0) {
+          await transactionModel.create(
+            {
+              userId,
+              investmentId,
+              type: TRANSACTION_TYPES.PENALTY,
+              amount: lockedQuote.penaltyAmount,
+              description: `Early withdrawal penalty (${lockedQuote.penaltyRate}%)`,
+            },
+            tx,
+          );
+        }
+
+        const updatedUser = await userModel.updateBalance(
+          userId,
+          lockedQuote.netRefund,
+          "add",
+          tx,
+        );
+        return {
+          balance: updatedUser.accountBalance,
+          quote: lockedQuote,
+          previousStatus: locked.status,
+        };
+      });
+      const { balance, quote, previousStatus } = result;
 
-      // Simple refund policy: refund principal (ignoring penalties)
-      await userModel.updateBalance(userId, investment.amount, "add");
+      this.publishInvestmentChange(userId, {
+        investmentId,
+        status: INVESTMENT_STATUS.CANCELLED,
+        previousStatus,
+        balance,
+      });
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.INVESTMENT,
+        title: "Investment cancelled",
+        message: `Your investment in ${investment.product.name} was cancelled. ${FormatHelper.formatCurrency(quote.netRefund)} has been credited to your wallet${quote.penaltyAmount > 0 ? ` after a ${FormatHelper.formatCurrency(quote.penaltyAmount)} early withdrawal penalty` : ""}.`,
+        actionUrl: `/investments/${investmentId}`,
+      });
 
-      return ApiResponse.success("Investment cancelled successfully");
+      return ApiResponse.success("Investment cancelled successfully", {
+        ...quote,
+        balance,
+      });
     } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(error.message, error.status);
+      }
       console.error("Cancel investment error:", error);
       return ApiResponse.error(
         ERROR_MESSAGES.SERVER_ERROR,
@@ -238,6 +573,199 @@ class InvestmentService {
     }
   }
 
+  /**
+   * Redeem part of an investment. The penalty applies pro-rata to the redeemed
+   * value and the remaining principal must stay at or above the product minimum.
+   */
+  async redeemInvestment(userId, investmentId, amount) {
+    try {
+      const redeemAmount = parseFloat(amount);
+      if (!redeemAmount || Number.isNaN(redeemAmount) || redeemAmount <= 0) {
+        return ApiResponse.error(
+          "Valid redemption amount is required",
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const existing = await investmentModel.findById(investmentId);
+      if (!existing || existing.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVESTMENT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      // The minimum holding and penalty come from the product, so without it
+      // only a full cancellation is possible
+      const product = await productModel.findById(existing.productId);
+      if (!product) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.PRODUCT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      // Valuation, limit checks, balance credit and history commit together
+      // while the investment row is locked
+      const result = await databaseConfig.executeTransaction(async (tx) => {
+        const investment = await investmentModel.findByIdForUpdate(
+          investmentId,
+          tx,
+        );
+        if (
+          !investment
+          || !OPEN_INVESTMENT_STATUSES.includes(investment.status)
+        ) {
+          throw ErrorHandler.createError(
+            "Only active investments can be redeemed",
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const accrued = this.calculateAccruedValue(investment, product);
+        if (redeemAmount >= accrued.finalAmount) {
+          throw ErrorHandler.createError(
+            `Redemption must be less than the current value of ${FormatHelper.formatCurrency(accrued.finalAmount)}; cancel the investment to withdraw everything`,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const share = redeemAmount / accrued.finalAmount;
+        const principalRedeemed = parseFloat(
+          (investment.amount * share).toFixed(2),
+        );
+        const remainingPrincipal = parseFloat(
+          (investment.amount - principalRedeemed).toFixed(2),
+        );
+        if (remainingPrincipal < product.minInvestment) {
+          throw ErrorHandler.createError(
+            `Remaining holding must be at least ${FormatHelper.formatCurrency(product.minInvestment)}`,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const penaltyRate = product.earlyWithdrawalPenalty || 0;
+        const penaltyAmount = parseFloat(
+          ((redeemAmount * penaltyRate) / 100).toFixed(2),
+        );
+        const netAmount = parseFloat((redeemAmount - penaltyAmount).toFixed(2));
+        const remainingValue = parseFloat(
+          (accrued.finalAmount - redeemAmount).toFixed(2),
+        );
+
+        const applied = await investmentModel.applyRedemption(
+          investmentId,
+          { amount: remainingPrincipal, currentValue: remainingValue },
+          tx,
+        );
+        if (!applied) {
+          throw ErrorHandler.createError(
+            "Unable to redeem investment",
+            HTTP_STATUS.CONFLICT,
+          );
+        }
+
+        const withdrawal = await transactionModel.create(
+          {
+            userId,
+            investmentId,
+            type: TRANSACTION_TYPES.WITHDRAWAL,
+            direction: TRANSACTION_DIRECTIONS.CREDIT,
+            amount: redeemAmount,
+            description: `Partial redemption from ${product.name}`,
+          },
+          tx,
+        );
+        if (penaltyAmount > 0) {
+          await transactionModel.create(
+            {
+              userId,
+              investmentId,
+              type: TRANSACTION_TYPES.PENALTY,
+              amount: penaltyAmount,
+              description: `Early withdrawal penalty (${penaltyRate}%) on partial redemption`,
+            },
+            tx,
+          );
+        }
+
+        const updatedUser = await userModel.updateBalance(
+          userId,
+          netAmount,
+          "add",
+          tx,
+        );
+        const redemption = await redemptionModel.create(
+          {
+            investmentId,
+            userId,
+            grossAmount: redeemAmount,
+            principalRedeemed,
+            penaltyRate,
+            penaltyAmount,
+            netAmount,
+            remainingPrincipal,
+            remainingValue,
+            referenceNumber: withdrawal.referenceNumber,
+          },
+          tx,
+        );
+
+        return {
+          redemption,
+          investment: await investmentModel.findById(investmentId, tx),
+          balance: updatedUser.accountBalance,
+        };
+      });
+
+      this.publishInvestmentChange(userId, {
+        investmentId,
+        status: result.investment.status,
+        previousStatus: existing.status,
+        balance: result.balance,
+      });
+
+      return ApiResponse.success(
+        "Investment partially redeemed",
+        result,
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(error.message, error.status);
+      }
+      console.error("Redeem investment error:", error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Partial redemption history for an investment
+   */
+  async getRedemptions(userId, investmentId) {
+    try {
+      const investment = await investmentModel.findById(investmentId);
+      if (!investment || investment.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVESTMENT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      const redemptions = await redemptionModel.findByInvestment(investmentId);
+      return ApiResponse.success("Redemptions fetched successfully", {
+        redemptions,
+      });
+    } catch (error) {
+      console.error("Get redemptions error:", error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
   /**
    * Generate AI portfolio insights
    */
@@ -254,7 +782,7 @@ class InvestmentService {
       // Build current portfolio snapshot
       const list = await investmentModel.findByUser(
         userId,
-        { status: INVESTMENT_STATUS.ACTIVE },
+        { status: OPEN_INVESTMENT_STATUSES },
         { page: 1, limit: 100 }
       );
       const allocation = {};
@@ -283,6 +811,17 @@ class InvestmentService {
         ),
       };
 
+      const { sips } = await sipModel.findByUser(
+        userId,
+        { status: SIP_STATUS.ACTIVE },
+        { page: 1, limit: 100 },
+      );
+      currentPortfolio.sips = sips.map((sip) => ({
+        productName: sip.productName,
+        amount: sip.amount,
+        frequency: sip.frequency,
+      }));
+
       const insights = await aiService.optimizePortfolio(
         currentPortfolio,
         userGoals
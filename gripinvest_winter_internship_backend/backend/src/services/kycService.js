@@ -0,0 +1,267 @@
+const fs = require('fs');
+const kycModel = require('../models/kycModel');
+const notificationService = require('./notificationService');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  KYC_STATUS,
+  KYC_DOCUMENT_TYPES,
+  KYC_LIMITS,
+  NOTIFICATION_TYPES,
+} = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const REQUIRED_DOCUMENTS = Object.values(KYC_DOCUMENT_TYPES);
+
+/**
+ * KYC Service
+ * Document upload by users and the admin review workflow
+ */
+class KycService {
+  /**
+   * Where the user is in the flow: not_started, in_progress, under_review,
+   * approved or rejected
+   */
+  getStage(kyc) {
+    if (kyc.status !== KYC_STATUS.PENDING) return kyc.status;
+    if (kyc.submittedAt) return 'under_review';
+    return Object.keys(kyc.documents).length ? 'in_progress' : 'not_started';
+  }
+
+  /**
+   * User-facing view: document metadata only, never disk paths
+   */
+  toStatusView(kyc) {
+    const documents = REQUIRED_DOCUMENTS.map((type) => ({
+      type,
+      uploaded: !!kyc.documents[type],
+      originalName: kyc.documents[type]?.originalName || null,
+      uploadedAt: kyc.documents[type]?.uploadedAt || null,
+    }));
+
+    return {
+      status: kyc.status,
+      stage: this.getStage(kyc),
+      documents,
+      missingDocuments: documents.filter((d) => !d.uploaded).map((d) => d.type),
+      submittedAt: kyc.submittedAt,
+      reviewedAt: kyc.reviewedAt,
+      rejectionReason: kyc.rejectionReason,
+      investmentThreshold: KYC_LIMITS.INVESTMENT_THRESHOLD,
+    };
+  }
+
+  /**
+   * Current KYC status for a user
+   */
+  async getStatus(userId) {
+    try {
+      const kyc = await kycModel.findByUser(userId);
+      if (!kyc) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.USER_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success(
+        'KYC status fetched successfully',
+        this.toStatusView(kyc),
+      );
+    } catch (error) {
+      logger.error('Get KYC status error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Store an uploaded document. Once every required document is present the
+   * set is submitted for review.
+   * @param {Object} file - multer file ({ filename, originalname, path, mimetype, size })
+   */
+  async uploadDocument(userId, type, file) {
+    try {
+      const kyc = await kycModel.findByUser(userId);
+      if (!kyc || kyc.status === KYC_STATUS.APPROVED) {
+        await this.removeFile(file.path);
+        return kyc
+          ? ApiResponse.error(
+            ERROR_MESSAGES.KYC_ALREADY_APPROVED,
+            HTTP_STATUS.CONFLICT,
+          )
+          : ApiResponse.error(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+      }
+
+      const saved = await kycModel.saveDocument(userId, type, {
+        filename: file.filename,
+        originalName: file.originalname,
+        path: file.path,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedAt: new Date().toISOString(),
+      });
+      if (!saved) {
+        await this.removeFile(file.path);
+        return ApiResponse.error(
+          ERROR_MESSAGES.KYC_ALREADY_APPROVED,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+
+      // The replaced file is no longer referenced
+      if (kyc.documents[type]) {
+        await this.removeFile(kyc.documents[type].path);
+      }
+
+      let updated = await kycModel.findByUser(userId);
+      const complete = REQUIRED_DOCUMENTS.every((t) => updated.documents[t]);
+      if (complete) {
+        await kycModel.markSubmitted(userId);
+        updated = await kycModel.findByUser(userId);
+      }
+
+      return ApiResponse.success(
+        SUCCESS_MESSAGES.KYC_DOCUMENT_UPLOADED,
+        this.toStatusView(updated),
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      logger.error('KYC upload error:', error);
+      await this.removeFile(file.path);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Best-effort delete of a stored file
+   */
+  async removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('KYC file cleanup error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Admin queue of submissions
+   */
+  async getSubmissions(filters = {}, pagination = {}) {
+    try {
+      const list = await kycModel.findSubmissions(filters, pagination);
+      return ApiResponse.success('KYC submissions fetched successfully', {
+        ...list,
+        submissions: list.submissions.map((kyc) => ({
+          userId: kyc.userId,
+          name: kyc.name,
+          email: kyc.email,
+          ...this.toStatusView(kyc),
+        })),
+      });
+    } catch (error) {
+      logger.error('Get KYC submissions error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Stored document for admin review
+   * @returns {Promise<Object>} success response with { path, mimeType, originalName }
+   */
+  async getDocument(userId, type) {
+    try {
+      const kyc = await kycModel.findByUser(userId);
+      const document = kyc?.documents[type];
+      if (!document || !fs.existsSync(document.path)) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.KYC_DOCUMENT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success('KYC document found', {
+        path: document.path,
+        mimeType: document.mimeType,
+        originalName: document.originalName,
+      });
+    } catch (error) {
+      logger.error('Get KYC document error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Approve a pending submission
+   */
+  async approve(reviewerId, userId) {
+    return this.review(reviewerId, userId, KYC_STATUS.APPROVED);
+  }
+
+  /**
+   * Reject a pending submission with a reason shown to the user
+   */
+  async reject(reviewerId, userId, reason) {
+    return this.review(reviewerId, userId, KYC_STATUS.REJECTED, reason);
+  }
+
+  /**
+   * Record the decision and notify the user
+   */
+  async review(reviewerId, userId, status, reason = null) {
+    try {
+      const reviewed = await kycModel.review(userId, {
+        status,
+        reviewerId,
+        reason,
+      });
+      if (!reviewed) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.KYC_NOT_SUBMITTED,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+
+      const approved = status === KYC_STATUS.APPROVED;
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.SYSTEM,
+        title: approved ? 'KYC approved' : 'KYC rejected',
+        message: approved
+          ? 'Your KYC verification is complete and all investment features are unlocked.'
+          : `Your KYC submission was rejected: ${reason}. Please re-upload the affected documents.`,
+        actionUrl: '/profile',
+      });
+
+      const kyc = await kycModel.findByUser(userId);
+      return ApiResponse.success(
+        approved ? SUCCESS_MESSAGES.KYC_APPROVED : SUCCESS_MESSAGES.KYC_REJECTED,
+        { userId, ...this.toStatusView(kyc) },
+      );
+    } catch (error) {
+      logger.error('KYC review error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,255 @@
+const { databaseConfig } = require('../config/database');
+const loginFailureModel = require('../models/loginFailureModel');
+const userModel = require('../models/userModel');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  LOGIN_FAILURE_SCOPES,
+  LOGIN_PROTECTION,
+  EMAIL_TYPES,
+  NOTIFICATION_TYPES,
+} = require('../utils/constants');
+const { ApiResponse, AuthHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Login Protection Service
+ * Failed logins are counted in MySQL per email and per IP, so the limits
+ * hold across restarts and instances. After a few failures for an email each
+ * attempt has to wait a little longer; at its threshold the email or IP is
+ * locked out. The owner of a locked account is emailed a link that lifts
+ * the lockout.
+ *
+ * Unknown emails are counted like real ones, so responses do not reveal
+ * which accounts exist.
+ */
+class LoginProtectionService {
+  normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Seconds to wait after the given number of failures in a window
+   */
+  delayFor(failedCount) {
+    if (failedCount < LOGIN_PROTECTION.DELAY_AFTER_FAILURES) return 0;
+    return Math.min(
+      LOGIN_PROTECTION.BASE_DELAY_SECONDS
+        * 2 ** (failedCount - LOGIN_PROTECTION.DELAY_AFTER_FAILURES),
+      LOGIN_PROTECTION.MAX_DELAY_SECONDS,
+    );
+  }
+
+  /**
+   * Lock the failure counters of the email and the IP for this transaction.
+   * Always email before IP, so concurrent requests lock rows in the same order.
+   * @param {Object} options - { create }: passed to loginFailureModel.findForUpdate
+   * @returns {Promise<Array>} existing counters from loginFailureModel.findForUpdate
+   */
+  async lockScopes(email, ipAddress, tx, options = {}) {
+    const emailFailure = await loginFailureModel.findForUpdate(
+      LOGIN_FAILURE_SCOPES.EMAIL,
+      this.normalizeEmail(email),
+      tx,
+      options,
+    );
+    const ipFailure = ipAddress
+      ? await loginFailureModel.findForUpdate(
+        LOGIN_FAILURE_SCOPES.IP,
+        ipAddress,
+        tx,
+        options,
+      )
+      : null;
+    return [emailFailure, ipFailure].filter(Boolean);
+  }
+
+  /**
+   * Whether a login for this email from this IP may be attempted now. Runs
+   * under the same row locks as recordFailure. Once the email is past the
+   * free attempts, an allowed attempt makes the next one wait as long as its
+   * own failure would, so parallel guesses cannot slip through together; a
+   * correct password clears the wait again.
+   * @returns {Promise<Object>} { allowed, retryAfter, message }
+   */
+  async check(email, ipAddress) {
+    return databaseConfig.executeTransaction(async (tx) => {
+      const failures = await this.lockScopes(email, ipAddress, tx);
+
+      const locked = failures.find((failure) => failure.lockSeconds > 0);
+      if (locked) {
+        return {
+          allowed: false,
+          retryAfter: locked.lockSeconds,
+          message:
+            locked.scope === LOGIN_FAILURE_SCOPES.EMAIL
+              ? ERROR_MESSAGES.ACCOUNT_LOCKED
+              : ERROR_MESSAGES.LOGIN_IP_LOCKED,
+        };
+      }
+
+      const delay = Math.max(0, ...failures.map((failure) => failure.delaySeconds));
+      if (delay > 0) {
+        return {
+          allowed: false,
+          retryAfter: delay,
+          message: ERROR_MESSAGES.LOGIN_DELAYED,
+        };
+      }
+
+      const emailFailure = failures.find(
+        (failure) => failure.scope === LOGIN_FAILURE_SCOPES.EMAIL,
+      );
+      const hold = !emailFailure || emailFailure.windowExpired
+        ? 0
+        : this.delayFor(emailFailure.failedCount + 1);
+      if (hold > 0) {
+        await loginFailureModel.holdAttempts(emailFailure.id, hold, tx);
+      }
+      return { allowed: true, retryAfter: 0 };
+    });
+  }
+
+  /**
+   * Count one more failure against a locked counter and lock it out at its
+   * threshold
+   * @returns {Promise<string|null>} unlock token when an email was locked
+   */
+  async countFailure(failure, ipAddress, tx) {
+    const failedCount = failure.windowExpired ? 1 : failure.failedCount + 1;
+    await loginFailureModel.recordFailure(
+      failure.id,
+      {
+        failedCount,
+        newWindow: failure.windowExpired,
+        delaySeconds:
+          failure.scope === LOGIN_FAILURE_SCOPES.EMAIL ? this.delayFor(failedCount) : 0,
+        ipAddress,
+      },
+      tx,
+    );
+
+    const threshold = failure.scope === LOGIN_FAILURE_SCOPES.EMAIL
+      ? LOGIN_PROTECTION.EMAIL_LOCKOUT_THRESHOLD
+      : LOGIN_PROTECTION.IP_LOCKOUT_THRESHOLD;
+    if (failedCount < threshold || failure.locked) return null;
+
+    const unlockToken = failure.scope === LOGIN_FAILURE_SCOPES.EMAIL
+      ? AuthHelper.generateRandomToken()
+      : null;
+    await loginFailureModel.lock(failure.id, unlockToken, tx);
+    return unlockToken;
+  }
+
+  /**
+   * Count a failed login against the email and the IP. Locks either out at
+   * its threshold and emails the account owner when the email is locked.
+   * Never throws; a failure here must not change the login response.
+   */
+  async recordFailure(email, ipAddress) {
+    try {
+      const unlockToken = await databaseConfig.executeTransaction(async (tx) => {
+        const failures = await this.lockScopes(email, ipAddress, tx, { create: true });
+        const tokens = await Promise.all(
+          failures.map((failure) => this.countFailure(failure, ipAddress, tx)),
+        );
+        return tokens.find(Boolean) || null;
+      });
+
+      if (unlockToken) {
+        await this.notifyLockout(this.normalizeEmail(email), unlockToken, ipAddress);
+      }
+    } catch (error) {
+      logger.error('Record login failure error:', error);
+    }
+  }
+
+  /**
+   * Forget the email's failures after a correct password. The IP keeps its
+   * count, so an attacker cannot reset it by signing in to their own account.
+   */
+  async recordSuccess(email) {
+    try {
+      await loginFailureModel.reset(
+        LOGIN_FAILURE_SCOPES.EMAIL,
+        this.normalizeEmail(email),
+      );
+    } catch (error) {
+      logger.error('Reset login failures error:', error);
+    }
+  }
+
+  /**
+   * Email the unlock link and leave a security notification, if the
+   * locked email belongs to a user
+   */
+  async notifyLockout(email, unlockToken, ipAddress) {
+    const user = await userModel.findByEmail(email);
+    if (!user) return;
+
+    await emailService.queueForUser(user.id, EMAIL_TYPES.ACCOUNT_LOCKED, {
+      unlockUrl: `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`,
+      lockoutMinutes: LOGIN_PROTECTION.LOCKOUT_MINUTES,
+      ipAddress: ipAddress || 'unknown',
+    });
+    await notificationService.notify(user.id, {
+      type: NOTIFICATION_TYPES.SECURITY,
+      title: 'Account temporarily locked',
+      message: `Sign-in was locked for ${LOGIN_PROTECTION.LOCKOUT_MINUTES} minutes after repeated failed attempts, the last from IP ${ipAddress || 'unknown'}. If this wasn't you, change your password.`,
+      actionUrl: '/profile',
+    });
+  }
+
+  /**
+   * Lift a lockout with the token from the unlock email
+   * @param {string} token - unlock token
+   * @returns {Promise<ApiResponse>}
+   */
+  async unlock(token) {
+    try {
+      if (!(await loginFailureModel.unlockByToken(token))) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVALID_UNLOCK_TOKEN,
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+      return ApiResponse.success(SUCCESS_MESSAGES.ACCOUNT_UNLOCKED);
+    } catch (error) {
+      logger.error('Account unlock error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Delete failure counters whose window, delay and lockout have all run
+   * out. They are recreated by the next failure.
+   * @returns {Promise<Object>} run summary
+   */
+  async purgeExpired() {
+    const summary = { purged: 0 };
+    await this.purgeBatches(summary);
+    return summary;
+  }
+
+  /**
+   * Purge one batch, then the next while batches come back full
+   * @param {Object} summary - run summary, updated in place
+   */
+  async purgeBatches(summary) {
+    const purged = await loginFailureModel.purgeExpired(
+      LOGIN_PROTECTION.PURGE_BATCH_SIZE,
+    );
+    summary.purged += purged;
+    if (purged === LOGIN_PROTECTION.PURGE_BATCH_SIZE) {
+      await this.purgeBatches(summary);
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,347 @@
+const investmentModel = require('../models/investmentModel');
+const productModel = require('../models/productModel');
+const userModel = require('../models/userModel');
+const transactionModel = require('../models/transactionModel');
+const notificationModel = require('../models/notificationModel');
+const investmentService = require('./investmentService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const { databaseConfig } = require('../config/database');
+const {
+  INVESTMENT_STATUS,
+  OPEN_INVESTMENT_STATUSES,
+  TRANSACTION_TYPES,
+  NOTIFICATION_TYPES,
+  EMAIL_TYPES,
+  EMAIL_CONFIG,
+  KYC_LIMITS,
+  KYC_STATUS,
+} = require('../utils/constants');
+const { ValidationHelper, FormatHelper, AsyncHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Maturity Service
+ * Settles active investments once their maturity date is reached
+ */
+class MaturityService {
+  /**
+   * Whole months between the investment date and its maturity date
+   */
+  getTenureMonths(investment) {
+    if (!investment.investedAt || !investment.maturityDate) {
+      return investment.product ? investment.product.tenureMonths : 0;
+    }
+    const start = new Date(investment.investedAt);
+    const end = new Date(investment.maturityDate);
+    const months = (end.getFullYear() - start.getFullYear()) * 12
+      + (end.getMonth() - start.getMonth());
+    return Math.max(months, 0);
+  }
+
+  /**
+   * Principal plus returns payable at maturity: the value accrued up to the
+   * maturity date, worked out like the daily valuation so the payout never
+   * falls below the last recorded current value. Without the product, the
+   * yield stored with the investment compounds annually.
+   * @param {Object} investment - formatted investment
+   * @param {Object|null} product - formatted product
+   */
+  calculateMaturityValue(investment, product) {
+    const terms = product || {
+      annualYield: investment.product ? investment.product.annualYield || 0 : 0,
+    };
+    return investmentService.calculateAccruedValue(
+      investment,
+      terms,
+      new Date(investment.maturityDate),
+    );
+  }
+
+  /**
+   * Roll matured proceeds into a new investment in the same product.
+   * Falls back to leaving the proceeds in the wallet, with a notification,
+   * when the product is inactive, the amount is outside its limits, or the
+   * amount needs KYC the user has not had approved.
+   * @returns {Promise<Object>} { investmentId } or { skippedReason }
+   */
+  async rollover(investment, amount, tx) {
+    const product = await productModel.findById(investment.productId);
+
+    let skippedReason = null;
+    if (!product || !product.isActive) {
+      skippedReason = 'the product is no longer available';
+    } else {
+      const limits = ValidationHelper.validateInvestmentAmount(
+        amount,
+        product.minInvestment,
+        product.maxInvestment,
+      );
+      if (!limits.isValid) skippedReason = limits.message;
+    }
+
+    if (!skippedReason && amount > KYC_LIMITS.INVESTMENT_THRESHOLD) {
+      const user = await userModel.findByIdForUpdate(investment.userId, tx);
+      if (!user || user.kycStatus !== KYC_STATUS.APPROVED) {
+        skippedReason = `investments above ${FormatHelper.formatCurrency(KYC_LIMITS.INVESTMENT_THRESHOLD)} need approved KYC verification`;
+      }
+    }
+
+    if (skippedReason) {
+      const notification = await notificationModel.create(
+        {
+          userId: investment.userId,
+          type: NOTIFICATION_TYPES.MATURITY,
+          title: 'Auto-reinvest skipped',
+          message: `Your investment in ${investment.product.name} matured, but could not be reinvested because ${skippedReason}. ${FormatHelper.formatCurrency(amount)} has been credited to your wallet.`,
+          actionUrl: `/investments/${investment.id}`,
+        },
+        tx,
+      );
+      tx.afterCommit(() => notificationService.publish(notification));
+      return { skippedReason };
+    }
+
+    const tenureMonths = this.getTenureMonths(investment) || product.tenureMonths;
+    const { expectedReturn, maturityDate } = investmentService.projectTerms(
+      product,
+      amount,
+      tenureMonths,
+    );
+
+    const child = await investmentModel.create(
+      {
+        userId: investment.userId,
+        productId: product.id,
+        amount,
+        status: INVESTMENT_STATUS.ACTIVE,
+        expectedReturn,
+        maturityDate,
+        currentValue: amount,
+        notes: investment.notes,
+        autoReinvest: true,
+        tenure: tenureMonths,
+        parentInvestmentId: investment.id,
+      },
+      tx,
+    );
+
+    await userModel.updateBalance(investment.userId, amount, 'subtract', tx);
+    await transactionModel.create(
+      {
+        userId: investment.userId,
+        investmentId: child.id,
+        type: TRANSACTION_TYPES.INVESTMENT,
+        amount,
+        description: `Auto-reinvest in ${product.name}`,
+      },
+      tx,
+    );
+
+    return { investmentId: child.id };
+  }
+
+  /**
+   * Settle a single investment: mark matured, credit the payout, record the return,
+   * then roll the proceeds over when auto-reinvest is on.
+   * Re-running for an investment that is no longer open is a no-op.
+   * @returns {Promise<Object|null>} settlement details, or null if skipped
+   */
+  async settleInvestment(investmentId) {
+    return databaseConfig.executeTransaction(async (tx) => {
+      const investment = await investmentModel.findByIdForUpdate(
+        investmentId,
+        tx,
+      );
+      if (
+        !investment
+        || !OPEN_INVESTMENT_STATUSES.includes(investment.status)
+      ) {
+        return null;
+      }
+
+      const product = await productModel.findById(investment.productId);
+      const payout = this.calculateMaturityValue(investment, product);
+
+      const marked = await investmentModel.markMatured(
+        investment.id,
+        payout.finalAmount,
+        tx,
+      );
+      if (!marked) return null;
+
+      await userModel.updateBalance(
+        investment.userId,
+        payout.finalAmount,
+        'add',
+        tx,
+      );
+      const transaction = await transactionModel.create(
+        {
+          userId: investment.userId,
+          investmentId: investment.id,
+          type: TRANSACTION_TYPES.RETURN,
+          amount: payout.finalAmount,
+          description: `Maturity payout for ${investment.product.name} (principal ${payout.principal} + returns ${payout.returns})`,
+        },
+        tx,
+      );
+
+      const settlement = {
+        investmentId: investment.id,
+        userId: investment.userId,
+        principal: payout.principal,
+        returns: payout.returns,
+        maturityValue: payout.finalAmount,
+        referenceNumber: transaction.referenceNumber,
+      };
+
+      if (investment.autoReinvest) {
+        settlement.rollover = await this.rollover(
+          investment,
+          payout.finalAmount,
+          tx,
+        );
+      }
+
+      // A skipped rollover has already told the user what happened
+      let notification = null;
+      if (!settlement.rollover?.skippedReason) {
+        notification = await notificationModel.create(
+          {
+            userId: investment.userId,
+            type: NOTIFICATION_TYPES.MATURITY,
+            title: 'Investment matured',
+            message: settlement.rollover
+              ? `Your investment in ${investment.product.name} matured at ${FormatHelper.formatCurrency(payout.finalAmount)} and has been reinvested.`
+              : `Your investment in ${investment.product.name} matured. ${FormatHelper.formatCurrency(payout.finalAmount)} has been credited to your wallet.`,
+            actionUrl: `/investments/${settlement.rollover?.investmentId || investment.id}`,
+          },
+          tx,
+        );
+      }
+
+      const { accountBalance } = await userModel.findById(
+        investment.userId,
+        false,
+        tx,
+      );
+      tx.afterCommit(() => {
+        investmentService.publishInvestmentChange(investment.userId, {
+          investmentId: investment.id,
+          status: INVESTMENT_STATUS.MATURED,
+          previousStatus: investment.status,
+          balance: accountBalance,
+        });
+        if (settlement.rollover?.investmentId) {
+          investmentService.publishInvestmentChange(investment.userId, {
+            investmentId: settlement.rollover.investmentId,
+            status: INVESTMENT_STATUS.ACTIVE,
+            previousStatus: null,
+          });
+        }
+        notificationService.publish(notification);
+      });
+
+      return settlement;
+    });
+  }
+
+  /**
+   * Settle every active investment that is due. Each investment commits
+   * independently so one failure does not block the rest of the batch.
+   * @returns {Promise<Object>} run summary
+   */
+  async processDueInvestments() {
+    const due = await investmentModel.findDueForMaturity();
+    const summary = {
+      due: due.length,
+      matured: [],
+      skipped: 0,
+      failed: [],
+    };
+
+    await AsyncHelper.mapSeries(due, async ({ id }) => {
+      try {
+        const settled = await this.settleInvestment(id);
+        if (settled) {
+          summary.matured.push(settled);
+        } else {
+          summary.skipped += 1;
+        }
+      } catch (error) {
+        logger.error(`Maturity settlement failed for ${id}:`, error.message);
+        summary.failed.push({ investmentId: id, error: error.message });
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Queue a reminder email for every open investment maturing within
+   * EMAIL_CONFIG.MATURITY_REMINDER_DAYS. Each investment is reminded once;
+   * if the email cannot be queued the claim is released and retried on the
+   * next run. Delivery retries are handled by the email outbox.
+   * @returns {Promise<Object>} run summary
+   */
+  async sendMaturityReminders() {
+    const due = await investmentModel.findDueForReminder(
+      EMAIL_CONFIG.MATURITY_REMINDER_DAYS,
+    );
+    const summary = {
+      due: due.length, queued: 0, skipped: 0, failed: [],
+    };
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    await AsyncHelper.mapSeries(due, async (id) => {
+      let claimed = false;
+      try {
+        claimed = await investmentModel.claimMaturityReminder(id);
+        if (!claimed) {
+          summary.skipped += 1;
+          return;
+        }
+
+        const investment = await investmentModel.findById(id);
+        const result = await emailService.queueForUser(
+          investment.userId,
+          EMAIL_TYPES.MATURITY_REMINDER,
+          {
+            investmentId: investment.id,
+            productName: investment.product.name,
+            amount: investment.amount,
+            currentValue: investment.currentValue,
+            maturityDate: investment.maturityDate,
+            daysRemaining: Math.round(
+              (new Date(investment.maturityDate) - today) / (24 * 60 * 60 * 1000),
+            ),
+            autoReinvest: investment.autoReinvest,
+          },
+        );
+
+        if (result.queued) {
+          summary.queued += 1;
+        } else if (result.reason === 'queue_failed') {
+          await investmentModel.releaseMaturityReminder(id);
+          summary.failed.push({ investmentId: id, error: result.error });
+        } else {
+          // Opted out or email disabled: the reminder stays claimed
+          summary.skipped += 1;
+        }
+      } catch (error) {
+        logger.error(`Maturity reminder failed for ${id}:`, error.message);
+        summary.failed.push({ investmentId: id, error: error.message });
+        if (claimed) {
+          await investmentModel.releaseMaturityReminder(id).catch(() => {});
+        }
+      }
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new MaturityService();
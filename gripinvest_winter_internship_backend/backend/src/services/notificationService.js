@@ -0,0 +1,157 @@
+const notificationModel = require('../models/notificationModel');
+const eventBus = require('../events/eventBus');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  EVENT_TYPES,
+} = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Notification Service
+ * In-app notifications: the user-facing API and a producer helper for
+ * the rest of the backend
+ */
+class NotificationService {
+  /**
+   * Create a notification without failing the caller. Producers run after
+   * the business action has committed, so a failed insert is only logged.
+   * @param {string} userId - recipient
+   * @param {Object} data - { type, title, message, actionUrl }
+   * @returns {Promise<Object|null>} created notification
+   */
+  async notify(userId, data) {
+    try {
+      const notification = await notificationModel.create({ userId, ...data });
+      this.publish(notification);
+      return notification;
+    } catch (error) {
+      logger.error('Create notification error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Push a stored notification to the recipient's open event streams.
+   * Producers that insert inside a transaction call this from tx.afterCommit.
+   * @param {Object} notification - formatted notification
+   */
+  publish(notification) {
+    if (!notification) return;
+    eventBus.publish(
+      notification.userId,
+      EVENT_TYPES.NOTIFICATION_CREATED,
+      notification,
+    );
+  }
+
+  /**
+   * List notifications with the unread count
+   */
+  async getNotifications(userId, filters = {}, pagination = {}) {
+    try {
+      const [list, unreadCount] = await Promise.all([
+        notificationModel.findByUser(userId, filters, pagination),
+        notificationModel.countUnread(userId),
+      ]);
+      return ApiResponse.success('Notifications fetched successfully', {
+        ...list,
+        unreadCount,
+      });
+    } catch (error) {
+      logger.error('Get notifications error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Unread count for the bell badge
+   */
+  async getUnreadCount(userId) {
+    try {
+      const unreadCount = await notificationModel.countUnread(userId);
+      return ApiResponse.success('Unread count fetched successfully', {
+        unreadCount,
+      });
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Mark one notification read
+   */
+  async markAsRead(userId, notificationId) {
+    try {
+      const updated = await notificationModel.markRead(notificationId, userId);
+      if (!updated) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.NOTIFICATION_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success(
+        'Notification marked as read',
+        await notificationModel.findById(notificationId),
+      );
+    } catch (error) {
+      logger.error('Mark notification read error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Mark every notification read
+   */
+  async markAllAsRead(userId) {
+    try {
+      const updated = await notificationModel.markAllRead(userId);
+      return ApiResponse.success('All notifications marked as read', {
+        updated,
+      });
+    } catch (error) {
+      logger.error('Mark all notifications read error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Delete a notification
+   */
+  async deleteNotification(userId, notificationId) {
+    try {
+      const deleted = await notificationModel.delete(notificationId, userId);
+      if (!deleted) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.NOTIFICATION_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success('Notification deleted', {
+        id: notificationId,
+      });
+    } catch (error) {
+      logger.error('Delete notification error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -138,6 +138,30 @@ class ProductService {
     }
   }
 
+  /**
+   * Product listing for admins: same filters as getProducts plus a
+   * `status` of active, inactive or all, without personalization
+   * @param {Object} filters - Filter parameters
+   * @param {Object} pagination - Pagination parameters
+   * @returns {Promise<ApiResponse>} Products list result
+   */
+  async getAdminProducts(filters = {}, pagination = {}) {
+    try {
+      const result = await productModel.findWithFilters(
+        { ...this.validateFilters(filters), status: filters.status || 'all' },
+        pagination,
+      );
+
+      return ApiResponse.success('Products retrieved successfully', result);
+    } catch (error) {
+      console.error('Get admin products error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
   /**
    * Get product by ID with detailed information
    * @param {string} productId - Product ID
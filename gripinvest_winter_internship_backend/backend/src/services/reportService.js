@@ -0,0 +1,210 @@
+const reportModel = require('../models/reportModel');
+const investmentModel = require('../models/investmentModel');
+const performanceModel = require('../models/performanceModel');
+const emailService = require('./emailService');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  EMAIL_TYPES,
+  REPORT_CONFIG,
+} = require('../utils/constants');
+const { ApiResponse, AsyncHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+// YYYY-MM-DD shifted by a number of days
+const addDays = (date, days) => toDateString(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Report Service
+ * Builds, stores and emails the weekly portfolio report
+ */
+class ReportService {
+  /**
+   * The last completed ISO week (Monday to Sunday) before `date`
+   * @returns {Object} { periodStart, periodEnd } (YYYY-MM-DD)
+   */
+  getReportPeriod(date = new Date()) {
+    const today = toDateString(date);
+    const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const weekStart = addDays(today, -weekday);
+    return {
+      periodStart: addDays(weekStart, -7),
+      periodEnd: addDays(weekStart, -1),
+    };
+  }
+
+  /**
+   * Amount share per bucket, as a percentage of the whole
+   */
+  withPercentages(buckets) {
+    const total = buckets.reduce((sum, b) => sum + b.amount, 0);
+    return buckets.map((b) => ({
+      ...b,
+      percentage: total ? round((b.amount / total) * 100) : 0,
+    }));
+  }
+
+  /**
+   * Build a user's report for one week. Values come from the daily
+   * valuation snapshots: the week's last snapshot against the last one
+   * before the week. Without a snapshot in the week the live portfolio
+   * totals are used.
+   * @param {string} userId - user id
+   * @param {Object} period - { periodStart, periodEnd }
+   * @returns {Promise<Object>} report data
+   */
+  async buildWeeklyReport(userId, { periodStart, periodEnd }) {
+    const [totals, summary, created, maturing, distribution] = await Promise.all([
+      performanceModel.getDailyTotals(userId, {
+        from: addDays(periodStart, -7),
+        to: periodEnd,
+      }),
+      investmentModel.getPortfolioSummary(userId),
+      investmentModel.findByUser(
+        userId,
+        { fromDate: periodStart, toDate: `${periodEnd} 23:59:59` },
+        { page: 1, limit: 100 },
+      ),
+      investmentModel.findMaturingByUser(
+        userId,
+        addDays(periodEnd, 1),
+        addDays(periodEnd, REPORT_CONFIG.MATURITY_WINDOW_DAYS),
+      ),
+      investmentModel.getDistribution(userId),
+    ]);
+
+    const before = totals.filter((day) => day.date < periodStart);
+    const during = totals.filter((day) => day.date >= periodStart);
+    const opening = before.length ? before[before.length - 1] : null;
+    const closing = during.length
+      ? during[during.length - 1]
+      : { invested: summary.totalInvested, value: summary.portfolioValue };
+
+    const previousValue = opening ? opening.value : 0;
+    const weeklyChange = closing.value - previousValue;
+
+    return {
+      portfolioValue: round(closing.value),
+      totalInvested: round(closing.invested),
+      totalReturns: round(closing.value - closing.invested),
+      previousValue: round(previousValue),
+      weeklyChange: round(weeklyChange),
+      weeklyChangePercentage: previousValue
+        ? round((weeklyChange / previousValue) * 100)
+        : 0,
+      activeInvestments: summary.totalInvestments,
+      newInvestments: created.investments.map((i) => ({
+        investmentId: i.id,
+        productName: i.product.name,
+        amount: i.amount,
+        investedAt: i.investedAt,
+      })),
+      maturingSoon: maturing.map((i) => ({
+        investmentId: i.id,
+        productName: i.product.name,
+        amount: i.amount,
+        currentValue: i.currentValue,
+        maturityDate: toDateString(i.maturityDate),
+      })),
+      allocation: {
+        byType: this.withPercentages(distribution.byType),
+        byRisk: this.withPercentages(distribution.byRisk),
+      },
+    };
+  }
+
+  /**
+   * Build, store and email last week's report for every opted-in user who
+   * does not have one yet. Re-runs within the week are no-ops.
+   * @param {Date} date - run date; the report covers the week before it
+   * @returns {Promise<Object>} run summary
+   */
+  async generateWeeklyReports(date = new Date()) {
+    const period = this.getReportPeriod(date);
+    const due = await reportModel.findUsersDue(
+      period.periodStart,
+      REPORT_CONFIG.BATCH_SIZE,
+    );
+    const summary = {
+      ...period,
+      due: due.length,
+      generated: 0,
+      emailed: 0,
+      skipped: 0,
+      failed: [],
+    };
+
+    await AsyncHelper.mapSeries(due, async (userId) => {
+      try {
+        const data = await this.buildWeeklyReport(userId, period);
+        const report = await reportModel.create({ userId, ...period, data });
+        if (!report) {
+          summary.skipped += 1;
+          return;
+        }
+        summary.generated += 1;
+
+        const email = await emailService.queueForUser(
+          userId,
+          EMAIL_TYPES.WEEKLY_REPORT,
+          { ...period, ...data },
+        );
+        if (email.queued) {
+          await reportModel.markEmailed(report.id);
+          summary.emailed += 1;
+        }
+      } catch (error) {
+        logger.error(`Weekly report failed for ${userId}:`, error.message);
+        summary.failed.push({ userId, error: error.message });
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Report history, newest week first
+   */
+  async getReports(userId, pagination = {}) {
+    try {
+      const list = await reportModel.findByUser(userId, pagination);
+      return ApiResponse.success('Reports fetched successfully', list);
+    } catch (error) {
+      logger.error('Get reports error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * One report
+   */
+  async getReport(userId, reportId) {
+    try {
+      const report = await reportModel.findById(reportId, userId);
+      if (!report) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.REPORT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success('Report fetched successfully', report);
+    } catch (error) {
+      logger.error('Get report error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,59 @@
+const sessionModel = require('../models/sessionModel');
+const { ACCESS_TOKEN_CHECKS } = require('../utils/constants');
+
+/**
+ * Session Service
+ * Answers "is this session still signed in?" for every authenticated request.
+ * Answers are kept in memory for a few seconds so the check does not add a
+ * query per request. Revoking a session in this process clears the user's
+ * entries at once; another instance notices when its entry expires.
+ */
+class SessionService {
+  constructor() {
+    this.cache = new Map(); // sid -> { userId, active, expiresAt }
+  }
+
+  /**
+   * Whether the session an access token names is still active
+   * @param {string} userId - User ID from the token
+   * @param {string} sessionId - sid claim (session family id)
+   * @returns {Promise<boolean>}
+   */
+  async isActive(userId, sessionId) {
+    const cached = this.cache.get(sessionId);
+    if (cached && cached.userId === userId && cached.expiresAt > Date.now()) {
+      return cached.active;
+    }
+
+    const active = await sessionModel.isFamilyActive(userId, sessionId);
+    this.remember(userId, sessionId, active);
+    return active;
+  }
+
+  remember(userId, sessionId, active) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    this.cache.delete(sessionId);
+    if (this.cache.size >= ACCESS_TOKEN_CHECKS.SESSION_CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(sessionId, {
+      userId,
+      active,
+      expiresAt: Date.now() + ACCESS_TOKEN_CHECKS.SESSION_CACHE_TTL,
+    });
+  }
+
+  /**
+   * Forget cached answers for a user's sessions. Call after ending any of them.
+   * @param {string} userId - User ID
+   */
+  invalidateUser(userId) {
+    this.cache.forEach((entry, sessionId) => {
+      if (entry.userId === userId) {
+        this.cache.delete(sessionId);
+      }
+    });
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,500 @@
+const sipModel = require('../models/sipModel');
+const productModel = require('../models/productModel');
+const investmentService = require('./investmentService');
+const notificationService = require('./notificationService');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  SIP_STATUS,
+  SIP_INSTALLMENT_STATUS,
+  SIP_RETRY,
+  NOTIFICATION_TYPES,
+} = require('../utils/constants');
+const {
+  ApiResponse,
+  ValidationHelper,
+  CalculationHelper,
+  AsyncHelper,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const toDateString = (value) => (value ? new Date(value).toISOString().split('T')[0] : null);
+const today = () => toDateString(new Date());
+
+/**
+ * SIP Service
+ * Recurring investment mandates and their scheduled installments
+ */
+class SipService {
+  /**
+   * First installment index whose date is on or after the given date
+   */
+  findNextIndex(sip, fromIndex, onOrAfter) {
+    let index = fromIndex;
+    while (
+      CalculationHelper.calculateInstallmentDate(
+        sip.startDate,
+        sip.frequency,
+        index,
+      ) < onOrAfter
+    ) {
+      index += 1;
+    }
+    return index;
+  }
+
+  /**
+   * Create a SIP after validating the product and amount
+   */
+  async createSip(userId, data) {
+    try {
+      const product = await productModel.findById(data.productId);
+      if (!product || !product.isActive) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.PRODUCT_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      const amountValidation = ValidationHelper.validateInvestmentAmount(
+        data.amount,
+        product.minInvestment,
+        product.maxInvestment,
+      );
+      if (!amountValidation.isValid) {
+        return ApiResponse.error(
+          amountValidation.message,
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const startDate = toDateString(data.startDate) || today();
+      const endDate = toDateString(data.endDate);
+      if (startDate < today()) {
+        return ApiResponse.error(
+          'Start date cannot be in the past',
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+      if (endDate && endDate <= startDate) {
+        return ApiResponse.error(
+          'End date must be after the start date',
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const sip = await sipModel.create({
+        userId,
+        productId: product.id,
+        amount: parseFloat(data.amount),
+        frequency: data.frequency,
+        startDate,
+        endDate,
+      });
+
+      return ApiResponse.success(
+        SUCCESS_MESSAGES.SIP_CREATED,
+        sip,
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      logger.error('Create SIP error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * List the user's SIPs
+   */
+  async getSips(userId, pagination = {}, filters = {}) {
+    try {
+      const list = await sipModel.findByUser(userId, filters, pagination);
+      return ApiResponse.success('SIPs fetched successfully', list);
+    } catch (error) {
+      logger.error('Get SIPs error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Get a SIP with its installment history
+   */
+  async getSip(userId, sipId) {
+    try {
+      const sip = await sipModel.findById(sipId);
+      if (!sip || sip.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.SIP_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      const installments = await sipModel.findInstallments(sipId);
+      return ApiResponse.success('SIP fetched successfully', {
+        ...sip,
+        installments,
+      });
+    } catch (error) {
+      logger.error('Get SIP error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Pause an active SIP
+   */
+  async pauseSip(userId, sipId) {
+    return this.changeStatus(userId, sipId, SIP_STATUS.PAUSED, {}, [
+      SIP_STATUS.ACTIVE,
+    ]);
+  }
+
+  /**
+   * Resume a paused SIP. Installments missed while paused are skipped; the
+   * schedule restarts from the next due date on or after today.
+   */
+  async resumeSip(userId, sipId) {
+    try {
+      const sip = await sipModel.findById(sipId);
+      if (!sip || sip.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.SIP_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      if (sip.status !== SIP_STATUS.PAUSED) {
+        return ApiResponse.error(
+          'Only paused SIPs can be resumed',
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const nextIndex = this.findNextIndex(
+        sip,
+        sip.nextInstallmentIndex,
+        today(),
+      );
+      const nextRunDate = CalculationHelper.calculateInstallmentDate(
+        sip.startDate,
+        sip.frequency,
+        nextIndex,
+      );
+      const finished = sip.endDate && nextRunDate > sip.endDate;
+
+      return this.changeStatus(
+        userId,
+        sipId,
+        finished ? SIP_STATUS.COMPLETED : SIP_STATUS.ACTIVE,
+        {
+          nextRunDate: finished ? null : nextRunDate,
+          nextInstallmentIndex: nextIndex,
+        },
+        [SIP_STATUS.PAUSED],
+      );
+    } catch (error) {
+      logger.error('Resume SIP error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Cancel an active or paused SIP
+   */
+  async cancelSip(userId, sipId) {
+    return this.changeStatus(
+      userId,
+      sipId,
+      SIP_STATUS.CANCELLED,
+      { nextRunDate: null },
+      [SIP_STATUS.ACTIVE, SIP_STATUS.PAUSED],
+    );
+  }
+
+  /**
+   * Move a SIP to a new status if it is currently in one of fromStatuses
+   */
+  async changeStatus(userId, sipId, status, extra, fromStatuses) {
+    try {
+      const sip = await sipModel.findById(sipId);
+      if (!sip || sip.userId !== userId) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.SIP_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      const updated = await sipModel.update(
+        sipId,
+        { status, ...extra },
+        fromStatuses,
+      );
+      if (!updated) {
+        return ApiResponse.error(
+          `SIP is ${sip.status} and cannot be moved to ${status}`,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+
+      return ApiResponse.success(
+        `SIP ${status}`,
+        await sipModel.findById(sipId),
+      );
+    } catch (error) {
+      logger.error('Change SIP status error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Upcoming installment calendar for the user's active SIPs
+   * @param {number} days - horizon from today
+   */
+  async getUpcomingInstallments(userId, days = 90) {
+    try {
+      const { sips } = await sipModel.findByUser(
+        userId,
+        { status: SIP_STATUS.ACTIVE },
+        { page: 1, limit: 100 },
+      );
+
+      const horizon = new Date();
+      horizon.setUTCDate(horizon.getUTCDate() + days);
+      const until = toDateString(horizon);
+
+      const installments = [];
+      sips.forEach((sip) => {
+        let index = this.findNextIndex(sip, sip.nextInstallmentIndex, today());
+        for (;;) {
+          const date = CalculationHelper.calculateInstallmentDate(
+            sip.startDate,
+            sip.frequency,
+            index,
+          );
+          if (date > until || (sip.endDate && date > sip.endDate)) break;
+          installments.push({
+            date,
+            sipId: sip.id,
+            productId: sip.productId,
+            productName: sip.productName,
+            amount: sip.amount,
+            frequency: sip.frequency,
+          });
+          index += 1;
+        }
+      });
+
+      installments.sort((a, b) => a.date.localeCompare(b.date));
+
+      return ApiResponse.success('Upcoming installments fetched successfully', {
+        from: today(),
+        to: until,
+        totalAmount: installments.reduce((sum, i) => sum + i.amount, 0),
+        installments,
+      });
+    } catch (error) {
+      logger.error('SIP calendar error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Invest a claimed installment through the normal investment path and
+   * record the outcome. A success is recorded in the investment's own
+   * transaction, so an installment is never left pending with its money
+   * already invested. A failed attempt is tried again after
+   * SIP_RETRY.RETRY_HOURS until SIP_RETRY.MAX_ATTEMPTS have been made.
+   * @param {number} attempt - 1 for the first try
+   * @returns {Promise<Object>} installment outcome
+   */
+  async runInstallment(sip, installmentId, dueDate, attempt) {
+    const success = { sipId: sip.id, dueDate, status: SIP_INSTALLMENT_STATUS.SUCCESS };
+    let result;
+    try {
+      result = await investmentService.createInvestment(
+        sip.userId,
+        sip.productId,
+        sip.amount,
+        {
+          notes: `SIP installment due ${dueDate}`,
+          onCreated: (investment, tx) => sipModel.completeInstallment(
+            installmentId,
+            { ...success, investmentId: investment.id },
+            tx,
+          ),
+        },
+      );
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    if (result.success) {
+      return { ...success, investmentId: result.data.id };
+    }
+
+    const retryInHours = attempt < SIP_RETRY.MAX_ATTEMPTS ? SIP_RETRY.RETRY_HOURS : 0;
+    const outcome = {
+      sipId: sip.id,
+      dueDate,
+      status: SIP_INSTALLMENT_STATUS.FAILED,
+      failureReason: result.message,
+      attempt,
+      retryInHours,
+    };
+    await sipModel.completeInstallment(installmentId, outcome);
+    await notificationService.notify(sip.userId, {
+      type: NOTIFICATION_TYPES.INVESTMENT,
+      title: 'SIP installment failed',
+      message: `Your ${sip.frequency} SIP installment in ${sip.productName} due ${dueDate} could not be invested: ${result.message}. ${retryInHours ? `We will try again in ${retryInHours} hours.` : 'It will not be tried again.'}`,
+      actionUrl: `/sips/${sip.id}`,
+    });
+    return outcome;
+  }
+
+  /**
+   * Execute one installment of a SIP, unless another run already claimed
+   * its due date
+   * @returns {Promise<Object>} installment outcome
+   */
+  async executeInstallment(sip, dueDate) {
+    const installmentId = await sipModel.claimInstallment(sip, dueDate);
+    if (!installmentId) {
+      return { sipId: sip.id, dueDate, status: 'skipped' };
+    }
+    return this.runInstallment(sip, installmentId, dueDate, 1);
+  }
+
+  /**
+   * Execute every installment of a SIP that has fallen due, oldest first,
+   * then move its schedule to the first date after today. Dates already
+   * claimed are skipped, so a run that stopped halfway can be repeated.
+   * @returns {Promise<Array>} installment outcomes
+   */
+  async executeDueSip(sip) {
+    const tomorrow = new Date();
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+    const nextIndex = this.findNextIndex(
+      sip,
+      sip.nextInstallmentIndex + 1,
+      toDateString(tomorrow),
+    );
+
+    const dueDates = Array.from(
+      { length: nextIndex - sip.nextInstallmentIndex },
+      (_, i) => CalculationHelper.calculateInstallmentDate(
+        sip.startDate,
+        sip.frequency,
+        sip.nextInstallmentIndex + i,
+      ),
+    ).filter((date) => !sip.endDate || date <= sip.endDate);
+
+    const outcomes = await AsyncHelper.mapSeries(
+      dueDates,
+      (dueDate) => this.executeInstallment(sip, dueDate),
+    );
+
+    const nextRunDate = CalculationHelper.calculateInstallmentDate(
+      sip.startDate,
+      sip.frequency,
+      nextIndex,
+    );
+    const finished = sip.endDate && nextRunDate > sip.endDate;
+    await sipModel.update(
+      sip.id,
+      {
+        status: finished ? SIP_STATUS.COMPLETED : SIP_STATUS.ACTIVE,
+        nextRunDate: finished ? null : nextRunDate,
+        nextInstallmentIndex: nextIndex,
+        lastRunAt: new Date(),
+      },
+      [SIP_STATUS.ACTIVE],
+    );
+
+    return outcomes;
+  }
+
+  /**
+   * Run every due installment once and try failed ones again when their
+   * retry time has come
+   * @returns {Promise<Object>} run summary
+   */
+  async executeDueInstallments() {
+    const due = await sipModel.findDue();
+    const summary = {
+      due: due.length,
+      executed: 0,
+      retried: 0,
+      failed: [],
+      skipped: 0,
+    };
+    const record = (outcome) => {
+      if (outcome.status === SIP_INSTALLMENT_STATUS.SUCCESS) {
+        summary.executed += 1;
+      } else if (outcome.status === SIP_INSTALLMENT_STATUS.FAILED) {
+        summary.failed.push(outcome);
+      } else {
+        summary.skipped += 1;
+      }
+    };
+
+    await AsyncHelper.mapSeries(due, async (sip) => {
+      try {
+        (await this.executeDueSip(sip)).forEach(record);
+      } catch (error) {
+        logger.error(`SIP installment failed for ${sip.id}:`, error.message);
+        summary.failed.push({
+          sipId: sip.id,
+          dueDate: sip.nextRunDate,
+          failureReason: error.message,
+        });
+      }
+    });
+
+    const retryable = await sipModel.findRetryable();
+    await AsyncHelper.mapSeries(retryable, async ({ installment, sip }) => {
+      try {
+        if (!(await sipModel.claimRetry(installment.id))) {
+          summary.skipped += 1;
+          return;
+        }
+        summary.retried += 1;
+        record(
+          await this.runInstallment(
+            sip,
+            installment.id,
+            installment.dueDate,
+            installment.attempts + 1,
+          ),
+        );
+      } catch (error) {
+        logger.error(`SIP installment retry failed for ${sip.id}:`, error.message);
+        summary.failed.push({
+          sipId: sip.id,
+          dueDate: installment.dueDate,
+          failureReason: error.message,
+        });
+      }
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new SipService();
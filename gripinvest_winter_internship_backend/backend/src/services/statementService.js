@@ -0,0 +1,204 @@
+const userModel = require('../models/userModel');
+const investmentModel = require('../models/investmentModel');
+const transactionModel = require('../models/transactionModel');
+const redemptionModel = require('../models/redemptionModel');
+const csvStatement = require('../statements/csvStatement');
+const pdfStatement = require('../statements/pdfStatement');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  TRANSACTION_DIRECTIONS,
+  STATEMENT_FORMATS,
+  STATEMENT_CONFIG,
+} = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Statement Service
+ * Account statements for a date range: wallet balances, the ledger,
+ * holdings and gains, rendered as PDF or CSV
+ */
+class StatementService {
+  /**
+   * Normalise the requested range to whole UTC days
+   * @returns {Object} { from, to } (YYYY-MM-DD) and the SQL bounds { start, end },
+   *   where `end` is exclusive
+   */
+  getRange(from, to) {
+    const toDate = toDateString(to || new Date());
+    const fromDate = from
+      ? toDateString(from)
+      : toDateString(
+        new Date(`${toDate}T00:00:00Z`).getTime()
+            - STATEMENT_CONFIG.DEFAULT_RANGE_DAYS * DAY_MS,
+      );
+    const endDate = toDateString(new Date(`${toDate}T00:00:00Z`).getTime() + DAY_MS);
+    return {
+      from: fromDate,
+      to: toDate,
+      start: `${fromDate} 00:00:00`,
+      end: `${endDate} 00:00:00`,
+    };
+  }
+
+  /**
+   * Collect everything a statement shows. Balances are anchored on the
+   * current wallet balance and walked back through the ledger, so credits
+   * that predate the ledger (the signup balance) are still accounted for.
+   * @param {Object} user - statement owner, from userModel.findById
+   * @param {Object} range - from getRange
+   * @returns {Promise<Object>} statement data
+   */
+  async buildStatement(user, range) {
+    const userId = user.id;
+    const [transactions, sinceStart, sinceEnd, holdings, closed, redemptions] = await Promise.all([
+      transactionModel.findInRange(userId, range.start, range.end),
+      transactionModel.getNetMovementSince(userId, range.start),
+      transactionModel.getNetMovementSince(userId, range.end),
+      investmentModel.findHoldings(userId),
+      investmentModel.findClosedByUser(userId, range.start, range.end),
+      redemptionModel.findByUserInRange(userId, range.start, range.end),
+    ]);
+
+    const openingBalance = round(user.accountBalance - sinceStart);
+    const closingBalance = round(user.accountBalance - sinceEnd);
+
+    let balance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+    const ledger = transactions.map((t) => {
+      const isCredit = t.direction === TRANSACTION_DIRECTIONS.CREDIT;
+      balance += isCredit ? t.amount : -t.amount;
+      if (isCredit) totalCredits += t.amount;
+      else totalDebits += t.amount;
+      return {
+        date: t.createdAt,
+        referenceNumber: t.referenceNumber,
+        type: t.type,
+        description: t.description,
+        credit: isCredit ? t.amount : null,
+        debit: isCredit ? null : t.amount,
+        balance: round(balance),
+      };
+    });
+
+    const holdingRows = holdings.map((i) => {
+      const currentValue = i.currentValue !== undefined ? i.currentValue : i.amount;
+      const gain = currentValue - i.amount;
+      return {
+        investmentId: i.id,
+        productName: i.product.name,
+        investmentType: i.product.investmentType,
+        status: i.status,
+        investedAt: i.investedAt,
+        maturityDate: i.maturityDate ? toDateString(i.maturityDate) : null,
+        amount: i.amount,
+        currentValue,
+        unrealizedGain: round(gain),
+        unrealizedGainPercentage: i.amount ? round((gain / i.amount) * 100) : 0,
+      };
+    });
+
+    const realized = [
+      ...closed.map((i) => ({
+        investmentId: i.id,
+        productName: i.product.name,
+        event: i.status === 'matured' ? 'maturity' : 'cancellation',
+        date: i.closedAt,
+        costBasis: i.amount,
+        proceeds: i.proceeds,
+        gain: round(i.proceeds - i.amount),
+      })),
+      ...redemptions.map((r) => ({
+        investmentId: r.investmentId,
+        productName: r.productName,
+        event: 'redemption',
+        date: r.createdAt,
+        costBasis: r.principalRedeemed,
+        proceeds: r.netAmount,
+        gain: round(r.netAmount - r.principalRedeemed),
+      })),
+    ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const sum = (rows, field) => round(rows.reduce((acc, r) => acc + r[field], 0));
+
+    return {
+      account: {
+        name: `${user.firstName} ${user.lastName || ''}`.trim(),
+        email: user.email,
+      },
+      period: { from: range.from, to: range.to },
+      generatedAt: new Date().toISOString(),
+      summary: {
+        openingBalance,
+        closingBalance,
+        totalCredits: round(totalCredits),
+        totalDebits: round(totalDebits),
+        totalInvested: sum(holdingRows, 'amount'),
+        holdingsValue: sum(holdingRows, 'currentValue'),
+        unrealizedGains: sum(holdingRows, 'unrealizedGain'),
+        realizedGains: sum(realized, 'gain'),
+      },
+      transactions: ledger,
+      holdings: holdingRows,
+      realizedGains: realized,
+    };
+  }
+
+  /**
+   * Build and render a statement
+   * @param {string} userId - user id
+   * @param {Object} options - { from, to, format }
+   * @returns {Promise<ApiResponse>} data: { filename, contentType, content }
+   */
+  async getStatement(userId, { from, to, format = STATEMENT_FORMATS.PDF } = {}) {
+    try {
+      const range = this.getRange(from, to);
+      const days = (new Date(range.to) - new Date(range.from)) / DAY_MS + 1;
+      if (days > STATEMENT_CONFIG.MAX_RANGE_DAYS) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.STATEMENT_RANGE_TOO_LONG,
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const user = await userModel.findById(userId);
+      if (!user) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.USER_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      const statement = await this.buildStatement(user, range);
+      const filename = `statement-${range.from}-to-${range.to}.${format}`;
+      const content = format === STATEMENT_FORMATS.CSV
+        ? csvStatement.render(statement)
+        : await pdfStatement.render(statement);
+
+      return ApiResponse.success('Statement generated successfully', {
+        filename,
+        contentType:
+          format === STATEMENT_FORMATS.CSV
+            ? 'text/csv; charset=utf-8'
+            : 'application/pdf',
+        content,
+      });
+    } catch (error) {
+      logger.error('Statement generation error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,286 @@
+const userModel = require('../models/userModel');
+const investmentModel = require('../models/investmentModel');
+const redemptionModel = require('../models/redemptionModel');
+const csvTaxReport = require('../statements/csvTaxReport');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  INVESTMENT_TYPES,
+  TAX_REPORT_FORMATS,
+  TAX_CLASSIFICATIONS,
+  TAX_CONFIG,
+} = require('../utils/constants');
+const { ApiResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FY_PATTERN = /^(\d{4})-(\d{2})$/;
+
+const DISCLAIMER = 'Indicative figures from Grip Invest records only. Check them against your Form 26AS / AIS before filing.';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Tax Service
+ * Financial-year tax report: realized returns split into interest income,
+ * short-term and long-term capital gains, TDS-relevant interest and
+ * section 80C investments
+ */
+class TaxService {
+  /**
+   * Resolve a financial year label such as "2024-25" (April to March).
+   * Without a label, the year containing `today` is used.
+   * @returns {Object|null} { label, from, to, start, end } with `end`
+   *   exclusive, or null when the label is malformed
+   */
+  getFinancialYear(label, today = new Date()) {
+    let startYear;
+    if (label) {
+      const match = FY_PATTERN.exec(label);
+      if (!match) return null;
+      startYear = Number(match[1]);
+      if ((startYear + 1) % 100 !== Number(match[2])) return null;
+    } else {
+      startYear = today.getUTCMonth() + 1 >= TAX_CONFIG.FY_START_MONTH
+        ? today.getUTCFullYear()
+        : today.getUTCFullYear() - 1;
+    }
+
+    const month = pad(TAX_CONFIG.FY_START_MONTH);
+    const lastDay = new Date(
+      Date.UTC(startYear + 1, TAX_CONFIG.FY_START_MONTH - 1, 1) - DAY_MS,
+    );
+    return {
+      label: `${startYear}-${pad((startYear + 1) % 100)}`,
+      from: `${startYear}-${month}-01`,
+      to: lastDay.toISOString().split('T')[0],
+      start: `${startYear}-${month}-01 00:00:00`,
+      end: `${startYear + 1}-${month}-01 00:00:00`,
+    };
+  }
+
+  /**
+   * Whether a holding sold on `soldAt` was held for more than `months`
+   */
+  isLongTerm(investedAt, soldAt, months) {
+    const cutoff = new Date(investedAt);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() + months);
+    return new Date(soldAt) > cutoff;
+  }
+
+  /**
+   * Instrument of a product's investment_type; anything unrecognised is
+   * reported as "other"
+   * @param {string} investmentType - investment_products.investment_type
+   * @returns {string} INVESTMENT_TYPES value
+   */
+  instrumentOf(investmentType) {
+    const type = String(investmentType || '').toLowerCase();
+    return Object.values(INVESTMENT_TYPES).includes(type)
+      ? type
+      : INVESTMENT_TYPES.OTHER;
+  }
+
+  /**
+   * Tax head of a realized return. Deposit returns are always interest, as
+   * are bonds held to maturity; anything sold or redeemed early is a capital
+   * gain, long term once held past the instrument's holding period.
+   * @param {string} instrument - investment type
+   * @param {string} event - maturity, cancellation or redemption
+   * @returns {string} TAX_CLASSIFICATIONS value
+   */
+  classify(instrument, event, investedAt, soldAt) {
+    if (instrument === INVESTMENT_TYPES.FD) return TAX_CLASSIFICATIONS.INTEREST;
+    if (instrument === INVESTMENT_TYPES.BOND && event === 'maturity') {
+      return TAX_CLASSIFICATIONS.INTEREST;
+    }
+    const months = TAX_CONFIG.LTCG_HOLDING_MONTHS[instrument]
+      || TAX_CONFIG.LTCG_HOLDING_MONTHS.other;
+    return this.isLongTerm(investedAt, soldAt, months)
+      ? TAX_CLASSIFICATIONS.LTCG
+      : TAX_CLASSIFICATIONS.STCG;
+  }
+
+  /**
+   * Interest per payer and instrument, flagged where it crosses the TDS
+   * threshold for the year
+   */
+  getTdsSummary(entries) {
+    const payers = new Map();
+    entries
+      .filter((e) => e.classification === TAX_CLASSIFICATIONS.INTEREST)
+      .forEach((e) => {
+        const payer = e.issuer || e.productName;
+        const key = `${e.instrument}:${payer}`;
+        const current = payers.get(key) || {
+          payer,
+          instrument: e.instrument,
+          interest: 0,
+        };
+        current.interest += e.gain;
+        payers.set(key, current);
+      });
+
+    return [...payers.values()].map((p) => {
+      const threshold = TAX_CONFIG.TDS_THRESHOLDS[p.instrument] || 0;
+      const interest = round(p.interest);
+      const tdsApplicable = interest > threshold;
+      return {
+        ...p,
+        interest,
+        threshold,
+        tdsApplicable,
+        estimatedTds: tdsApplicable
+          ? round((interest * TAX_CONFIG.TDS_RATE) / 100)
+          : 0,
+      };
+    });
+  }
+
+  /**
+   * Build a user's report for one financial year
+   * @param {string} userId - user id
+   * @param {Object} fy - from getFinancialYear
+   * @returns {Promise<Object>} report data
+   */
+  async buildTaxReport(userId, fy) {
+    const [closed, redemptions, taxSaving] = await Promise.all([
+      investmentModel.findClosedByUser(userId, fy.start, fy.end),
+      redemptionModel.findByUserInRange(userId, fy.start, fy.end),
+      investmentModel.findTaxSavingByUser(userId, fy.start, fy.end),
+    ]);
+
+    const realized = [
+      ...closed.map((i) => ({
+        investmentId: i.id,
+        productName: i.product.name,
+        instrument: this.instrumentOf(i.investmentType),
+        issuer: i.issuer,
+        event: i.status === 'matured' ? 'maturity' : 'cancellation',
+        investedAt: i.investedAt,
+        date: i.closedAt,
+        costBasis: i.amount,
+        proceeds: i.proceeds,
+      })),
+      ...redemptions.map((r) => ({
+        investmentId: r.investmentId,
+        productName: r.productName,
+        instrument: this.instrumentOf(r.investmentType),
+        issuer: r.issuer,
+        event: 'redemption',
+        investedAt: r.investedAt,
+        date: r.createdAt,
+        costBasis: r.principalRedeemed,
+        proceeds: r.netAmount,
+      })),
+    ];
+
+    const entries = realized
+      .map((e) => ({
+        ...e,
+        holdingDays: Math.floor((new Date(e.date) - new Date(e.investedAt)) / DAY_MS),
+        gain: round(e.proceeds - e.costBasis),
+        classification: this.classify(e.instrument, e.event, e.investedAt, e.date),
+      }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const total = (rows) => round(rows.reduce((sum, e) => sum + e.gain, 0));
+    const byHead = (rows, head) => total(rows.filter((e) => e.classification === head));
+
+    const byInstrument = Object.values(INVESTMENT_TYPES).map((instrument) => {
+      const rows = entries.filter((e) => e.instrument === instrument);
+      return {
+        instrument,
+        interestIncome: byHead(rows, TAX_CLASSIFICATIONS.INTEREST),
+        shortTermCapitalGains: byHead(rows, TAX_CLASSIFICATIONS.STCG),
+        longTermCapitalGains: byHead(rows, TAX_CLASSIFICATIONS.LTCG),
+      };
+    });
+
+    const tds = this.getTdsSummary(entries);
+    const invested80C = round(taxSaving.reduce((sum, i) => sum + i.amount, 0));
+    const eligible80C = Math.min(invested80C, TAX_CONFIG.SECTION_80C_LIMIT);
+
+    return {
+      financialYear: fy.label,
+      period: { from: fy.from, to: fy.to },
+      generatedAt: new Date().toISOString(),
+      summary: {
+        interestIncome: byHead(entries, TAX_CLASSIFICATIONS.INTEREST),
+        shortTermCapitalGains: byHead(entries, TAX_CLASSIFICATIONS.STCG),
+        longTermCapitalGains: byHead(entries, TAX_CLASSIFICATIONS.LTCG),
+        totalRealized: total(entries),
+        tdsApplicableInterest: round(
+          tds.filter((t) => t.tdsApplicable).reduce((sum, t) => sum + t.interest, 0),
+        ),
+        estimatedTds: round(tds.reduce((sum, t) => sum + t.estimatedTds, 0)),
+        section80CEligible: eligible80C,
+      },
+      byInstrument,
+      entries,
+      tds,
+      section80C: {
+        limit: TAX_CONFIG.SECTION_80C_LIMIT,
+        invested: invested80C,
+        eligible: eligible80C,
+        investments: taxSaving.map((i) => ({
+          investmentId: i.id,
+          productName: i.product.name,
+          instrument: this.instrumentOf(i.investmentType),
+          amount: i.amount,
+          investedAt: i.investedAt,
+        })),
+      },
+      disclaimer: DISCLAIMER,
+    };
+  }
+
+  /**
+   * Tax report as JSON, or rendered as a CSV download
+   * @param {string} userId - user id
+   * @param {Object} options - { fy, format }
+   * @returns {Promise<ApiResponse>} the report, or for CSV
+   *   { filename, contentType, content }
+   */
+  async getTaxReport(userId, { fy, format = TAX_REPORT_FORMATS.JSON } = {}) {
+    try {
+      const year = this.getFinancialYear(fy);
+      if (!year) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.INVALID_FINANCIAL_YEAR,
+          HTTP_STATUS.BAD_REQUEST,
+        );
+      }
+
+      const user = await userModel.findById(userId);
+      if (!user) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.USER_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+
+      const report = await this.buildTaxReport(userId, year);
+      if (format !== TAX_REPORT_FORMATS.CSV) {
+        return ApiResponse.success('Tax report fetched successfully', report);
+      }
+
+      return ApiResponse.success('Tax report generated successfully', {
+        filename: `tax-report-FY${year.label}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        content: csvTaxReport.render(report),
+      });
+    } catch (error) {
+      logger.error('Tax report error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const userModel = require('../models/userModel');
+const twoFactorModel = require('../models/twoFactorModel');
+const notificationService = require('./notificationService');
+const { databaseConfig } = require('../config/database');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  TWO_FACTOR_CONFIG,
+  REGEX_PATTERNS,
+  NOTIFICATION_TYPES,
+} = require('../utils/constants');
+const { ApiResponse, AuthHelper, ErrorHandler } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const TOTP_STEP_SECONDS = 30;
+
+// Recovery codes are compared without case or the display dash
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+// Ten hex characters shown as "xxxxx-xxxxx"
+const generateRecoveryCodes = () => Array.from(
+  { length: TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT },
+  () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  },
+);
+
+/**
+ * Time step a code belongs to, or null when it does not match the secret
+ * within the allowed drift window
+ */
+const verifyTotp = (secret, code) => {
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: code,
+    step: TOTP_STEP_SECONDS,
+    window: TWO_FACTOR_CONFIG.WINDOW,
+  });
+  if (!match) return null;
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + match.delta;
+};
+
+/**
+ * Two-Factor Service
+ * TOTP enrolment (RFC 6238, works with any authenticator app and needs no
+ * network access), recovery codes and the second step of sign-in.
+ */
+class TwoFactorService {
+  handleError(error, label) {
+    if (error.status) {
+      return ApiResponse.error(error.message, error.status);
+    }
+    logger.error(`${label} error:`, error);
+    return ApiResponse.error(
+      ERROR_MESSAGES.SERVER_ERROR,
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    );
+  }
+
+  /**
+   * Whether 2FA is on and how many recovery codes are left
+   */
+  async getStatus(userId) {
+    try {
+      const state = await twoFactorModel.findByUserId(userId);
+      if (!state) {
+        return ApiResponse.error(ERROR_MESSAGES.USER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+      }
+
+      return ApiResponse.success('Two-factor status retrieved', {
+        enabled: state.enabled,
+        enabledAt: state.enabledAt,
+        recoveryCodesRemaining: state.enabled
+          ? await twoFactorModel.countRecoveryCodes(userId)
+          : 0,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Get two-factor status');
+    }
+  }
+
+  /**
+   * Generate a secret for the user to add to an authenticator app. 2FA stays
+   * off until the first code is confirmed.
+   * @returns {Promise<ApiResponse>} { secret, otpauthUrl, qrCode } where
+   *   qrCode is a PNG data URL of otpauthUrl
+   */
+  async startSetup(userId) {
+    try {
+      const state = await twoFactorModel.findByUserId(userId);
+      if (!state) {
+        return ApiResponse.error(ERROR_MESSAGES.USER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+      }
+      if (state.enabled) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+
+      const secret = speakeasy.generateSecret({
+        length: TWO_FACTOR_CONFIG.SECRET_LENGTH,
+      }).base32;
+      const otpauthUrl = speakeasy.otpauthURL({
+        secret,
+        encoding: 'base32',
+        label: `${TWO_FACTOR_CONFIG.ISSUER}:${state.email}`,
+        issuer: TWO_FACTOR_CONFIG.ISSUER,
+      });
+
+      if (!(await twoFactorModel.saveSecret(userId, secret))) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED,
+          HTTP_STATUS.CONFLICT,
+        );
+      }
+
+      return ApiResponse.success('Scan the QR code with your authenticator app', {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl),
+      });
+    } catch (error) {
+      return this.handleError(error, 'Start two-factor setup');
+    }
+  }
+
+  /**
+   * Confirm setup with a first code and turn 2FA on
+   * @returns {Promise<ApiResponse>} { recoveryCodes } - shown only this once
+   */
+  async confirmSetup(userId, code) {
+    try {
+      const recoveryCodes = generateRecoveryCodes();
+
+      await databaseConfig.executeTransaction(async (tx) => {
+        const state = await twoFactorModel.findByUserId(userId, tx);
+        if (!state) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+        if (state.enabled) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED,
+            HTTP_STATUS.CONFLICT,
+          );
+        }
+        if (!state.secret) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.TWO_FACTOR_SETUP_REQUIRED,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const step = verifyTotp(state.secret, code);
+        if (step === null || !(await twoFactorModel.enable(userId, step, tx))) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.INVALID_TWO_FACTOR_CODE,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+        await twoFactorModel.replaceRecoveryCodes(
+          userId,
+          recoveryCodes.map(hashRecoveryCode),
+          tx,
+        );
+      });
+
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.SECURITY,
+        title: 'Two-factor authentication enabled',
+        message: 'Sign-ins now need a code from your authenticator app. Keep your recovery codes somewhere safe.',
+        actionUrl: '/profile',
+      });
+
+      return ApiResponse.success(SUCCESS_MESSAGES.TWO_FACTOR_ENABLED, {
+        recoveryCodes,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Confirm two-factor setup');
+    }
+  }
+
+  /**
+   * Turn 2FA off after checking the account password
+   */
+  async disable(userId, password) {
+    try {
+      await this.verifyPassword(userId, password);
+
+      await databaseConfig.executeTransaction(async (tx) => {
+        const state = await twoFactorModel.findByUserId(userId, tx);
+        if (!state.enabled) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+        await twoFactorModel.disable(userId, tx);
+      });
+
+      await notificationService.notify(userId, {
+        type: NOTIFICATION_TYPES.SECURITY,
+        title: 'Two-factor authentication disabled',
+        message: "Sign-ins no longer need an authenticator code. If this wasn't you, change your password now.",
+        actionUrl: '/profile',
+      });
+
+      return ApiResponse.success(SUCCESS_MESSAGES.TWO_FACTOR_DISABLED);
+    } catch (error) {
+      return this.handleError(error, 'Disable two-factor');
+    }
+  }
+
+  /**
+   * Replace the recovery codes after checking the account password
+   * @returns {Promise<ApiResponse>} { recoveryCodes } - shown only this once
+   */
+  async regenerateRecoveryCodes(userId, password) {
+    try {
+      await this.verifyPassword(userId, password);
+      const recoveryCodes = generateRecoveryCodes();
+
+      await databaseConfig.executeTransaction(async (tx) => {
+        const state = await twoFactorModel.findByUserId(userId, tx);
+        if (!state.enabled) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+        await twoFactorModel.replaceRecoveryCodes(
+          userId,
+          recoveryCodes.map(hashRecoveryCode),
+          tx,
+        );
+      });
+
+      return ApiResponse.success('New recovery codes generated', {
+        recoveryCodes,
+      });
+    } catch (error) {
+      return this.handleError(error, 'Regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Check a sign-in code: a current TOTP code or an unused recovery code.
+   * Either is accepted once only.
+   * @returns {Promise<Object>} { valid, method, recoveryCodesRemaining }
+   */
+  async verifyLoginCode(userId, code) {
+    const state = await twoFactorModel.findByUserId(userId);
+    if (!state || !state.enabled) {
+      return { valid: false };
+    }
+
+    if (REGEX_PATTERNS.TOTP_CODE.test(code)) {
+      const step = verifyTotp(state.secret, code);
+      const valid = step !== null && (await twoFactorModel.markStepUsed(userId, step));
+      return { valid, method: 'totp' };
+    }
+
+    if (REGEX_PATTERNS.RECOVERY_CODE.test(code)) {
+      const valid = await twoFactorModel.useRecoveryCode(
+        userId,
+        hashRecoveryCode(code),
+      );
+      return {
+        valid,
+        method: 'recovery_code',
+        recoveryCodesRemaining: valid
+          ? await twoFactorModel.countRecoveryCodes(userId)
+          : undefined,
+      };
+    }
+
+    return { valid: false };
+  }
+
+  /**
+   * Throws 401 unless the password matches the account
+   */
+  async verifyPassword(userId, password) {
+    const user = await userModel.findById(userId, true);
+    if (!user) {
+      throw ErrorHandler.createError(
+        ERROR_MESSAGES.USER_NOT_FOUND,
+        HTTP_STATUS.NOT_FOUND,
+      );
+    }
+    if (!(await AuthHelper.comparePassword(password, user.passwordHash))) {
+      throw ErrorHandler.createError(
+        ERROR_MESSAGES.INCORRECT_PASSWORD,
+        HTTP_STATUS.UNAUTHORIZED,
+      );
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
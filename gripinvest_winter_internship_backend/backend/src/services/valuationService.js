@@ -0,0 +1,105 @@
+const investmentModel = require('../models/investmentModel');
+const productModel = require('../models/productModel');
+const performanceModel = require('../models/performanceModel');
+const investmentService = require('./investmentService');
+const { databaseConfig } = require('../config/database');
+const { AsyncHelper } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Valuation Service
+ * Daily mark-to-market of open investments and their per-day snapshots
+ */
+class ValuationService {
+  /**
+   * Revalue one investment as of a date and store that day's snapshot. The
+   * row is re-read under lock, so a redemption that lands while the batch
+   * is running cannot be overwritten with a value computed from its old
+   * amount.
+   * @param {Object} investment - formatted investment from the batch
+   * @param {Object} product - formatted product
+   * @param {string} date - valuation date (YYYY-MM-DD)
+   * @returns {Promise<number|null>} new value, or null if no longer open
+   */
+  async revalueInvestment(investment, product, date) {
+    return databaseConfig.executeTransaction(async (tx) => {
+      const locked = await investmentModel.findByIdForUpdate(investment.id, tx);
+      if (!locked) return null;
+
+      const accrued = investmentService.calculateAccruedValue(
+        locked,
+        product,
+        new Date(`${date}T00:00:00Z`),
+      );
+      const updated = await investmentModel.updateCurrentValue(
+        locked.id,
+        accrued.finalAmount,
+        tx,
+      );
+      if (!updated) return null;
+
+      await performanceModel.upsertSnapshot(
+        {
+          investmentId: locked.id,
+          date,
+          investedAmount: locked.amount,
+          currentValue: accrued.finalAmount,
+        },
+        tx,
+      );
+      return accrued.finalAmount;
+    });
+  }
+
+  /**
+   * Revalue every open investment. Values are computed as of the start of the
+   * valuation date, so re-running on the same day writes the same numbers.
+   * @param {string} date - valuation date, defaults to today (UTC)
+   * @returns {Promise<Object>} run summary
+   */
+  async revalueAll(date = new Date().toISOString().split('T')[0]) {
+    const summary = { date, valued: 0, failed: [] };
+    await this.revalueBatchesAfter(null, date, new Map(), summary);
+    return summary;
+  }
+
+  /**
+   * Revalue open investments page by page, starting after the given id
+   * @param {string|null} afterId - last id of the previous page
+   * @param {string} date - valuation date (YYYY-MM-DD)
+   * @param {Map} products - products already loaded, by id
+   * @param {Object} summary - run summary, updated in place
+   */
+  async revalueBatchesAfter(afterId, date, products, summary) {
+    const batch = await investmentModel.findOpenBatch(afterId, BATCH_SIZE);
+    if (!batch.length) return;
+
+    await AsyncHelper.mapSeries(batch, async (investment) => {
+      try {
+        if (!products.has(investment.productId)) {
+          products.set(
+            investment.productId,
+            await productModel.findById(investment.productId),
+          );
+        }
+        const product = products.get(investment.productId);
+        if (!product) return;
+
+        await this.revalueInvestment(investment, product, date);
+        summary.valued += 1;
+      } catch (error) {
+        logger.error(`Valuation failed for ${investment.id}:`, error.message);
+        summary.failed.push({
+          investmentId: investment.id,
+          error: error.message,
+        });
+      }
+    });
+
+    await this.revalueBatchesAfter(batch[batch.length - 1].id, date, products, summary);
+  }
+}
+
+module.exports = new ValuationService();
@@ -0,0 +1,227 @@
+const transactionModel = require('../models/transactionModel');
+const userModel = require('../models/userModel');
+const eventBus = require('../events/eventBus');
+const { databaseConfig } = require('../config/database');
+const {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  TRANSACTION_TYPES,
+  WALLET_LIMITS,
+  EVENT_TYPES,
+} = require('../utils/constants');
+const {
+  ApiResponse,
+  FormatHelper,
+  ErrorHandler,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Wallet Service
+ * Deposits, withdrawals and the ledger view of a user's account balance
+ */
+class WalletService {
+  /**
+   * Check an amount against a min/max pair
+   */
+  validateAmount(amount, min, max) {
+    if (!amount || Number.isNaN(Number(amount)) || amount <= 0) {
+      return { isValid: false, message: 'Valid amount is required' };
+    }
+    if (amount < min) {
+      return {
+        isValid: false,
+        message: `Minimum amount is ${FormatHelper.formatCurrency(min)}`,
+      };
+    }
+    if (amount > max) {
+      return {
+        isValid: false,
+        message: `Maximum amount is ${FormatHelper.formatCurrency(max)}`,
+      };
+    }
+    return { isValid: true };
+  }
+
+  /**
+   * Credit funds to the user's wallet
+   */
+  async deposit(userId, amount, options = {}) {
+    try {
+      const validation = this.validateAmount(
+        amount,
+        WALLET_LIMITS.MIN_DEPOSIT,
+        WALLET_LIMITS.MAX_DEPOSIT,
+      );
+      if (!validation.isValid) {
+        return ApiResponse.error(validation.message, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const result = await databaseConfig.executeTransaction(async (tx) => {
+        const user = await userModel.findByIdForUpdate(userId, tx);
+        if (!user || !user.isActive) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+
+        const updatedUser = await userModel.updateBalance(
+          userId,
+          parseFloat(amount),
+          'add',
+          tx,
+        );
+        const transaction = await transactionModel.create(
+          {
+            userId,
+            type: TRANSACTION_TYPES.DEPOSIT,
+            amount: parseFloat(amount),
+            description: options.description || 'Wallet deposit',
+          },
+          tx,
+        );
+        return { transaction, balance: updatedUser.accountBalance };
+      });
+
+      eventBus.publish(userId, EVENT_TYPES.BALANCE_UPDATED, {
+        balance: result.balance,
+      });
+
+      return ApiResponse.success(
+        SUCCESS_MESSAGES.DEPOSIT_SUCCESS,
+        result,
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(error.message, error.status);
+      }
+      logger.error('Wallet deposit error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Debit funds from the user's wallet
+   */
+  async withdraw(userId, amount, options = {}) {
+    try {
+      const validation = this.validateAmount(
+        amount,
+        WALLET_LIMITS.MIN_WITHDRAWAL,
+        WALLET_LIMITS.MAX_WITHDRAWAL,
+      );
+      if (!validation.isValid) {
+        return ApiResponse.error(validation.message, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      // Balance check, debit and ledger entry run under a lock on the user row
+      const result = await databaseConfig.executeTransaction(async (tx) => {
+        const user = await userModel.findByIdForUpdate(userId, tx);
+        if (!user || !user.isActive) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.USER_NOT_FOUND,
+            HTTP_STATUS.NOT_FOUND,
+          );
+        }
+        if (user.accountBalance < amount) {
+          throw ErrorHandler.createError(
+            ERROR_MESSAGES.INSUFFICIENT_BALANCE,
+            HTTP_STATUS.BAD_REQUEST,
+          );
+        }
+
+        const updatedUser = await userModel.updateBalance(
+          userId,
+          parseFloat(amount),
+          'subtract',
+          tx,
+        );
+        const transaction = await transactionModel.create(
+          {
+            userId,
+            type: TRANSACTION_TYPES.WITHDRAWAL,
+            amount: parseFloat(amount),
+            description: options.description || 'Wallet withdrawal',
+          },
+          tx,
+        );
+        return { transaction, balance: updatedUser.accountBalance };
+      });
+
+      eventBus.publish(userId, EVENT_TYPES.BALANCE_UPDATED, {
+        balance: result.balance,
+      });
+
+      return ApiResponse.success(
+        SUCCESS_MESSAGES.WITHDRAWAL_SUCCESS,
+        result,
+        HTTP_STATUS.CREATED,
+      );
+    } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(error.message, error.status);
+      }
+      logger.error('Wallet withdrawal error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * List the user's ledger entries
+   */
+  async getTransactions(userId, pagination = {}, filters = {}) {
+    try {
+      const list = await transactionModel.findByUser(
+        userId,
+        filters,
+        pagination,
+      );
+      return ApiResponse.success('Transactions fetched successfully', list);
+    } catch (error) {
+      logger.error('Get transactions error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Get a single ledger entry by reference number
+   */
+  async getTransactionByReference(userId, referenceNumber) {
+    try {
+      const transaction = await transactionModel.findByReference(
+        referenceNumber,
+        userId,
+      );
+      if (!transaction) {
+        return ApiResponse.error(
+          ERROR_MESSAGES.TRANSACTION_NOT_FOUND,
+          HTTP_STATUS.NOT_FOUND,
+        );
+      }
+      return ApiResponse.success(
+        'Transaction fetched successfully',
+        transaction,
+      );
+    } catch (error) {
+      logger.error('Get transaction error:', error);
+      return ApiResponse.error(
+        ERROR_MESSAGES.SERVER_ERROR,
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
+
+module.exports = new WalletService();
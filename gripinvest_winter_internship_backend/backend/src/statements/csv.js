@@ -0,0 +1,26 @@
+/**
+ * CSV building blocks shared by the downloadable reports
+ */
+
+// Text that a spreadsheet would evaluate as a formula is prefixed with a quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toFixed(2);
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const row = (values) => values.map(cell).join(',');
+
+// A titled block: title line, header row, data rows and a blank separator
+const section = (title, header, rows) => [
+  title,
+  row(header),
+  ...rows.map(row),
+  '',
+];
+
+module.exports = { cell, row, section };
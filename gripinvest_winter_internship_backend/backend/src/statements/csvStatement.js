@@ -0,0 +1,92 @@
+const { row, section } = require('./csv');
+
+/**
+ * Account statement as CSV: one file with a block per section, separated
+ * by blank lines, so it opens cleanly in a spreadsheet
+ */
+
+/**
+ * @param {Object} statement - from statementService.buildStatement
+ * @returns {string} CSV text
+ */
+const render = (statement) => {
+  const { account, period, summary } = statement;
+  const lines = [
+    'Account Statement',
+    row(['Name', account.name]),
+    row(['Email', account.email]),
+    row(['Period', period.from, period.to]),
+    row(['Generated', statement.generatedAt]),
+    '',
+    ...section(
+      'Summary',
+      ['Item', 'Amount'],
+      [
+        ['Opening balance', summary.openingBalance],
+        ['Total credits', summary.totalCredits],
+        ['Total debits', summary.totalDebits],
+        ['Closing balance', summary.closingBalance],
+        ['Total invested', summary.totalInvested],
+        ['Holdings value', summary.holdingsValue],
+        ['Unrealized gains', summary.unrealizedGains],
+        ['Realized gains', summary.realizedGains],
+      ],
+    ),
+    ...section(
+      'Transactions',
+      ['Date', 'Reference', 'Type', 'Description', 'Credit', 'Debit', 'Balance'],
+      statement.transactions.map((t) => [
+        t.date,
+        t.referenceNumber,
+        t.type,
+        t.description,
+        t.credit,
+        t.debit,
+        t.balance,
+      ]),
+    ),
+    ...section(
+      'Holdings',
+      [
+        'Investment ID',
+        'Product',
+        'Type',
+        'Status',
+        'Invested On',
+        'Maturity Date',
+        'Invested',
+        'Current Value',
+        'Unrealized Gain',
+        'Unrealized Gain %',
+      ],
+      statement.holdings.map((h) => [
+        h.investmentId,
+        h.productName,
+        h.investmentType,
+        h.status,
+        h.investedAt,
+        h.maturityDate,
+        h.amount,
+        h.currentValue,
+        h.unrealizedGain,
+        h.unrealizedGainPercentage,
+      ]),
+    ),
+    ...section(
+      'Realized Gains',
+      ['Date', 'Investment ID', 'Product', 'Event', 'Cost Basis', 'Proceeds', 'Gain'],
+      statement.realizedGains.map((g) => [
+        g.date,
+        g.investmentId,
+        g.productName,
+        g.event,
+        g.costBasis,
+        g.proceeds,
+        g.gain,
+      ]),
+    ),
+  ];
+  return lines.join('\n');
+};
+
+module.exports = { render };
@@ -0,0 +1,103 @@
+const { row, section } = require('./csv');
+
+/**
+ * Financial-year tax report as CSV, laid out like the account statement:
+ * one block per section, separated by blank lines
+ */
+
+/**
+ * @param {Object} report - from taxService.buildTaxReport
+ * @returns {string} CSV text
+ */
+const render = (report) => {
+  const { summary } = report;
+  const lines = [
+    `Tax Report FY ${report.financialYear}`,
+    row(['Period', report.period.from, report.period.to]),
+    row(['Generated', report.generatedAt]),
+    row([report.disclaimer]),
+    '',
+    ...section(
+      'Summary',
+      ['Item', 'Amount'],
+      [
+        ['Interest income', summary.interestIncome],
+        ['Short-term capital gains', summary.shortTermCapitalGains],
+        ['Long-term capital gains', summary.longTermCapitalGains],
+        ['Total realized', summary.totalRealized],
+        ['Interest above TDS threshold', summary.tdsApplicableInterest],
+        ['Estimated TDS', summary.estimatedTds],
+        ['Section 80C eligible', summary.section80CEligible],
+      ],
+    ),
+    ...section(
+      'By Instrument',
+      ['Instrument', 'Interest Income', 'STCG', 'LTCG'],
+      report.byInstrument.map((i) => [
+        i.instrument,
+        i.interestIncome,
+        i.shortTermCapitalGains,
+        i.longTermCapitalGains,
+      ]),
+    ),
+    ...section(
+      'Realized Returns',
+      [
+        'Date',
+        'Investment ID',
+        'Product',
+        'Instrument',
+        'Event',
+        'Invested On',
+        'Holding Days',
+        'Cost Basis',
+        'Proceeds',
+        'Gain',
+        'Classification',
+      ],
+      report.entries.map((e) => [
+        e.date,
+        e.investmentId,
+        e.productName,
+        e.instrument,
+        e.event,
+        e.investedAt,
+        String(e.holdingDays),
+        e.costBasis,
+        e.proceeds,
+        e.gain,
+        e.classification,
+      ]),
+    ),
+    ...section(
+      'TDS on Interest',
+      ['Payer', 'Instrument', 'Interest', 'Threshold', 'TDS Applicable', 'Estimated TDS'],
+      report.tds.map((t) => [
+        t.payer,
+        t.instrument,
+        t.interest,
+        t.threshold,
+        t.tdsApplicable ? 'yes' : 'no',
+        t.estimatedTds,
+      ]),
+    ),
+    ...section(
+      'Section 80C',
+      ['Investment ID', 'Product', 'Instrument', 'Invested On', 'Amount'],
+      [
+        ...report.section80C.investments.map((i) => [
+          i.investmentId,
+          i.productName,
+          i.instrument,
+          i.investedAt,
+          i.amount,
+        ]),
+        ['Total invested', '', '', '', report.section80C.invested],
+        ['Eligible (limit applied)', '', '', '', report.section80C.eligible],
+      ],
+    ),
+  ];
+  return lines.join('\n');
+};
+
+module.exports = { render };
@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Account statement as an A4 PDF. The built-in Helvetica font has no rupee
+ * sign, so amounts are plain numbers under "(INR)" headings.
+ */
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+
+const amount = (value) => (value === null || value === undefined
+  ? ''
+  : Number(value).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }));
+
+const date = (value) => (value ? new Date(value).toISOString().split('T')[0] : '-');
+
+/**
+ * Start a new page when fewer than `space` points are left
+ */
+const ensureSpace = (doc, space) => {
+  if (doc.y + space > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw a table; the header row repeats on every page the table spans
+ * @param {PDFDocument} doc - document
+ * @param {Array} columns - [{ header, width, align }]
+ * @param {Array} rows - arrays of cell text, one entry per column
+ */
+const table = (doc, columns, rows) => {
+  const drawRow = (cells, bold = false) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const { y } = doc;
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ''), x + 2, y + 4, {
+        width: column.width - 4,
+        height: ROW_HEIGHT - 4, // one line; longer text is cut with an ellipsis
+        align: column.align || 'left',
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+    doc
+      .moveTo(MARGIN, y + ROW_HEIGHT)
+      .lineTo(x, y + ROW_HEIGHT)
+      .strokeColor('#e5e7eb')
+      .stroke();
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const header = columns.map((c) => c.header);
+  drawRow(header, true);
+  rows.forEach((cells) => {
+    const pageBefore = doc.page;
+    ensureSpace(doc, ROW_HEIGHT);
+    if (doc.page !== pageBefore) drawRow(header, true);
+    drawRow(cells);
+  });
+  if (!rows.length) {
+    ensureSpace(doc, ROW_HEIGHT);
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#6b7280');
+    doc.text('None in this period', MARGIN + 2, doc.y + 4);
+    doc.fillColor('black');
+  }
+  doc.moveDown();
+};
+
+const heading = (doc, text) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.x = MARGIN;
+  doc.font('Helvetica-Bold').fontSize(12).text(text);
+  doc.moveDown(0.3);
+};
+
+/**
+ * @param {Object} statement - from statementService.buildStatement
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const render = (statement) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { account, period, summary } = statement;
+  doc.info.Title = `Account statement ${period.from} to ${period.to}`;
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Grip Invest');
+  doc.font('Helvetica').fontSize(14).text('Account Statement');
+  doc.moveDown(0.5);
+  doc.fontSize(9);
+  doc.text(`${account.name} <${account.email}>`);
+  doc.text(`Period: ${period.from} to ${period.to}`);
+  doc.text(`Generated: ${statement.generatedAt}`);
+  doc.moveDown();
+
+  heading(doc, 'Summary');
+  table(
+    doc,
+    [
+      { header: 'Item', width: 200 },
+      { header: 'Amount (INR)', width: 120, align: 'right' },
+    ],
+    [
+      ['Opening balance', amount(summary.openingBalance)],
+      ['Total credits', amount(summary.totalCredits)],
+      ['Total debits', amount(summary.totalDebits)],
+      ['Closing balance', amount(summary.closingBalance)],
+      ['Total invested', amount(summary.totalInvested)],
+      ['Holdings value', amount(summary.holdingsValue)],
+      ['Unrealized gains', amount(summary.unrealizedGains)],
+      ['Realized gains', amount(summary.realizedGains)],
+    ],
+  );
+
+  heading(doc, 'Transactions');
+  table(
+    doc,
+    [
+      { header: 'Date', width: 60 },
+      { header: 'Reference', width: 100 },
+      { header: 'Description', width: 140 },
+      { header: 'Credit (INR)', width: 70, align: 'right' },
+      { header: 'Debit (INR)', width: 70, align: 'right' },
+      { header: 'Balance (INR)', width: 75, align: 'right' },
+    ],
+    statement.transactions.map((t) => [
+      date(t.date),
+      t.referenceNumber,
+      t.description || t.type,
+      amount(t.credit),
+      amount(t.debit),
+      amount(t.balance),
+    ]),
+  );
+
+  heading(doc, 'Holdings');
+  table(
+    doc,
+    [
+      { header: 'Product', width: 135 },
+      { header: 'Invested On', width: 60 },
+      { header: 'Matures', width: 60 },
+      { header: 'Invested (INR)', width: 80, align: 'right' },
+      { header: 'Value (INR)', width: 80, align: 'right' },
+      { header: 'Gain (INR)', width: 70, align: 'right' },
+      { header: 'Gain %', width: 30, align: 'right' },
+    ],
+    statement.holdings.map((h) => [
+      h.productName,
+      date(h.investedAt),
+      date(h.maturityDate),
+      amount(h.amount),
+      amount(h.currentValue),
+      amount(h.unrealizedGain),
+      h.unrealizedGainPercentage.toFixed(2),
+    ]),
+  );
+
+  heading(doc, 'Realized Gains');
+  table(
+    doc,
+    [
+      { header: 'Date', width: 60 },
+      { header: 'Product', width: 140 },
+      { header: 'Event', width: 70 },
+      { header: 'Cost (INR)', width: 80, align: 'right' },
+      { header: 'Proceeds (INR)', width: 80, align: 'right' },
+      { header: 'Gain (INR)', width: 85, align: 'right' },
+    ],
+    statement.realizedGains.map((g) => [
+      date(g.date),
+      g.productName,
+      g.event,
+      amount(g.costBasis),
+      amount(g.proceeds),
+      amount(g.gain),
+    ]),
+  );
+
+  doc.end();
+});
+
+module.exports = { render };
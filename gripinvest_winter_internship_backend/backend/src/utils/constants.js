@@ -33,7 +33,113 @@ const INVESTMENT_STATUS = {
   ACTIVE: 'active',
   MATURED: 'matured',
   CANCELLED: 'cancelled',
-  PENDING: 'pending'
+  PENDING: 'pending',
+  PARTIAL: 'partial',
+};
+
+// Statuses of an investment that still holds money (can mature, be redeemed or cancelled)
+const OPEN_INVESTMENT_STATUSES = [INVESTMENT_STATUS.ACTIVE, INVESTMENT_STATUS.PARTIAL];
+
+const TRANSACTION_TYPES = {
+  DEPOSIT: 'deposit',
+  INVESTMENT: 'investment',
+  WITHDRAWAL: 'withdrawal',
+  RETURN: 'return',
+  PENALTY: 'penalty',
+  FEE: 'fee',
+  ADJUSTMENT: 'adjustment',
+};
+
+const TRANSACTION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Direction of a ledger row relative to the user's wallet balance
+const TRANSACTION_DIRECTIONS = {
+  CREDIT: 'credit',
+  DEBIT: 'debit',
+};
+
+const WALLET_LIMITS = {
+  MIN_DEPOSIT: 100,
+  MAX_DEPOSIT: 1000000,
+  MIN_WITHDRAWAL: 100,
+  MAX_WITHDRAWAL: 1000000,
+  MAX_ADJUSTMENT: 1000000,
+};
+
+const KYC_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+const KYC_DOCUMENT_TYPES = {
+  PAN: 'pan',
+  AADHAAR: 'aadhaar',
+  ADDRESS_PROOF: 'address_proof',
+};
+
+const KYC_LIMITS = {
+  // Single investments above this amount need approved KYC
+  INVESTMENT_THRESHOLD: parseFloat(process.env.KYC_INVESTMENT_THRESHOLD) || 50000,
+  MAX_FILE_SIZE: 5 * 1024 * 1024,
+  ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png', 'application/pdf'],
+  UPLOAD_DIR: process.env.KYC_UPLOAD_DIR || 'uploads/kyc',
+};
+
+const SIP_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+};
+
+const SIP_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+};
+
+const SIP_INSTALLMENT_STATUS = {
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+};
+
+// A failed installment is tried again on a later run, up to MAX_ATTEMPTS in all
+const SIP_RETRY = {
+  MAX_ATTEMPTS: 3,
+  RETRY_HOURS: 24,
+};
+
+// Background jobs run by the in-process scheduler
+const SCHEDULED_JOBS = {
+  MATURITY: 'maturity',
+  VALUATION: 'valuation',
+  SIP: 'sip',
+  MATURITY_REMINDER: 'maturity_reminder',
+  EMAIL_OUTBOX: 'email_outbox',
+  WEEKLY_REPORT: 'weekly_report',
+  LOGIN_FAILURE_PURGE: 'login_failure_purge',
+};
+
+const JOB_INTERVALS = {
+  MATURITY: 60 * 60 * 1000, // hourly; settlement is idempotent
+  VALUATION: 24 * 60 * 60 * 1000, // daily mark-to-market
+  SIP: 60 * 60 * 1000, // hourly; each due date executes at most once
+  MATURITY_REMINDER: 6 * 60 * 60 * 1000, // a reminder is sent once per investment
+  EMAIL_OUTBOX: 30 * 1000, // delivers queued emails that are due
+  WEEKLY_REPORT: 6 * 60 * 60 * 1000, // a report is built once per user per week
+  LOGIN_FAILURE_PURGE: 60 * 60 * 1000, // only rows that no longer hold anything back
+};
+
+const REPORT_CONFIG = {
+  MATURITY_WINDOW_DAYS: 30, // "maturing soon" horizon after the report week
+  BATCH_SIZE: 500,
 };
 
 const HTTP_METHODS = {
@@ -46,24 +152,198 @@ const HTTP_METHODS = {
 };
 
 const USER_ROLES = {
-  ADMIN: 'admin',
-  USER: 'user'
+  USER: 'user',
+  SUPPORT: 'support',
+  OPS_ADMIN: 'ops_admin',
+  SUPER_ADMIN: 'super_admin',
+};
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  PRODUCTS_MANAGE: 'products:manage',
+  LOGS_READ: 'logs:read',
+  KYC_READ: 'kyc:read',
+  KYC_REVIEW: 'kyc:review',
+  JOBS_MANAGE: 'jobs:manage',
+  EMAILS_MANAGE: 'emails:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+// Support can look things up, ops admins run the platform, and only super
+// admins hand out roles
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: [],
+  [USER_ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.LOGS_READ,
+    PERMISSIONS.KYC_READ,
+  ],
+  [USER_ROLES.OPS_ADMIN]: Object.values(PERMISSIONS).filter(
+    (permission) => permission !== PERMISSIONS.ROLES_MANAGE,
+  ),
+  [USER_ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Staff act only on accounts ranked below their own; super admins, who can
+// hand out any role anyway, may also act on each other
+const ROLE_RANKS = {
+  [USER_ROLES.USER]: 0,
+  [USER_ROLES.SUPPORT]: 1,
+  [USER_ROLES.OPS_ADMIN]: 2,
+  [USER_ROLES.SUPER_ADMIN]: 3,
+};
+
+// Actions recorded in admin_audit_log
+const ADMIN_ACTIONS = {
+  ROLE_CHANGED: 'role_changed',
+  USER_DEACTIVATED: 'user_deactivated',
+  USER_REACTIVATED: 'user_reactivated',
+  SESSIONS_REVOKED: 'sessions_revoked',
+  BALANCE_ADJUSTED: 'balance_adjusted',
+  LOCKOUT_CLEARED: 'lockout_cleared',
 };
 
 const JWT_TYPES = {
   ACCESS: 'access',
   REFRESH: 'refresh',
-  RESET: 'reset'
+  RESET: 'reset',
+  TWO_FACTOR: 'two_factor',
+};
+
+// RFC 6238 TOTP: 6 digits, 30-second steps, SHA-1 (what authenticator apps expect)
+const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'GripInvest',
+  SECRET_LENGTH: 20, // bytes, 160 bits as recommended for SHA-1
+  WINDOW: 1, // accept codes one step either side to allow for clock drift
+  CHALLENGE_EXPIRES_IN: '5m',
+  RECOVERY_CODE_COUNT: 10,
+};
+
+// Browser sessions: the refresh token lives only in an httpOnly cookie. The
+// CSRF cookie is readable and must be echoed in CSRF_HEADER (double submit).
+const SESSION_COOKIES = {
+  REFRESH_TOKEN: 'gi_refresh_token',
+  CSRF_TOKEN: 'gi_csrf_token',
+  CSRF_HEADER: 'x-csrf-token',
+  PATH: '/api/auth',
+  SAME_SITE: process.env.COOKIE_SAME_SITE || 'strict', // 'none' if the frontend is on another site
+  MAX_AGE: 7 * 24 * 60 * 60 * 1000, // matches the refresh token lifetime
+};
+
+// Access tokens carry their session id (sid) and the user's token version (ver).
+// Whether a session is still signed in is cached per process for a short time.
+const ACCESS_TOKEN_CHECKS = {
+  SESSION_CACHE_TTL: 30 * 1000, // ms; how long another instance may miss a revocation
+  SESSION_CACHE_MAX_ENTRIES: 10000,
+};
+
+// Failed logins are counted per email and per IP in login_failures. After
+// DELAY_AFTER_FAILURES failures for an email each further attempt must wait,
+// doubling from BASE_DELAY_SECONDS; at its threshold an email or IP is locked
+// out. IPs get no delay, as many users may share one.
+const LOGIN_FAILURE_SCOPES = {
+  EMAIL: 'email',
+  IP: 'ip',
+};
+
+const LOGIN_PROTECTION = {
+  FAILURE_WINDOW_MINUTES: 15, // failures older than this no longer count
+  DELAY_AFTER_FAILURES: 3,
+  BASE_DELAY_SECONDS: 1,
+  MAX_DELAY_SECONDS: 60,
+  EMAIL_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_EMAIL_LOCKOUT_THRESHOLD, 10) || 10,
+  // Higher than the email threshold because many users can share one network
+  IP_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD, 10) || 50,
+  LOCKOUT_MINUTES: 30, // the emailed unlock link is valid for as long
+  PURGE_BATCH_SIZE: 1000,
 };
 
 const EMAIL_TYPES = {
   WELCOME: 'welcome',
   PASSWORD_RESET: 'password_reset',
+  ACCOUNT_LOCKED: 'account_locked',
   INVESTMENT_CONFIRMATION: 'investment_confirmation',
   MATURITY_REMINDER: 'maturity_reminder',
   WEEKLY_REPORT: 'weekly_report'
 };
 
+// user_preferences flag that must be on for each optional email.
+// Welcome, password reset and account locked mails are always sent.
+const EMAIL_PREFERENCE_FLAGS = {
+  [EMAIL_TYPES.INVESTMENT_CONFIRMATION]: 'investment_alerts',
+  [EMAIL_TYPES.MATURITY_REMINDER]: 'maturity_reminders',
+  [EMAIL_TYPES.WEEKLY_REPORT]: 'weekly_reports',
+};
+
+const EMAIL_CONFIG = {
+  // smtp, outbox (write to OUTBOX_DIR) or none; defaults to smtp when SMTP_HOST
+  // is set, otherwise outbox outside production
+  TRANSPORT: process.env.EMAIL_TRANSPORT || null,
+  OUTBOX_DIR: process.env.EMAIL_OUTBOX_DIR || 'outbox/emails',
+  MATURITY_REMINDER_DAYS: parseInt(process.env.MATURITY_REMINDER_DAYS, 10) || 7,
+  // Outbox delivery: retry with exponential backoff, then dead-letter
+  MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  RETRY_BASE_DELAY: 60 * 1000, // doubles after every failed attempt
+  RETRY_MAX_DELAY: 6 * 60 * 60 * 1000,
+  SENDING_TIMEOUT: 10 * 60 * 1000, // a 'sending' row older than this was abandoned
+  BATCH_SIZE: 50,
+  // Sent messages are deleted this long after delivery
+  SENT_RETENTION_DAYS: parseInt(process.env.EMAIL_SENT_RETENTION_DAYS, 10) || 30,
+  // Template data that carries credentials: hidden from the admin view and
+  // overwritten once a message is sent or dead-lettered
+  SENSITIVE_FIELDS: ['otp', 'resetUrl', 'verificationUrl', 'unlockUrl'],
+  REDACTED: '[redacted]',
+};
+
+const STATEMENT_FORMATS = {
+  PDF: 'pdf',
+  CSV: 'csv',
+};
+
+const STATEMENT_CONFIG = {
+  DEFAULT_RANGE_DAYS: 90, // when `from` is omitted
+  MAX_RANGE_DAYS: 366,
+};
+
+const TAX_REPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+};
+
+const TAX_CLASSIFICATIONS = {
+  INTEREST: 'interest',
+  STCG: 'stcg',
+  LTCG: 'ltcg',
+};
+
+const TAX_CONFIG = {
+  FY_START_MONTH: 4, // April
+  // Held for more than this many months makes a capital gain long term
+  LTCG_HOLDING_MONTHS: {
+    bond: 12,
+    mf: 12,
+    etf: 12,
+    other: 24,
+  },
+  // TDS on interest applies once a payer's interest in the year crosses these
+  // (section 194A for deposits, section 193 for bonds)
+  TDS_THRESHOLDS: {
+    fd: 50000,
+    bond: 10000,
+  },
+  TDS_RATE: 10, // percent, with PAN
+  SECTION_80C_LIMIT: 150000,
+};
+
+const EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DEAD: 'dead',
+};
+
 const AI_RECOMMENDATION_TYPES = {
   PRODUCT: 'product',
   PORTFOLIO: 'portfolio',
@@ -103,8 +383,30 @@ const ERROR_MESSAGES = {
   USER_NOT_FOUND: 'User not found',
   USER_ALREADY_EXISTS: 'User already exists with this email',
   INVALID_TOKEN: 'Invalid or expired token',
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+  INVALID_CSRF_TOKEN: 'Missing or invalid CSRF token',
+  SESSION_REVOKED: 'Your session has ended. Please login again.',
+  LOGIN_DELAYED: 'Too many failed login attempts. Please wait a moment and try again',
+  ACCOUNT_LOCKED: 'Too many failed login attempts. This account is temporarily locked; check your email for an unlock link',
+  LOGIN_IP_LOCKED: 'Too many failed login attempts from this network. Please try again later',
+  INVALID_UNLOCK_TOKEN: 'Invalid or expired unlock link',
+  LOCKOUT_NOT_FOUND: 'Lockout not found or already cleared',
+  REFRESH_TOKEN_REUSED: 'This session was ended because its refresh token was used twice. Please login again',
   ACCESS_DENIED: 'Access denied',
+  INSUFFICIENT_PERMISSIONS: 'You do not have permission to perform this action',
+  CANNOT_CHANGE_OWN_ROLE: 'You cannot change your own role',
+  CANNOT_DEACTIVATE_SELF: 'You cannot deactivate your own account',
+  CANNOT_ADJUST_OWN_BALANCE: 'You cannot adjust your own balance',
+  CANNOT_MANAGE_USER: 'You cannot act on an account with the same or a higher role than yours',
+  USER_ALREADY_ACTIVE: 'User account is already active',
+  USER_ALREADY_INACTIVE: 'User account is already deactivated',
   EMAIL_NOT_VERIFIED: 'Please verify your email address',
+  INVALID_TWO_FACTOR_CODE: 'Invalid authentication code',
+  INVALID_TWO_FACTOR_CHALLENGE: 'Sign-in session expired. Please sign in again',
+  TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+  TWO_FACTOR_SETUP_REQUIRED: 'Start two-factor setup before confirming a code',
+  INCORRECT_PASSWORD: 'Password is incorrect',
   
   // Validation
   VALIDATION_ERROR: 'Validation error',
@@ -118,7 +420,24 @@ const ERROR_MESSAGES = {
   INVALID_INVESTMENT_AMOUNT: 'Investment amount is outside allowed range',
   PRODUCT_NOT_FOUND: 'Investment product not found',
   INVESTMENT_NOT_FOUND: 'Investment not found',
+  TRANSACTION_NOT_FOUND: 'Transaction not found',
+  SIP_NOT_FOUND: 'SIP not found',
   PRODUCT_INACTIVE: 'Investment product is not currently active',
+  KYC_REQUIRED: 'Complete KYC verification to invest above the unverified limit',
+  STATEMENT_RANGE_TOO_LONG: 'Statement period cannot be longer than 366 days',
+  INVALID_FINANCIAL_YEAR: 'Financial year must look like 2024-25',
+
+  // KYC
+  KYC_ALREADY_APPROVED: 'KYC is already approved',
+  KYC_NOT_SUBMITTED: 'No KYC submission awaiting review',
+  KYC_DOCUMENT_NOT_FOUND: 'KYC document not found',
+  NOTIFICATION_NOT_FOUND: 'Notification not found',
+
+  // Email outbox
+  EMAIL_NOT_FOUND: 'Email not found',
+  EMAIL_NOT_RETRYABLE: 'Only dead-lettered or pending emails can be retried',
+  EMAIL_CREDENTIALS_CLEARED: 'This email carried a link or code that has since been cleared, so it cannot be resent',
+  REPORT_NOT_FOUND: 'Report not found',
   
   // General
   SERVER_ERROR: 'Internal server error',
@@ -136,9 +455,19 @@ const SUCCESS_MESSAGES = {
   PASSWORD_RESET_SUCCESS: 'Password reset successful',
   PROFILE_UPDATED: 'Profile updated successfully',
   INVESTMENT_CREATED: 'Investment created successfully',
+  DEPOSIT_SUCCESS: 'Funds deposited successfully',
+  WITHDRAWAL_SUCCESS: 'Funds withdrawn successfully',
+  SIP_CREATED: 'SIP created successfully',
+  KYC_DOCUMENT_UPLOADED: 'KYC document uploaded successfully',
+  KYC_APPROVED: 'KYC approved',
+  KYC_REJECTED: 'KYC rejected',
   PRODUCT_CREATED: 'Investment product created successfully',
   PRODUCT_UPDATED: 'Investment product updated successfully',
-  PRODUCT_DELETED: 'Investment product deleted successfully'
+  PRODUCT_DELETED: 'Investment product deleted successfully',
+  TWO_FACTOR_REQUIRED: 'Enter the code from your authenticator app',
+  TWO_FACTOR_ENABLED: 'Two-factor authentication enabled',
+  TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+  ACCOUNT_UNLOCKED: 'Account unlocked. You can sign in again',
 };
 
 const REGEX_PATTERNS = {
@@ -147,7 +476,9 @@ const REGEX_PATTERNS = {
   UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
   PHONE: /^[+]?[1-9][\d\s\-()]{8,15}$/,
   NAME: /^[a-zA-Z\s]{2,50}$/,
-  NUMERIC: /^\d+(\.\d{1,2})?$/
+  NUMERIC: /^\d+(\.\d{1,2})?$/,
+  TOTP_CODE: /^\d{6}$/,
+  RECOVERY_CODE: /^[a-f0-9]{5}-?[a-f0-9]{5}$/i,
 };
 
 const API_RATE_LIMITS = {
@@ -155,6 +486,10 @@ const API_RATE_LIMITS = {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 10 // limit each IP to 10 requests per windowMs
   },
+  REFRESH: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // every page load refreshes the session, so allow more than AUTH
+  },
   GENERAL: {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100 // limit each IP to 100 requests per windowMs
@@ -171,6 +506,14 @@ const AI_MODELS = {
   GEMINI_PRO: 'gemini-pro'
 };
 
+const NOTIFICATION_TYPES = {
+  INVESTMENT: 'investment',
+  MATURITY: 'maturity',
+  SYSTEM: 'system',
+  SECURITY: 'security',
+  PROMOTION: 'promotion',
+};
+
 const NOTIFICATION_PREFERENCES = {
   EMAIL: 'email',
   SMS: 'sms',
@@ -178,15 +521,60 @@ const NOTIFICATION_PREFERENCES = {
   IN_APP: 'in_app'
 };
 
+// Live account events pushed over GET /api/events
+const EVENT_TYPES = {
+  BALANCE_UPDATED: 'balance.updated',
+  INVESTMENT_UPDATED: 'investment.updated',
+  NOTIFICATION_CREATED: 'notification.created',
+};
+
+const EVENT_STREAM = {
+  HEARTBEAT_INTERVAL: 25 * 1000, // keeps proxies from closing idle streams
+  RETRY_INTERVAL: 5 * 1000, // reconnect delay suggested to clients
+  MAX_CONNECTIONS_PER_USER: 10,
+};
+
 module.exports = {
   HTTP_STATUS,
   INVESTMENT_TYPES,
   RISK_LEVELS,
   INVESTMENT_STATUS,
+  OPEN_INVESTMENT_STATUSES,
+  TRANSACTION_TYPES,
+  TRANSACTION_STATUS,
+  TRANSACTION_DIRECTIONS,
+  WALLET_LIMITS,
+  KYC_STATUS,
+  KYC_DOCUMENT_TYPES,
+  KYC_LIMITS,
+  SIP_FREQUENCIES,
+  SIP_STATUS,
+  SIP_INSTALLMENT_STATUS,
+  SIP_RETRY,
+  SCHEDULED_JOBS,
+  JOB_INTERVALS,
   HTTP_METHODS,
   USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLE_RANKS,
+  ADMIN_ACTIONS,
   JWT_TYPES,
+  TWO_FACTOR_CONFIG,
+  SESSION_COOKIES,
+  ACCESS_TOKEN_CHECKS,
+  LOGIN_FAILURE_SCOPES,
+  LOGIN_PROTECTION,
   EMAIL_TYPES,
+  EMAIL_PREFERENCE_FLAGS,
+  EMAIL_CONFIG,
+  EMAIL_STATUS,
+  REPORT_CONFIG,
+  STATEMENT_FORMATS,
+  STATEMENT_CONFIG,
+  TAX_REPORT_FORMATS,
+  TAX_CLASSIFICATIONS,
+  TAX_CONFIG,
   AI_RECOMMENDATION_TYPES,
   VALIDATION_RULES,
   PAGINATION,
@@ -196,5 +584,8 @@ module.exports = {
   REGEX_PATTERNS,
   API_RATE_LIMITS,
   AI_MODELS,
-  NOTIFICATION_PREFERENCES
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PREFERENCES,
+  EVENT_TYPES,
+  EVENT_STREAM,
 };
\ No newline at end of file
@@ -6,7 +6,10 @@ const {
   REGEX_PATTERNS, 
   VALIDATION_RULES, 
   HTTP_STATUS,
-  ERROR_MESSAGES 
+  ERROR_MESSAGES,
+  USER_ROLES,
+  ROLE_PERMISSIONS,
+  SESSION_COOKIES,
 } = require('./constants');
 
 class ApiResponse {
@@ -181,6 +184,11 @@ class AuthHelper {
       algorithm: 'HS256'
     };
 
+    // Refresh tokens are looked up by hash, so each one must be unique
+    if (type === 'refresh') {
+      options.jwtid = uuidv4();
+    }
+
     if (expiresIn) {
       options.expiresIn = expiresIn;
     } else {
@@ -208,6 +216,56 @@ class AuthHelper {
     }
   }
 
+  /**
+   * Read one cookie from the request without a cookie-parsing middleware
+   * @returns {string|null} decoded value
+   */
+  static getCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    const pair = header.split(';').find((entry) => {
+      const index = entry.indexOf('=');
+      return index > 0 && entry.slice(0, index).trim() === name;
+    });
+    if (!pair) return null;
+
+    try {
+      return decodeURIComponent(pair.slice(pair.indexOf('=') + 1).trim());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Put a refresh token in the httpOnly session cookie, with a fresh CSRF token
+   * beside it
+   * @returns {string} the CSRF token the client must send back
+   */
+  static setSessionCookies(res, refreshToken) {
+    const csrfToken = AuthHelper.generateRandomToken();
+    const options = { ...AuthHelper.sessionCookieOptions(), maxAge: SESSION_COOKIES.MAX_AGE };
+
+    res.cookie(SESSION_COOKIES.REFRESH_TOKEN, refreshToken, { ...options, httpOnly: true });
+    res.cookie(SESSION_COOKIES.CSRF_TOKEN, csrfToken, options);
+    return csrfToken;
+  }
+
+  static clearSessionCookies(res) {
+    const options = AuthHelper.sessionCookieOptions();
+    res.clearCookie(SESSION_COOKIES.REFRESH_TOKEN, { ...options, httpOnly: true });
+    res.clearCookie(SESSION_COOKIES.CSRF_TOKEN, options);
+  }
+
+  static sessionCookieOptions() {
+    return {
+      path: SESSION_COOKIES.PATH,
+      sameSite: SESSION_COOKIES.SAME_SITE,
+      // Browsers drop SameSite=None cookies that are not Secure
+      secure: process.env.NODE_ENV === 'production' || SESSION_COOKIES.SAME_SITE === 'none',
+    };
+  }
+
   static generateRandomToken(length = 32) {
     return crypto.randomBytes(length).toString('hex');
   }
@@ -220,6 +278,14 @@ class AuthHelper {
     }
     return otp;
   }
+
+  static getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[USER_ROLES.USER];
+  }
+
+  static hasPermission(role, permission) {
+    return AuthHelper.getPermissions(role).includes(permission);
+  }
 }
 
 class FormatHelper {
@@ -307,6 +373,31 @@ class CalculationHelper {
     return maturityDate;
   }
 
+  // Date (YYYY-MM-DD) of the nth installment of a recurring plan, anchored to the start date.
+  // Month-based schedules clamp to the last day of shorter months (31 Jan -> 28 Feb -> 31 Mar).
+  static calculateInstallmentDate(startDate, frequency, index) {
+    const isoDate = startDate instanceof Date ? startDate.toISOString() : String(startDate);
+    const start = new Date(`${isoDate.slice(0, 10)}T00:00:00Z`);
+
+    if (frequency === 'weekly') {
+      start.setUTCDate(start.getUTCDate() + index * 7);
+      return start.toISOString().split('T')[0];
+    }
+
+    const monthsPerPeriod = frequency === 'quarterly' ? 3 : 1;
+    const day = start.getUTCDate();
+    const target = new Date(Date.UTC(
+      start.getUTCFullYear(),
+      start.getUTCMonth() + index * monthsPerPeriod,
+      1,
+    ));
+    const lastDay = new Date(
+      Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0),
+    ).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+  }
+
   static calculatePortfolioMetrics(investments) {
     if (!investments || investments.length === 0) {
       return {
@@ -380,6 +471,16 @@ class ErrorHandler {
     );
   }
 
+  /**
+   * Build an error carrying an HTTP status, for aborting work inside
+   * executeTransaction callbacks and mapping it back to an ApiResponse
+   */
+  static createError(message, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    const error = new Error(message);
+    error.status = statusCode;
+    return error;
+  }
+
   static asyncHandler(fn) {
     return (req, res, next) => {
       Promise.resolve(fn(req, res, next)).catch(next);
@@ -387,6 +488,21 @@ class ErrorHandler {
   }
 }
 
+class AsyncHelper {
+  /**
+   * Run fn on each item in turn, waiting for one to finish before the next
+   * starts. Jobs use it where items share balances or locks.
+   * @returns {Promise<Array>} results in item order
+   */
+  static mapSeries(items, fn) {
+    return items.reduce(async (previous, item, index) => {
+      const results = await previous;
+      results.push(await fn(item, index));
+      return results;
+    }, Promise.resolve([]));
+  }
+}
+
 class PaginationHelper {
   static getPaginationParams(req) {
     const page = parseInt(req.query.page) || 1;
@@ -424,5 +540,6 @@ module.exports = {
   FormatHelper,
   CalculationHelper,
   ErrorHandler,
+  AsyncHelper,
   PaginationHelper
 };
\ No newline at end of file
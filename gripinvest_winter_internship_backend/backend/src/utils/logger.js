@@ -0,0 +1,15 @@
+/**
+ * Logger
+ * Services and jobs log through here rather than calling the console
+ * directly, so every line carries a timestamp and the level.
+ */
+/* eslint-disable no-console */
+const write = (method, level) => (message, ...details) => {
+  console[method](`[${new Date().toISOString()}] ${level} ${message}`, ...details);
+};
+
+module.exports = {
+  info: write('log', 'INFO'),
+  warn: write('warn', 'WARN'),
+  error: write('error', 'ERROR'),
+};
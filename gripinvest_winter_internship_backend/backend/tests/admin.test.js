@@ -0,0 +1,356 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+
+describe('Admin Endpoints and Role Permissions', () => {
+  const testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  const staff = {
+    support: 'rbac-test-support-0000-000000000001',
+    ops_admin: 'rbac-test-opsadmin-000-000000000002',
+    super_admin: 'rbac-test-superadm-000-000000000003'
+  };
+  const tokens = {};
+  const adjustmentReferences = [];
+
+  const tokenFor = (userId) =>
+    createAccessToken({ userId, email: `${userId}@example.com` });
+
+  beforeAll(async () => {
+    for (const [role, id] of Object.entries(staff)) {
+      await databaseConfig.executeQuery(
+        `INSERT INTO users (id, first_name, last_name, email, password_hash, role)
+         VALUES (?, 'Staff', ?, ?, 'not-a-real-hash', ?)`,
+        [id, role, `${id}@example.com`, role]
+      );
+      tokens[role] = await tokenFor(id);
+    }
+    tokens.user = await tokenFor(testUserId);
+  });
+
+  afterAll(async () => {
+    try {
+      for (const reference of adjustmentReferences) {
+        await databaseConfig.executeQuery(
+          'DELETE FROM investment_transactions WHERE reference_number = ?',
+          [reference]
+        );
+      }
+      await databaseConfig.executeQuery(
+        'DELETE FROM users WHERE id IN (?, ?, ?)',
+        Object.values(staff)
+      );
+      await databaseConfig.executeQuery(
+        "UPDATE users SET role = 'user' WHERE id = ?",
+        [testUserId]
+      );
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('GET /api/admin/roles', () => {
+    it('should list every role with its permissions', async () => {
+      const response = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(200);
+
+      const roles = Object.fromEntries(
+        response.body.data.map(r => [r.role, r.permissions])
+      );
+      expect(Object.keys(roles)).toEqual(['user', 'support', 'ops_admin', 'super_admin']);
+      expect(roles.user).toEqual([]);
+      expect(roles.ops_admin).not.toContain('roles:manage');
+      expect(roles.super_admin).toContain('roles:manage');
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should search users for support staff', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=Staff&role=ops_admin')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0]).toMatchObject({
+        id: staff.ops_admin,
+        role: 'ops_admin'
+      });
+      expect(response.body.data.users[0]).not.toHaveProperty('passwordHash');
+    });
+
+    it('should return 403 for a regular user', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${tokens.user}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/role', () => {
+    it('should let a super admin assign a role', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${tokens.super_admin}`)
+        .send({ role: 'support' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('support');
+
+      // Takes effect on the next request, without a new token
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${tokens.user}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/admin/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${tokens.super_admin}`)
+        .send({ role: 'user' })
+        .expect(200);
+    });
+
+    it('should return 403 for an ops admin', async () => {
+      await request(app)
+        .put(`/api/admin/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ role: 'super_admin' })
+        .expect(403);
+    });
+
+    it('should not let staff change their own role', async () => {
+      await request(app)
+        .put(`/api/admin/users/${staff.super_admin}/role`)
+        .set('Authorization', `Bearer ${tokens.super_admin}`)
+        .send({ role: 'user' })
+        .expect(403);
+    });
+
+    it('should reject an unknown role', async () => {
+      await request(app)
+        .put(`/api/admin/users/${testUserId}/role`)
+        .set('Authorization', `Bearer ${tokens.super_admin}`)
+        .send({ role: 'admin' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/admin/users/:id', () => {
+    it('should return the profile with investment stats and activity', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${testUserId}`)
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(200);
+
+      expect(response.body.data.user).toHaveProperty('id', testUserId);
+      expect(response.body.data.investmentStats).toHaveProperty('totalInvested');
+      expect(Array.isArray(response.body.data.recentActivity)).toBe(true);
+      expect(Array.isArray(response.body.data.adminActions)).toBe(true);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      await request(app)
+        .get('/api/admin/users/no-such-user')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/balance-adjustments', () => {
+    it('should require a reason', async () => {
+      await request(app)
+        .post(`/api/admin/users/${testUserId}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ amount: 100 })
+        .expect(400);
+    });
+
+    it('should credit and debit the wallet with ledger and audit entries', async () => {
+      const credit = await request(app)
+        .post(`/api/admin/users/${testUserId}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ amount: 100, reason: 'Test goodwill credit' })
+        .expect(201);
+      adjustmentReferences.push(credit.body.data.transaction.referenceNumber);
+
+      expect(credit.body.data.transaction).toMatchObject({
+        type: 'adjustment',
+        direction: 'credit',
+        amount: 100
+      });
+      expect(credit.body.data.auditEntry).toMatchObject({
+        action: 'balance_adjusted',
+        actorId: staff.ops_admin,
+        targetUserId: testUserId,
+        reason: 'Test goodwill credit'
+      });
+
+      const debit = await request(app)
+        .post(`/api/admin/users/${testUserId}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ amount: -100, reason: 'Test reversal' })
+        .expect(201);
+      adjustmentReferences.push(debit.body.data.transaction.referenceNumber);
+
+      expect(debit.body.data.transaction.direction).toBe('debit');
+      expect(debit.body.data.balance).toBeCloseTo(credit.body.data.balance - 100, 2);
+    });
+
+    it('should return 403 for support staff', async () => {
+      await request(app)
+        .post(`/api/admin/users/${testUserId}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .send({ amount: 100, reason: 'Not allowed' })
+        .expect(403);
+    });
+
+    it('should not let staff adjust their own balance', async () => {
+      await request(app)
+        .post(`/api/admin/users/${staff.ops_admin}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ amount: 100, reason: 'Paying myself' })
+        .expect(403);
+    });
+
+    it('should not let an ops admin adjust a super admin\'s balance', async () => {
+      await request(app)
+        .post(`/api/admin/users/${staff.super_admin}/balance-adjustments`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ amount: 100, reason: 'Not allowed' })
+        .expect(403);
+    });
+  });
+
+  describe('Account actions', () => {
+    it('should deactivate and reactivate an account', async () => {
+      await request(app)
+        .post(`/api/admin/users/${staff.support}/deactivate`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ reason: 'Test deactivation' })
+        .expect(200);
+
+      // Inactive users are rejected on their next request
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(401);
+
+      await request(app)
+        .post(`/api/admin/users/${staff.support}/deactivate`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(409);
+
+      await request(app)
+        .post(`/api/admin/users/${staff.support}/reactivate`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(200);
+    });
+
+    it('should not let staff deactivate themselves', async () => {
+      await request(app)
+        .post(`/api/admin/users/${staff.ops_admin}/deactivate`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(403);
+    });
+
+    it('should not let an ops admin act on a super admin', async () => {
+      await request(app)
+        .post(`/api/admin/users/${staff.super_admin}/deactivate`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(403);
+
+      await request(app)
+        .post(`/api/admin/users/${staff.super_admin}/revoke-sessions`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(403);
+    });
+
+    it('should revoke all sessions of a user', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${staff.support}/revoke-sessions`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ reason: 'Test force logout' })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('sessionsRevoked');
+    });
+  });
+
+  describe('GET /api/admin/audit-log', () => {
+    it('should list the actions taken on a user', async () => {
+      const response = await request(app)
+        .get(`/api/admin/audit-log?targetUserId=${staff.support}`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(200);
+
+      expect(response.body.data.entries.map(e => e.action)).toEqual(
+        expect.arrayContaining(['user_deactivated', 'user_reactivated', 'sessions_revoked'])
+      );
+    });
+
+    it('should return 403 for support staff', async () => {
+      await request(app)
+        .get('/api/admin/audit-log')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(403);
+    });
+
+    it('should reject changes to recorded entries', async () => {
+      await expect(
+        databaseConfig.executeQuery(
+          "UPDATE admin_audit_log SET reason = 'edited' WHERE target_user_id = ?",
+          [staff.support]
+        )
+      ).rejects.toThrow('append-only');
+
+      await expect(
+        databaseConfig.executeQuery(
+          'DELETE FROM admin_audit_log WHERE target_user_id = ?',
+          [staff.support]
+        )
+      ).rejects.toThrow('append-only');
+    });
+  });
+
+  describe('Route permissions', () => {
+    it('should let support read logs but not manage products or review KYC', async () => {
+      await request(app)
+        .get('/api/logs')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/products/admin')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(403);
+
+      await request(app)
+        .post(`/api/kyc/submissions/${testUserId}/approve`)
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(403);
+    });
+
+    it('should let an ops admin manage products and jobs', async () => {
+      await request(app)
+        .get('/api/products/admin')
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+const emailService = require('../src/services/emailService');
+const emailOutboxModel = require('../src/models/emailOutboxModel');
+const { EMAIL_TYPES, EMAIL_CONFIG, ERROR_MESSAGES } = require('../src/utils/constants');
+
+describe('Email Outbox', () => {
+  let authToken;
+  let adminToken;
+  const recipient = 'queue@outbox.test';
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR;
+  const resetData = { firstName: 'Test', resetUrl: 'https://app.test/reset?token=secret', otp: '246810' };
+  const redactedResetData = { firstName: 'Test', resetUrl: '[redacted]', otp: '[redacted]' };
+
+  const queueReset = async () => {
+    const result = await emailService.queue(EMAIL_TYPES.PASSWORD_RESET, { to: recipient, data: resetData });
+    expect(result).toMatchObject({ queued: true, template: 'password_reset@1' });
+    return result.id;
+  };
+
+  // An email without links or codes, so it can still be resent once dead
+  const queueConfirmation = async () => {
+    const result = await emailService.queue(EMAIL_TYPES.INVESTMENT_CONFIRMATION, {
+      to: recipient,
+      data: { firstName: 'Test', investmentId: 'inv-1', productName: 'Gold Bond', amount: 25000, expectedReturn: 8.5, maturityDate: '2027-01-15', autoReinvest: false }
+    });
+    expect(result.queued).toBe(true);
+    return result.id;
+  };
+
+  // Make a queued message due now, as if its backoff had elapsed
+  const makeDue = (id, attempts) => databaseConfig.executeQuery(
+    'UPDATE email_outbox SET next_attempt_at = NOW(), attempts = ? WHERE id = ?',
+    [attempts, id]
+  );
+
+  const withFailingTransport = async (fn) => {
+    const original = emailService.getTransport();
+    emailService.transport = {
+      sendMail: async () => {
+        throw new Error('SMTP connection refused');
+      }
+    };
+    try {
+      return await fn();
+    } finally {
+      emailService.transport = original;
+    }
+  };
+
+  beforeAll(async () => {
+    authToken = await createAccessToken({ userId: '550e8400-e29b-41d4-a716-446655440000', email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
+  });
+
+  beforeEach(async () => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    await databaseConfig.executeQuery('DELETE FROM email_outbox WHERE recipient = ?', [recipient]);
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+      await databaseConfig.executeQuery('DELETE FROM email_outbox WHERE recipient = ?', [recipient]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('emailService.processOutbox', () => {
+    it('should deliver queued emails and mark them sent', async () => {
+      const id = await queueReset();
+      expect(fs.existsSync(outboxDir)).toBe(false);
+
+      await emailService.processOutbox();
+
+      const message = await emailOutboxModel.findById(id);
+      expect(message).toMatchObject({ status: 'sent', attempts: 1, lastError: null });
+      expect(message.sentAt).toBeTruthy();
+      expect(message.data).toEqual(redactedResetData);
+      expect(fs.readdirSync(outboxDir).filter(f => f.endsWith('.eml'))).toHaveLength(1);
+    });
+
+    it('should retry failed emails with backoff', async () => {
+      const id = await queueReset();
+
+      await withFailingTransport(() => emailService.processOutbox());
+
+      const message = await emailOutboxModel.findById(id);
+      expect(message).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP connection refused' });
+      expect(new Date(message.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet: a second run leaves it alone
+      await emailService.processOutbox();
+      expect((await emailOutboxModel.findById(id)).attempts).toBe(1);
+    });
+
+    it('should dead-letter after the last attempt', async () => {
+      const id = await queueReset();
+      await makeDue(id, EMAIL_CONFIG.MAX_ATTEMPTS - 1);
+
+      await withFailingTransport(() => emailService.processOutbox());
+
+      const message = await emailOutboxModel.findById(id);
+      expect(message).toMatchObject({ status: 'dead', attempts: EMAIL_CONFIG.MAX_ATTEMPTS });
+      expect(message.data).toEqual(redactedResetData);
+    });
+
+    it('should purge sent emails past the retention period', async () => {
+      const oldId = await queueReset();
+      const recentId = await queueReset();
+      await emailService.processOutbox();
+      await databaseConfig.executeQuery(
+        'UPDATE email_outbox SET sent_at = DATE_SUB(NOW(), INTERVAL ? DAY) WHERE id = ?',
+        [EMAIL_CONFIG.SENT_RETENTION_DAYS + 1, oldId]
+      );
+
+      const summary = await emailService.processOutbox();
+
+      expect(summary.purged).toBeGreaterThanOrEqual(1);
+      expect(await emailOutboxModel.findById(oldId)).toBeNull();
+      expect((await emailOutboxModel.findById(recentId)).status).toBe('sent');
+    });
+
+    it('should double the delay after every attempt', () => {
+      expect(emailService.getRetryDelay(1)).toBe(60);
+      expect(emailService.getRetryDelay(2)).toBe(120);
+      expect(emailService.getRetryDelay(3)).toBe(240);
+      expect(emailService.getRetryDelay(20)).toBe(EMAIL_CONFIG.RETRY_MAX_DELAY / 1000);
+    });
+  });
+
+  describe('Admin endpoints', () => {
+    it('should list queued emails with counts for admins only', async () => {
+      await queueReset();
+
+      await request(app)
+        .get('/api/email-outbox')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .get('/api/email-outbox?status=pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.counts.pending).toBeGreaterThanOrEqual(1);
+      expect(response.body.data.messages.every(m => m.status === 'pending')).toBe(true);
+      expect(JSON.stringify(response.body.data)).not.toContain('246810');
+    });
+
+    it('should show one email with credentials redacted', async () => {
+      const id = await queueReset();
+
+      const response = await request(app)
+        .get(`/api/email-outbox/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ id, recipient, template: 'password_reset', templateVersion: 1 });
+      expect(response.body.data.data).toEqual({ firstName: 'Test', resetUrl: '[redacted]', otp: '[redacted]' });
+    });
+
+    it('should requeue a dead-lettered email', async () => {
+      const id = await queueConfirmation();
+      await makeDue(id, EMAIL_CONFIG.MAX_ATTEMPTS - 1);
+      await withFailingTransport(() => emailService.processOutbox());
+
+      const response = await request(app)
+        .post(`/api/email-outbox/${id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ status: 'pending', attempts: 0 });
+
+      await emailService.processOutbox();
+      expect((await emailOutboxModel.findById(id)).status).toBe('sent');
+    });
+
+    it('should not requeue a dead-lettered email whose credentials were cleared', async () => {
+      const id = await queueReset();
+      await makeDue(id, EMAIL_CONFIG.MAX_ATTEMPTS - 1);
+      await withFailingTransport(() => emailService.processOutbox());
+
+      const response = await request(app)
+        .post(`/api/email-outbox/${id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.message).toBe(ERROR_MESSAGES.EMAIL_CREDENTIALS_CLEARED);
+      expect((await emailOutboxModel.findById(id)).status).toBe('dead');
+    });
+
+    it('should not retry an email that was already sent', async () => {
+      const id = await queueReset();
+      await emailService.processOutbox();
+
+      await request(app)
+        .post(`/api/email-outbox/${id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should return 404 for an unknown email', async () => {
+      await request(app)
+        .get('/api/email-outbox/00000000-0000-0000-0000-000000000000')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { databaseConfig } = require('../src/config/database');
+const templateEngine = require('../src/emails/templateEngine');
+const emailService = require('../src/services/emailService');
+const userModel = require('../src/models/userModel');
+const { EMAIL_TYPES } = require('../src/utils/constants');
+
+describe('Transactional Emails', () => {
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR;
+
+  beforeEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      fs.rmSync(outboxDir, { recursive: true, force: true });
+      await userModel.updatePreferences(testUserId, { investment_alerts: true });
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('templateEngine.render', () => {
+    const samples = {
+      [EMAIL_TYPES.WELCOME]: { firstName: 'Asha', verificationUrl: 'https://app.test/verify?token=abc' },
+      [EMAIL_TYPES.PASSWORD_RESET]: { firstName: 'Asha', resetUrl: 'https://app.test/reset?token=abc', otp: '123456' },
+      [EMAIL_TYPES.ACCOUNT_LOCKED]: {
+        firstName: 'Asha',
+        unlockUrl: 'https://app.test/unlock-account?token=abc',
+        lockoutMinutes: 30,
+        ipAddress: '203.0.113.7'
+      },
+      [EMAIL_TYPES.INVESTMENT_CONFIRMATION]: {
+        firstName: 'Asha',
+        investmentId: 'inv-1',
+        productName: 'Gold Bond',
+        amount: 25000,
+        expectedReturn: 8.5,
+        maturityDate: '2027-01-15',
+        autoReinvest: false
+      },
+      [EMAIL_TYPES.MATURITY_REMINDER]: {
+        firstName: 'Asha',
+        investmentId: 'inv-1',
+        productName: 'Gold Bond',
+        amount: 25000,
+        currentValue: 26500,
+        maturityDate: '2027-01-15',
+        daysRemaining: 7,
+        autoReinvest: true
+      },
+      [EMAIL_TYPES.WEEKLY_REPORT]: {
+        firstName: 'Asha',
+        periodStart: '2026-10-12',
+        periodEnd: '2026-10-18',
+        portfolioValue: 126500,
+        totalInvested: 120000,
+        totalReturns: 6500,
+        weeklyChange: 420,
+        weeklyChangePercentage: 0.33,
+        activeInvestments: 3,
+        maturingSoon: [{ productName: 'Gold Bond', amount: 25000, maturityDate: '2027-01-15' }]
+      }
+    };
+
+    it('should render every email type with html and text parts', () => {
+      Object.values(EMAIL_TYPES).forEach((type) => {
+        const message = templateEngine.render(type, samples[type]);
+
+        expect(message).toMatchObject({ type, version: templateEngine.templates[type].current });
+        expect(message.subject).toBeTruthy();
+        expect(message.html).toContain('Asha');
+        expect(message.text).toContain('Asha');
+        expect(message.text).not.toContain('<');
+      });
+    });
+
+    it('should still render older template versions', () => {
+      const message = templateEngine.render(EMAIL_TYPES.WEEKLY_REPORT, samples[EMAIL_TYPES.WEEKLY_REPORT], 1);
+
+      expect(message.version).toBe(1);
+      expect(message.text).toContain('Maturing soon');
+      expect(message.text).not.toContain('Allocation');
+    });
+
+    it('should escape user data in html', () => {
+      const message = templateEngine.render(EMAIL_TYPES.WELCOME, {
+        firstName: '<script>alert(1)</script>',
+        verificationUrl: 'https://app.test/verify'
+      });
+
+      expect(message.html).not.toContain('<script>');
+      expect(message.html).toContain('&lt;script&gt;');
+    });
+
+    it('should add the preferences link only to optional emails', () => {
+      const reset = templateEngine.render(EMAIL_TYPES.PASSWORD_RESET, samples[EMAIL_TYPES.PASSWORD_RESET]);
+      const report = templateEngine.render(EMAIL_TYPES.WEEKLY_REPORT, samples[EMAIL_TYPES.WEEKLY_REPORT]);
+
+      expect(reset.text).not.toContain('email preferences');
+      expect(report.text).toContain('email preferences');
+    });
+
+    it('should reject unknown templates and versions', () => {
+      expect(() => templateEngine.render('unknown', {})).toThrow('Unknown email template');
+      expect(() => templateEngine.render(EMAIL_TYPES.WELCOME, {}, 99)).toThrow('Unknown version 99');
+    });
+  });
+
+  describe('emailService.send', () => {
+    it('should write emails to the outbox directory in development', async () => {
+      const result = await emailService.send(EMAIL_TYPES.PASSWORD_RESET, {
+        to: 'test@example.com',
+        data: { firstName: 'Test', resetUrl: 'https://app.test/reset', otp: '654321' }
+      });
+
+      expect(result).toEqual({ sent: true, template: 'password_reset@1' });
+      const files = fs.readdirSync(outboxDir);
+      expect(files.filter(f => f.endsWith('.eml'))).toHaveLength(1);
+
+      const json = JSON.parse(fs.readFileSync(path.join(outboxDir, files.find(f => f.endsWith('.json'))), 'utf8'));
+      expect(json).toMatchObject({ to: 'test@example.com', template: 'password_reset@1' });
+      expect(json.text).toContain('654321');
+    });
+
+    it('should skip optional emails the user has turned off', async () => {
+      await userModel.updatePreferences(testUserId, { investment_alerts: false });
+
+      const result = await emailService.sendToUser(testUserId, EMAIL_TYPES.INVESTMENT_CONFIRMATION, {
+        investmentId: 'inv-1',
+        productName: 'Gold Bond',
+        amount: 25000
+      });
+
+      expect(result).toEqual({ sent: false, reason: 'disabled_by_preferences' });
+      expect(fs.existsSync(outboxDir)).toBe(false);
+    });
+
+    it('should always send security emails', async () => {
+      await userModel.updatePreferences(testUserId, { notification_email: false });
+
+      const result = await emailService.sendToUser(testUserId, EMAIL_TYPES.PASSWORD_RESET, {
+        resetUrl: 'https://app.test/reset',
+        otp: '111111'
+      });
+
+      expect(result.sent).toBe(true);
+      await userModel.updatePreferences(testUserId, { notification_email: true });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const eventBus = require('../src/events/eventBus');
+const walletService = require('../src/services/walletService');
+const notificationService = require('../src/services/notificationService');
+const sessionModel = require('../src/models/sessionModel');
+const sessionService = require('../src/services/sessionService');
+const { EVENT_STREAM } = require('../src/utils/constants');
+const jwt = require('jsonwebtoken');
+const { createAccessToken } = require('./helpers');
+
+describe('Live Account Events', () => {
+  let authToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+
+  beforeAll(async () => {
+    // Create test token
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      await databaseConfig.executeQuery('DELETE FROM notifications WHERE user_id = ?', [testUserId]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('eventBus', () => {
+    it('should deliver events only to the addressed user', () => {
+      const received = [];
+      const others = [];
+      const unsubscribe = eventBus.subscribe('user-a', (event) => received.push(event));
+      const unsubscribeOther = eventBus.subscribe('user-b', (event) => others.push(event));
+
+      eventBus.publish('user-a', 'balance.updated', { balance: 100 });
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ type: 'balance.updated', data: { balance: 100 } });
+      expect(others).toHaveLength(0);
+
+      unsubscribe();
+      unsubscribeOther();
+      eventBus.publish('user-a', 'balance.updated', { balance: 200 });
+      expect(received).toHaveLength(1);
+      expect(eventBus.subscriberCount('user-a')).toBe(0);
+    });
+
+    it('should not let a failing listener break the publisher', () => {
+      const received = [];
+      const unsubscribeBroken = eventBus.subscribe('user-a', () => {
+        throw new Error('stream closed');
+      });
+      const unsubscribe = eventBus.subscribe('user-a', (event) => received.push(event));
+
+      expect(() => eventBus.publish('user-a', 'balance.updated', {})).not.toThrow();
+      expect(received).toHaveLength(1);
+
+      unsubscribeBroken();
+      unsubscribe();
+    });
+  });
+
+  describe('publishers', () => {
+    it('should publish the new balance after a deposit', async () => {
+      const received = [];
+      const unsubscribe = eventBus.subscribe(testUserId, (event) => received.push(event));
+
+      const result = await walletService.deposit(testUserId, 500);
+      unsubscribe();
+
+      expect(result.success).toBe(true);
+      const event = received.find(e => e.type === 'balance.updated');
+      expect(event.data.balance).toBe(result.data.balance);
+    });
+
+    it('should publish created notifications', async () => {
+      const received = [];
+      const unsubscribe = eventBus.subscribe(testUserId, (event) => received.push(event));
+
+      const notification = await notificationService.notify(testUserId, {
+        type: 'system',
+        title: 'Hello',
+        message: 'Live notification'
+      });
+      unsubscribe();
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({
+        type: 'notification.created',
+        data: { id: notification.id, title: 'Hello' }
+      });
+    });
+  });
+
+  describe('GET /api/events', () => {
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/events')
+        .expect(401);
+    });
+
+    it('should stream published events to the user', (done) => {
+      const server = app.listen(0, () => {
+        const req = http.get({
+          port: server.address().port,
+          path: '/api/events',
+          headers: { Authorization: `Bearer ${authToken}` }
+        }, (res) => {
+          expect(res.statusCode).toBe(200);
+          expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+          let body = '';
+          let published = false;
+          res.on('data', (chunk) => {
+            body += chunk;
+            if (!published && body.includes('event: connected')) {
+              published = true;
+              eventBus.publish(testUserId, 'investment.updated', { investmentId: 'inv-1', status: 'matured' });
+            }
+            if (body.includes('event: investment.updated')) {
+              expect(body).toMatch(/"investmentId":"inv-1"/);
+              req.destroy();
+              server.close(done);
+            }
+          });
+        });
+      });
+    });
+
+    it('should end the stream once its session is revoked', async () => {
+      const token = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+      const { sid } = jwt.decode(token);
+      const heartbeatInterval = EVENT_STREAM.HEARTBEAT_INTERVAL;
+      EVENT_STREAM.HEARTBEAT_INTERVAL = 50;
+      const server = app.listen(0);
+
+      try {
+        await new Promise((resolve, reject) => {
+          const req = http.get({
+            port: server.address().port,
+            path: '/api/events',
+            headers: { Authorization: `Bearer ${token}` }
+          }, (res) => {
+            let revoked = false;
+            res.on('data', async (chunk) => {
+              if (!revoked && String(chunk).includes('event: connected')) {
+                revoked = true;
+                await sessionModel.revokeFamily(sid);
+                sessionService.invalidateUser(testUserId);
+              }
+            });
+            res.on('end', resolve);
+          });
+          req.on('error', reject);
+        });
+      } finally {
+        EVENT_STREAM.HEARTBEAT_INTERVAL = heartbeatInterval;
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { databaseConfig } = require('../src/config/database');
+const sessionModel = require('../src/models/sessionModel');
+const { AuthHelper, FormatHelper } = require('../src/utils/helpers');
+
+/**
+ * Mint an access token the way sign-in does: bound to a new session and to
+ * the user's current token version. The user row must already exist; for a
+ * user that does not, the token names a session that was never created and
+ * is refused like any other token for an unknown user.
+ * @param {Object} claims - { userId, email }
+ * @returns {Promise<string>} access token
+ */
+const createAccessToken = async ({ userId, email }) => {
+  const [user] = await databaseConfig.executeQuery(
+    'SELECT role, token_version FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!user) {
+    return AuthHelper.generateToken(
+      { userId, email, role: 'user', sid: FormatHelper.generateUUID(), ver: 0 },
+      'access'
+    );
+  }
+
+  const sid = await sessionModel.create({
+    userId,
+    refreshToken: crypto.randomBytes(32).toString('hex'),
+    deviceInfo: 'jest',
+    ipAddress: '127.0.0.1'
+  });
+  return AuthHelper.generateToken(
+    { userId, email, role: user.role, sid, ver: user.token_version },
+    'access'
+  );
+};
+
+module.exports = { createAccessToken };
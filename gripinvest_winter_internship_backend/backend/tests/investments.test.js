@@ -1,7 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const { databaseConfig } = require('../src/config/database');
-const jwt = require('jsonwebtoken');
+const { createAccessToken } = require('./helpers');
 
 describe('Investments Endpoints', () => {
   let authToken;
@@ -11,11 +11,7 @@ describe('Investments Endpoints', () => {
 
   beforeAll(async () => {
     // Create test token
-    authToken = jwt.sign(
-      { userId: testUserId, email: 'test@example.com' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
   });
 
   afterAll(async () => {
@@ -136,6 +132,57 @@ describe('Investments Endpoints', () => {
       expect(response.body).toHaveProperty('error');
     });
 
+    it('should let only one of two concurrent investments spend the same balance', async () => {
+      const notes = `concurrency-test-${Date.now()}`;
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT account_balance FROM users WHERE id = ?',
+        [testUserId]
+      );
+      await databaseConfig.executeQuery(
+        'UPDATE users SET account_balance = 5000.00 WHERE id = ?',
+        [testUserId]
+      );
+
+      try {
+        const invest = () => request(app)
+          .post('/api/investments')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ productId: testProductId, amount: 5000.00, notes });
+        const responses = await Promise.all([invest(), invest()]);
+
+        expect(responses.map((r) => r.status).sort()).toEqual([201, 400]);
+
+        const debits = await databaseConfig.executeQuery(
+          `SELECT t.id FROM investment_transactions t
+           JOIN investments i ON t.investment_id = i.id
+           WHERE i.user_id = ? AND i.notes = ? AND t.transaction_type = 'investment'`,
+          [testUserId, notes]
+        );
+        expect(debits).toHaveLength(1);
+
+        const [after] = await databaseConfig.executeQuery(
+          'SELECT account_balance FROM users WHERE id = ?',
+          [testUserId]
+        );
+        expect(parseFloat(after.account_balance)).toBe(0);
+      } finally {
+        await databaseConfig.executeQuery(
+          `DELETE t FROM investment_transactions t
+           JOIN investments i ON t.investment_id = i.id
+           WHERE i.user_id = ? AND i.notes = ?`,
+          [testUserId, notes]
+        );
+        await databaseConfig.executeQuery(
+          'DELETE FROM investments WHERE user_id = ? AND notes = ?',
+          [testUserId, notes]
+        );
+        await databaseConfig.executeQuery(
+          'UPDATE users SET account_balance = ? WHERE id = ?',
+          [user.account_balance, testUserId]
+        );
+      }
+    });
+
     it('should return 401 for unauthenticated request', async () => {
       const investmentData = {
         product_id: testProductId,
@@ -203,6 +250,37 @@ describe('Investments Endpoints', () => {
     });
   });
 
+  describe('GET /api/investments/portfolio/history', () => {
+    it('should return invested, value and gain series', async () => {
+      const response = await request(app)
+        .get('/api/investments/portfolio/history?interval=month')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('interval', 'month');
+      expect(Array.isArray(response.body.data.series)).toBe(true);
+      response.body.data.series.forEach(point => {
+        expect(point).toHaveProperty('invested');
+        expect(point).toHaveProperty('value');
+        expect(point.gain).toBeCloseTo(point.value - point.invested, 2);
+      });
+    });
+
+    it('should return 400 for an unsupported interval', async () => {
+      await request(app)
+        .get('/api/investments/portfolio/history?interval=year')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/investments/portfolio/history')
+        .expect(401);
+    });
+  });
+
   describe('GET /api/investments/:id', () => {
     it('should fetch specific investment for owner', async () => {
       if (!testInvestmentId) {
@@ -226,6 +304,8 @@ describe('Investments Endpoints', () => {
       expect(response.body).toHaveProperty('investment');
       expect(response.body.investment).toHaveProperty('id', testInvestmentId);
       expect(response.body.investment).toHaveProperty('user_id', testUserId);
+      expect(response.body.investment).toHaveProperty('parentInvestmentId', null);
+      expect(Array.isArray(response.body.investment.rolloverChain)).toBe(true);
     });
 
     it('should return 404 for non-existent investment', async () => {
@@ -251,6 +331,129 @@ describe('Investments Endpoints', () => {
     });
   });
 
+  describe('GET /api/investments/:id/cancellation-quote', () => {
+    it('should preview the refund with the early withdrawal penalty', async () => {
+      const response = await request(app)
+        .get(`/api/investments/${testInvestmentId}/cancellation-quote`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('accruedValue');
+      expect(response.body.data).toHaveProperty('penaltyRate');
+      expect(response.body.data).toHaveProperty('penaltyAmount');
+      expect(response.body.data.netRefund).toBeCloseTo(
+        response.body.data.accruedValue - response.body.data.penaltyAmount,
+        2
+      );
+    });
+
+    it('should return 404 for non-existent investment', async () => {
+      const fakeId = '770e8400-e29b-41d4-a716-446655440999';
+
+      const response = await request(app)
+        .get(`/api/investments/${fakeId}/cancellation-quote`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get(`/api/investments/${testInvestmentId}/cancellation-quote`)
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/investments/:id/redeem', () => {
+    it('should redeem part of an investment and mark it partial', async () => {
+      const response = await request(app)
+        .post(`/api/investments/${testInvestmentId}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 1000.00 })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.investment).toHaveProperty('status', 'partial');
+      expect(response.body.data.redemption).toHaveProperty('grossAmount', 1000);
+      expect(response.body.data.redemption.netAmount).toBeCloseTo(
+        1000 - response.body.data.redemption.penaltyAmount,
+        2
+      );
+    });
+
+    it('should return 400 when the remaining holding would fall below the minimum', async () => {
+      const response = await request(app)
+        .post(`/api/investments/${testInvestmentId}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 3999.00 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should return 400 for a missing amount', async () => {
+      await request(app)
+        .post(`/api/investments/${testInvestmentId}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should list redemption history', async () => {
+      const response = await request(app)
+        .get(`/api/investments/${testInvestmentId}/redemptions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(Array.isArray(response.body.data.redemptions)).toBe(true);
+    });
+
+    it('should refund only the value left when a redemption races the cancellation', async () => {
+      // A separate investment keeps the shared one open for the tests below
+      await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 5000.00 })
+        .expect(201);
+      const created = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, amount: 5000.00 })
+        .expect(201);
+      const investmentId = created.body.data.id;
+
+      const quote = await request(app)
+        .get(`/api/investments/${investmentId}/cancellation-quote`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [, cancel] = await Promise.all([
+        request(app)
+          .post(`/api/investments/${investmentId}/redeem`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ amount: 1000.00 }),
+        request(app)
+          .delete(`/api/investments/${investmentId}`)
+          .set('Authorization', `Bearer ${authToken}`),
+      ]);
+      expect(cancel.status).toBe(200);
+
+      // Redemption and cancellation together never pay out more than the holding was worth
+      const [withdrawn] = await databaseConfig.executeQuery(
+        `SELECT COALESCE(SUM(amount), 0) AS total FROM investment_transactions
+         WHERE investment_id = ? AND transaction_type = 'withdrawal'`,
+        [investmentId]
+      );
+      expect(parseFloat(withdrawn.total)).toBeLessThanOrEqual(
+        quote.body.data.accruedValue + 0.01
+      );
+
+      await databaseConfig.executeQuery('DELETE FROM investments WHERE id = ?', [investmentId]);
+    });
+  });
+
   describe('GET /api/investments/insights', () => {
     it('should get AI portfolio insights for authenticated user', async () => {
       const response = await request(app)
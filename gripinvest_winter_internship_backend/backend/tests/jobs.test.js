@@ -0,0 +1,194 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+const maturityService = require('../src/services/maturityService');
+const investmentService = require('../src/services/investmentService');
+const valuationService = require('../src/services/valuationService');
+const investmentModel = require('../src/models/investmentModel');
+const productModel = require('../src/models/productModel');
+const { KYC_LIMITS, KYC_STATUS } = require('../src/utils/constants');
+
+describe('Background Jobs Endpoints', () => {
+  let authToken;
+  let adminToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('GET /api/jobs', () => {
+    it('should list registered jobs for an admin', async () => {
+      const response = await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.jobs.map(j => j.name)).toContain('maturity');
+      expect(response.body.data.jobs.map(j => j.name)).toContain('valuation');
+    });
+
+    it('should return 403 for a non-admin user', async () => {
+      await request(app)
+        .get('/api/jobs')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/jobs/:name/run', () => {
+    it('should settle due investments and be idempotent on re-run', async () => {
+      const first = await request(app)
+        .post('/api/jobs/maturity/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(first.body).toHaveProperty('success', true);
+      expect(Array.isArray(first.body.data.matured)).toBe(true);
+
+      const second = await request(app)
+        .post('/api/jobs/maturity/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(second.body.data.matured).toHaveLength(0);
+    });
+
+    it('should revalue open investments for today', async () => {
+      const response = await request(app)
+        .post('/api/jobs/valuation/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('date', new Date().toISOString().split('T')[0]);
+      expect(typeof response.body.data.valued).toBe('number');
+      expect(response.body.data.failed).toHaveLength(0);
+    });
+
+    it('should revalue from the stored amount, not a stale batch copy', async () => {
+      const [investment] = await investmentModel.findOpenBatch(null, 1);
+      const product = await productModel.findById(investment.productId);
+      const date = new Date().toISOString().split('T')[0];
+      // As if a partial redemption landed after the batch was read
+      const stale = { ...investment, amount: investment.amount * 2 };
+
+      const value = await valuationService.revalueInvestment(stale, product, date);
+
+      const expected = investmentService.calculateAccruedValue(
+        investment,
+        product,
+        new Date(`${date}T00:00:00Z`)
+      );
+      expect(value).toBeCloseTo(expected.finalAmount, 2);
+      expect((await investmentModel.findById(investment.id)).currentValue).toBeCloseTo(expected.finalAmount, 2);
+    });
+
+    it('should leave rollover proceeds in the wallet when they need KYC the user lacks', async () => {
+      const amount = KYC_LIMITS.INVESTMENT_THRESHOLD + 10000;
+      const [product] = await databaseConfig.executeQuery(
+        `SELECT id FROM investment_products
+         WHERE is_active = TRUE AND min_investment <= ? AND (max_investment IS NULL OR max_investment >= ?)
+         LIMIT 1`,
+        [amount, amount * 2]
+      );
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT account_balance, kyc_status FROM users WHERE id = ?',
+        [testUserId]
+      );
+      const investment = await investmentModel.create({
+        userId: testUserId,
+        productId: product.id,
+        amount,
+        maturityDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        autoReinvest: true,
+        tenure: 12
+      });
+      await databaseConfig.executeQuery(
+        'UPDATE investments SET created_at = DATE_SUB(NOW(), INTERVAL 1 YEAR) WHERE id = ?',
+        [investment.id]
+      );
+      await databaseConfig.executeQuery(
+        'UPDATE users SET kyc_status = ? WHERE id = ?',
+        [KYC_STATUS.PENDING, testUserId]
+      );
+
+      try {
+        const settlement = await maturityService.settleInvestment(investment.id);
+
+        expect(settlement.rollover.skippedReason).toMatch(/KYC/);
+        const children = await databaseConfig.executeQuery(
+          'SELECT id FROM investments WHERE parent_investment_id = ?',
+          [investment.id]
+        );
+        expect(children).toHaveLength(0);
+        const [after] = await databaseConfig.executeQuery(
+          'SELECT account_balance FROM users WHERE id = ?',
+          [testUserId]
+        );
+        expect(parseFloat(after.account_balance)).toBeCloseTo(
+          parseFloat(user.account_balance) + settlement.maturityValue,
+          2
+        );
+      } finally {
+        await databaseConfig.executeQuery(
+          'UPDATE users SET account_balance = ?, kyc_status = ? WHERE id = ?',
+          [user.account_balance, user.kyc_status, testUserId]
+        );
+        await databaseConfig.executeQuery('DELETE FROM notifications WHERE action_url = ?', [`/investments/${investment.id}`]);
+        await databaseConfig.executeQuery('DELETE FROM investment_transactions WHERE investment_id = ?', [investment.id]);
+        await databaseConfig.executeQuery('DELETE FROM investments WHERE id = ?', [investment.id]);
+      }
+    });
+
+    it('should pay out at maturity no less than the last valuation', () => {
+      const investment = {
+        amount: 10000,
+        investedAt: '2024-01-15T00:00:00Z',
+        maturityDate: '2025-01-15T00:00:00Z',
+        product: { annualYield: 8 }
+      };
+      const product = { annualYield: 8, compoundFrequency: 'monthly' };
+
+      const lastValuation = investmentService.calculateAccruedValue(
+        investment,
+        product,
+        new Date('2025-01-14T00:00:00Z')
+      );
+      const payout = maturityService.calculateMaturityValue(investment, product);
+
+      expect(payout.finalAmount).toBeGreaterThanOrEqual(lastValuation.finalAmount);
+      expect(payout.finalAmount).toBeCloseTo(
+        investmentService.calculateAccruedValue(investment, product).finalAmount,
+        2
+      );
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      const response = await request(app)
+        .post('/api/jobs/unknown/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/jobs/maturity/run')
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+const kycModel = require('../src/models/kycModel');
+
+describe('KYC Endpoints', () => {
+  let authToken;
+  let adminToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  let testProductId = '660e8400-e29b-41d4-a716-446655440000';
+  const pdf = Buffer.from('%PDF-1.4 test document');
+
+  const upload = (type, buffer = pdf, contentType = 'application/pdf') => request(app)
+    .post(`/api/kyc/documents/${type}`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .attach('file', buffer, { filename: `${type}.pdf`, contentType });
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
+
+    await databaseConfig.executeQuery(
+      `UPDATE users SET kyc_status = 'pending', kyc_documents = NULL, kyc_submitted_at = NULL,
+       kyc_reviewed_at = NULL, kyc_reviewed_by = NULL, kyc_rejection_reason = NULL WHERE id = ?`,
+      [testUserId]
+    );
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('POST /api/kyc/documents/:type', () => {
+    it('should store a document and report the remaining ones', async () => {
+      const response = await upload('pan').expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('stage', 'in_progress');
+      expect(response.body.data.missingDocuments).toEqual(['aadhaar', 'address_proof']);
+      expect(JSON.stringify(response.body.data)).not.toContain('gripinvest-kyc-test');
+    });
+
+    it('should reject unsupported file types', async () => {
+      await upload('aadhaar', Buffer.from('hello'), 'text/plain').expect(400);
+    });
+
+    it('should reject an unknown document type', async () => {
+      await upload('passport').expect(400);
+    });
+
+    it('should require a file', async () => {
+      await request(app)
+        .post('/api/kyc/documents/aadhaar')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should submit for review once every document is uploaded', async () => {
+      await upload('aadhaar').expect(201);
+      const response = await upload('address_proof').expect(201);
+
+      expect(response.body.data).toHaveProperty('stage', 'under_review');
+      expect(response.body.data.submittedAt).toBeTruthy();
+    });
+  });
+
+  describe('Investment threshold', () => {
+    it('should block investments above the threshold until KYC is approved', async () => {
+      const response = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, amount: 60000 })
+        .expect(403);
+
+      expect(response.body.message).toMatch(/KYC/);
+    });
+  });
+
+  describe('Admin review', () => {
+    it('should list the pending submission', async () => {
+      const response = await request(app)
+        .get('/api/kyc/submissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.submissions.map(s => s.userId)).toContain(testUserId);
+    });
+
+    it('should return 403 for a non-admin user', async () => {
+      await request(app)
+        .get('/api/kyc/submissions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+
+    it('should require a reason to reject', async () => {
+      await request(app)
+        .post(`/api/kyc/submissions/${testUserId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should reject with a reason and accept a resubmission', async () => {
+      const rejected = await request(app)
+        .post(`/api/kyc/submissions/${testUserId}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Address proof is not legible' })
+        .expect(200);
+
+      expect(rejected.body.data).toHaveProperty('status', 'rejected');
+      expect(rejected.body.data).toHaveProperty('rejectionReason', 'Address proof is not legible');
+
+      const resubmitted = await upload('address_proof').expect(201);
+      expect(resubmitted.body.data).toHaveProperty('status', 'pending');
+      expect(resubmitted.body.data.rejectionReason).toBeNull();
+    });
+
+    it('should take a rejected submission out of the queue until it is complete again', async () => {
+      await databaseConfig.executeQuery(
+        `UPDATE users SET kyc_status = 'rejected', kyc_submitted_at = NOW() - INTERVAL 1 DAY WHERE id = ?`,
+        [testUserId]
+      );
+
+      await kycModel.saveDocument(testUserId, 'pan', {
+        filename: 'pan.pdf',
+        originalName: 'pan.pdf',
+        path: 'pan.pdf',
+        mimeType: 'application/pdf',
+        size: pdf.length,
+        uploadedAt: new Date().toISOString()
+      });
+
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT kyc_status, kyc_submitted_at FROM users WHERE id = ?',
+        [testUserId]
+      );
+      expect(user).toMatchObject({ kyc_status: 'pending', kyc_submitted_at: null });
+
+      // The full document set is on file, so the service resubmits it
+      await upload('pan').expect(201);
+      const [resubmitted] = await databaseConfig.executeQuery(
+        'SELECT kyc_submitted_at FROM users WHERE id = ?',
+        [testUserId]
+      );
+      expect(resubmitted.kyc_submitted_at).not.toBeNull();
+    });
+
+    it('should approve the submission and block further uploads', async () => {
+      const response = await request(app)
+        .post(`/api/kyc/submissions/${testUserId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('stage', 'approved');
+
+      await upload('pan').expect(409);
+    });
+
+    it('should return 409 when there is nothing to review', async () => {
+      await request(app)
+        .post(`/api/kyc/submissions/${testUserId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+  });
+});
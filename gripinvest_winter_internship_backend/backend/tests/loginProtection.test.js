@@ -0,0 +1,268 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { createAccessToken } = require('./helpers');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const loginProtectionService = require('../src/services/loginProtectionService');
+const { LOGIN_PROTECTION, ERROR_MESSAGES } = require('../src/utils/constants');
+
+describe('Login Protection', () => {
+  const userId = 'lockout-test-user-00-000000000001';
+  const email = 'lockout-test@example.com';
+  const password = 'Lockout123!';
+  const unknownEmail = 'lockout-nobody@example.com';
+  const sprayEmail = 'lockout-spray@example.com';
+  const parallelEmail = 'lockout-parallel@example.com';
+  const otherEmail = 'someone-else@example.com';
+  const freshEmail = 'lockout-fresh@example.com';
+  const staleEmail = 'lockout-stale@example.com';
+  const otherIp = '198.51.100.1';
+  const testIp = '203.0.113.25'; // service-level tests only; requests come from the test client's IP
+  const staff = {
+    support: 'lockout-test-support-0-000000000002',
+    ops_admin: 'lockout-test-opsadmin-000000000003'
+  };
+  const tokens = {};
+  let clientIp;
+  let unlockToken;
+
+  const login = (withPassword) =>
+    request(app)
+      .post('/api/auth/login')
+      .send({ email, password: withPassword });
+
+  const failuresOf = async (scope, identifier) => {
+    const [row] = await databaseConfig.executeQuery(
+      'SELECT * FROM login_failures WHERE scope = ? AND identifier = ?',
+      [scope, identifier]
+    );
+    return row;
+  };
+
+  // Move a counter forward directly; authRateLimit allows only a few login requests per IP
+  const setFailures = (scope, identifier, count) =>
+    databaseConfig.executeQuery(
+      `UPDATE login_failures SET failed_count = ?, first_failed_at = NOW(), next_attempt_at = NULL
+       WHERE scope = ? AND identifier = ?`,
+      [count, scope, identifier]
+    );
+
+  beforeAll(async () => {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await databaseConfig.executeQuery(
+      `INSERT INTO users (id, first_name, last_name, email, password_hash)
+       VALUES (?, 'Lockout', 'Tester', ?, ?)`,
+      [userId, email, passwordHash]
+    );
+    for (const [role, id] of Object.entries(staff)) {
+      await databaseConfig.executeQuery(
+        `INSERT INTO users (id, first_name, last_name, email, password_hash, role)
+         VALUES (?, 'Staff', ?, ?, 'not-a-real-hash', ?)`,
+        [id, role, `${id}@example.com`, role]
+      );
+      tokens[role] = await createAccessToken({ userId: id, email: `${id}@example.com` });
+    }
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.executeQuery(
+        'DELETE FROM login_failures WHERE identifier IN (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [email, unknownEmail, sprayEmail, parallelEmail, otherEmail, freshEmail, staleEmail, testIp, otherIp, clientIp || testIp]
+      );
+      await databaseConfig.executeQuery('DELETE FROM email_outbox WHERE recipient = ?', [email]);
+      await databaseConfig.executeQuery(
+        'DELETE FROM users WHERE id IN (?, ?, ?)',
+        [userId, ...Object.values(staff)]
+      );
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('Failed logins', () => {
+    it('should count a failure against the email and the IP', async () => {
+      await login('Wrong12345!').expect(401);
+
+      const failure = await failuresOf('email', email);
+      expect(failure.failed_count).toBe(1);
+      expect(failure.next_attempt_at).toBeNull();
+
+      clientIp = failure.last_ip_address;
+      const ipFailure = await failuresOf('ip', clientIp);
+      expect(ipFailure.failed_count).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should not store a counter for a login that has not failed', async () => {
+      const check = await loginProtectionService.check(freshEmail, otherIp);
+
+      expect(check).toMatchObject({ allowed: true, retryAfter: 0 });
+      expect(await failuresOf('email', freshEmail)).toBeUndefined();
+    });
+
+    it('should make the email wait longer after repeated failures', async () => {
+      await setFailures('email', email, 5);
+      await login('Wrong12345!').expect(401);
+
+      // Sixth failure: 1s doubled three times
+      const response = await login(password).expect(429);
+      expect(response.body.message).toBe(ERROR_MESSAGES.LOGIN_DELAYED);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      expect(Number(response.headers['retry-after'])).toBeLessThanOrEqual(8);
+    });
+
+    it('should hold back a parallel attempt while one is in progress', async () => {
+      await loginProtectionService.recordFailure(parallelEmail, testIp);
+      await setFailures('email', parallelEmail, LOGIN_PROTECTION.DELAY_AFTER_FAILURES);
+
+      const first = await loginProtectionService.check(parallelEmail, testIp);
+      expect(first.allowed).toBe(true);
+
+      const second = await loginProtectionService.check(parallelEmail, testIp);
+      expect(second).toMatchObject({ allowed: false, message: ERROR_MESSAGES.LOGIN_DELAYED });
+
+      await loginProtectionService.recordSuccess(parallelEmail);
+      const afterSuccess = await loginProtectionService.check(parallelEmail, testIp);
+      expect(afterSuccess.allowed).toBe(true);
+    });
+  });
+
+  describe('Lockout', () => {
+    it('should lock the email at the threshold and email an unlock link', async () => {
+      await setFailures('email', email, LOGIN_PROTECTION.EMAIL_LOCKOUT_THRESHOLD - 1);
+      await login('Wrong12345!').expect(401);
+
+      const response = await login(password).expect(429);
+      expect(response.body.message).toBe(ERROR_MESSAGES.ACCOUNT_LOCKED);
+
+      const failure = await failuresOf('email', email);
+      expect(failure.locked_until).not.toBeNull();
+      expect(failure.unlock_token_hash).toMatch(/^[a-f0-9]{64}$/);
+
+      const emails = await databaseConfig.executeQuery(
+        "SELECT data FROM email_outbox WHERE recipient = ? AND template = 'account_locked'",
+        [email]
+      );
+      expect(emails).toHaveLength(1);
+      const data = typeof emails[0].data === 'string' ? JSON.parse(emails[0].data) : emails[0].data;
+      unlockToken = data.unlockUrl.split('token=')[1];
+      expect(unlockToken).toBeTruthy();
+
+      const notifications = await databaseConfig.executeQuery(
+        "SELECT title FROM notifications WHERE user_id = ? AND type = 'security'",
+        [userId]
+      );
+      expect(notifications.map((n) => n.title)).toContain('Account temporarily locked');
+    });
+
+    it('should lift the lockout with the emailed link, once', async () => {
+      await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token: unlockToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/unlock-account')
+        .send({ token: unlockToken })
+        .expect(400);
+
+      await login(password).expect(200);
+
+      const failure = await failuresOf('email', email);
+      expect(failure.failed_count).toBe(0);
+      expect(failure.locked_until).toBeNull();
+      expect(failure.lockout_count).toBe(1);
+    });
+
+    it('should lock unknown emails too, without sending email', async () => {
+      for (let i = 0; i < LOGIN_PROTECTION.EMAIL_LOCKOUT_THRESHOLD; i++) {
+        await loginProtectionService.recordFailure(unknownEmail, testIp);
+      }
+
+      const check = await loginProtectionService.check(unknownEmail, otherIp);
+      expect(check).toMatchObject({ allowed: false, message: ERROR_MESSAGES.ACCOUNT_LOCKED });
+
+      const emails = await databaseConfig.executeQuery(
+        'SELECT id FROM email_outbox WHERE recipient = ?',
+        [unknownEmail]
+      );
+      expect(emails).toHaveLength(0);
+    });
+
+    it('should lock an IP out for every email at its threshold', async () => {
+      await setFailures('ip', testIp, LOGIN_PROTECTION.IP_LOCKOUT_THRESHOLD - 1);
+      await loginProtectionService.recordFailure(sprayEmail, testIp);
+
+      const check = await loginProtectionService.check(otherEmail, testIp);
+      expect(check).toMatchObject({ allowed: false, message: ERROR_MESSAGES.LOGIN_IP_LOCKED });
+      expect(check.retryAfter).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Admin lockouts', () => {
+    let lockoutId;
+
+    it('should list active lockouts for support staff', async () => {
+      const response = await request(app)
+        .get('/api/admin/lockouts?search=lockout-nobody')
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(200);
+
+      const lockout = response.body.data.lockouts.find((l) => l.identifier === unknownEmail);
+      expect(lockout).toMatchObject({ scope: 'email', user: null });
+      lockoutId = lockout.id;
+    });
+
+    it('should not let support staff clear a lockout', async () => {
+      await request(app)
+        .delete(`/api/admin/lockouts/${lockoutId}`)
+        .set('Authorization', `Bearer ${tokens.support}`)
+        .expect(403);
+    });
+
+    it('should clear a lockout and record it in the audit trail', async () => {
+      await request(app)
+        .delete(`/api/admin/lockouts/${lockoutId}`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .send({ reason: 'Verified with the customer' })
+        .expect(200);
+
+      const check = await loginProtectionService.check(unknownEmail, otherIp);
+      expect(check.allowed).toBe(true);
+
+      const audit = await request(app)
+        .get('/api/admin/audit-log?action=lockout_cleared')
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(200);
+      const entry = audit.body.data.entries.find((e) => e.details.identifier === unknownEmail);
+      expect(entry).toMatchObject({ reason: 'Verified with the customer' });
+    });
+
+    it('should return 404 for a lockout that is no longer active', async () => {
+      await request(app)
+        .delete(`/api/admin/lockouts/${lockoutId}`)
+        .set('Authorization', `Bearer ${tokens.ops_admin}`)
+        .expect(404);
+    });
+  });
+
+  describe('Purge', () => {
+    it('should delete counters whose window and lockout have run out', async () => {
+      await loginProtectionService.recordFailure(staleEmail, null);
+      await loginProtectionService.recordFailure(freshEmail, null);
+      await databaseConfig.executeQuery(
+        `UPDATE login_failures
+         SET first_failed_at = NOW() - INTERVAL ? MINUTE, next_attempt_at = NULL
+         WHERE scope = 'email' AND identifier = ?`,
+        [LOGIN_PROTECTION.FAILURE_WINDOW_MINUTES + 1, staleEmail]
+      );
+
+      const summary = await loginProtectionService.purgeExpired();
+
+      expect(summary.purged).toBeGreaterThanOrEqual(1);
+      expect(await failuresOf('email', staleEmail)).toBeUndefined();
+      expect((await failuresOf('email', freshEmail)).failed_count).toBe(1);
+    });
+  });
+});
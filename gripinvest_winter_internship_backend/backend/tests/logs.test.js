@@ -1,7 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const { databaseConfig } = require('../src/config/database');
-const jwt = require('jsonwebtoken');
+const { createAccessToken } = require('./helpers');
 
 describe('Transaction Logs Endpoints', () => {
   let authToken;
@@ -10,17 +10,9 @@ describe('Transaction Logs Endpoints', () => {
 
   beforeAll(async () => {
     // Create test tokens
-    authToken = jwt.sign(
-      { userId: testUserId, email: 'test@example.com' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    adminToken = jwt.sign(
-      { userId: 'admin-id', email: 'admin@gripinvest.com', role: 'admin' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
   });
 
   afterAll(async () => {
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const notificationService = require('../src/services/notificationService');
+const { createAccessToken } = require('./helpers');
+
+describe('Notification Endpoints', () => {
+  let authToken;
+  let otherToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  let notificationId;
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    otherToken = await createAccessToken({ userId: 'other-user', email: 'other@example.com' });
+
+    await databaseConfig.executeQuery('DELETE FROM notifications WHERE user_id = ?', [testUserId]);
+
+    const created = await notificationService.notify(testUserId, {
+      type: 'system',
+      title: 'Welcome',
+      message: 'Welcome to Grip Invest'
+    });
+    notificationId = created.id;
+    await notificationService.notify(testUserId, {
+      type: 'promotion',
+      title: 'New product',
+      message: 'A new bond is available'
+    });
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      await databaseConfig.executeQuery('DELETE FROM notifications WHERE user_id = ?', [testUserId]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should list notifications newest first with the unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.notifications).toHaveLength(2);
+      expect(response.body.data.notifications[0]).toHaveProperty('title', 'New product');
+      expect(response.body.data).toHaveProperty('unreadCount', 2);
+    });
+
+    it('should filter by type', async () => {
+      const response = await request(app)
+        .get('/api/notifications?type=system')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.notifications.map(n => n.type)).toEqual(['system']);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/notifications')
+        .expect(401);
+    });
+  });
+
+  describe('PUT /api/notifications/:id/read', () => {
+    it('should mark a notification read', async () => {
+      const response = await request(app)
+        .put(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('isRead', true);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(count.body.data).toHaveProperty('unreadCount', 1);
+    });
+
+    it('should return 404 for another user\'s notification', async () => {
+      await request(app)
+        .put(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/notifications/read-all', () => {
+    it('should mark every notification read', async () => {
+      await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const unread = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(unread.body.data.notifications).toHaveLength(0);
+      expect(unread.body.data).toHaveProperty('unreadCount', 0);
+    });
+  });
+
+  describe('DELETE /api/notifications/:id', () => {
+    it('should delete a notification', async () => {
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Producers', () => {
+    it('should notify the user when an investment is created', async () => {
+      await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 5000.00 })
+        .expect(201);
+
+      const investment = await request(app)
+        .post('/api/investments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: '660e8400-e29b-41d4-a716-446655440000', amount: 5000.00 })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/notifications?type=investment')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const notification = response.body.data.notifications[0];
+      expect(notification).toHaveProperty('title', 'Investment confirmed');
+      expect(notification).toHaveProperty('actionUrl', `/investments/${investment.body.data.id}`);
+      expect(notification).toHaveProperty('isRead', false);
+    });
+  });
+});
@@ -1,7 +1,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const { databaseConfig } = require('../src/config/database');
-const jwt = require('jsonwebtoken');
+const { createAccessToken } = require('./helpers');
 
 describe('Products Endpoints', () => {
   let authToken;
@@ -11,17 +11,9 @@ describe('Products Endpoints', () => {
 
   beforeAll(async () => {
     // Create test tokens
-    authToken = jwt.sign(
-      { userId: testUserId, email: 'test@example.com' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    adminToken = jwt.sign(
-      { userId: 'admin-id', email: 'admin@gripinvest.com', role: 'admin' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
   });
 
   afterAll(async () => {
@@ -345,4 +337,51 @@ describe('Products Endpoints', () => {
       expect(response.body.products.length).toBeLessThanOrEqual(5);
     });
   });
+
+  describe('GET /api/products/admin', () => {
+    it('should list inactive products for admins', async () => {
+      const response = await request(app)
+        .get('/api/products/admin?status=inactive')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      response.body.data.products.forEach(product => {
+        expect(product.isActive).toBe(false);
+      });
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/products/admin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/products/admin')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/products/:id/analytics', () => {
+    it('should return product analytics for admins', async () => {
+      const response = await request(app)
+        .get('/api/products/660e8400-e29b-41d4-a716-446655440000/analytics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('totalInvestments');
+      expect(response.body.data).toHaveProperty('statusDistribution');
+      expect(response.body.data).toHaveProperty('monthlyTrends');
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/products/660e8400-e29b-41d4-a716-446655440000/analytics')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
 });
\ No newline at end of file
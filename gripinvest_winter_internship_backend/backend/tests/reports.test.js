@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+const reportService = require('../src/services/reportService');
+const investmentModel = require('../src/models/investmentModel');
+const userModel = require('../src/models/userModel');
+
+describe('Weekly Reports', () => {
+  let authToken;
+  let otherToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  let testProductId = '660e8400-e29b-41d4-a716-446655440000';
+  let investmentId;
+  const DAY = 24 * 60 * 60 * 1000;
+  // A run next week reports on the current week, which holds the test investment
+  const runDate = new Date(Date.now() + 7 * DAY);
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    otherToken = await createAccessToken({ userId: 'other-user', email: 'other@example.com' });
+
+    await databaseConfig.executeQuery('DELETE FROM weekly_reports WHERE user_id = ?', [testUserId]);
+    await userModel.updatePreferences(testUserId, { weekly_reports: true });
+
+    const investment = await investmentModel.create({
+      userId: testUserId,
+      productId: testProductId,
+      amount: 5000,
+      expectedReturn: 8,
+      maturityDate: new Date(Date.now() + 14 * DAY).toISOString().split('T')[0]
+    });
+    investmentId = investment.id;
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      await databaseConfig.executeQuery('DELETE FROM weekly_reports WHERE user_id = ?', [testUserId]);
+      await databaseConfig.executeQuery('DELETE FROM investments WHERE id = ?', [investmentId]);
+      await userModel.updatePreferences(testUserId, { weekly_reports: true });
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('reportService.getReportPeriod', () => {
+    it('should cover the previous Monday to Sunday', () => {
+      expect(reportService.getReportPeriod(new Date('2026-10-19T08:00:00Z'))).toEqual({
+        periodStart: '2026-10-12',
+        periodEnd: '2026-10-18'
+      });
+      expect(reportService.getReportPeriod(new Date('2026-10-25T23:00:00Z'))).toEqual({
+        periodStart: '2026-10-12',
+        periodEnd: '2026-10-18'
+      });
+    });
+  });
+
+  describe('reportService.generateWeeklyReports', () => {
+    it('should skip users who turned weekly reports off', async () => {
+      await userModel.updatePreferences(testUserId, { weekly_reports: false });
+
+      await reportService.generateWeeklyReports(runDate);
+
+      const [{ count }] = await databaseConfig.executeQuery(
+        'SELECT COUNT(*) as count FROM weekly_reports WHERE user_id = ?',
+        [testUserId]
+      );
+      expect(count).toBe(0);
+      await userModel.updatePreferences(testUserId, { weekly_reports: true });
+    });
+
+    it('should store one report per week and email it', async () => {
+      const first = await reportService.generateWeeklyReports(runDate);
+      expect(first.generated).toBeGreaterThanOrEqual(1);
+
+      const second = await reportService.generateWeeklyReports(runDate);
+      expect(second.due).toBe(0);
+
+      const emails = await databaseConfig.executeQuery(
+        "SELECT * FROM email_outbox WHERE user_id = ? AND template = 'weekly_report'",
+        [testUserId]
+      );
+      expect(emails.length).toBeGreaterThanOrEqual(1);
+      expect(emails[0].template_version).toBe(2);
+    });
+  });
+
+  describe('GET /api/reports', () => {
+    it('should list report history with the week\'s details', async () => {
+      const response = await request(app)
+        .get('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      const [report] = response.body.data.reports;
+      expect(report).toMatchObject(reportService.getReportPeriod(runDate));
+      expect(report.newInvestments.map(i => i.investmentId)).toContain(investmentId);
+      expect(report.maturingSoon.map(i => i.investmentId)).toContain(investmentId);
+      expect(report.allocation.byType.length).toBeGreaterThan(0);
+      expect(report.emailedAt).toBeTruthy();
+    });
+
+    it('should return one report to its owner only', async () => {
+      const list = await request(app)
+        .get('/api/reports')
+        .set('Authorization', `Bearer ${authToken}`);
+      const reportId = list.body.data.reports[0].id;
+
+      await request(app)
+        .get(`/api/reports/${reportId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/reports/${reportId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/reports')
+        .expect(401);
+    });
+  });
+});
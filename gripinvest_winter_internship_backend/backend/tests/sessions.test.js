@@ -0,0 +1,235 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { createAccessToken } = require('./helpers');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { AuthHelper } = require('../src/utils/helpers');
+
+describe('Sessions', () => {
+  const userId = 'session-test-user-000-000000000001';
+  const email = 'session-test@example.com';
+  const password = 'Sessions123!';
+  let loginResponse;
+  let firstToken;
+  let secondToken;
+  let csrfToken;
+
+  const cookieValue = (response, name) => {
+    const cookie = (response.headers['set-cookie'] || []).find((c) => c.startsWith(`${name}=`));
+    return cookie && decodeURIComponent(cookie.split(';')[0].slice(name.length + 1));
+  };
+
+  // Refresh the way the browser does: both cookies, CSRF token echoed in a header
+  const refresh = (refreshToken, csrfHeader = csrfToken) => {
+    const req = request(app)
+      .post('/api/auth/refresh-token')
+      .set('Cookie', [`gi_refresh_token=${refreshToken}`, `gi_csrf_token=${csrfToken}`]);
+    return csrfHeader ? req.set('X-CSRF-Token', csrfHeader) : req;
+  };
+
+  beforeAll(async () => {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await databaseConfig.executeQuery(
+      `INSERT INTO users (id, first_name, last_name, email, password_hash)
+       VALUES (?, 'Session', 'Tester', ?, ?)`,
+      [userId, email, passwordHash]
+    );
+
+    loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password })
+      .expect(200);
+    firstToken = cookieValue(loginResponse, 'gi_refresh_token');
+    csrfToken = loginResponse.body.data.tokens.csrfToken;
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('Session cookies', () => {
+    it('should set the refresh token only as an httpOnly cookie', () => {
+      const cookies = loginResponse.headers['set-cookie'];
+      const refreshCookie = cookies.find((c) => c.startsWith('gi_refresh_token='));
+
+      expect(firstToken).toBeDefined();
+      expect(refreshCookie).toMatch(/HttpOnly/);
+      expect(refreshCookie).toMatch(/SameSite=Strict/);
+      expect(refreshCookie).toMatch(/Path=\/api\/auth/);
+      expect(loginResponse.body.data.tokens).toHaveProperty('accessToken');
+      expect(loginResponse.body.data.tokens).not.toHaveProperty('refreshToken');
+    });
+
+    it('should hand out a readable CSRF cookie matching the response', () => {
+      const csrfCookie = loginResponse.headers['set-cookie']
+        .find((c) => c.startsWith('gi_csrf_token='));
+
+      expect(csrfCookie).not.toMatch(/HttpOnly/);
+      expect(cookieValue(loginResponse, 'gi_csrf_token')).toBe(csrfToken);
+    });
+
+    it('should store only a hash of the refresh token', async () => {
+      const sessions = await databaseConfig.executeQuery(
+        'SELECT refresh_token_hash FROM user_sessions WHERE user_id = ?',
+        [userId]
+      );
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].refresh_token_hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(sessions[0].refresh_token_hash).not.toBe(firstToken);
+    });
+  });
+
+  describe('CSRF protection', () => {
+    it('should reject a refresh without the CSRF header', async () => {
+      await refresh(firstToken, null).expect(403);
+    });
+
+    it('should reject a refresh with the wrong CSRF header', async () => {
+      await refresh(firstToken, 'a'.repeat(64)).expect(403);
+    });
+
+    it('should reject a refresh without a session cookie', async () => {
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .set('Cookie', [`gi_csrf_token=${csrfToken}`])
+        .set('X-CSRF-Token', csrfToken)
+        .expect(401);
+    });
+  });
+
+  describe('Rotation', () => {
+    it('should issue a new refresh token on every refresh', async () => {
+      const response = await refresh(firstToken).expect(200);
+
+      secondToken = cookieValue(response, 'gi_refresh_token');
+      expect(response.body.data).toHaveProperty('accessToken');
+      expect(response.body.data).not.toHaveProperty('refreshToken');
+      expect(secondToken).toBeDefined();
+      expect(secondToken).not.toBe(firstToken);
+
+      csrfToken = response.body.data.csrfToken;
+      expect(cookieValue(response, 'gi_csrf_token')).toBe(csrfToken);
+    });
+
+    it('should revoke the whole session when a rotated token is reused', async () => {
+      const response = await refresh(firstToken).expect(401);
+      expect(cookieValue(response, 'gi_refresh_token')).toBe('');
+
+      // The legitimate latest token dies with the rest of the family
+      await refresh(secondToken).expect(401);
+
+      const active = await databaseConfig.executeQuery(
+        'SELECT id FROM user_sessions WHERE user_id = ? AND is_active = TRUE',
+        [userId]
+      );
+      expect(active).toHaveLength(0);
+
+      const notifications = await databaseConfig.executeQuery(
+        "SELECT title FROM notifications WHERE user_id = ? AND type = 'security'",
+        [userId]
+      );
+      expect(notifications.map((n) => n.title)).toContain('Suspicious session activity');
+    });
+
+    it('should reject a token that was never issued', async () => {
+      await refresh('not-a-refresh-token').expect(401);
+    });
+  });
+
+  describe('Access token revocation', () => {
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password })
+        .expect(200);
+      return response.body.data.tokens.accessToken;
+    };
+
+    const getProfile = (accessToken) =>
+      request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+    it('should name the session and token version in the access token', async () => {
+      const claims = jwt.decode(await login());
+
+      expect(claims.sid).toMatch(/^[0-9a-f-]{36}$/);
+      expect(claims.ver).toBe(0);
+    });
+
+    it('should reject the access token after logout', async () => {
+      const accessToken = await login();
+      await getProfile(accessToken).expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await getProfile(accessToken).expect(401);
+    });
+
+    it('should reject the access token of a session revoked elsewhere', async () => {
+      const revokedToken = await login();
+      const currentToken = await login();
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${currentToken}`)
+        .expect(200);
+      const other = list.body.data.sessions.find((session) => !session.isCurrent);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set('Authorization', `Bearer ${currentToken}`)
+        .expect(200);
+
+      await getProfile(revokedToken).expect(401);
+      await getProfile(currentToken).expect(200);
+    });
+
+    it('should refuse access tokens that name no session or token version', async () => {
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT token_version FROM users WHERE id = ?',
+        [userId]
+      );
+      const claims = jwt.decode(await createAccessToken({ userId, email }));
+
+      const withoutSession = AuthHelper.generateToken(
+        { userId, email, role: 'user', ver: user.token_version },
+        'access'
+      );
+      const withoutVersion = AuthHelper.generateToken(
+        { userId, email, role: 'user', sid: claims.sid },
+        'access'
+      );
+
+      await getProfile(withoutSession).expect(401);
+      await getProfile(withoutVersion).expect(401);
+    });
+
+    it('should reject every earlier access token after a password change', async () => {
+      const accessToken = await createAccessToken({ userId, email });
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ currentPassword: password, newPassword: 'Sessions456!' })
+        .expect(200);
+
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT token_version FROM users WHERE id = ?',
+        [userId]
+      );
+      expect(user.token_version).toBe(1);
+      await getProfile(accessToken).expect(401);
+    });
+  });
+});
@@ -6,6 +6,8 @@ process.env.DB_HOST = 'localhost';
 process.env.DB_USER = 'test_user';
 process.env.DB_PASSWORD = 'test_password';
 process.env.DB_NAME = 'gripinvest_test_db';
+process.env.KYC_UPLOAD_DIR = require('path').join(require('os').tmpdir(), 'gripinvest-kyc-test');
+process.env.EMAIL_OUTBOX_DIR = require('path').join(require('os').tmpdir(), 'gripinvest-outbox-test');
 
 // Increase timeout for database operations
 jest.setTimeout(30000);
@@ -0,0 +1,256 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { CalculationHelper } = require('../src/utils/helpers');
+const sipModel = require('../src/models/sipModel');
+const sipService = require('../src/services/sipService');
+const { createAccessToken } = require('./helpers');
+
+describe('SIP Endpoints', () => {
+  let authToken;
+  let adminToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  let testProductId = '660e8400-e29b-41d4-a716-446655440000';
+  let sipId;
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+
+    adminToken = await createAccessToken({ userId: 'admin-id', email: 'admin@gripinvest.com' });
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      await databaseConfig.executeQuery('DELETE FROM sips WHERE user_id = ?', [testUserId]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('CalculationHelper.calculateInstallmentDate', () => {
+    it('should clamp monthly installments to the end of shorter months', () => {
+      expect(CalculationHelper.calculateInstallmentDate('2026-01-31', 'monthly', 1)).toBe('2026-02-28');
+      expect(CalculationHelper.calculateInstallmentDate('2026-01-31', 'monthly', 2)).toBe('2026-03-31');
+    });
+
+    it('should step weekly and quarterly schedules', () => {
+      expect(CalculationHelper.calculateInstallmentDate('2026-01-01', 'weekly', 2)).toBe('2026-01-15');
+      expect(CalculationHelper.calculateInstallmentDate('2026-01-15', 'quarterly', 4)).toBe('2027-01-15');
+    });
+  });
+
+  describe('POST /api/sips', () => {
+    it('should create an active SIP starting today', async () => {
+      const response = await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, amount: 1000, frequency: 'monthly' })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('status', 'active');
+      expect(response.body.data).toHaveProperty('nextRunDate', new Date().toISOString().split('T')[0]);
+
+      sipId = response.body.data.id;
+    });
+
+    it('should reject an unknown frequency', async () => {
+      await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, amount: 1000, frequency: 'daily' })
+        .expect(400);
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await request(app)
+        .post('/api/sips')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          productId: testProductId,
+          amount: 1000,
+          frequency: 'weekly',
+          startDate: '2099-02-01',
+          endDate: '2099-01-01'
+        })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/sips')
+        .send({ productId: testProductId, amount: 1000, frequency: 'monthly' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/sips/calendar', () => {
+    it('should list upcoming installments in date order', async () => {
+      const response = await request(app)
+        .get('/api/sips/calendar?days=60')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const dates = response.body.data.installments.map(i => i.date);
+      expect(dates).toEqual([...dates].sort());
+      expect(response.body.data.installments.some(i => i.sipId === sipId)).toBe(true);
+    });
+  });
+
+  describe('SIP execution', () => {
+    it('should execute today\'s installment once and advance the schedule', async () => {
+      const first = await request(app)
+        .post('/api/jobs/sip/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(first.body.data.due).toBeGreaterThanOrEqual(1);
+
+      const response = await request(app)
+        .get(`/api/sips/${sipId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.installments).toHaveLength(1);
+      expect(['success', 'failed']).toContain(response.body.data.installments[0].status);
+      expect(response.body.data.nextInstallmentIndex).toBe(1);
+
+      const second = await request(app)
+        .post('/api/jobs/sip/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(second.body.data.failed.find(f => f.sipId === sipId)).toBeUndefined();
+    });
+
+    it('should try a failed installment again once its retry time has come', async () => {
+      const yesterday = new Date();
+      yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+      const installmentId = 'sip-retry-test-0000-000000000001';
+      await databaseConfig.executeQuery(
+        `INSERT INTO sip_installments (id, sip_id, user_id, due_date, amount, status, attempts, next_attempt_at)
+         VALUES (?, ?, ?, ?, 5000, 'failed', 1, NOW() - INTERVAL 1 MINUTE)`,
+        [installmentId, sipId, testUserId, yesterday.toISOString().split('T')[0]]
+      );
+
+      const response = await request(app)
+        .post('/api/jobs/sip/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.retried).toBeGreaterThanOrEqual(1);
+
+      const [installment] = await databaseConfig.executeQuery(
+        'SELECT status, attempts, next_attempt_at FROM sip_installments WHERE id = ?',
+        [installmentId]
+      );
+      expect(installment.attempts).toBe(2);
+      if (installment.status === 'failed') {
+        expect(installment.next_attempt_at).not.toBeNull();
+      } else {
+        expect(installment.status).toBe('success');
+      }
+    });
+
+    it('should not invest an installment whose outcome could not be recorded', async () => {
+      const dueDate = new Date();
+      dueDate.setUTCDate(dueDate.getUTCDate() - 2);
+      const due = dueDate.toISOString().split('T')[0];
+      const installmentId = 'sip-atomic-test-000-000000000001';
+      await databaseConfig.executeQuery(
+        `INSERT INTO sip_installments (id, sip_id, user_id, due_date, amount, status)
+         VALUES (?, ?, ?, ?, 5000, 'pending')`,
+        [installmentId, sipId, testUserId, due]
+      );
+      const [user] = await databaseConfig.executeQuery(
+        'SELECT account_balance FROM users WHERE id = ?',
+        [testUserId]
+      );
+      await databaseConfig.executeQuery(
+        'UPDATE users SET account_balance = account_balance + 5000 WHERE id = ?',
+        [testUserId]
+      );
+      const complete = jest.spyOn(sipModel, 'completeInstallment')
+        .mockRejectedValueOnce(new Error('Lost connection to the database'));
+
+      try {
+        const sip = await sipModel.findById(sipId);
+        const outcome = await sipService.runInstallment(sip, installmentId, due, 1);
+
+        expect(outcome.status).toBe('failed');
+        const investments = await databaseConfig.executeQuery(
+          'SELECT id FROM investments WHERE user_id = ? AND notes = ?',
+          [testUserId, `SIP installment due ${due}`]
+        );
+        expect(investments).toHaveLength(0);
+        const [after] = await databaseConfig.executeQuery(
+          'SELECT account_balance FROM users WHERE id = ?',
+          [testUserId]
+        );
+        expect(parseFloat(after.account_balance)).toBeCloseTo(parseFloat(user.account_balance) + 5000, 2);
+        const [installment] = await databaseConfig.executeQuery(
+          'SELECT status, investment_id FROM sip_installments WHERE id = ?',
+          [installmentId]
+        );
+        expect(installment).toMatchObject({ status: 'failed', investment_id: null });
+      } finally {
+        complete.mockRestore();
+        await databaseConfig.executeQuery(
+          'UPDATE users SET account_balance = ? WHERE id = ?',
+          [user.account_balance, testUserId]
+        );
+      }
+    });
+  });
+
+  describe('Pause, resume and cancel', () => {
+    it('should pause an active SIP', async () => {
+      const response = await request(app)
+        .post(`/api/sips/${sipId}/pause`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('status', 'paused');
+    });
+
+    it('should return 409 when pausing twice', async () => {
+      await request(app)
+        .post(`/api/sips/${sipId}/pause`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+    });
+
+    it('should resume from the next date on or after today', async () => {
+      const response = await request(app)
+        .post(`/api/sips/${sipId}/resume`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('status', 'active');
+      expect(response.body.data.nextRunDate >= new Date().toISOString().split('T')[0]).toBe(true);
+    });
+
+    it('should cancel the SIP', async () => {
+      const response = await request(app)
+        .delete(`/api/sips/${sipId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('status', 'cancelled');
+      expect(response.body.data.nextRunDate).toBeNull();
+    });
+
+    it('should return 404 for another user\'s SIP', async () => {
+      const otherToken = await createAccessToken({ userId: 'other-user', email: 'other@example.com' });
+
+      await request(app)
+        .get(`/api/sips/${sipId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+
+describe('Account Statements', () => {
+  let authToken;
+  let depositReference;
+  const today = new Date().toISOString().split('T')[0];
+
+  // supertest leaves binary bodies unparsed; collect the PDF bytes
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  // Rows of one CSV section, without its title and header
+  const csvSection = (text, title) => {
+    const lines = text.split('\n');
+    const start = lines.indexOf(title) + 2;
+    const end = lines.indexOf('', start);
+    return lines.slice(start, end === -1 ? undefined : end);
+  };
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: '550e8400-e29b-41d4-a716-446655440000', email: 'test@example.com' });
+
+    const response = await request(app)
+      .post('/api/wallet/deposit')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 1500 });
+    depositReference = response.body.data.transaction.referenceNumber;
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('GET /api/investments/statement', () => {
+    it('should download a CSV statement whose balances add up', async () => {
+      const response = await request(app)
+        .get(`/api/investments/statement?from=${today}&to=${today}&format=csv`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toBe(
+        `attachment; filename="statement-${today}-to-${today}.csv"`
+      );
+
+      const summary = Object.fromEntries(
+        csvSection(response.text, 'Summary').map(line => line.split(','))
+      );
+      const opening = parseFloat(summary['Opening balance']);
+      const closing = parseFloat(summary['Closing balance']);
+      const credits = parseFloat(summary['Total credits']);
+      const debits = parseFloat(summary['Total debits']);
+      expect(closing).toBeCloseTo(opening + credits - debits, 2);
+
+      const transactions = csvSection(response.text, 'Transactions');
+      expect(transactions.some(line => line.includes(depositReference))).toBe(true);
+      const lastBalance = parseFloat(transactions[transactions.length - 1].split(',').pop());
+      expect(lastBalance).toBeCloseTo(closing, 2);
+
+      expect(response.text).toContain('Holdings');
+      expect(response.text).toContain('Realized Gains');
+    });
+
+    it('should download a PDF statement by default', async () => {
+      const response = await request(app)
+        .get('/api/investments/statement')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should reject an unknown format or a reversed range', async () => {
+      await request(app)
+        .get('/api/investments/statement?format=xlsx')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/investments/statement?from=2026-02-01&to=2026-01-01')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should reject periods longer than a year', async () => {
+      const response = await request(app)
+        .get('/api/investments/statement?from=2024-01-01&to=2025-12-31&format=csv')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('366 days');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/investments/statement')
+        .expect(401);
+    });
+  });
+});
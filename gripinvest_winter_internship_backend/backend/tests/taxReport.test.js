@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+
+describe('Tax Report', () => {
+  let authToken;
+  let cancelledInvestmentId;
+  const testProductId = '660e8400-e29b-41d4-a716-446655440000'; // bond
+
+  beforeAll(async () => {
+    // Create test tokens
+    authToken = await createAccessToken({ userId: '550e8400-e29b-41d4-a716-446655440000', email: 'test@example.com' });
+
+    // A bond cancelled straight away is a short-term capital gain (or loss)
+    const created = await request(app)
+      .post('/api/investments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ productId: testProductId, amount: 1000 });
+    cancelledInvestmentId = created.body.data.id;
+
+    await request(app)
+      .delete(`/api/investments/${cancelledInvestmentId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.executeQuery(
+        'DELETE FROM investment_transactions WHERE investment_id = ?',
+        [cancelledInvestmentId]
+      );
+      await databaseConfig.executeQuery('DELETE FROM investments WHERE id = ?', [
+        cancelledInvestmentId
+      ]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('GET /api/investments/tax-report', () => {
+    it('should report the current financial year by default', async () => {
+      const response = await request(app)
+        .get('/api/investments/tax-report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const report = response.body.data;
+      expect(report.financialYear).toMatch(/^\d{4}-\d{2}$/);
+      expect(report.period.from).toMatch(/-04-01$/);
+      expect(report.period.to).toMatch(/-03-31$/);
+      expect(report.byInstrument.map(i => i.instrument)).toEqual(
+        expect.arrayContaining(['bond', 'fd', 'mf', 'etf'])
+      );
+      expect(report.section80C).toHaveProperty('limit', 150000);
+
+      const { summary } = report;
+      expect(summary.totalRealized).toBeCloseTo(
+        summary.interestIncome + summary.shortTermCapitalGains + summary.longTermCapitalGains,
+        2
+      );
+    });
+
+    it('should classify an early bond exit as a short-term capital gain', async () => {
+      const response = await request(app)
+        .get('/api/investments/tax-report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const entry = response.body.data.entries.find(
+        e => e.investmentId === cancelledInvestmentId
+      );
+      expect(entry).toMatchObject({
+        event: 'cancellation',
+        instrument: 'bond',
+        classification: 'stcg',
+        costBasis: 1000
+      });
+      expect(entry.gain).toBeCloseTo(entry.proceeds - entry.costBasis, 2);
+    });
+
+    it('should download the report as CSV', async () => {
+      const response = await request(app)
+        .get('/api/investments/tax-report?fy=2025-26&format=csv')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toBe(
+        'attachment; filename="tax-report-FY2025-26.csv"'
+      );
+      expect(response.text).toContain('Tax Report FY 2025-26');
+      expect(response.text).toContain('TDS on Interest');
+      expect(response.text).toContain('Section 80C');
+    });
+
+    it('should reject a malformed financial year', async () => {
+      await request(app)
+        .get('/api/investments/tax-report?fy=2025')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/investments/tax-report?fy=2025-27')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('2024-25');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/investments/tax-report')
+        .expect(401);
+    });
+  });
+});
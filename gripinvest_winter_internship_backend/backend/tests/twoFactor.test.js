@@ -0,0 +1,176 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { createAccessToken } = require('./helpers');
+const speakeasy = require('speakeasy');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+
+describe('Two-Factor Authentication', () => {
+  const userId = '2fa-test-user-0000-000000000001';
+  const email = '2fa-test@example.com';
+  const password = 'TwoFactor123!';
+  let authToken;
+  let secret;
+  let recoveryCodes;
+
+  // A code for the next time step, so it is not the one used to enable 2FA
+  const nextCode = () =>
+    speakeasy.totp({ secret, encoding: 'base32', time: Math.floor(Date.now() / 1000) + 30 });
+
+  beforeAll(async () => {
+    const passwordHash = await bcrypt.hash(password, 10);
+    await databaseConfig.executeQuery(
+      `INSERT INTO users (id, first_name, last_name, email, password_hash)
+       VALUES (?, 'Two', 'Factor', ?, ?)`,
+      [userId, email, passwordHash]
+    );
+    authToken = await createAccessToken({ userId, email });
+  });
+
+  afterAll(async () => {
+    try {
+      await databaseConfig.executeQuery('DELETE FROM users WHERE id = ?', [userId]);
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('Enrolment', () => {
+    it('should reject confirming before setup', async () => {
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '123456' })
+        .expect(400);
+    });
+
+    it('should return a secret and provisioning URI', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      secret = response.body.data.secret;
+      expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/.+secret=/);
+      expect(response.body.data.otpauthUrl).toContain(`secret=${secret}`);
+      expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('should reject a wrong code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+    });
+
+    it('should enable 2FA with a valid code and return recovery codes', async () => {
+      const code = speakeasy.totp({ secret, encoding: 'base32' });
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code })
+        .expect(200);
+
+      recoveryCodes = response.body.data.recoveryCodes;
+      expect(recoveryCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(status.body.data).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    it('should not start setup again while enabled', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('Login', () => {
+    const startLogin = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password })
+        .expect(200);
+
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data).not.toHaveProperty('tokens');
+      return response.body.data.challengeToken;
+    };
+
+    it('should not accept the challenge token as an access token', async () => {
+      const challengeToken = await startLogin();
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should issue tokens for a valid authenticator code, once', async () => {
+      const challengeToken = await startLogin();
+      const code = nextCode();
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code })
+        .expect(200);
+      expect(response.body.data.tokens).toHaveProperty('accessToken');
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code })
+        .expect(401);
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const challengeToken = await startLogin();
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'not-a-token', code: '123456' })
+        .expect(401);
+    });
+  });
+
+  describe('Disable', () => {
+    it('should require the correct password', async () => {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'WrongPassword1!' })
+        .expect(401);
+    });
+
+    it('should disable 2FA and restore single-step login', async () => {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email, password })
+        .expect(200);
+      expect(response.body.data.tokens).toHaveProperty('accessToken');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { databaseConfig } = require('../src/config/database');
+const { createAccessToken } = require('./helpers');
+
+describe('Wallet Endpoints', () => {
+  let authToken;
+  let testUserId = '550e8400-e29b-41d4-a716-446655440000';
+  let depositReference;
+
+  beforeAll(async () => {
+    // Create test token
+    authToken = await createAccessToken({ userId: testUserId, email: 'test@example.com' });
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    try {
+      await databaseConfig.executeQuery(
+        'DELETE FROM investment_transactions WHERE user_id = ?',
+        [testUserId]
+      );
+      await databaseConfig.closePool();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  });
+
+  describe('POST /api/wallet/deposit', () => {
+    it('should credit the wallet and record a ledger entry', async () => {
+      const response = await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 2500.00 })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data).toHaveProperty('balance');
+      expect(response.body.data.transaction).toHaveProperty('type', 'deposit');
+      expect(response.body.data.transaction).toHaveProperty('direction', 'credit');
+      expect(response.body.data.transaction).toHaveProperty('amount', 2500);
+      expect(response.body.data.transaction.referenceNumber).toMatch(/^DEP-\d{8}-[0-9A-F]{8}$/);
+
+      depositReference = response.body.data.transaction.referenceNumber;
+    });
+
+    it('should return 400 for an amount below the minimum', async () => {
+      const response = await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 10 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should return 400 for a missing amount', async () => {
+      const response = await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/wallet/deposit')
+        .send({ amount: 2500.00 })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/wallet/withdraw', () => {
+    it('should debit the wallet and record a ledger entry', async () => {
+      const response = await request(app)
+        .post('/api/wallet/withdraw')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 1000.00 })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.transaction).toHaveProperty('type', 'withdrawal');
+      expect(response.body.data.transaction).toHaveProperty('direction', 'debit');
+    });
+
+    it('should return 400 when the balance is insufficient', async () => {
+      const response = await request(app)
+        .post('/api/wallet/withdraw')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ amount: 1000000.00 })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.message).toMatch(/insufficient/i);
+    });
+  });
+
+  describe('GET /api/wallet/transactions', () => {
+    it('should list ledger entries for the user', async () => {
+      const response = await request(app)
+        .get('/api/wallet/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(Array.isArray(response.body.data.transactions)).toBe(true);
+      expect(response.body.data).toHaveProperty('pagination');
+    });
+
+    it('should filter by transaction type', async () => {
+      const response = await request(app)
+        .get('/api/wallet/transactions?type=deposit')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.transactions.every(t => t.type === 'deposit')).toBe(true);
+    });
+
+    it('should return 400 for an unknown transaction type', async () => {
+      await request(app)
+        .get('/api/wallet/transactions?type=bonus')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/wallet/transactions/:referenceNumber', () => {
+    it('should fetch a ledger entry by reference number', async () => {
+      const response = await request(app)
+        .get(`/api/wallet/transactions/${depositReference}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('referenceNumber', depositReference);
+    });
+
+    it('should return 404 for an unknown reference number', async () => {
+      const response = await request(app)
+        .get('/api/wallet/transactions/DEP-19700101-00000000')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+  });
+});
@@ -3,6 +3,13 @@
 
 -- Drop existing tables if they exist (for clean setup)
 DROP TABLE IF EXISTS transaction_logs;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS weekly_reports;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS sip_installments;
+DROP TABLE IF EXISTS sips;
+DROP TABLE IF EXISTS investment_redemptions;
+DROP TABLE IF EXISTS investment_transactions;
 DROP TABLE IF EXISTS investments;
 DROP TABLE IF EXISTS investment_products;
 DROP TABLE IF EXISTS users;
@@ -18,15 +25,29 @@ CREATE TABLE users (
     phone VARCHAR(20),
     date_of_birth DATE,
     kyc_verified BOOLEAN DEFAULT FALSE,
+    kyc_status ENUM('pending','approved','rejected') DEFAULT 'pending',
+    kyc_documents JSON,
+    kyc_submitted_at DATETIME NULL,
+    kyc_reviewed_at DATETIME NULL,
+    kyc_reviewed_by CHAR(36) NULL,
+    kyc_rejection_reason VARCHAR(500) NULL,
     account_balance DECIMAL(15,2) DEFAULT 0.00,
     last_login DATETIME,
     is_active BOOLEAN DEFAULT TRUE,
     email_verified BOOLEAN DEFAULT FALSE,
+    role ENUM('user','support','ops_admin','super_admin') DEFAULT 'user',
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    two_factor_secret VARCHAR(64) NULL, -- base32 TOTP secret; set at setup, kept once enabled
+    two_factor_enabled_at DATETIME NULL,
+    two_factor_last_step BIGINT NULL, -- time step of the last accepted code, so codes cannot be replayed
+    token_version INT NOT NULL DEFAULT 0, -- bumped on password change; older access tokens are refused
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     INDEX idx_email (email),
+    INDEX idx_role (role),
     INDEX idx_risk_appetite (risk_appetite),
+    INDEX idx_kyc_status (kyc_status),
     INDEX idx_created_at (created_at)
 );
 
@@ -66,19 +87,24 @@ CREATE TABLE investments (
     product_id CHAR(36) NOT NULL,
     amount DECIMAL(12,2) NOT NULL,
     invested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    status ENUM('active','matured','cancelled','pending') DEFAULT 'active',
+    status ENUM('active','partial','matured','cancelled','pending') DEFAULT 'active',
     expected_return DECIMAL(12,2),
     actual_return DECIMAL(12,2) DEFAULT 0.00,
     maturity_date DATE,
+    matured_at DATETIME NULL,
+    maturity_reminder_sent_at DATETIME NULL,
     current_value DECIMAL(12,2),
     last_updated DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     notes TEXT,
     auto_reinvest BOOLEAN DEFAULT FALSE,
+    parent_investment_id CHAR(36) NULL,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_investment_id) REFERENCES investments(id) ON DELETE SET NULL,
     
     INDEX idx_user_id (user_id),
+    INDEX idx_parent_investment_id (parent_investment_id),
     INDEX idx_product_id (product_id),
     INDEX idx_status (status),
     INDEX idx_invested_at (invested_at),
@@ -86,6 +112,160 @@ CREATE TABLE investments (
     INDEX idx_amount (amount)
 );
 
+-- Investment Transactions table (ledger of every wallet balance movement)
+CREATE TABLE investment_transactions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    investment_id CHAR(36),
+    transaction_type ENUM('deposit','investment','withdrawal','return','penalty','fee','adjustment') NOT NULL,
+    direction ENUM('credit','debit') NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    description TEXT,
+    reference_number VARCHAR(50) NOT NULL,
+    status ENUM('pending','completed','failed','cancelled') DEFAULT 'pending',
+    processed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE SET NULL,
+    
+    UNIQUE KEY unique_reference_number (reference_number),
+    INDEX idx_user_id (user_id),
+    INDEX idx_investment_id (investment_id),
+    INDEX idx_transaction_type (transaction_type),
+    INDEX idx_status (status),
+    INDEX idx_user_created (user_id, created_at)
+);
+
+-- Investment Redemptions table (history of partial redemptions)
+CREATE TABLE investment_redemptions (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    investment_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    gross_amount DECIMAL(15,2) NOT NULL,
+    principal_redeemed DECIMAL(15,2) NOT NULL,
+    penalty_rate DECIMAL(5,2) DEFAULT 0.00,
+    penalty_amount DECIMAL(15,2) DEFAULT 0.00,
+    net_amount DECIMAL(15,2) NOT NULL,
+    remaining_principal DECIMAL(15,2) NOT NULL,
+    remaining_value DECIMAL(15,2) NOT NULL,
+    reference_number VARCHAR(50),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    INDEX idx_investment_id (investment_id),
+    INDEX idx_user_id (user_id)
+);
+
+-- SIPs table (recurring investment mandates)
+CREATE TABLE sips (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    product_id CHAR(36) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    frequency ENUM('weekly','monthly','quarterly') NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    next_run_date DATE NULL,
+    next_installment_index INT DEFAULT 0,
+    status ENUM('active','paused','cancelled','completed') DEFAULT 'active',
+    last_run_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES investment_products(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_next_run (status, next_run_date)
+);
+
+-- SIP Installments table (one row per executed or failed due date)
+CREATE TABLE sip_installments (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    sip_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    due_date DATE NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    status ENUM('pending','success','failed') DEFAULT 'pending',
+    investment_id CHAR(36) NULL,
+    failure_reason VARCHAR(255),
+    attempts INT NOT NULL DEFAULT 1,
+    next_attempt_at DATETIME NULL, -- when a failed installment is tried again; NULL once it is final
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (sip_id) REFERENCES sips(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (investment_id) REFERENCES investments(id) ON DELETE SET NULL,
+    
+    UNIQUE KEY unique_sip_due_date (sip_id, due_date),
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_next_attempt (status, next_attempt_at)
+);
+
+-- Notifications table (in-app messages to a user)
+CREATE TABLE notifications (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    type ENUM('investment','maturity','system','security','promotion') NOT NULL,
+    title VARCHAR(100) NOT NULL,
+    message TEXT NOT NULL,
+    is_read BOOLEAN DEFAULT FALSE,
+    action_url VARCHAR(255),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    INDEX idx_user_id (user_id),
+    INDEX idx_user_read (user_id, is_read),
+    INDEX idx_created_at (created_at)
+);
+
+-- Weekly portfolio reports; one per user per ISO week (Monday start)
+CREATE TABLE weekly_reports (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    data JSON NOT NULL,
+    emailed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY unique_user_period (user_id, period_start),
+    INDEX idx_period_start (period_start)
+);
+
+-- Outbound email queue; the email_outbox job delivers with retries
+CREATE TABLE email_outbox (
+    id CHAR(36) PRIMARY KEY DEFAULT (UUID()),
+    user_id CHAR(36) NULL,
+    recipient VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    template_version INT NOT NULL DEFAULT 1,
+    data JSON NOT NULL,
+    status ENUM('pending','sending','sent','dead') DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT NULL,
+    sent_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_status_sent_at (status, sent_at),
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
+
 -- Transaction Logs table
 CREATE TABLE transaction_logs (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -116,23 +296,45 @@ CREATE TABLE transaction_logs (
     INDEX idx_ip_address (ip_address)
 );
 
+-- Admin actions on user accounts. Append-only: the triggers below reject
+-- updates and deletes, and there are no foreign keys so no cascade can touch it
+CREATE TABLE admin_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    actor_id CHAR(36) NOT NULL,
+    actor_email VARCHAR(255) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target_user_id CHAR(36) NULL,
+    reason VARCHAR(500) NULL,
+    details JSON NULL,
+    ip_address VARCHAR(45),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_actor_id (actor_id),
+    INDEX idx_target_user_id (target_user_id),
+    INDEX idx_action (action),
+    INDEX idx_created_at (created_at)
+);
+
 -- Additional tables for enhanced functionality
 
 -- User Sessions table (for JWT refresh tokens)
 CREATE TABLE user_sessions (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     user_id CHAR(36) NOT NULL,
-    refresh_token VARCHAR(500) NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL, -- SHA-256 of the refresh token
+    family_id CHAR(36) NOT NULL, -- shared by every token rotated from one login
     device_info VARCHAR(255),
     ip_address VARCHAR(45),
     expires_at DATETIME NOT NULL,
     is_active BOOLEAN DEFAULT TRUE,
+    rotated_at DATETIME NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     
-    UNIQUE KEY unique_refresh_token (refresh_token),
+    UNIQUE KEY unique_refresh_token_hash (refresh_token_hash),
     INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id),
     INDEX idx_expires_at (expires_at),
     INDEX idx_is_active (is_active)
 );
@@ -158,11 +360,46 @@ CREATE TABLE password_reset_tokens (
     INDEX idx_otp (otp)
 );
 
+-- Two-factor recovery codes (one-time, stored as SHA-256 hashes)
+CREATE TABLE two_factor_recovery_codes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    
+    UNIQUE KEY unique_user_code (user_id, code_hash)
+);
+
+-- Failed login tracking, one row per email and per IP (emails need not belong to a user)
+CREATE TABLE login_failures (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    scope ENUM('email', 'ip') NOT NULL,
+    identifier VARCHAR(255) NOT NULL, -- lowercased email or IP address
+    failed_count INT NOT NULL DEFAULT 0, -- failures in the current window
+    first_failed_at DATETIME NULL, -- start of the current window
+    last_failed_at DATETIME NULL,
+    last_ip_address VARCHAR(45),
+    next_attempt_at DATETIME NULL, -- progressive delay
+    locked_until DATETIME NULL,
+    lockout_count INT NOT NULL DEFAULT 0,
+    unlock_token_hash CHAR(64) NULL, -- SHA-256 of the emailed unlock token
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_scope_identifier (scope, identifier),
+    UNIQUE KEY unique_unlock_token_hash (unlock_token_hash),
+    INDEX idx_locked_until (locked_until)
+);
+
 -- Investment Performance Tracking table
 CREATE TABLE investment_performance (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     investment_id CHAR(36) NOT NULL,
     date DATE NOT NULL,
+    invested_amount DECIMAL(12,2) NOT NULL,
     current_value DECIMAL(12,2) NOT NULL,
     returns_amount DECIMAL(12,2) NOT NULL,
     returns_percentage DECIMAL(5,2) NOT NULL,
@@ -238,33 +475,25 @@ BEGIN
     SET NEW.maturity_date = DATE_ADD(NEW.invested_at, INTERVAL product_tenure MONTH);
 END$$
 
--- Trigger to update user balance after investment
-CREATE TRIGGER update_user_balance_after_investment
-AFTER INSERT ON investments
+-- Balance debits are applied by the application in the same transaction as
+-- the investment insert and its ledger entry, so no balance trigger here.
+
+-- Daily investment_performance snapshots are written by the valuation job
+-- (src/services/valuationService.js), so no snapshot trigger here.
+
+-- Keep the admin audit trail immutable
+CREATE TRIGGER admin_audit_log_no_update
+BEFORE UPDATE ON admin_audit_log
 FOR EACH ROW
 BEGIN
-    UPDATE users 
-    SET account_balance = account_balance - NEW.amount 
-    WHERE id = NEW.user_id;
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_log is append-only';
 END$$
 
--- Trigger to log investment updates
-CREATE TRIGGER log_investment_updates
-AFTER UPDATE ON investments
+CREATE TRIGGER admin_audit_log_no_delete
+BEFORE DELETE ON admin_audit_log
 FOR EACH ROW
 BEGIN
-    INSERT INTO investment_performance (investment_id, date, current_value, returns_amount, returns_percentage)
-    VALUES (
-        NEW.id,
-        CURDATE(),
-        NEW.current_value,
-        NEW.current_value - NEW.amount,
-        ((NEW.current_value - NEW.amount) / NEW.amount) * 100
-    )
-    ON DUPLICATE KEY UPDATE
-        current_value = NEW.current_value,
-        returns_amount = NEW.current_value - NEW.amount,
-        returns_percentage = ((NEW.current_value - NEW.amount) / NEW.amount) * 100;
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'admin_audit_log is append-only';
 END$$
 
 DELIMITER ;
@@ -287,7 +516,7 @@ SELECT
     u.account_balance,
     u.created_at as member_since
 FROM users u
-LEFT JOIN investments i ON u.id = i.user_id AND i.status = 'active'
+LEFT JOIN investments i ON u.id = i.user_id AND i.status IN ('active','partial')
 GROUP BY u.id, u.first_name, u.last_name, u.email, u.risk_appetite, u.account_balance, u.created_at;
 
 -- Product Performance View
@@ -305,7 +534,7 @@ SELECT
     SUM(i.current_value) as total_current_value,
     (SUM(i.current_value - i.amount) / SUM(i.amount)) * 100 as actual_returns_percentage
 FROM investment_products p
-LEFT JOIN investments i ON p.id = i.product_id AND i.status = 'active'
+LEFT JOIN investments i ON p.id = i.product_id AND i.status IN ('active','partial')
 WHERE p.is_active = TRUE
 GROUP BY p.id, p.name, p.investment_type, p.risk_level, p.annual_yield, p.tenure_months;
 
@@ -331,12 +560,12 @@ SELECT
 FROM investments i
 JOIN users u ON i.user_id = u.id
 JOIN investment_products p ON i.product_id = p.id
-WHERE i.status = 'active'
+WHERE i.status IN ('active','partial')
 ORDER BY i.invested_at DESC;
 
 -- Insert initial system configuration
-INSERT INTO users (id, first_name, last_name, email, password_hash, risk_appetite, account_balance, kyc_verified, is_active) 
+INSERT INTO users (id, first_name, last_name, email, password_hash, risk_appetite, account_balance, kyc_verified, is_active, role) 
 VALUES 
-('admin-uuid-0000-0000-000000000001', 'System', 'Administrator', 'admin@gripinvest.com', '$2b$12$dummy.hash.for.admin.account', 'moderate', 0.00, TRUE, TRUE);
+('admin-uuid-0000-0000-000000000001', 'System', 'Administrator', 'admin@gripinvest.com', '$2b$12$dummy.hash.for.admin.account', 'moderate', 0.00, TRUE, TRUE, 'super_admin');
 
 COMMIT;
\ No newline at end of file
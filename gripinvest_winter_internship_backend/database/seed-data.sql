@@ -10,6 +10,9 @@ INSERT INTO users (id, first_name, last_name, email, password_hash, risk_appetit
 ('550e8400-e29b-41d4-a716-446655440004', 'David', 'Brown', 'david.brown@email.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'high'),
 ('550e8400-e29b-41d4-a716-446655440005', 'Admin', 'User', 'admin@gripinvest.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'moderate');
 
+-- Staff roles
+UPDATE users SET role = 'super_admin' WHERE id = '550e8400-e29b-41d4-a716-446655440005';
+
 -- Insert sample investment products
 INSERT INTO investment_products (id, name, investment_type, tenure_months, annual_yield, risk_level, min_investment, max_investment, description) VALUES
 ('660e8400-e29b-41d4-a716-446655440000', 'Government Bond 2025', 'bond', 12, 7.50, 'low', 1000.00, 100000.00, 'Secure government bond with guaranteed returns and low risk profile'),
@@ -98,10 +98,10 @@ INSERT INTO password_reset_tokens (user_id, email, token, otp, expires_at, ip_ad
 ('user-uuid-0001-0001-000000000005', 'vikram.singh@example.com', 'reset_token_sample_123456789', '543210', DATE_ADD(NOW(), INTERVAL 1 HOUR), '192.168.1.104');
 
 -- Insert user sessions for JWT refresh tokens
-INSERT INTO user_sessions (user_id, refresh_token, device_info, ip_address, expires_at) VALUES
-('user-uuid-0001-0001-000000000001', 'refresh_token_rajesh_sample_12345', 'Windows 10, Chrome 120', '192.168.1.100', DATE_ADD(NOW(), INTERVAL 7 DAY)),
-('user-uuid-0001-0001-000000000002', 'refresh_token_priya_sample_67890', 'iPhone 14, Safari 16', '192.168.1.101', DATE_ADD(NOW(), INTERVAL 7 DAY)),
-('user-uuid-0001-0001-000000000003', 'refresh_token_arjun_sample_11111', 'MacBook Pro, Chrome 120', '192.168.1.102', DATE_ADD(NOW(), INTERVAL 7 DAY));
+INSERT INTO user_sessions (user_id, refresh_token_hash, family_id, device_info, ip_address, expires_at) VALUES
+('user-uuid-0001-0001-000000000001', SHA2('refresh_token_rajesh_sample_12345', 256), UUID(), 'Windows 10, Chrome 120', '192.168.1.100', DATE_ADD(NOW(), INTERVAL 7 DAY)),
+('user-uuid-0001-0001-000000000002', SHA2('refresh_token_priya_sample_67890', 256), UUID(), 'iPhone 14, Safari 16', '192.168.1.101', DATE_ADD(NOW(), INTERVAL 7 DAY)),
+('user-uuid-0001-0001-000000000003', SHA2('refresh_token_arjun_sample_11111', 256), UUID(), 'MacBook Pro, Chrome 120', '192.168.1.102', DATE_ADD(NOW(), INTERVAL 7 DAY));
 
 -- Update statistics and optimize tables
 ANALYZE TABLE users, investment_products, investments, transaction_logs;
@@ -13,6 +13,8 @@ const Profile = React.lazy(() => import('./pages/Profile'));
 const Login = React.lazy(() => import('./pages/Auth/Login'));
 const Signup = React.lazy(() => import('./pages/Auth/Signup'));
 const ForgotPassword = React.lazy(() => import('./pages/Auth/ForgotPassword'));
+const UnlockAccount = React.lazy(() => import('./pages/Auth/UnlockAccount'));
+const AdminConsole = React.lazy(() => import('./pages/Admin/AdminConsole'));
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -29,6 +31,17 @@ const ProtectedRoute = ({ children }) => {
   return children;
 };
 
+// Staff Route Component (regular users are sent back to the dashboard)
+const StaffRoute = ({ children }) => {
+  const { user } = useAuth();
+
+  if (!user?.permissions?.length) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
+};
+
 // Public Route Component (redirect to dashboard if logged in)
 const PublicRoute = ({ children }) => {
   const { user, loading } = useAuth();
@@ -74,6 +87,8 @@ function App() {
               </PublicRoute>
             } 
           />
+          {/* Opened from the lockout email, signed in or not */}
+          <Route path="/unlock-account" element={<UnlockAccount />} />
           
           {/* Protected Routes */}
           <Route 
@@ -90,6 +105,15 @@ function App() {
             <Route path="products/:id" element={<ProductDetails />} />
             <Route path="portfolio" element={<Portfolio />} />
             <Route path="profile" element={<Profile />} />
+            <Route
+              path="admin"
+              element={
+                <StaffRoute>
+                  <AdminConsole />
+                </StaffRoute>
+              }
+            />
+            <Route path="admin/products" element={<Navigate to="/admin?tab=products" replace />} />
           </Route>
           
           {/* 404 Route */}
@@ -1,6 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { notificationsAPI } from '../../services/api';
+import { API_CONFIG, EVENT_TYPES } from '../../utils/constants';
 import { 
   HiBell, 
   HiUser, 
@@ -11,8 +13,26 @@ import {
 } from 'react-icons/hi';
 import { FaUserCircle } from 'react-icons/fa';
 
+// Backend action URLs point at resources; map them onto app pages
+const resolveNotificationLink = (actionUrl) => {
+  if (!actionUrl) return null;
+  if (actionUrl.startsWith('/investments') || actionUrl.startsWith('/sips')) return '/portfolio';
+  return actionUrl;
+};
+
+const formatTimeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+  if (seconds < 60) return 'Just now';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, subscribe } = useAuth();
   const navigate = useNavigate();
   const [showProfileMenu, setShowProfileMenu] = useState(false);
   const [showNotifications, setShowNotifications] = useState(false);
@@ -23,31 +43,90 @@ const Navbar = () => {
     navigate('/login');
   };
 
-  const notifications = [
-    {
-      id: 1,
-      title: 'Investment Matured',
-      message: 'Your Corporate Bond investment of ₹10,000 has matured.',
-      time: '2 hours ago',
-      unread: true
-    },
-    {
-      id: 2,
-      title: 'New Product Alert',
-      message: 'Check out the latest Alternative Investment Fund.',
-      time: '1 day ago',
-      unread: true
-    },
-    {
-      id: 3,
-      title: 'Portfolio Update',
-      message: 'Your portfolio performance report is ready.',
-      time: '3 days ago',
-      unread: false
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getUnreadCount();
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch unread notifications:', error);
+    }
+  }, []);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationsAPI.getNotifications({ limit: 10 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  }, []);
+
+  // Poll the badge count; the list itself loads when the dropdown opens
+  useEffect(() => {
+    if (!user) return undefined;
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, API_CONFIG.NOTIFICATION_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user, fetchUnreadCount]);
+
+  // New notifications arrive over the live event stream; polling covers gaps
+  useEffect(() => {
+    if (!subscribe) return undefined;
+    return subscribe(EVENT_TYPES.NOTIFICATION_CREATED, (notification) => {
+      setUnreadCount(prev => prev + 1);
+      setNotifications(prev => [notification, ...prev].slice(0, 10));
+    });
+  }, [subscribe]);
+
+  useEffect(() => {
+    if (showNotifications) {
+      fetchNotifications();
+    }
+  }, [showNotifications, fetchNotifications]);
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.isRead) {
+      try {
+        await notificationsAPI.markAsRead(notification.id);
+        setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, isRead: true } : n)));
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+    const link = resolveNotificationLink(notification.actionUrl);
+    if (link) {
+      setShowNotifications(false);
+      navigate(link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllAsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
     }
-  ];
+  };
 
-  const unreadCount = notifications.filter(n => n.unread).length;
+  const handleDeleteNotification = async (event, notification) => {
+    event.stopPropagation();
+    try {
+      await notificationsAPI.deleteNotification(notification.id);
+      setNotifications(prev => prev.filter(n => n.id !== notification.id));
+      if (!notification.isRead) {
+        setUnreadCount(prev => Math.max(prev - 1, 0));
+      }
+    } catch (error) {
+      console.error('Failed to delete notification:', error);
+    }
+  };
 
   return (
     <nav className="bg-white shadow-sm border-b border-gray-200 px-4 py-3">
@@ -86,11 +165,12 @@ const Navbar = () => {
               type="button"
               className="relative p-2 text-gray-400 hover:text-gray-500 hover:bg-gray-100 rounded-full focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
               onClick={() => setShowNotifications(!showNotifications)}
+              aria-label="Notifications"
             >
               <HiBell className="h-6 w-6" />
               {unreadCount > 0 && (
                 <span className="absolute top-0 right-0 inline-flex items-center justify-center px-2 py-1 text-xs font-bold leading-none text-red-100 transform translate-x-1/2 -translate-y-1/2 bg-red-600 rounded-full">
-                  {unreadCount}
+                  {unreadCount > 99 ? '99+' : unreadCount}
                 </span>
               )}
             </button>
@@ -99,17 +179,31 @@ const Navbar = () => {
             {showNotifications && (
               <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none z-50">
                 <div className="py-1">
-                  <div className="px-4 py-3 border-b border-gray-200">
+                  <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
                     <h3 className="text-sm font-medium text-gray-900">
                       Notifications
                     </h3>
+                    {unreadCount > 0 && (
+                      <button
+                        className="text-xs text-blue-600 hover:text-blue-500 font-medium"
+                        onClick={handleMarkAllRead}
+                      >
+                        Mark all as read
+                      </button>
+                    )}
                   </div>
                   <div className="max-h-64 overflow-y-auto">
+                    {notifications.length === 0 && (
+                      <p className="px-4 py-6 text-sm text-gray-500 text-center">
+                        You're all caught up
+                      </p>
+                    )}
                     {notifications.map((notification) => (
                       <div
                         key={notification.id}
-                        className={`px-4 py-3 hover:bg-gray-50 cursor-pointer border-b border-gray-100 ${
-                          notification.unread ? 'bg-blue-50' : ''
+                        onClick={() => handleNotificationClick(notification)}
+                        className={`group px-4 py-3 hover:bg-gray-50 cursor-pointer border-b border-gray-100 ${
+                          !notification.isRead ? 'bg-blue-50' : ''
                         }`}
                       >
                         <div className="flex justify-between items-start">
@@ -121,12 +215,19 @@ const Navbar = () => {
                               {notification.message}
                             </p>
                             <p className="text-xs text-gray-500 mt-2">
-                              {notification.time}
+                              {formatTimeAgo(notification.createdAt)}
                             </p>
                           </div>
-                          {notification.unread && (
+                          {!notification.isRead && (
                             <div className="w-2 h-2 bg-blue-600 rounded-full mt-2 ml-2 flex-shrink-0"></div>
                           )}
+                          <button
+                            className="ml-2 text-gray-300 hover:text-gray-500 opacity-0 group-hover:opacity-100"
+                            onClick={(e) => handleDeleteNotification(e, notification)}
+                            aria-label="Delete notification"
+                          >
+                            <HiX className="h-4 w-4" />
+                          </button>
                         </div>
                       </div>
                     ))}
@@ -173,6 +274,17 @@ const Navbar = () => {
             {showProfileMenu && (
               <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none z-50">
                 <div className="py-1">
+                  {user?.accountBalance !== undefined && (
+                    <>
+                      <div className="px-4 py-2">
+                        <p className="text-xs text-gray-500">Wallet balance</p>
+                        <p className="text-sm font-semibold text-gray-900">
+                          ₹{Number(user.accountBalance).toLocaleString('en-IN')}
+                        </p>
+                      </div>
+                      <hr className="my-1" />
+                    </>
+                  )}
                   <button
                     onClick={() => {
                       navigate('/profile');
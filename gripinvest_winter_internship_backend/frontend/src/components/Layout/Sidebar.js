@@ -1,16 +1,19 @@
 import React from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 import { 
   HiHome, 
   HiShoppingBag, 
   HiBriefcase, 
   HiUser, 
   HiChartBar,
-  HiCog
+  HiCog,
+  HiShieldCheck
 } from 'react-icons/hi';
 
 const Sidebar = () => {
   const location = useLocation();
+  const { user } = useAuth();
 
   const navigation = [
     {
@@ -42,7 +45,18 @@ const Sidebar = () => {
       href: '/profile',
       icon: HiUser,
       description: 'Account settings'
-    }
+    },
+    // Any permission at all marks a staff role
+    ...(user?.permissions?.length > 0
+      ? [
+          {
+            name: 'Admin Console',
+            href: '/admin',
+            icon: HiShieldCheck,
+            description: 'Users, products, logs and KYC'
+          }
+        ]
+      : [])
   ];
 
   const isActive = (href) => {
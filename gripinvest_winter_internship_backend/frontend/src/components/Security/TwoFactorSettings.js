@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../../services/api';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+// Two-factor row of the Profile security settings: enrolment with a QR code,
+// recovery codes, and disabling with the account password
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null); // 'setup' | 'disable' | 'regenerate'
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const reset = () => {
+    setMode(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const response = await authAPI.setupTwoFactor();
+      setRecoveryCodes(null);
+      setSetup(response.data);
+      setMode('setup');
+    });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authAPI.enableTwoFactor(code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success('Two-factor authentication enabled');
+      reset();
+      await loadStatus();
+    });
+  };
+
+  const submitPassword = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (mode === 'disable') {
+        await authAPI.disableTwoFactor(password);
+        setRecoveryCodes(null);
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const response = await authAPI.regenerateRecoveryCodes(password);
+        setRecoveryCodes(response.data.recoveryCodes);
+        toast.success('New recovery codes generated');
+      }
+      reset();
+      await loadStatus();
+    });
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-900">Two-Factor Authentication</h4>
+          <p className="text-sm text-gray-600">
+            {status?.enabled
+              ? `On · ${status.recoveryCodesRemaining} recovery code(s) left`
+              : 'Add an extra layer of security to your account'}
+          </p>
+        </div>
+        {!status ? (
+          <LoadingSpinner size="small" />
+        ) : status.enabled ? (
+          <div className="flex gap-2">
+            <button onClick={() => setMode('regenerate')} disabled={busy} className="btn-outline text-sm">
+              New recovery codes
+            </button>
+            <button onClick={() => setMode('disable')} disabled={busy} className="btn-outline text-sm">
+              Disable 2FA
+            </button>
+          </div>
+        ) : (
+          mode !== 'setup' && (
+            <button onClick={startSetup} disabled={busy} className="btn-outline text-sm">
+              Enable 2FA
+            </button>
+          )
+        )}
+      </div>
+
+      {/* Enrolment: scan, then confirm with a first code */}
+      {mode === 'setup' && setup && (
+        <form onSubmit={confirmSetup} className="flex flex-col sm:flex-row gap-6 items-start">
+          <img src={setup.qrCode} alt="Authenticator QR code" className="h-40 w-40 bg-white rounded" />
+          <div className="space-y-3 flex-1">
+            <p className="text-sm text-gray-600">
+              Scan the QR code with an authenticator app, or enter this key manually:
+            </p>
+            <p className="font-mono text-sm break-all bg-white border border-gray-200 rounded px-2 py-1">
+              {setup.secret}
+            </p>
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              placeholder="6-digit code"
+              className={inputClass}
+            />
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy || !code.trim()} className="btn-primary text-sm disabled:opacity-50">
+                Confirm
+              </button>
+              <button type="button" onClick={reset} className="btn-secondary text-sm">
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {/* Disable or replace recovery codes: password required */}
+      {(mode === 'disable' || mode === 'regenerate') && (
+        <form onSubmit={submitPassword} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            placeholder="Confirm with your password"
+            className={inputClass}
+          />
+          <button type="submit" disabled={busy || !password} className="btn-primary text-sm whitespace-nowrap disabled:opacity-50">
+            {mode === 'disable' ? 'Disable 2FA' : 'Generate codes'}
+          </button>
+          <button type="button" onClick={reset} className="btn-secondary text-sm">
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {/* Shown once, right after they are generated */}
+      {recoveryCodes && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm text-yellow-800">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose
+            your authenticator, and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={() => {
+              navigator.clipboard?.writeText(recoveryCodes.join('\n'));
+              toast.success('Recovery codes copied');
+            }}
+            className="btn-secondary text-sm"
+          >
+            Copy codes
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,8 +1,11 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import Layout from '../Layout/Layout';
 import { AuthContext } from '../../contexts/AuthContext';
+import { notificationsAPI } from '../../services/api';
+
+jest.mock('../../services/api');
 
 const MockAuthProvider = ({ children, value }) => (
   <AuthContext.Provider value={value}>
@@ -36,6 +39,10 @@ const renderWithRouter = (component, authValue = {}) => {
 describe('Layout Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    notificationsAPI.getUnreadCount.mockResolvedValue({ data: { unreadCount: 0 } });
+    notificationsAPI.getNotifications.mockResolvedValue({
+      data: { notifications: [], unreadCount: 0 }
+    });
   });
 
   it('renders layout with navbar and sidebar', () => {
@@ -126,6 +133,64 @@ describe('Layout Component', () => {
     expect(screen.getByTestId('loading-spinner')).toBeInTheDocument();
   });
 
+  it('shows the unread notification count from the API', async () => {
+    notificationsAPI.getUnreadCount.mockResolvedValue({ data: { unreadCount: 3 } });
+
+    renderWithRouter(<Layout />);
+
+    expect(await screen.findByText('3')).toBeInTheDocument();
+  });
+
+  it('loads notifications when the bell is opened', async () => {
+    notificationsAPI.getNotifications.mockResolvedValue({
+      data: {
+        notifications: [{
+          id: 'n1',
+          type: 'maturity',
+          title: 'Investment matured',
+          message: 'Your investment matured.',
+          isRead: false,
+          actionUrl: null,
+          createdAt: new Date().toISOString()
+        }],
+        unreadCount: 1
+      }
+    });
+
+    renderWithRouter(<Layout />);
+    fireEvent.click(screen.getByLabelText('Notifications'));
+
+    expect(await screen.findByText('Investment matured')).toBeInTheDocument();
+  });
+
+  it('bumps the unread count when a notification event arrives', async () => {
+    const listeners = {};
+    const subscribe = jest.fn((type, handler) => {
+      listeners[type] = handler;
+      return jest.fn();
+    });
+
+    notificationsAPI.getUnreadCount.mockResolvedValue({ data: { unreadCount: 2 } });
+
+    renderWithRouter(<Layout />, { subscribe });
+    // Let the initial unread count show first
+    expect(await screen.findByText('2')).toBeInTheDocument();
+
+    act(() => {
+      listeners['notification.created']({
+        id: 'n2',
+        type: 'investment',
+        title: 'Investment confirmed',
+        message: 'Your investment is active.',
+        isRead: false,
+        actionUrl: null,
+        createdAt: new Date().toISOString()
+      });
+    });
+
+    expect(await screen.findByText('3')).toBeInTheDocument();
+  });
+
   it('redirects to login when user is not authenticated', () => {
     const authValue = {
       user: null,
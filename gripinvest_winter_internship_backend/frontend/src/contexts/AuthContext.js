@@ -1,5 +1,13 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
+import {
+  authAPI,
+  subscribeToEvents,
+  startSession,
+  clearSession,
+  hasStoredSession,
+  refreshSession,
+} from '../services/api';
+import { EVENT_TYPES } from '../utils/constants';
 import { toast } from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -61,16 +69,57 @@ const authReducer = (state, action) => {
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  const eventListeners = useRef(new Set());
+
   // Check if user is logged in on app start
   useEffect(() => {
     checkAuthStatus();
   }, []);
 
+  // Live account updates for as long as the user is signed in
+  useEffect(() => {
+    if (!state.isAuthenticated) return undefined;
+
+    let connected = false;
+    return subscribeToEvents((type, data) => {
+      if (type === EVENT_TYPES.BALANCE_UPDATED) {
+        dispatch({ type: 'UPDATE_PROFILE', payload: { accountBalance: data.balance } });
+      }
+      // Events published while the stream was down are lost, so resync on reconnect
+      if (type === EVENT_TYPES.CONNECTED) {
+        if (connected) refreshProfile();
+        connected = true;
+      }
+      eventListeners.current.forEach((listener) => {
+        if (listener.type === type) listener.handler(data);
+      });
+    });
+  }, [state.isAuthenticated]);
+
+  // Components listen for live events here; returns an unsubscribe function
+  const subscribe = useCallback((type, handler) => {
+    const listener = { type, handler };
+    eventListeners.current.add(listener);
+    return () => eventListeners.current.delete(listener);
+  }, []);
+
+  const refreshProfile = async () => {
+    try {
+      const response = await authAPI.getProfile();
+      if (response.success) {
+        dispatch({ type: 'UPDATE_PROFILE', payload: response.data });
+      }
+    } catch (error) {
+      console.error('Profile refresh failed:', error);
+    }
+  };
+
+  // The access token is not kept across reloads; the refresh cookie
+  // restores the session if it is still valid
   const checkAuthStatus = async () => {
     try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        dispatch({ type: 'SET_LOADING', payload: false });
+      if (!hasStoredSession() || !(await refreshSession())) {
+        dispatch({ type: 'LOGOUT' });
         return;
       }
 
@@ -81,16 +130,27 @@ export const AuthProvider = ({ children }) => {
           payload: { user: response.data } 
         });
       } else {
-        localStorage.removeItem('token');
+        clearSession();
         dispatch({ type: 'LOGOUT' });
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      localStorage.removeItem('token');
+      clearSession();
       dispatch({ type: 'LOGOUT' });
     }
   };
 
+  const completeLogin = (data) => {
+    startSession(data.tokens);
+    dispatch({ 
+      type: 'LOGIN_SUCCESS', 
+      payload: { user: data.user } 
+    });
+    toast.success('Login successful!');
+    return { success: true };
+  };
+
+  // With 2FA on, the password step returns a challenge for verifyTwoFactor
   const login = async (email, password) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
@@ -98,14 +158,15 @@ export const AuthProvider = ({ children }) => {
       
       const response = await authAPI.login(email, password);
       
-      if (response.success) {
-        localStorage.setItem('token', response.data.tokens.accessToken);
-        dispatch({ 
-          type: 'LOGIN_SUCCESS', 
-          payload: { user: response.data.user } 
-        });
-        toast.success('Login successful!');
-        return { success: true };
+      if (response.success && response.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      } else if (response.success) {
+        return completeLogin(response.data);
       } else {
         const errorMessage = response.message || 'Login failed';
         dispatch({ type: 'SET_ERROR', payload: errorMessage });
@@ -120,6 +181,20 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      dispatch({ type: 'CLEAR_ERROR' });
+
+      const response = await authAPI.loginTwoFactor(challengeToken, code);
+      return completeLogin(response.data);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      dispatch({ type: 'SET_ERROR', payload: errorMessage });
+      return { success: false, error: errorMessage, status: error.response?.status };
+    }
+  };
+
   const signup = async (userData) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
@@ -151,7 +226,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout API call failed:', error);
     } finally {
-      localStorage.removeItem('token');
+      clearSession();
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
     }
@@ -221,7 +296,10 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.changePassword(currentPassword, newPassword);
       
       if (response.success) {
-        toast.success('Password changed successfully!');
+        // The server ends every session, this one included
+        clearSession();
+        dispatch({ type: 'LOGOUT' });
+        toast.success('Password changed. Please login with your new password.');
         return { success: true };
       } else {
         const errorMessage = response.message || 'Password change failed';
@@ -239,14 +317,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Permissions come with the profile; the API enforces them either way
+  const hasPermission = (permission) =>
+    !!state.user?.permissions?.includes(permission);
+
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     signup,
     logout,
     updateProfile,
     forgotPassword,
     changePassword,
+    subscribe,
+    hasPermission,
     clearError: () => dispatch({ type: 'CLEAR_ERROR' }),
   };
 
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { investmentAPI } from '../services/api';
+import { HISTORY_RANGES } from '../utils/constants';
+
+// Portfolio value history for the chosen HISTORY_RANGES entry. Each point
+// carries a short date `label` for chart axes; reload() fetches it again.
+const usePerformanceHistory = (initialRange = '6m') => {
+  const [range, setRange] = useState(initialRange);
+  const [series, setSeries] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      const selected = HISTORY_RANGES.find((r) => r.value === range);
+      const from = new Date();
+      from.setMonth(from.getMonth() - (selected.months || 0));
+
+      const response = await investmentAPI.getPortfolioHistory({
+        from: selected.months ? from.toISOString().split('T')[0] : undefined,
+        interval: selected.interval
+      });
+      setSeries(
+        (response.data?.series || []).map((point) => ({
+          ...point,
+          label: new Date(point.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
+        }))
+      );
+    } catch (error) {
+      console.error('Failed to load portfolio history:', error);
+      setSeries([]);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { range, setRange, series, reload };
+};
+
+export default usePerformanceHistory;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  HiUsers,
+  HiCollection,
+  HiClipboardList,
+  HiIdentification,
+  HiShieldCheck,
+  HiLockClosed
+} from 'react-icons/hi';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../utils/constants';
+import UsersPanel from './UsersPanel';
+import ManageProducts from './ManageProducts';
+import LogsPanel from './LogsPanel';
+import KycPanel from './KycPanel';
+import AuditPanel from './AuditPanel';
+import LockoutsPanel from './LockoutsPanel';
+
+// Each tab shows only for roles holding its permission
+const TABS = [
+  { id: 'users', name: 'Users', icon: HiUsers, permission: PERMISSIONS.USERS_READ, component: UsersPanel },
+  { id: 'products', name: 'Products', icon: HiCollection, permission: PERMISSIONS.PRODUCTS_MANAGE, component: ManageProducts },
+  { id: 'logs', name: 'Logs', icon: HiClipboardList, permission: PERMISSIONS.LOGS_READ, component: LogsPanel },
+  { id: 'kyc', name: 'KYC', icon: HiIdentification, permission: PERMISSIONS.KYC_READ, component: KycPanel },
+  { id: 'lockouts', name: 'Lockouts', icon: HiLockClosed, permission: PERMISSIONS.USERS_READ, component: LockoutsPanel },
+  { id: 'audit', name: 'Audit', icon: HiShieldCheck, permission: PERMISSIONS.AUDIT_READ, component: AuditPanel },
+];
+
+const AdminConsole = () => {
+  const { hasPermission } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const tabs = TABS.filter((tab) => hasPermission(tab.permission));
+  const active = tabs.find((tab) => tab.id === searchParams.get('tab')) || tabs[0];
+
+  if (!active) {
+    return (
+      <div className="card text-center py-12">
+        <h2 className="text-xl font-semibold text-gray-900">Admin access required</h2>
+        <p className="text-gray-600 mt-2">Your role does not include any admin tools.</p>
+      </div>
+    );
+  }
+
+  const Panel = active.component;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Admin Console</h1>
+        <p className="text-gray-600">Users, products, request logs, KYC review, login lockouts and the audit trail</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-6">
+          {tabs.map((tab) => {
+            const Icon = tab.icon;
+            const selected = tab.id === active.id;
+            return (
+              <button
+                key={tab.id}
+                onClick={() => setSearchParams({ tab: tab.id })}
+                className={`inline-flex items-center py-3 px-1 border-b-2 text-sm font-medium ${
+                  selected
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                <Icon className="h-5 w-5 mr-2" />
+                {tab.name}
+              </button>
+            );
+          })}
+        </nav>
+      </div>
+
+      <Panel />
+    </div>
+  );
+};
+
+export default AdminConsole;
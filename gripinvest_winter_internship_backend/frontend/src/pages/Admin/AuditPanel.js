@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+import { ADMIN_ACTIONS } from '../../utils/constants';
+import { actionLabel } from './UserDetail';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+// Readable summary of an entry's details, e.g. "user → support"
+const describeDetails = (entry) => {
+  const { details } = entry;
+  if (details.from || details.to) return `${details.from} → ${details.to}`;
+  if (details.amount !== undefined) {
+    return `${details.amount > 0 ? '+' : ''}₹${Number(details.amount).toLocaleString()} (${details.referenceNumber})`;
+  }
+  if (details.sessionsRevoked !== undefined) return `${details.sessionsRevoked} session(s) ended`;
+  if (details.identifier) return `${details.scope} ${details.identifier}`;
+  return '';
+};
+
+const AuditPanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [action, setAction] = useState('');
+  const [page, setPage] = useState(1);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getAuditLog({ action, page, limit: 25 });
+      setEntries(response.data?.entries || []);
+      setPagination(response.data?.pagination || null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [action, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="card">
+        <select
+          value={action}
+          onChange={(e) => {
+            setAction(e.target.value);
+            setPage(1);
+          }}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm sm:w-64"
+        >
+          <option value="">All actions</option>
+          {ADMIN_ACTIONS.map((a) => (
+            <option key={a.value} value={a.value}>{a.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Entries */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : entries.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No admin actions recorded</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Time</th>
+                <th className="py-2 pr-4 font-medium">Staff</th>
+                <th className="py-2 pr-4 font-medium">Action</th>
+                <th className="py-2 pr-4 font-medium">Target user</th>
+                <th className="py-2 pr-4 font-medium">Details</th>
+                <th className="py-2 font-medium">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="py-2 pr-4 whitespace-nowrap text-gray-600">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </td>
+                  <td className="py-2 pr-4">{entry.actorEmail}</td>
+                  <td className="py-2 pr-4 font-medium">{actionLabel(entry.action)}</td>
+                  <td className="py-2 pr-4 font-mono text-xs">{entry.targetUserId || '-'}</td>
+                  <td className="py-2 pr-4 text-gray-600">{describeDetails(entry)}</td>
+                  <td className="py-2 text-gray-600">{entry.reason || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between pt-4 text-sm text-gray-600">
+            <span>
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setPage((p) => p - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage((p) => p + 1)}
+                disabled={page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditPanel;
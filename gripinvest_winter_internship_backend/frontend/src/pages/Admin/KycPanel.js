@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { HiCheckCircle, HiXCircle, HiDownload } from 'react-icons/hi';
+import { kycAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../utils/constants';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+const KYC_STATUSES = ['pending', 'approved', 'rejected'];
+
+const KycPanel = () => {
+  const { hasPermission } = useAuth();
+  const canReview = hasPermission(PERMISSIONS.KYC_REVIEW);
+
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('pending');
+  const [acting, setActing] = useState(null);
+
+  const loadSubmissions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await kycAPI.getSubmissions({ status, limit: 50 });
+      setSubmissions(response.data?.submissions || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load KYC submissions');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions]);
+
+  const approve = async (submission) => {
+    try {
+      setActing(submission.userId);
+      await kycAPI.approve(submission.userId);
+      toast.success(`KYC approved for ${submission.name}`);
+      loadSubmissions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Approval failed');
+    } finally {
+      setActing(null);
+    }
+  };
+
+  const reject = async (submission) => {
+    const reason = window.prompt(`Reason for rejecting ${submission.name}'s KYC`);
+    if (!reason) return;
+    try {
+      setActing(submission.userId);
+      await kycAPI.reject(submission.userId, reason);
+      toast.success(`KYC rejected for ${submission.name}`);
+      loadSubmissions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Rejection failed');
+    } finally {
+      setActing(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="card flex gap-2">
+        {KYC_STATUSES.map((s) => (
+          <button
+            key={s}
+            onClick={() => setStatus(s)}
+            className={`px-3 py-1.5 rounded-lg text-sm capitalize ${status === s ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {s}
+          </button>
+        ))}
+      </div>
+
+      {/* Submissions */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : submissions.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No {status} submissions</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Submitted</th>
+                <th className="py-2 pr-4 font-medium">Documents</th>
+                <th className="py-2 pr-4 font-medium">Notes</th>
+                {canReview && status === 'pending' && (
+                  <th className="py-2 font-medium text-right">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {submissions.map((submission) => (
+                <tr key={submission.userId}>
+                  <td className="py-3 pr-4">
+                    <div className="font-medium text-gray-900">{submission.name}</div>
+                    <div className="text-gray-500">{submission.email}</div>
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">
+                    {submission.submittedAt ? new Date(submission.submittedAt).toLocaleDateString() : '-'}
+                  </td>
+                  <td className="py-3 pr-4">
+                    <div className="flex flex-wrap gap-2">
+                      {submission.documents.filter((d) => d.uploaded).map((doc) => (
+                        <button
+                          key={doc.type}
+                          onClick={() => kycAPI.downloadDocument(submission.userId, doc.type, doc.originalName || doc.type)}
+                          className="inline-flex items-center text-blue-600 hover:underline"
+                        >
+                          <HiDownload className="h-4 w-4 mr-1" />
+                          {doc.type}
+                        </button>
+                      ))}
+                      {submission.missingDocuments.length > 0 && (
+                        <span className="text-gray-400">
+                          missing: {submission.missingDocuments.join(', ')}
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">{submission.rejectionReason || ''}</td>
+                  {canReview && status === 'pending' && (
+                    <td className="py-3 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => approve(submission)}
+                        disabled={acting === submission.userId || submission.missingDocuments.length > 0}
+                        className="inline-flex items-center text-green-600 hover:text-green-800 mr-3 disabled:opacity-50"
+                        title="Approve"
+                      >
+                        <HiCheckCircle className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => reject(submission)}
+                        disabled={acting === submission.userId}
+                        className="inline-flex items-center text-red-600 hover:text-red-800 disabled:opacity-50"
+                        title="Reject"
+                      >
+                        <HiXCircle className="h-5 w-5" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KycPanel;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { adminAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS } from '../../utils/constants';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+// Emails and IPs locked out after repeated failed logins; lockouts expire on
+// their own, staff with users:manage can lift one early
+const LockoutsPanel = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission(PERMISSIONS.USERS_MANAGE);
+
+  const [lockouts, setLockouts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [scope, setScope] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+
+  const loadLockouts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getLockouts({ scope, search: search.trim(), page, limit: 25 });
+      setLockouts(response.data?.lockouts || []);
+      setPagination(response.data?.pagination || null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load lockouts');
+    } finally {
+      setLoading(false);
+    }
+  }, [scope, search, page]);
+
+  useEffect(() => {
+    loadLockouts();
+  }, [loadLockouts]);
+
+  const clearLockout = async (lockout) => {
+    const reason = window.prompt(`Reason for unlocking ${lockout.identifier} (optional)`);
+    if (reason === null) return;
+    try {
+      setBusyId(lockout.id);
+      await adminAPI.clearLockout(lockout.id, reason || undefined);
+      toast.success('Lockout cleared');
+      await loadLockouts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="card flex flex-col sm:flex-row gap-3">
+        <input
+          value={search}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setPage(1);
+          }}
+          placeholder="Search email or IP"
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm flex-1"
+        />
+        <select
+          value={scope}
+          onChange={(e) => {
+            setScope(e.target.value);
+            setPage(1);
+          }}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm sm:w-48"
+        >
+          <option value="">Emails and IPs</option>
+          <option value="email">Emails</option>
+          <option value="ip">IP addresses</option>
+        </select>
+      </div>
+
+      {/* Lockouts */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : lockouts.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No active lockouts</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Locked</th>
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Failures</th>
+                <th className="py-2 pr-4 font-medium">Last attempt</th>
+                <th className="py-2 pr-4 font-medium">Locked until</th>
+                {canManage && <th className="py-2 font-medium" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {lockouts.map((lockout) => (
+                <tr key={lockout.id}>
+                  <td className="py-2 pr-4">
+                    <span className="text-xs uppercase text-gray-500 mr-2">{lockout.scope}</span>
+                    <span className="font-mono text-xs">{lockout.identifier}</span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {lockout.user ? `${lockout.user.firstName} ${lockout.user.lastName}` : '-'}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {lockout.failedCount}
+                    {lockout.lockoutCount > 1 && (
+                      <span className="text-gray-500"> · locked {lockout.lockoutCount} times</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap text-gray-600">
+                    {lockout.lastFailedAt ? new Date(lockout.lastFailedAt).toLocaleString() : '-'}
+                    {lockout.scope === 'email' && lockout.lastIpAddress && (
+                      <span className="block font-mono text-xs">{lockout.lastIpAddress}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 whitespace-nowrap text-gray-600">
+                    {new Date(lockout.lockedUntil).toLocaleString()}
+                  </td>
+                  {canManage && (
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => clearLockout(lockout)}
+                        disabled={busyId === lockout.id}
+                        className="btn-outline text-sm disabled:opacity-50"
+                      >
+                        Unlock
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between pt-4 text-sm text-gray-600">
+            <span>
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setPage((p) => p - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage((p) => p + 1)}
+                disabled={page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LockoutsPanel;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { logsAPI } from '../../services/api';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+const statusClass = (code) => {
+  if (code >= 500) return 'text-red-600';
+  if (code >= 400) return 'text-yellow-600';
+  return 'text-green-600';
+};
+
+const EMPTY_FILTERS = { email: '', endpoint: '', method: '', status: '' };
+
+const LogsPanel = () => {
+  const [logs, setLogs] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+
+  const loadLogs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await logsAPI.getLogs({ ...filters, page, limit: 25 });
+      setLogs(response.data?.logs || []);
+      setPagination(response.data?.pagination || null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [loadLogs]);
+
+  const setFilter = (field, value) => {
+    setDraft((current) => ({ ...current, [field]: value }));
+  };
+
+  // Filters apply on submit, so a half-typed email is never sent
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+    setPage(1);
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="card grid grid-cols-1 sm:grid-cols-5 gap-3">
+        <input
+          type="email"
+          value={draft.email}
+          onChange={(e) => setFilter('email', e.target.value)}
+          placeholder="User email"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={draft.endpoint}
+          onChange={(e) => setFilter('endpoint', e.target.value)}
+          placeholder="Endpoint contains"
+          className={inputClass}
+        />
+        <select value={draft.method} onChange={(e) => setFilter('method', e.target.value)} className={inputClass}>
+          <option value="">All methods</option>
+          {HTTP_METHODS.map((method) => (
+            <option key={method} value={method}>{method}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={draft.status}
+          onChange={(e) => setFilter('status', e.target.value)}
+          placeholder="Status code"
+          className={inputClass}
+        />
+        <button type="submit" className="btn-primary">
+          Apply
+        </button>
+      </form>
+
+      {/* Log table */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : logs.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No requests match these filters</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Time</th>
+                <th className="py-2 pr-4 font-medium">User</th>
+                <th className="py-2 pr-4 font-medium">Request</th>
+                <th className="py-2 pr-4 font-medium text-right">Status</th>
+                <th className="py-2 pr-4 font-medium text-right">Duration</th>
+                <th className="py-2 font-medium">Error</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {logs.map((log) => (
+                <tr key={log.id}>
+                  <td className="py-2 pr-4 whitespace-nowrap text-gray-600">
+                    {new Date(log.created_at).toLocaleString()}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">{log.email || '-'}</td>
+                  <td className="py-2 pr-4 font-mono text-xs">
+                    {log.http_method} {log.endpoint}
+                  </td>
+                  <td className={`py-2 pr-4 text-right font-medium ${statusClass(log.status_code)}`}>
+                    {log.status_code}
+                  </td>
+                  <td className="py-2 pr-4 text-right text-gray-600">
+                    {log.execution_time_ms != null ? `${log.execution_time_ms} ms` : '-'}
+                  </td>
+                  <td className="py-2 text-gray-600 truncate max-w-xs" title={log.error_message || ''}>
+                    {log.error_message || ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between pt-4 text-sm text-gray-600">
+            <span>
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setPage((p) => p - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage((p) => p + 1)}
+                disabled={page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LogsPanel;
@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  HiPlus,
+  HiPencil,
+  HiChartBar,
+  HiBan,
+  HiCheckCircle,
+  HiSearch,
+  HiX
+} from 'react-icons/hi';
+import { productsAPI } from '../../services/api';
+import {
+  PRODUCT_TYPES,
+  RISK_LEVELS,
+  RISK_COLORS,
+  COMPOUND_FREQUENCIES,
+  LIQUIDITY_LEVELS
+} from '../../utils/constants';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+const EMPTY_FORM = {
+  name: '',
+  investmentType: 'bond',
+  tenureMonths: '',
+  annualYield: '',
+  riskLevel: RISK_LEVELS.LOW,
+  minInvestment: '1000',
+  maxInvestment: '',
+  issuer: '',
+  creditRating: '',
+  liquidityLevel: 'medium',
+  compoundFrequency: 'annually',
+  earlyWithdrawalPenalty: '0',
+  taxBenefits: false,
+  description: '',
+  isActive: true
+};
+
+const typeLabel = (value) =>
+  PRODUCT_TYPES.find((type) => type.value === value)?.label || value;
+
+// Form state holds strings; the API expects numbers and nulls
+const toPayload = (form) => ({
+  ...form,
+  tenureMonths: parseInt(form.tenureMonths, 10),
+  annualYield: parseFloat(form.annualYield),
+  minInvestment: parseFloat(form.minInvestment),
+  maxInvestment: form.maxInvestment === '' ? null : parseFloat(form.maxInvestment),
+  earlyWithdrawalPenalty: parseFloat(form.earlyWithdrawalPenalty || 0)
+});
+
+const toForm = (product) => ({
+  name: product.name || '',
+  investmentType: product.investmentType || 'bond',
+  tenureMonths: String(product.tenureMonths ?? ''),
+  annualYield: String(product.annualYield ?? ''),
+  riskLevel: product.riskLevel || RISK_LEVELS.LOW,
+  minInvestment: String(product.minInvestment ?? ''),
+  maxInvestment: product.maxInvestment == null ? '' : String(product.maxInvestment),
+  issuer: product.issuer || '',
+  creditRating: product.creditRating || '',
+  liquidityLevel: product.liquidityLevel || 'medium',
+  compoundFrequency: product.compoundFrequency || 'annually',
+  earlyWithdrawalPenalty: String(product.earlyWithdrawalPenalty ?? 0),
+  taxBenefits: !!product.taxBenefits,
+  description: product.description || '',
+  isActive: !!product.isActive
+});
+
+const ManageProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [forbidden, setForbidden] = useState(false);
+  const [status, setStatus] = useState('all');
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // null, 'new' or a product
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
+
+  const loadProducts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await productsAPI.getAdminProducts({ status, search, limit: 100 });
+      setProducts(response.data?.products || []);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setForbidden(true);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to load products');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [status, search]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const openForm = (product) => {
+    setEditing(product || 'new');
+    setForm(product ? toForm(product) : EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await productsAPI.createProduct(toPayload(form));
+        toast.success('Product created');
+      } else {
+        await productsAPI.updateProduct(editing.id, toPayload(form));
+        toast.success('Product updated');
+      }
+      setEditing(null);
+      loadProducts();
+    } catch (error) {
+      const details = error.response?.data?.errors;
+      toast.error(
+        details?.length
+          ? details.map((detail) => detail.message).join(', ')
+          : error.response?.data?.message || 'Failed to save product'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (product) => {
+    if (product.isActive && !window.confirm(`Deactivate ${product.name}? It will no longer be offered to investors.`)) {
+      return;
+    }
+    try {
+      // Existing holdings are unaffected; the product just stops taking new investments
+      await productsAPI.updateProduct(product.id, { isActive: !product.isActive });
+      toast.success(product.isActive ? 'Product deactivated' : 'Product reactivated');
+      loadProducts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update product');
+    }
+  };
+
+  const showAnalytics = async (product) => {
+    setAnalytics({ product, data: null });
+    try {
+      const response = await productsAPI.getProductAnalytics(product.id);
+      setAnalytics({ product, data: response.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load analytics');
+      setAnalytics(null);
+    }
+  };
+
+  if (forbidden) {
+    return (
+      <div className="card text-center py-12">
+        <h2 className="text-xl font-semibold text-gray-900">Admin access required</h2>
+        <p className="text-gray-600 mt-2">You do not have permission to manage products.</p>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Manage Products</h1>
+          <p className="text-gray-600">Create, edit and retire investment products</p>
+        </div>
+        <button onClick={() => openForm(null)} className="btn-primary inline-flex items-center">
+          <HiPlus className="h-4 w-4 mr-2" />
+          New Product
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <HiSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, issuer or description"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className={`${inputClass} sm:w-48`}>
+          <option value="all">All products</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+      </div>
+
+      {/* Product table */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : products.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No products found</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Product</th>
+                <th className="py-2 pr-4 font-medium">Type</th>
+                <th className="py-2 pr-4 font-medium text-right">Yield</th>
+                <th className="py-2 pr-4 font-medium text-right">Tenure</th>
+                <th className="py-2 pr-4 font-medium">Risk</th>
+                <th className="py-2 pr-4 font-medium text-right">Min. Investment</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 font-medium text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {products.map((product) => (
+                <tr key={product.id}>
+                  <td className="py-3 pr-4">
+                    <p className="font-medium text-gray-900">{product.name}</p>
+                    <p className="text-xs text-gray-500">{product.issuer}</p>
+                  </td>
+                  <td className="py-3 pr-4">{typeLabel(product.investmentType)}</td>
+                  <td className="py-3 pr-4 text-right">{product.annualYield}%</td>
+                  <td className="py-3 pr-4 text-right">{product.tenureMonths} mo</td>
+                  <td className="py-3 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${RISK_COLORS[product.riskLevel]?.bg || ''} ${RISK_COLORS[product.riskLevel]?.text || ''}`}>
+                      {product.riskLevel}
+                    </span>
+                  </td>
+                  <td className="py-3 pr-4 text-right">₹{product.minInvestment?.toLocaleString()}</td>
+                  <td className="py-3 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${product.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                      {product.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-3 text-right whitespace-nowrap">
+                    <button onClick={() => showAnalytics(product)} className="p-1 text-gray-500 hover:text-blue-600" title="Analytics">
+                      <HiChartBar className="h-5 w-5" />
+                    </button>
+                    <button onClick={() => openForm(product)} className="p-1 text-gray-500 hover:text-blue-600" title="Edit">
+                      <HiPencil className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(product)}
+                      className={`p-1 text-gray-500 ${product.isActive ? 'hover:text-red-600' : 'hover:text-green-600'}`}
+                      title={product.isActive ? 'Deactivate' : 'Reactivate'}
+                    >
+                      {product.isActive ? <HiBan className="h-5 w-5" /> : <HiCheckCircle className="h-5 w-5" />}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Create / edit form */}
+      {editing && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center overflow-y-auto z-50 p-4">
+          <form onSubmit={handleSave} className="bg-white rounded-lg shadow-xl w-full max-w-2xl p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {editing === 'new' ? 'New Product' : `Edit ${editing.name}`}
+              </h2>
+              <button type="button" onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                <HiX className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <label className="sm:col-span-2 text-sm text-gray-700">
+                Name
+                <input name="name" value={form.name} onChange={handleChange} required minLength={3} maxLength={100} className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Type
+                <select name="investmentType" value={form.investmentType} onChange={handleChange} className={inputClass}>
+                  {PRODUCT_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Risk level
+                <select name="riskLevel" value={form.riskLevel} onChange={handleChange} className={`${inputClass} capitalize`}>
+                  {Object.values(RISK_LEVELS).map((risk) => (
+                    <option key={risk} value={risk}>{risk}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Tenure (months)
+                <input name="tenureMonths" type="number" min="1" max="360" value={form.tenureMonths} onChange={handleChange} required className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Annual yield (%)
+                <input name="annualYield" type="number" min="0" max="50" step="0.01" value={form.annualYield} onChange={handleChange} required className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Minimum investment (₹)
+                <input name="minInvestment" type="number" min="100" step="0.01" value={form.minInvestment} onChange={handleChange} required className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Maximum investment (₹)
+                <input name="maxInvestment" type="number" min="100" step="0.01" value={form.maxInvestment} onChange={handleChange} placeholder="No limit" className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Issuer
+                <input name="issuer" value={form.issuer} onChange={handleChange} maxLength={100} className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Credit rating
+                <input name="creditRating" value={form.creditRating} onChange={handleChange} maxLength={20} placeholder="e.g. AAA" className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Liquidity
+                <select name="liquidityLevel" value={form.liquidityLevel} onChange={handleChange} className={`${inputClass} capitalize`}>
+                  {LIQUIDITY_LEVELS.map((level) => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Compounding
+                <select name="compoundFrequency" value={form.compoundFrequency} onChange={handleChange} className={`${inputClass} capitalize`}>
+                  {COMPOUND_FREQUENCIES.map((frequency) => (
+                    <option key={frequency} value={frequency}>{frequency}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Early withdrawal penalty (%)
+                <input name="earlyWithdrawalPenalty" type="number" min="0" max="25" step="0.01" value={form.earlyWithdrawalPenalty} onChange={handleChange} className={inputClass} />
+              </label>
+              <div className="flex items-end gap-6 text-sm text-gray-700">
+                <label className="inline-flex items-center gap-2">
+                  <input name="taxBenefits" type="checkbox" checked={form.taxBenefits} onChange={handleChange} />
+                  Tax benefits (80C)
+                </label>
+                <label className="inline-flex items-center gap-2">
+                  <input name="isActive" type="checkbox" checked={form.isActive} onChange={handleChange} />
+                  Active
+                </label>
+              </div>
+              <label className="sm:col-span-2 text-sm text-gray-700">
+                Description
+                <textarea name="description" rows={4} value={form.description} onChange={handleChange} maxLength={1000} placeholder="Leave short to have one generated" className={inputClass} />
+              </label>
+            </div>
+
+            <div className="flex justify-end gap-3">
+              <button type="button" onClick={() => setEditing(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Analytics */}
+      {analytics && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center overflow-y-auto z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">{analytics.product.name} analytics</h2>
+              <button onClick={() => setAnalytics(null)} className="text-gray-400 hover:text-gray-600">
+                <HiX className="h-5 w-5" />
+              </button>
+            </div>
+
+            {!analytics.data ? (
+              <LoadingSpinner />
+            ) : (
+              <>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 text-sm">
+                  {[
+                    ['Investments', analytics.data.totalInvestments],
+                    ['Investors', analytics.data.uniqueInvestors],
+                    ['Total invested', `₹${analytics.data.totalInvested.toLocaleString()}`],
+                    ['Current value', `₹${analytics.data.currentPortfolioValue.toLocaleString()}`],
+                    ['Average size', `₹${Math.round(analytics.data.avgInvestmentSize).toLocaleString()}`],
+                    ['Actual return', `${analytics.data.actualReturnPercentage.toFixed(2)}%`]
+                  ].map(([label, value]) => (
+                    <div key={label} className="bg-gray-50 rounded-lg p-3">
+                      <p className="text-gray-500">{label}</p>
+                      <p className="text-lg font-semibold text-gray-900">{value}</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="text-sm">
+                  <h3 className="font-medium text-gray-900 mb-2">By status</h3>
+                  <p className="text-gray-600">
+                    {analytics.data.statusDistribution.active} active · {analytics.data.statusDistribution.matured} matured · {analytics.data.statusDistribution.cancelled} cancelled
+                  </p>
+                </div>
+
+                <div className="text-sm">
+                  <h3 className="font-medium text-gray-900 mb-2">Last 12 months</h3>
+                  {analytics.data.monthlyTrends.length === 0 ? (
+                    <p className="text-gray-500">No investments in the last 12 months</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100">
+                      {analytics.data.monthlyTrends.map((trend) => (
+                        <li key={trend.month} className="flex justify-between py-1">
+                          <span>{trend.month}</span>
+                          <span>
+                            {trend.investmentCount} investments · ₹{trend.monthlyInvestment.toLocaleString()}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManageProducts;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { HiX } from 'react-icons/hi';
+import { adminAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { PERMISSIONS, ADMIN_ACTIONS } from '../../utils/constants';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import { toast } from 'react-hot-toast';
+
+export const actionLabel = (value) =>
+  ADMIN_ACTIONS.find((action) => action.value === value)?.label || value;
+
+const formatAmount = (value) => `₹${Number(value || 0).toLocaleString()}`;
+
+// Profile, stats and account actions for one user, shown over the users table
+const UserDetail = ({ userId, onClose, onChanged }) => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManage = hasPermission(PERMISSIONS.USERS_MANAGE);
+
+  const [detail, setDetail] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [adjustment, setAdjustment] = useState({ amount: '', reason: '' });
+
+  const loadDetail = useCallback(async () => {
+    try {
+      const response = await adminAPI.getUser(userId);
+      setDetail(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load user');
+      onClose();
+    }
+  }, [userId, onClose]);
+
+  useEffect(() => {
+    loadDetail();
+  }, [loadDetail]);
+
+  // Run an account action, then refresh this view and the table behind it
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      await action();
+      toast.success(successMessage);
+      await loadDetail();
+      onChanged();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleActive = () => {
+    const { user } = detail;
+    const reason = window.prompt(
+      `Reason for ${user.isActive ? 'deactivating' : 'reactivating'} ${user.email} (optional)`
+    );
+    if (reason === null) return;
+    runAction(
+      () => (user.isActive
+        ? adminAPI.deactivateUser(userId, reason || undefined)
+        : adminAPI.reactivateUser(userId, reason || undefined)),
+      user.isActive ? 'Account deactivated' : 'Account reactivated'
+    );
+  };
+
+  const revokeSessions = () => {
+    const reason = window.prompt(`Reason for signing ${detail.user.email} out everywhere (optional)`);
+    if (reason === null) return;
+    runAction(() => adminAPI.revokeSessions(userId, reason || undefined), 'All sessions ended');
+  };
+
+  const submitAdjustment = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(adjustment.amount);
+    if (!amount) {
+      toast.error('Enter a non-zero amount');
+      return;
+    }
+    if (adjustment.reason.trim().length < 5) {
+      toast.error('A reason of at least 5 characters is required');
+      return;
+    }
+    const done = await runAction(
+      () => adminAPI.adjustBalance(userId, amount, adjustment.reason.trim()),
+      `Balance ${amount > 0 ? 'credited' : 'debited'}`
+    );
+    if (done) setAdjustment({ amount: '', reason: '' });
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center overflow-y-auto z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {detail ? `${detail.user.firstName} ${detail.user.lastName || ''}` : 'User'}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <HiX className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!detail ? (
+          <LoadingSpinner />
+        ) : (
+          <>
+            {/* Profile and stats */}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+              {[
+                ['Email', detail.user.email],
+                ['Status', detail.user.isActive ? 'Active' : 'Deactivated'],
+                ['KYC', detail.user.kycStatus],
+                ['Wallet balance', formatAmount(detail.user.accountBalance)],
+                ['Investments', detail.investmentStats.totalInvestments],
+                ['Active', detail.investmentStats.activeInvestments],
+                ['Total invested', formatAmount(detail.investmentStats.totalInvested)],
+                ['Portfolio value', formatAmount(detail.investmentStats.portfolioValue)]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-gray-500">{label}</p>
+                  <p className="font-semibold text-gray-900 truncate" title={String(value)}>{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* Account actions */}
+            {canManage && detail.user.id !== currentUser?.id && (
+              <div className="space-y-4">
+                <div className="flex flex-wrap gap-3">
+                  <button onClick={toggleActive} disabled={busy} className="btn-secondary disabled:opacity-50">
+                    {detail.user.isActive ? 'Deactivate account' : 'Reactivate account'}
+                  </button>
+                  <button onClick={revokeSessions} disabled={busy} className="btn-secondary disabled:opacity-50">
+                    Force logout
+                  </button>
+                </div>
+
+                <form onSubmit={submitAdjustment} className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={adjustment.amount}
+                    onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+                    placeholder="Amount (negative to debit)"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={adjustment.reason}
+                    onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                    placeholder="Reason (required)"
+                    className={`${inputClass} sm:col-span-2`}
+                  />
+                  <button type="submit" disabled={busy} className="btn-primary disabled:opacity-50">
+                    Adjust balance
+                  </button>
+                </form>
+              </div>
+            )}
+
+            {/* Admin actions on this account */}
+            <div className="text-sm">
+              <h3 className="font-medium text-gray-900 mb-2">Admin actions</h3>
+              {detail.adminActions.length === 0 ? (
+                <p className="text-gray-500">None recorded</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {detail.adminActions.map((entry) => (
+                    <li key={entry.id} className="py-2 flex justify-between gap-4">
+                      <span>
+                        <span className="font-medium">{actionLabel(entry.action)}</span>
+                        {entry.reason && <span className="text-gray-600"> · {entry.reason}</span>}
+                      </span>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {entry.actorEmail} · {new Date(entry.createdAt).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Recent API activity */}
+            <div className="text-sm">
+              <h3 className="font-medium text-gray-900 mb-2">Recent activity</h3>
+              {detail.recentActivity.length === 0 ? (
+                <p className="text-gray-500">No recent requests</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 font-mono text-xs">
+                  {detail.recentActivity.map((activity, index) => (
+                    <li key={index} className="py-1.5 flex justify-between gap-4">
+                      <span>{activity.method} {activity.endpoint} → {activity.statusCode}</span>
+                      <span className="text-gray-500 whitespace-nowrap">
+                        {new Date(activity.timestamp).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserDetail;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { HiSearch } from 'react-icons/hi';
+import { adminAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { USER_ROLES, PERMISSIONS } from '../../utils/constants';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+import UserDetail from './UserDetail';
+import { toast } from 'react-hot-toast';
+
+const roleLabel = (value) =>
+  USER_ROLES.find((role) => role.value === value)?.label || value;
+
+const UsersPanel = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManageRoles = hasPermission(PERMISSIONS.ROLES_MANAGE);
+
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [updating, setUpdating] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const closeDetail = useCallback(() => setSelectedId(null), []);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getUsers({ search, role, limit: 50 });
+      setUsers(response.data?.users || []);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, role]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const changeRole = async (user, newRole) => {
+    try {
+      setUpdating(user.id);
+      const response = await adminAPI.updateUserRole(user.id, newRole);
+      setUsers((current) =>
+        current.map((u) => (u.id === user.id ? { ...u, role: response.data.role } : u))
+      );
+      toast.success(`${user.firstName} is now ${roleLabel(newRole)}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update role');
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="card flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <HiSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name or email"
+            className={`${inputClass} pl-9`}
+          />
+        </div>
+        <select value={role} onChange={(e) => setRole(e.target.value)} className={`${inputClass} sm:w-48`}>
+          <option value="">All roles</option>
+          {USER_ROLES.map((r) => (
+            <option key={r.value} value={r.value}>{r.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* User table */}
+      <div className="card overflow-x-auto">
+        {loading ? (
+          <LoadingSpinner />
+        ) : users.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No users found</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Name</th>
+                <th className="py-2 pr-4 font-medium">Email</th>
+                <th className="py-2 pr-4 font-medium">KYC</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Joined</th>
+                <th className="py-2 font-medium">Role</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map((user) => (
+                <tr key={user.id}>
+                  <td className="py-3 pr-4">
+                    <button
+                      onClick={() => setSelectedId(user.id)}
+                      className="font-medium text-blue-600 hover:underline text-left"
+                    >
+                      {user.firstName} {user.lastName}
+                    </button>
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">{user.email}</td>
+                  <td className="py-3 pr-4 capitalize">{user.kycStatus}</td>
+                  <td className="py-3 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${user.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                      {user.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">
+                    {new Date(user.createdAt).toLocaleDateString()}
+                  </td>
+                  <td className="py-3">
+                    {canManageRoles && user.id !== currentUser?.id ? (
+                      <select
+                        value={user.role}
+                        disabled={updating === user.id}
+                        onChange={(e) => changeRole(user, e.target.value)}
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      >
+                        {USER_ROLES.map((r) => (
+                          <option key={r.value} value={r.value}>{r.label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      roleLabel(user.role)
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {selectedId && (
+        <UserDetail userId={selectedId} onClose={closeDetail} onChanged={loadUsers} />
+      )}
+    </div>
+  );
+};
+
+export default UsersPanel;
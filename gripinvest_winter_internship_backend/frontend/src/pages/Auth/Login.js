@@ -8,7 +8,11 @@ import LoadingSpinner from "../../components/Common/LoadingSpinner";
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading, error } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
+  const [codeError, setCodeError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const { login, verifyTwoFactor, loading, error, clearError } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -26,7 +30,9 @@ const Login = () => {
     clearErrors();
     const result = await login(data.email, data.password);
 
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
       // Add a small delay to ensure auth state is fully updated
       setTimeout(() => {
         navigate(from, { replace: true });
@@ -39,6 +45,33 @@ const Login = () => {
     }
   };
 
+  const backToPassword = () => {
+    setChallengeToken(null);
+    setCode("");
+    setCodeError(null);
+    clearError();
+  };
+
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    setCodeError(null);
+    setVerifying(true);
+    const result = await verifyTwoFactor(challengeToken, code.trim());
+    setVerifying(false);
+
+    if (result.success) {
+      setTimeout(() => {
+        navigate(from, { replace: true });
+      }, 100);
+    } else if (result.status === 429) {
+      // Too many wrong codes for this challenge: start over with the password
+      backToPassword();
+      setError("root", { type: "manual", message: result.error });
+    } else {
+      setCodeError(result.error || "Verification failed");
+    }
+  };
+
   const togglePasswordVisibility = () => {
     setShowPassword(!showPassword);
   };
@@ -59,129 +92,184 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="bg-white rounded-xl shadow-lg p-8 space-y-6">
-          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
-            {/* Email Field */}
-            <div>
-              <label
-                htmlFor="email"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none"></div>
+          {challengeToken ? (
+            <form className="space-y-6" onSubmit={onSubmitCode}>
+              <div>
+                <label
+                  htmlFor="code"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Authentication Code
+                </label>
                 <input
-                  {...register("email", {
-                    required: "Email is required",
-                    pattern: {
-                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                      message: "Invalid email address",
-                    },
-                  })}
-                  type="email"
-                  autoComplete="email"
-                  className={`input-field pl-10 ${errors.email ? "border-red-300 focus:ring-red-500 focus:border-red-500" : ""}`}
-                  placeholder="Enter your email"
+                  id="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className="input-field tracking-widest"
+                  placeholder="123456"
                 />
-              </div>
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">
-                  {errors.email.message}
+                <p className="mt-2 text-xs text-gray-500">
+                  Enter the 6-digit code from your authenticator app, or one
+                  of your recovery codes.
                 </p>
+              </div>
+
+              {codeError && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                  <p className="text-sm">{codeError}</p>
+                </div>
               )}
-            </div>
 
-            {/* Password Field */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-gray-700 mb-2"
+              <button
+                type="submit"
+                disabled={verifying || !code.trim()}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
               >
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none"></div>
-                <input
-                  {...register("password", {
-                    required: "Password is required",
-                    minLength: {
-                      value: 6,
-                      message: "Password must be at least 6 characters",
-                    },
-                  })}
-                  type={showPassword ? "text" : "password"}
-                  autoComplete="current-password"
-                  className={`input-field pl-10 pr-10 ${errors.password ? "border-red-300 focus:ring-red-500 focus:border-red-500" : ""}`}
-                  placeholder="Enter your password"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={togglePasswordVisibility}
-                >
-                  {showPassword ? (
-                    <FaEyeSlash className="h-4 w-4 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <FaEye className="h-4 w-4 text-gray-400 hover:text-gray-600" />
-                  )}
-                </button>
-              </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">
-                  {errors.password.message}
-                </p>
-              )}
-            </div>
+                {verifying ? (
+                  <>
+                    <LoadingSpinner size="small" className="mr-2" />
+                    Verifying...
+                  </>
+                ) : (
+                  "Verify"
+                )}
+              </button>
 
-            {/* Remember Me & Forgot Password */}
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                />
+              <button
+                type="button"
+                onClick={backToPassword}
+                className="w-full text-sm font-medium text-blue-600 hover:text-blue-500"
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              {/* Email Field */}
+              <div>
                 <label
-                  htmlFor="remember-me"
-                  className="ml-2 block text-sm text-gray-900"
+                  htmlFor="email"
+                  className="block text-sm font-medium text-gray-700 mb-2"
                 >
-                  Remember me
+                  Email Address
                 </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none"></div>
+                  <input
+                    {...register("email", {
+                      required: "Email is required",
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: "Invalid email address",
+                      },
+                    })}
+                    type="email"
+                    autoComplete="email"
+                    className={`input-field pl-10 ${errors.email ? "border-red-300 focus:ring-red-500 focus:border-red-500" : ""}`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {errors.email.message}
+                  </p>
+                )}
               </div>
-              <div className="text-sm">
-                <Link
-                  to="/forgot-password"
-                  className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
+
+              {/* Password Field */}
+              <div>
+                <label
+                  htmlFor="password"
+                  className="block text-sm font-medium text-gray-700 mb-2"
                 >
-                  Forgot your password?
-                </Link>
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none"></div>
+                  <input
+                    {...register("password", {
+                      required: "Password is required",
+                      minLength: {
+                        value: 6,
+                        message: "Password must be at least 6 characters",
+                      },
+                    })}
+                    type={showPassword ? "text" : "password"}
+                    autoComplete="current-password"
+                    className={`input-field pl-10 pr-10 ${errors.password ? "border-red-300 focus:ring-red-500 focus:border-red-500" : ""}`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={togglePasswordVisibility}
+                  >
+                    {showPassword ? (
+                      <FaEyeSlash className="h-4 w-4 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <FaEye className="h-4 w-4 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {errors.password.message}
+                  </p>
+                )}
               </div>
-            </div>
 
-            {/* Error Messages */}
-            {(errors.root || error) && (
-              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-                <p className="text-sm">{errors.root?.message || error}</p>
+              {/* Remember Me & Forgot Password */}
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <label
+                    htmlFor="remember-me"
+                    className="ml-2 block text-sm text-gray-900"
+                  >
+                    Remember me
+                  </label>
+                </div>
+                <div className="text-sm">
+                  <Link
+                    to="/forgot-password"
+                    className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                  >
+                    Forgot your password?
+                  </Link>
+                </div>
               </div>
-            )}
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isSubmitting || loading}
-              className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
-            >
-              {isSubmitting || loading ? (
-                <>
-                  <LoadingSpinner size="small" className="mr-2" />
-                  Signing in...
-                </>
-              ) : (
-                "Sign in"
+              {/* Error Messages */}
+              {(errors.root || error) && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                  <p className="text-sm">{errors.root?.message || error}</p>
+                </div>
               )}
-            </button>
-          </form>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isSubmitting || loading}
+                className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+              >
+                {isSubmitting || loading ? (
+                  <>
+                    <LoadingSpinner size="small" className="mr-2" />
+                    Signing in...
+                  </>
+                ) : (
+                  "Sign in"
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Divider */}
           <div className="relative">
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { HiLockOpen, HiArrowLeft } from 'react-icons/hi';
+import { authAPI } from '../../services/api';
+import LoadingSpinner from '../../components/Common/LoadingSpinner';
+
+// Landing page of the link in the "account locked" email
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'pending' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+    authAPI
+      .unlockAccount(token)
+      .then((response) => {
+        if (cancelled) return;
+        setStatus('unlocked');
+        setMessage(response.message);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Could not unlock your account');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-purple-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="mx-auto h-20 w-20 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center mb-6">
+            <HiLockOpen className="h-10 w-10 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Unlock your account
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8 space-y-6">
+          {status === 'pending' && (
+            <div className="flex justify-center">
+              <LoadingSpinner />
+            </div>
+          )}
+
+          {status === 'unlocked' && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              <p className="text-sm">{message}</p>
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <div className="space-y-4">
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                <p className="text-sm">{message}</p>
+              </div>
+              <p className="text-sm text-gray-600">
+                The lockout also ends on its own after a while. If you don't remember your
+                password, you can{' '}
+                <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+                  reset it
+                </Link>
+                .
+              </p>
+            </div>
+          )}
+
+          {/* Back to Login */}
+          <div className="text-center pt-4 border-t border-gray-200">
+            <Link
+              to="/login"
+              className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+            >
+              <HiArrowLeft className="h-4 w-4 mr-2" />
+              Back to login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
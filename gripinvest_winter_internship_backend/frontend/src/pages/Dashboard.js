@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { productsAPI, investmentAPI } from '../services/api';
@@ -24,9 +24,11 @@ import {
   Cell
 } from 'recharts';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
+import usePerformanceHistory from '../hooks/usePerformanceHistory';
+import { HISTORY_RANGES, EVENT_TYPES } from '../utils/constants';
 
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, subscribe } = useAuth();
   const [loading, setLoading] = useState(true);
   const [dashboardData, setDashboardData] = useState({
     portfolioSummary: null,
@@ -34,14 +36,16 @@ const Dashboard = () => {
     trendingProducts: [],
     portfolioInsights: null
   });
+  const {
+    range: historyRange,
+    setRange: setHistoryRange,
+    series: performanceData,
+    reload: reloadPerformance
+  } = usePerformanceHistory();
 
-  useEffect(() => {
-    loadDashboardData();
-  }, []);
-
-  const loadDashboardData = async () => {
+  const loadDashboardData = useCallback(async (showSpinner = true) => {
     try {
-      setLoading(true);
+      if (showSpinner) setLoading(true);
       
       // Load all dashboard data in parallel
       const [portfolioRes, trendingRes, insightsRes] = await Promise.all([
@@ -61,17 +65,20 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
-  // Sample data for charts when API data is not available
-  const performanceData = [
-    { name: 'Jan', value: 4000 },
-    { name: 'Feb', value: 3000 },
-    { name: 'Mar', value: 5000 },
-    { name: 'Apr', value: 4500 },
-    { name: 'May', value: 6000 },
-    { name: 'Jun', value: 5500 },
-  ];
+  useEffect(() => {
+    loadDashboardData();
+  }, [loadDashboardData]);
+
+  // Refresh in place when an investment changes in another tab or a background job
+  useEffect(() => {
+    if (!subscribe) return undefined;
+    return subscribe(EVENT_TYPES.INVESTMENT_UPDATED, () => {
+      loadDashboardData(false);
+      reloadPerformance();
+    });
+  }, [subscribe, loadDashboardData, reloadPerformance]);
 
   const allocationData = [
     { name: 'Corporate Bonds', value: 40, color: '#3B82F6' },
@@ -194,36 +201,56 @@ const Dashboard = () => {
         <div className="card">
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-lg font-semibold text-gray-900">Portfolio Performance</h3>
-            <select className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500">
-              <option>Last 6 months</option>
-              <option>Last year</option>
-              <option>All time</option>
+            <select
+              value={historyRange}
+              onChange={(e) => setHistoryRange(e.target.value)}
+              className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {HISTORY_RANGES.map((range) => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
             </select>
           </div>
           <div className="h-64">
-            <ResponsiveContainer width="100%" height="100%">
-              <AreaChart data={performanceData}>
-                <defs>
-                  <linearGradient id="colorValue" x1="0" y1="0" x2="0" y2="1">
-                    <stop offset="5%" stopColor="#3B82F6" stopOpacity={0.8}/>
-                    <stop offset="95%" stopColor="#3B82F6" stopOpacity={0.1}/>
-                  </linearGradient>
-                </defs>
-                <XAxis dataKey="name" />
-                <YAxis />
-                <CartesianGrid strokeDasharray="3 3" />
-                <Tooltip 
-                  formatter={(value) => [`₹${value.toLocaleString()}`, 'Portfolio Value']}
-                />
-                <Area 
-                  type="monotone" 
-                  dataKey="value" 
-                  stroke="#3B82F6" 
-                  fillOpacity={1} 
-                  fill="url(#colorValue)" 
-                />
-              </AreaChart>
-            </ResponsiveContainer>
+            {performanceData.length === 0 ? (
+              <div className="flex items-center justify-center h-full text-sm text-gray-500">
+                No valuation history yet
+              </div>
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={performanceData}>
+                  <defs>
+                    <linearGradient id="colorValue" x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="5%" stopColor="#3B82F6" stopOpacity={0.8}/>
+                      <stop offset="95%" stopColor="#3B82F6" stopOpacity={0.1}/>
+                    </linearGradient>
+                  </defs>
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <Tooltip 
+                    formatter={(value, name) => [
+                      `₹${value.toLocaleString()}`,
+                      name === 'invested' ? 'Invested' : 'Portfolio Value'
+                    ]}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey="invested"
+                    stroke="#9CA3AF"
+                    fill="none"
+                    strokeDasharray="4 4"
+                  />
+                  <Area 
+                    type="monotone" 
+                    dataKey="value" 
+                    stroke="#3B82F6" 
+                    fillOpacity={1} 
+                    fill="url(#colorValue)" 
+                  />
+                </AreaChart>
+              </ResponsiveContainer>
+            )}
           </div>
         </div>
 
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { investmentAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
 import { 
   HiTrendingUp, 
   HiTrendingDown, 
@@ -19,9 +20,115 @@ import {
 } from 'react-icons/hi';
 import { PieChart, Pie, Cell, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
+import usePerformanceHistory from '../hooks/usePerformanceHistory';
 import { toast } from 'react-hot-toast';
+import { HISTORY_RANGES, EVENT_TYPES, STATEMENT_FORMATS, STATEMENT_DEFAULT_DAYS } from '../utils/constants';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+// Shown when the portfolio API is unavailable
+const getSampleSummary = () => ({
+  totalValue: 245000,
+  totalInvested: 200000,
+  totalReturns: 45000,
+  unrealizedGains: 28000,
+  realizedGains: 17000,
+  activeInvestments: 8,
+  maturedInvestments: 4,
+  totalInvestments: 12,
+  monthlyIncome: 4200,
+  portfolioReturn: 22.5,
+  riskScore: 6.2
+});
+
+const getSampleInvestments = () => [
+  {
+    id: '1',
+    productId: '1',
+    productName: 'Corporate Bond Series A',
+    category: 'Corporate Bonds',
+    amount: 50000,
+    currentValue: 58500,
+    expectedReturn: 12.5,
+    actualReturn: 17.0,
+    status: 'active',
+    createdAt: '2024-01-15',
+    maturityDate: '2025-12-15',
+    tenure: 24,
+    monthsRemaining: 8,
+    issuer: 'ABC Corporation',
+    riskLevel: 'Low'
+  },
+  {
+    id: '2',
+    productId: '2',
+    productName: 'Alternative Investment Fund',
+    category: 'Alternative Investment Fund',
+    amount: 100000,
+    currentValue: 122000,
+    expectedReturn: 18.2,
+    actualReturn: 22.0,
+    status: 'active',
+    createdAt: '2024-02-01',
+    maturityDate: '2026-02-01',
+    tenure: 36,
+    monthsRemaining: 18,
+    issuer: 'XYZ Asset Management',
+    riskLevel: 'High'
+  },
+  {
+    id: '3',
+    productId: '3',
+    productName: 'Real Estate Investment Trust',
+    category: 'Real Estate',
+    amount: 50000,
+    currentValue: 46500,
+    expectedReturn: 14.8,
+    actualReturn: -7.0,
+    status: 'active',
+    createdAt: '2024-03-10',
+    maturityDate: '2027-03-10',
+    tenure: 60,
+    monthsRemaining: 42,
+    issuer: 'Property Trust Ltd',
+    riskLevel: 'Moderate'
+  },
+  {
+    id: '4',
+    productId: '4',
+    productName: 'Corporate Bond Series B',
+    category: 'Corporate Bonds',
+    amount: 25000,
+    currentValue: 28750,
+    expectedReturn: 11.5,
+    actualReturn: 15.0,
+    status: 'matured',
+    createdAt: '2023-06-01',
+    maturityDate: '2024-06-01',
+    tenure: 12,
+    monthsRemaining: 0,
+    issuer: 'DEF Corporation',
+    riskLevel: 'Low'
+  }
+];
+
+const getSampleInsights = () => ({
+  allocation: [
+    { name: 'Corporate Bonds', value: 40, amount: 98000, color: '#3B82F6' },
+    { name: 'Alternative Investments', value: 30, amount: 73500, color: '#8B5CF6' },
+    { name: 'Real Estate', value: 20, amount: 49000, color: '#10B981' },
+    { name: 'Others', value: 10, amount: 24500, color: '#F59E0B' }
+  ],
+  riskMetrics: {
+    volatility: 12.5,
+    sharpeRatio: 1.8,
+    maxDrawdown: -8.2,
+    beta: 0.85
+  }
+});
 
 const Portfolio = () => {
+  const { subscribe } = useAuth();
   const [loading, setLoading] = useState(true);
   const [portfolio, setPortfolio] = useState({
     summary: null,
@@ -35,14 +142,23 @@ const Portfolio = () => {
     sortOrder: 'desc'
   });
   const [showFilters, setShowFilters] = useState(false);
+  const {
+    range: historyRange,
+    setRange: setHistoryRange,
+    series: performance,
+    reload: reloadPerformance
+  } = usePerformanceHistory();
+  const [showExport, setShowExport] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportOptions, setExportOptions] = useState(() => {
+    const from = new Date();
+    from.setDate(from.getDate() - STATEMENT_DEFAULT_DAYS);
+    return { from: toDateInput(from), to: toDateInput(new Date()), format: 'pdf' };
+  });
 
-  useEffect(() => {
-    loadPortfolio();
-  }, [filters]);
-
-  const loadPortfolio = async () => {
+  const loadPortfolio = useCallback(async (showSpinner = true) => {
     try {
-      setLoading(true);
+      if (showSpinner) setLoading(true);
       const [portfolioRes, insightsRes] = await Promise.all([
         investmentAPI.getPortfolio({
           status: filters.status !== 'all' ? filters.status : undefined,
@@ -68,122 +184,48 @@ const Portfolio = () => {
     } finally {
       setLoading(false);
     }
-  };
-
-  const getSampleSummary = () => ({
-    totalValue: 245000,
-    totalInvested: 200000,
-    totalReturns: 45000,
-    unrealizedGains: 28000,
-    realizedGains: 17000,
-    activeInvestments: 8,
-    maturedInvestments: 4,
-    totalInvestments: 12,
-    monthlyIncome: 4200,
-    portfolioReturn: 22.5,
-    riskScore: 6.2
-  });
+  }, [filters]);
 
-  const getSampleInvestments = () => [
-    {
-      id: '1',
-      productId: '1',
-      productName: 'Corporate Bond Series A',
-      category: 'Corporate Bonds',
-      amount: 50000,
-      currentValue: 58500,
-      expectedReturn: 12.5,
-      actualReturn: 17.0,
-      status: 'active',
-      createdAt: '2024-01-15',
-      maturityDate: '2025-12-15',
-      tenure: 24,
-      monthsRemaining: 8,
-      issuer: 'ABC Corporation',
-      riskLevel: 'Low'
-    },
-    {
-      id: '2',
-      productId: '2',
-      productName: 'Alternative Investment Fund',
-      category: 'Alternative Investment Fund',
-      amount: 100000,
-      currentValue: 122000,
-      expectedReturn: 18.2,
-      actualReturn: 22.0,
-      status: 'active',
-      createdAt: '2024-02-01',
-      maturityDate: '2026-02-01',
-      tenure: 36,
-      monthsRemaining: 18,
-      issuer: 'XYZ Asset Management',
-      riskLevel: 'High'
-    },
-    {
-      id: '3',
-      productId: '3',
-      productName: 'Real Estate Investment Trust',
-      category: 'Real Estate',
-      amount: 50000,
-      currentValue: 46500,
-      expectedReturn: 14.8,
-      actualReturn: -7.0,
-      status: 'active',
-      createdAt: '2024-03-10',
-      maturityDate: '2027-03-10',
-      tenure: 60,
-      monthsRemaining: 42,
-      issuer: 'Property Trust Ltd',
-      riskLevel: 'Moderate'
-    },
-    {
-      id: '4',
-      productId: '4',
-      productName: 'Corporate Bond Series B',
-      category: 'Corporate Bonds',
-      amount: 25000,
-      currentValue: 28750,
-      expectedReturn: 11.5,
-      actualReturn: 15.0,
-      status: 'matured',
-      createdAt: '2023-06-01',
-      maturityDate: '2024-06-01',
-      tenure: 12,
-      monthsRemaining: 0,
-      issuer: 'DEF Corporation',
-      riskLevel: 'Low'
-    }
-  ];
-
-  const getSampleInsights = () => ({
-    allocation: [
-      { name: 'Corporate Bonds', value: 40, amount: 98000, color: '#3B82F6' },
-      { name: 'Alternative Investments', value: 30, amount: 73500, color: '#8B5CF6' },
-      { name: 'Real Estate', value: 20, amount: 49000, color: '#10B981' },
-      { name: 'Others', value: 10, amount: 24500, color: '#F59E0B' }
-    ],
-    performance: [
-      { month: 'Jan', returns: 2.5 },
-      { month: 'Feb', returns: 3.2 },
-      { month: 'Mar', returns: -1.1 },
-      { month: 'Apr', returns: 4.5 },
-      { month: 'May', returns: 3.8 },
-      { month: 'Jun', returns: 5.2 }
-    ],
-    riskMetrics: {
-      volatility: 12.5,
-      sharpeRatio: 1.8,
-      maxDrawdown: -8.2,
-      beta: 0.85
-    }
-  });
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio]);
 
-  const handleCancelInvestment = async (investmentId) => {
-    if (!window.confirm('Are you sure you want to cancel this investment?')) {
+  // Refresh in place when an investment changes in another tab or a background job
+  useEffect(() => {
+    if (!subscribe) return undefined;
+    return subscribe(EVENT_TYPES.INVESTMENT_UPDATED, () => {
+      loadPortfolio(false);
+      reloadPerformance();
+    });
+  }, [subscribe, loadPortfolio, reloadPerformance]);
+
+  const handleExport = async () => {
+    if (exportOptions.from > exportOptions.to) {
+      toast.error('The start date must be before the end date');
       return;
     }
+    setExporting(true);
+    await investmentAPI.downloadStatement(exportOptions);
+    setExporting(false);
+    setShowExport(false);
+  };
 
+  const handleCancelInvestment = async (investmentId) => {
     try {
+      // Show the penalty deduction before asking for confirmation
+      const quoteResponse = await investmentAPI.getCancellationQuote(investmentId);
+      const quote = quoteResponse.data;
+      const confirmMessage = quote
+        ? `Cancel this investment?\n\n` +
+          `Accrued value: ₹${quote.accruedValue.toLocaleString()}\n` +
+          `Early withdrawal penalty (${quote.penaltyRate}%): -₹${quote.penaltyAmount.toLocaleString()}\n` +
+          `You will receive: ₹${quote.netRefund.toLocaleString()}`
+        : 'Are you sure you want to cancel this investment?';
+
+      if (!window.confirm(confirmMessage)) {
+        return;
+      }
+
       const response = await investmentAPI.cancelInvestment(investmentId);
       if (response.success) {
         toast.success('Investment cancelled successfully');
@@ -201,6 +243,8 @@ const Portfolio = () => {
     switch (status) {
       case 'active':
         return <HiCheckCircle className="h-5 w-5 text-green-500" />;
+      case 'partial':
+        return <HiCheckCircle className="h-5 w-5 text-indigo-500" />;
       case 'matured':
         return <HiCheckCircle className="h-5 w-5 text-blue-500" />;
       case 'cancelled':
@@ -216,6 +260,8 @@ const Portfolio = () => {
     switch (status) {
       case 'active':
         return 'text-green-700 bg-green-100';
+      case 'partial':
+        return 'text-indigo-700 bg-indigo-100';
       case 'matured':
         return 'text-blue-700 bg-blue-100';
       case 'cancelled':
@@ -273,10 +319,61 @@ const Portfolio = () => {
             <HiRefresh className="h-4 w-4 mr-2" />
             Refresh
           </button>
-          <button className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500">
-            <HiDownload className="h-4 w-4 mr-2" />
-            Export
-          </button>
+          <div className="relative">
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              <HiDownload className="h-4 w-4 mr-2" />
+              Export
+            </button>
+            {showExport && (
+              <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-10 space-y-3">
+                <p className="text-sm font-medium text-gray-900">Download account statement</p>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs text-gray-600">
+                    From
+                    <input
+                      type="date"
+                      value={exportOptions.from}
+                      max={exportOptions.to}
+                      onChange={(e) => setExportOptions({ ...exportOptions, from: e.target.value })}
+                      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    To
+                    <input
+                      type="date"
+                      value={exportOptions.to}
+                      min={exportOptions.from}
+                      onChange={(e) => setExportOptions({ ...exportOptions, to: e.target.value })}
+                      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </label>
+                </div>
+                <label className="block text-xs text-gray-600">
+                  Format
+                  <select
+                    value={exportOptions.format}
+                    onChange={(e) => setExportOptions({ ...exportOptions, format: e.target.value })}
+                    className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {STATEMENT_FORMATS.map((format) => (
+                      <option key={format.value} value={format.value}>{format.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={handleExport}
+                  disabled={exporting || !exportOptions.from || !exportOptions.to}
+                  className="btn-primary w-full disabled:opacity-50"
+                >
+                  {exporting ? 'Preparing...' : 'Download'}
+                </button>
+              </div>
+            )}
+          </div>
           <Link
             to="/products"
             className="btn-primary"
@@ -408,22 +505,32 @@ const Portfolio = () => {
         <div className="card">
           <div className="flex items-center justify-between mb-6">
             <h3 className="text-lg font-semibold text-gray-900">Performance</h3>
-            <select className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500">
-              <option>Last 6 months</option>
-              <option>Last year</option>
-              <option>All time</option>
+            <select
+              value={historyRange}
+              onChange={(e) => setHistoryRange(e.target.value)}
+              className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {HISTORY_RANGES.map((range) => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
             </select>
           </div>
           <div className="h-64">
-            <ResponsiveContainer width="100%" height="100%">
-              <BarChart data={insights?.performance || []}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="month" />
-                <YAxis />
-                <Tooltip formatter={(value) => [`${value}%`, 'Returns']} />
-                <Bar dataKey="returns" fill="#3B82F6" />
-              </BarChart>
-            </ResponsiveContainer>
+            {performance.length === 0 ? (
+              <div className="flex items-center justify-center h-full text-sm text-gray-500">
+                No valuation history yet
+              </div>
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={performance}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis />
+                  <Tooltip formatter={(value) => [`${value}%`, 'Returns']} />
+                  <Bar dataKey="gainPercentage" fill="#3B82F6" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
           </div>
         </div>
       </div>
@@ -452,6 +559,7 @@ const Portfolio = () => {
               >
                 <option value="all">All Status</option>
                 <option value="active">Active</option>
+                <option value="partial">Partially Redeemed</option>
                 <option value="matured">Matured</option>
                 <option value="cancelled">Cancelled</option>
                 <option value="pending">Pending</option>
@@ -549,7 +657,7 @@ const Portfolio = () => {
                         >
                           <HiPencil className="h-5 w-5" />
                         </button>
-                        {investment.status === 'active' && (
+                        {['active', 'partial'].includes(investment.status) && (
                           <button
                             onClick={() => handleCancelInvestment(investment.id)}
                             className="p-2 text-gray-400 hover:text-red-600 transition-colors"
@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
+import { kycAPI } from '../services/api';
 import { 
   HiUser, 
   HiMail, 
@@ -12,19 +13,40 @@ import {
   HiEye,
   HiBell,
   HiGlobe,
-  HiSave
+  HiSave,
+  HiUpload,
+  HiCheckCircle,
+  HiClock,
+  HiXCircle
 } from 'react-icons/hi';
 import { FaEyeSlash } from 'react-icons/fa';
 import { FaUserCircle } from 'react-icons/fa';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
+import TwoFactorSettings from '../components/Security/TwoFactorSettings';
 import { toast } from 'react-hot-toast';
 
+const KYC_DOCUMENT_LABELS = {
+  pan: 'PAN Card',
+  aadhaar: 'Aadhaar Card',
+  address_proof: 'Address Proof'
+};
+
+const KYC_STAGES = {
+  not_started: { label: 'Not started', className: 'bg-gray-100 text-gray-800', icon: HiUpload },
+  in_progress: { label: 'Documents pending', className: 'bg-yellow-100 text-yellow-800', icon: HiUpload },
+  under_review: { label: 'Under review', className: 'bg-blue-100 text-blue-800', icon: HiClock },
+  approved: { label: 'Verified', className: 'bg-green-100 text-green-800', icon: HiCheckCircle },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800', icon: HiXCircle }
+};
+
 const Profile = () => {
   const { user, updateProfile, changePassword, loading } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [kyc, setKyc] = useState(null);
+  const [uploadingDocument, setUploadingDocument] = useState(null);
 
   const {
     register: registerProfile,
@@ -68,6 +90,44 @@ const Profile = () => {
 
   const newPassword = watchPassword('newPassword');
 
+  const fetchKycStatus = useCallback(async () => {
+    try {
+      const response = await kycAPI.getStatus();
+      setKyc(response.data);
+    } catch (error) {
+      console.error('Failed to fetch KYC status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchKycStatus();
+  }, [fetchKycStatus]);
+
+  const handleKycUpload = async (type, file) => {
+    if (!file) return;
+    setUploadingDocument(type);
+    try {
+      const response = await kycAPI.uploadDocument(type, file);
+      setKyc(response.data);
+      toast.success(`${KYC_DOCUMENT_LABELS[type]} uploaded`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed. Please try again.');
+    } finally {
+      setUploadingDocument(null);
+    }
+  };
+
+  // Three uploads, submission and approval make up the five KYC steps
+  const kycProgress = kyc
+    ? Math.round(
+        ((kyc.documents.filter(d => d.uploaded).length +
+          (kyc.submittedAt ? 1 : 0) +
+          (kyc.status === 'approved' ? 1 : 0)) / 5) * 100
+      )
+    : 0;
+  const kycStage = KYC_STAGES[kyc?.stage] || KYC_STAGES.not_started;
+  const KycStageIcon = kycStage.icon;
+
   useEffect(() => {
     if (user) {
       resetProfile({
@@ -98,7 +158,6 @@ const Profile = () => {
       const result = await changePassword(data.currentPassword, data.newPassword);
       if (result.success) {
         resetPassword();
-        toast.success('Password changed successfully!');
       }
     } catch (error) {
       console.error('Password change failed:', error);
@@ -148,13 +207,83 @@ const Profile = () => {
             <span className="px-3 py-1 bg-blue-100 text-blue-800 text-sm font-medium rounded-full">
               Risk Appetite: {user?.riskAppetite || 'Moderate'}
             </span>
-            <span className="px-3 py-1 bg-green-100 text-green-800 text-sm font-medium rounded-full">
-              ✓ Verified
-            </span>
+            {kyc && (
+              <span className={`px-3 py-1 text-sm font-medium rounded-full ${kycStage.className}`}>
+                KYC: {kycStage.label}
+              </span>
+            )}
           </div>
         </div>
       </div>
 
+      {/* KYC Status */}
+      {kyc && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+              <HiShieldCheck className="h-5 w-5 mr-2" />
+              KYC Verification
+            </h3>
+            <span className={`inline-flex items-center px-3 py-1 text-sm font-medium rounded-full ${kycStage.className}`}>
+              <KycStageIcon className="h-4 w-4 mr-1" />
+              {kycStage.label}
+            </span>
+          </div>
+
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+            <div
+              className={`h-2 rounded-full ${kyc.status === 'rejected' ? 'bg-red-500' : 'bg-blue-600'}`}
+              style={{ width: `${kycProgress}%` }}
+            />
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            {kyc.status === 'approved'
+              ? 'Your identity is verified. All investment limits are unlocked.'
+              : `Investments above ₹${kyc.investmentThreshold.toLocaleString()} require approved KYC.`}
+          </p>
+
+          {kyc.status === 'rejected' && kyc.rejectionReason && (
+            <div className="p-3 mb-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              Rejected: {kyc.rejectionReason}. Re-upload the affected documents to resubmit.
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {kyc.documents.map(doc => (
+              <div key={doc.type} className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-medium text-gray-900">{KYC_DOCUMENT_LABELS[doc.type]}</h4>
+                  {doc.uploaded && <HiCheckCircle className="h-5 w-5 text-green-500" />}
+                </div>
+                <p className="text-xs text-gray-500 mb-3 truncate">
+                  {doc.uploaded ? doc.originalName : 'JPG, PNG or PDF, up to 5MB'}
+                </p>
+                {kyc.status !== 'approved' && (
+                  <label className="btn-outline text-sm cursor-pointer inline-flex items-center">
+                    {uploadingDocument === doc.type ? (
+                      <LoadingSpinner size="small" className="mr-2" />
+                    ) : (
+                      <HiUpload className="h-4 w-4 mr-2" />
+                    )}
+                    {doc.uploaded ? 'Replace' : 'Upload'}
+                    <input
+                      type="file"
+                      className="hidden"
+                      accept="image/jpeg,image/png,application/pdf"
+                      disabled={!!uploadingDocument}
+                      onChange={(e) => {
+                        handleKycUpload(doc.type, e.target.files[0]);
+                        e.target.value = '';
+                      }}
+                    />
+                  </label>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="flex space-x-8">
@@ -476,15 +605,7 @@ const Profile = () => {
                 Security Settings
               </h3>
               <div className="space-y-4">
-                <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                  <div>
-                    <h4 className="text-sm font-medium text-gray-900">Two-Factor Authentication</h4>
-                    <p className="text-sm text-gray-600">Add an extra layer of security to your account</p>
-                  </div>
-                  <button className="btn-outline text-sm">
-                    Enable 2FA
-                  </button>
-                </div>
+                <TwoFactorSettings />
 
                 <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                   <div>
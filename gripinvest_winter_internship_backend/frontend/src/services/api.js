@@ -1,23 +1,81 @@
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
+import { API_CONFIG, STORAGE_KEYS } from '../utils/constants';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-// Create axios instance
+const REFRESH_URL = '/auth/refresh-token';
+
+// Create axios instance. withCredentials sends the httpOnly refresh cookie.
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// The access token lives in memory only; after a reload the refresh cookie
+// gets a new one. The CSRF token is not a credential on its own, so it is
+// kept in localStorage to survive reloads and be shared between tabs.
+let accessToken = null;
+let refreshPromise = null;
+
+export const startSession = (tokens) => {
+  accessToken = tokens.accessToken;
+  localStorage.setItem(STORAGE_KEYS.CSRF_TOKEN, tokens.csrfToken);
+};
+
+export const clearSession = () => {
+  accessToken = null;
+  localStorage.removeItem(STORAGE_KEYS.CSRF_TOKEN);
+};
+
+// Whether this browser may still hold a refresh cookie
+export const hasStoredSession = () => !!localStorage.getItem(STORAGE_KEYS.CSRF_TOKEN);
+
+export const getAccessToken = () => accessToken;
+
+// Each refresh token works once, so tabs sharing the cookie must not refresh
+// at the same time; the Web Locks API serialises them where available
+const withRefreshLock = (callback) =>
+  navigator.locks ? navigator.locks.request('gripinvest-session-refresh', callback) : callback();
+
+// Get a new access token, at most one request at a time. Resolves to false
+// when the session is gone.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(() => authAPI.refreshToken())
+      .then((response) => {
+        startSession(response.data);
+        return true;
+      })
+      .catch(() => {
+        clearSession();
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+  async (config) => {
+    if (config.url === REFRESH_URL) {
+      config.headers['X-CSRF-Token'] = localStorage.getItem(STORAGE_KEYS.CSRF_TOKEN);
+      return config;
+    }
+
+    // Hold requests while a refresh is in flight so they use the new token
+    if (refreshPromise) {
+      await refreshPromise;
+    }
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -29,12 +87,41 @@ apiClient.interceptors.request.use(
 // Keep track of shown errors to prevent duplicates
 let errorCooldown = {};
 
+// A 401 from these means a wrong password or code, not an expired session
+const CREDENTIAL_CHECK_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/2fa/disable',
+  '/auth/2fa/recovery-codes',
+];
+
 // Response interceptor to handle errors
 apiClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const { config } = error;
+
+    // Expired access token: refresh once, then replay the request. Requests
+    // that fail together all wait on the same refresh.
+    if (
+      error.response?.status === 401 &&
+      config &&
+      !config.retried &&
+      config.url !== REFRESH_URL &&
+      !CREDENTIAL_CHECK_URLS.includes(config.url)
+    ) {
+      config.retried = true;
+      const sentToken = config.headers?.Authorization;
+      // Another request may already have refreshed while this one was out
+      const refreshed =
+        (accessToken && sentToken !== `Bearer ${accessToken}`) || (await refreshSession());
+      if (refreshed) {
+        return apiClient(config);
+      }
+    }
+
     console.error('API Error:', error);
     
     const errorKey = `${error.response?.status}-${error.config?.url}`;
@@ -42,12 +129,15 @@ apiClient.interceptors.response.use(
     
     // Only show error toast if we haven't shown this error recently (within 5 seconds)
     if (!errorCooldown[errorKey] || now - errorCooldown[errorKey] > 5000) {
-      if (error.response?.status === 401) {
-        // Token expired or invalid
-        localStorage.removeItem('token');
+      if (error.response?.status === 401 && config?.url === REFRESH_URL) {
+        // No session to restore; callers of refreshSession decide what to do
+      } else if (error.response?.status === 401 && !CREDENTIAL_CHECK_URLS.includes(error.config?.url)) {
+        // Session expired and could not be refreshed
+        clearSession();
         window.location.href = '/login';
         toast.error('Session expired. Please login again.');
-      } else if (error.response?.status === 429) {
+      } else if (error.response?.status === 429 && error.config?.url !== '/auth/login') {
+        // Login shows its own delay and lockout messages
         toast.error('Too many requests. Please try again later.');
       } else if (error.response?.status >= 500) {
         toast.error('Server error. Please try again later.');
@@ -67,6 +157,8 @@ apiClient.interceptors.response.use(
 export const authAPI = {
   signup: (userData) => apiClient.post('/auth/signup', userData),
   login: (email, password) => apiClient.post('/auth/login', { email, password }),
+  loginTwoFactor: (challengeToken, code) =>
+    apiClient.post('/auth/login/2fa', { challengeToken, code }),
   logout: () => apiClient.post('/auth/logout'),
   getProfile: () => apiClient.get('/auth/profile'),
   updateProfile: (profileData) => apiClient.put('/auth/profile', profileData),
@@ -76,13 +168,20 @@ export const authAPI = {
   changePassword: (currentPassword, newPassword) => 
     apiClient.post('/auth/change-password', { currentPassword, newPassword }),
   verifyEmail: (token) => apiClient.post('/auth/verify-email', { token }),
-  refreshToken: () => apiClient.post('/auth/refresh-token'),
+  unlockAccount: (token) => apiClient.post('/auth/unlock-account', { token }),
+  refreshToken: () => apiClient.post(REFRESH_URL),
   analyzePassword: (password, userContext) => 
     apiClient.post('/auth/analyze-password', { password, userContext }),
   getSecurityRecommendations: () => apiClient.get('/auth/security-recommendations'),
   getRiskAnalysis: () => apiClient.get('/auth/risk-analysis'),
   getSessions: () => apiClient.get('/auth/sessions'),
   revokeSession: (sessionId) => apiClient.delete(`/auth/sessions/${sessionId}`),
+  getTwoFactorStatus: () => apiClient.get('/auth/2fa'),
+  setupTwoFactor: () => apiClient.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => apiClient.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password) => apiClient.post('/auth/2fa/disable', { password }),
+  regenerateRecoveryCodes: (password) =>
+    apiClient.post('/auth/2fa/recovery-codes', { password }),
 };
 
 // Products API
@@ -102,6 +201,17 @@ export const productsAPI = {
     apiClient.post(`/products/${productId}/simulate`, { amount, tenure }),
   compareProducts: (productIds) => 
     apiClient.post('/products/compare', { productIds }),
+  // Admin only
+  getAdminProducts: (params = {}) => {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
+    return apiClient.get(`/products/admin${queryString ? `?${queryString}` : ''}`);
+  },
+  createProduct: (productData) => apiClient.post('/products', productData),
+  updateProduct: (id, productData) => apiClient.put(`/products/${id}`, productData),
+  getProductAnalytics: (id) => apiClient.get(`/products/${id}/analytics`),
 };
 
 // Investment API
@@ -115,9 +225,24 @@ export const investmentAPI = {
     const queryString = new URLSearchParams(filteredParams).toString();
     return apiClient.get(`/investments/portfolio${queryString ? `?${queryString}` : ''}`);
   },
+  getPortfolioHistory: (params = {}) => {
+    // Filter out undefined values
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
+    return apiClient.get(`/investments/portfolio/history${queryString ? `?${queryString}` : ''}`);
+  },
   getInvestment: (id) => apiClient.get(`/investments/${id}`),
   updateInvestment: (id, updateData) => apiClient.put(`/investments/${id}`, updateData),
+  getCancellationQuote: (id) => apiClient.get(`/investments/${id}/cancellation-quote`),
   cancelInvestment: (id) => apiClient.delete(`/investments/${id}`),
+  redeemInvestment: (id, amount) => apiClient.post(`/investments/${id}/redeem`, { amount }),
+  getRedemptions: (id) => apiClient.get(`/investments/${id}/redemptions`),
+  downloadStatement: ({ from, to, format }) => {
+    const queryString = new URLSearchParams({ from, to, format }).toString();
+    return downloadFile(`/investments/statement?${queryString}`, `statement-${from}-to-${to}.${format}`);
+  },
   getPortfolioInsights: (params = {}) => {
     // Filter out undefined values
     const filteredParams = Object.fromEntries(
@@ -128,14 +253,92 @@ export const investmentAPI = {
   },
 };
 
+// SIP API
+export const sipAPI = {
+  createSip: (sipData) => apiClient.post('/sips', sipData),
+  getSips: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiClient.get(`/sips${queryString ? `?${queryString}` : ''}`);
+  },
+  getCalendar: (days = 90) => apiClient.get(`/sips/calendar?days=${days}`),
+  getSip: (id) => apiClient.get(`/sips/${id}`),
+  pauseSip: (id) => apiClient.post(`/sips/${id}/pause`),
+  resumeSip: (id) => apiClient.post(`/sips/${id}/resume`),
+  cancelSip: (id) => apiClient.delete(`/sips/${id}`),
+};
+
+// KYC API
+export const kycAPI = {
+  getStatus: () => apiClient.get('/kyc'),
+  uploadDocument: (type, file) => uploadFile(file, `/kyc/documents/${type}`),
+  // Staff review
+  getSubmissions: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiClient.get(`/kyc/submissions${queryString ? `?${queryString}` : ''}`);
+  },
+  downloadDocument: (userId, type, filename) =>
+    downloadFile(`/kyc/submissions/${userId}/documents/${type}`, filename),
+  approve: (userId) => apiClient.post(`/kyc/submissions/${userId}/approve`),
+  reject: (userId, reason) => apiClient.post(`/kyc/submissions/${userId}/reject`, { reason }),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getNotifications: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiClient.get(`/notifications${queryString ? `?${queryString}` : ''}`);
+  },
+  getUnreadCount: () => apiClient.get('/notifications/unread-count'),
+  markAsRead: (id) => apiClient.put(`/notifications/${id}/read`),
+  markAllAsRead: () => apiClient.put('/notifications/read-all'),
+  deleteNotification: (id) => apiClient.delete(`/notifications/${id}`),
+};
+
 // Logs API
 export const logsAPI = {
   getLogs: (params = {}) => {
-    const queryString = new URLSearchParams(params).toString();
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
     return apiClient.get(`/logs${queryString ? `?${queryString}` : ''}`);
   },
 };
 
+// Admin API (staff roles only)
+export const adminAPI = {
+  getRoles: () => apiClient.get('/admin/roles'),
+  getUsers: (params = {}) => {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
+    return apiClient.get(`/admin/users${queryString ? `?${queryString}` : ''}`);
+  },
+  getUser: (userId) => apiClient.get(`/admin/users/${userId}`),
+  updateUserRole: (userId, role) => apiClient.put(`/admin/users/${userId}/role`, { role }),
+  deactivateUser: (userId, reason) => apiClient.post(`/admin/users/${userId}/deactivate`, { reason }),
+  reactivateUser: (userId, reason) => apiClient.post(`/admin/users/${userId}/reactivate`, { reason }),
+  revokeSessions: (userId, reason) => apiClient.post(`/admin/users/${userId}/revoke-sessions`, { reason }),
+  adjustBalance: (userId, amount, reason) =>
+    apiClient.post(`/admin/users/${userId}/balance-adjustments`, { amount, reason }),
+  getAuditLog: (params = {}) => {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
+    return apiClient.get(`/admin/audit-log${queryString ? `?${queryString}` : ''}`);
+  },
+  getLockouts: (params = {}) => {
+    const filteredParams = Object.fromEntries(
+      Object.entries(params).filter(([_, value]) => value !== undefined && value !== '')
+    );
+    const queryString = new URLSearchParams(filteredParams).toString();
+    return apiClient.get(`/admin/lockouts${queryString ? `?${queryString}` : ''}`);
+  },
+  clearLockout: (lockoutId, reason) => apiClient.delete(`/admin/lockouts/${lockoutId}`, { data: { reason } }),
+};
+
 // Utility functions
 export const uploadFile = async (file, endpoint) => {
   try {
@@ -175,6 +378,95 @@ export const downloadFile = async (url, filename) => {
   }
 };
 
+// Live account events. EventSource cannot send the Authorization header,
+// so the text/event-stream response is read with fetch instead.
+// Returns a function that closes the stream and stops reconnecting.
+export const subscribeToEvents = (onEvent) => {
+  let controller = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let closed = false;
+
+  const dispatchFrame = (frame) => {
+    let type = 'message';
+    const data = [];
+    frame.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    // Heartbeats and retry hints carry no data
+    if (!data.length) return;
+    try {
+      onEvent(type, JSON.parse(data.join('\n')));
+    } catch (error) {
+      console.error('Invalid event payload:', error);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    attempts += 1;
+    const delay = Math.min(
+      API_CONFIG.EVENT_RECONNECT_DELAY * 2 ** (attempts - 1),
+      API_CONFIG.EVENT_MAX_RECONNECT_DELAY
+    );
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    const token = getAccessToken();
+    if (!token || closed) return;
+
+    controller = new AbortController();
+    try {
+      const response = await fetch(`${API_BASE_URL}/events`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'text/event-stream',
+        },
+        signal: controller.signal,
+      });
+      // Access token expired: reconnect with a new one, or stop if the
+      // session is gone (the next API call takes the user to login)
+      if (response.status === 401) {
+        if (await refreshSession()) scheduleReconnect();
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      attempts = 0;
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let done = false;
+      while (!done) {
+        const chunk = await reader.read();
+        done = chunk.done;
+        if (chunk.value) {
+          buffer += decoder.decode(chunk.value, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop();
+          frames.forEach(dispatchFrame);
+        }
+      }
+    } catch (error) {
+      if (closed) return;
+      console.error('Event stream error:', error);
+    }
+    scheduleReconnect();
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (controller) controller.abort();
+  };
+};
+
 // Health check
 export const healthCheck = () => apiClient.get('/health');
 
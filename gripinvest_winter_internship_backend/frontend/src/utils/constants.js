@@ -4,6 +4,9 @@ export const API_CONFIG = {
   TIMEOUT: 10000,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
+  NOTIFICATION_POLL_INTERVAL: 30000,
+  EVENT_RECONNECT_DELAY: 2000,
+  EVENT_MAX_RECONNECT_DELAY: 60000,
 };
 
 // Investment Categories
@@ -128,6 +131,63 @@ export const TENURE_OPTIONS = [
   { value: 60, label: '5 years' },
 ];
 
+// Portfolio History Ranges (chart range selector -> history query)
+export const HISTORY_RANGES = [
+  { value: '6m', label: 'Last 6 months', months: 6, interval: 'week' },
+  { value: '1y', label: 'Last year', months: 12, interval: 'month' },
+  { value: 'all', label: 'All time', months: null, interval: 'month' },
+];
+
+// Account statement export
+export const STATEMENT_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'csv', label: 'CSV (spreadsheet)' },
+];
+
+export const STATEMENT_DEFAULT_DAYS = 90;
+
+// Admin product management
+export const PRODUCT_TYPES = [
+  { value: 'bond', label: 'Bond' },
+  { value: 'fd', label: 'Fixed Deposit' },
+  { value: 'mf', label: 'Mutual Fund' },
+  { value: 'etf', label: 'ETF' },
+];
+
+export const COMPOUND_FREQUENCIES = ['daily', 'monthly', 'quarterly', 'annually'];
+
+export const LIQUIDITY_LEVELS = ['low', 'medium', 'high'];
+
+// Staff roles and permissions; mirrors the backend ROLE_PERMISSIONS
+export const USER_ROLES = [
+  { value: 'user', label: 'User' },
+  { value: 'support', label: 'Support' },
+  { value: 'ops_admin', label: 'Ops Admin' },
+  { value: 'super_admin', label: 'Super Admin' },
+];
+
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  PRODUCTS_MANAGE: 'products:manage',
+  LOGS_READ: 'logs:read',
+  KYC_READ: 'kyc:read',
+  KYC_REVIEW: 'kyc:review',
+  JOBS_MANAGE: 'jobs:manage',
+  EMAILS_MANAGE: 'emails:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+export const ADMIN_ACTIONS = [
+  { value: 'role_changed', label: 'Role changed' },
+  { value: 'user_deactivated', label: 'Deactivated' },
+  { value: 'user_reactivated', label: 'Reactivated' },
+  { value: 'sessions_revoked', label: 'Sessions revoked' },
+  { value: 'balance_adjusted', label: 'Balance adjusted' },
+  { value: 'lockout_cleared', label: 'Lockout cleared' },
+];
+
 // Form Validation Patterns
 export const VALIDATION_PATTERNS = {
   EMAIL: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
@@ -165,7 +225,7 @@ export const SUCCESS_MESSAGES = {
 // Local Storage Keys
 export const STORAGE_KEYS = {
   ACCESS_TOKEN: 'access_token',
-  REFRESH_TOKEN: 'refresh_token',
+  CSRF_TOKEN: 'csrf_token',
   USER_PREFERENCES: 'user_preferences',
   THEME: 'theme',
   LANGUAGE: 'language',
@@ -251,6 +311,14 @@ export const NOTIFICATION_TYPES = {
   ERROR: 'error',
 };
 
+// Live account events streamed from /api/events
+export const EVENT_TYPES = {
+  CONNECTED: 'connected',
+  BALANCE_UPDATED: 'balance.updated',
+  INVESTMENT_UPDATED: 'investment.updated',
+  NOTIFICATION_CREATED: 'notification.created',
+};
+
 // Export all constants as default
 export default {
   API_CONFIG,
@@ -277,4 +345,5 @@ export default {
   CREDIT_RATINGS,
   PORTFOLIO_METRICS,
   NOTIFICATION_TYPES,
+  EVENT_TYPES,
 };
\ No newline at end of file